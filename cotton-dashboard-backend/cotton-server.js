@@ -1,9 +1,34 @@
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
 import multer from "multer"; // for file uploads
 import XLSX from "xlsx"; // for Excel handling
+import {
+  WEIGHTED_QUALITY_FIELDS,
+  PERIOD_FORMATTERS,
+  MIXING_SUMMARY_REPORT_TYPES,
+  normalizeMixingSignature,
+  parseCottonVersion,
+  computeWeightedQuality,
+  buildLotFinder,
+  buildDailyBlend,
+  compareDailyContinuity,
+  computeChangeOver,
+  buildDailySummary,
+  buildPeriodSummary,
+  filterSummaryByMixing,
+} from "./domain/mixingSummary.js";
+import {
+  RESULT_STATS_PARAMETERS,
+  SUMMARY_GROUPINGS,
+  SUMMARY_REPORT_TYPES,
+  buildCottonYearStats,
+  buildResultsSummary,
+  extractReceivedYears,
+} from "./domain/cottonResultsStats.js";
+import { CALENDAR_TYPES, createCalendar, parseWeekday } from "./domain/calendar.js";
 
 dotenv.config();
 
@@ -19,12 +44,654 @@ const supabase = createClient(
 // Multer setup for memory storage
 const upload = multer({ storage: multer.memoryStorage() });
 
+// ---------------------------------------------------------------------------
+// Response cache. Report and filter-option GETs are kept in memory, keyed by
+// path and normalized query, and served with ETag / Last-Modified so browsers
+// revalidate with a 304. Every write route drops the whole cache once it
+// succeeds; the TTL bounds staleness from edits made outside this server.
+// ---------------------------------------------------------------------------
+const DEFAULT_RESPONSE_CACHE_TTL_SECONDS = 300;
+const RESPONSE_CACHE_MAX_ENTRIES = 500;
+
+const resolveResponseCacheTtlMs = () => {
+  const raw = process.env.RESPONSE_CACHE_TTL_SECONDS;
+  if (raw === undefined || `${raw}`.trim() === "") return DEFAULT_RESPONSE_CACHE_TTL_SECONDS * 1000;
+  const seconds = Number(raw);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error("RESPONSE_CACHE_TTL_SECONDS must be zero or a positive number.");
+  }
+  return seconds * 1000;
+};
+
+const RESPONSE_CACHE_TTL_MS = resolveResponseCacheTtlMs();
+const responseCache = new Map();
+// Bumped on every invalidation so a response computed while a write was in
+// flight is not stored under the new data.
+let responseCacheGeneration = 0;
+let responseCacheLastModified = new Date();
+
+const invalidateResponseCache = () => {
+  responseCache.clear();
+  responseCacheGeneration += 1;
+  responseCacheLastModified = new Date();
+};
+
+// Same filters in a different order, repeated, padded or empty share one entry.
+const buildResponseCacheKey = (req) => {
+  const query = Object.keys(req.query ?? {})
+    .sort()
+    .map((key) => {
+      const values = (Array.isArray(req.query[key]) ? req.query[key] : [req.query[key]])
+        .map((value) => (value === undefined || value === null ? "" : `${value}`.trim()))
+        .filter((value) => value !== "");
+      return [key, [...new Set(values)].sort()];
+    })
+    .filter(([, values]) => values.length > 0);
+  return `${req.path}?${JSON.stringify(query)}`;
+};
+
+const sendCachedResponse = (res, entry, cacheStatus) => {
+  res.set({
+    ETag: entry.etag,
+    "Last-Modified": entry.lastModified.toUTCString(),
+    "Cache-Control": "no-cache",
+    "X-Cache": cacheStatus,
+  });
+  res.type("json").send(entry.body);
+};
+
+const cacheResponse = (req, res, next) => {
+  const key = buildResponseCacheKey(req);
+  const cached = responseCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    responseCache.delete(key);
+    responseCache.set(key, cached);
+    return sendCachedResponse(res, cached, "HIT");
+  }
+  responseCache.delete(key);
+
+  const generation = responseCacheGeneration;
+  res.json = (payload) => {
+    const body = JSON.stringify(payload);
+    if (res.statusCode !== 200) {
+      return res.type("json").send(body);
+    }
+
+    const entry = {
+      body,
+      etag: `"${crypto.createHash("sha1").update(body).digest("base64url")}"`,
+      lastModified: responseCacheLastModified,
+      expiresAt: Date.now() + RESPONSE_CACHE_TTL_MS,
+    };
+    if (generation === responseCacheGeneration && entry.expiresAt > Date.now()) {
+      responseCache.set(key, entry);
+      if (responseCache.size > RESPONSE_CACHE_MAX_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+      }
+    }
+    return sendCachedResponse(res, entry, "MISS");
+  };
+  next();
+};
+
+// Put on every route that writes. Dry runs and failed requests change nothing.
+const invalidatesResponseCache = (req, res, next) => {
+  res.on("finish", () => {
+    if (res.statusCode < 400 && !isDryRunRequest(req)) invalidateResponseCache();
+  });
+  next();
+};
+
+// ---------------------------------------------------------------------------
+// Authentication. Users sign in through Supabase Auth; their role lives in
+// app_metadata.role (only settable with the service key, unlike user_metadata).
+// Reads stay public, write routes are guarded with requireRole().
+// ---------------------------------------------------------------------------
+const USER_ROLES = ["viewer", "lab", "planner", "admin"];
+const DEFAULT_USER_ROLE = "viewer";
+
+// Which roles may perform each kind of write. Admin is implicitly allowed everything.
+const ROLE_PERMISSIONS = {
+  lots: ["lab"],
+  mixingCodes: ["lab"],
+  mixingChart: ["planner"],
+  mixingIssues: ["planner"],
+};
+
+// Sign-in and refresh need a throwaway client so the session never leaks into
+// the shared client that every data route queries through.
+const createAuthClient = () =>
+  createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+const resolveUserRole = (user) => {
+  const role = normalizeText(user?.app_metadata?.role).toLowerCase();
+  return USER_ROLES.includes(role) ? role : DEFAULT_USER_ROLE;
+};
+
+const toAuthUser = (user) => ({ id: user.id, email: user.email ?? null, role: resolveUserRole(user) });
+
+const toSessionResponse = (session) => ({
+  access_token: session.access_token,
+  refresh_token: session.refresh_token,
+  expires_at: session.expires_at,
+  user: toAuthUser(session.user),
+});
+
+const readBearerToken = (req) => {
+  const header = normalizeText(req.headers.authorization);
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+};
+
+const authenticateRequest = async (req) => {
+  const token = readBearerToken(req);
+  if (!token) return null;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+  return toAuthUser(data.user);
+};
+
+const hasPermission = (user, permission) =>
+  user?.role === "admin" || (ROLE_PERMISSIONS[permission] ?? []).includes(user?.role);
+
+// Without a permission only a signed-in user is required; the route then
+// checks hasPermission() itself once it knows what is being changed.
+const requireRole = (permission) => async (req, res, next) => {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return res.status(401).json({ error: "Sign in to perform this action." });
+    }
+
+    if (permission && !hasPermission(user, permission)) {
+      return res.status(403).json({ error: `The ${user.role} role cannot perform this action.` });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("Error authenticating request:", err.message);
+    res.status(500).json({ error: err.message || "Unable to verify credentials." });
+  }
+};
+
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const email = normalizeText(req.body?.email);
+    const password = typeof req.body?.password === "string" ? req.body.password : "";
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required." });
+    }
+
+    const { data, error } = await createAuthClient().auth.signInWithPassword({ email, password });
+    if (error || !data?.session) {
+      return res.status(401).json({ error: "Invalid email or password." });
+    }
+
+    res.json(toSessionResponse(data.session));
+  } catch (err) {
+    console.error("Error signing in:", err.message);
+    res.status(500).json({ error: err.message || "Unable to sign in." });
+  }
+});
+
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const refreshToken = normalizeText(req.body?.refresh_token);
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refresh_token is required." });
+    }
+
+    const { data, error } = await createAuthClient().auth.refreshSession({ refresh_token: refreshToken });
+    if (error || !data?.session) {
+      return res.status(401).json({ error: "Session expired. Please sign in again." });
+    }
+
+    res.json(toSessionResponse(data.session));
+  } catch (err) {
+    console.error("Error refreshing session:", err.message);
+    res.status(500).json({ error: err.message || "Unable to refresh session." });
+  }
+});
+
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return res.status(401).json({ error: "Not signed in." });
+    }
+    res.json({ user, permissions: ROLE_PERMISSIONS });
+  } catch (err) {
+    console.error("Error loading current user:", err.message);
+    res.status(500).json({ error: err.message || "Unable to load current user." });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Audit log (sql/audit_log.sql). Write routes describe each changed record as
+// { key, before, after } and recordAudit() stores one audit_log row per change.
+// Auditing is best effort: a failed audit insert is logged, the write stands.
+// ---------------------------------------------------------------------------
+const AUDIT_SOURCES = {
+  uiEdit: "ui_edit",
+  upload: "upload",
+  bulkDelete: "bulk_delete",
+};
+const AUDIT_INSERT_CHUNK_SIZE = 500;
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+
+// Empty snapshots (no row, or an empty group of rows) are stored as null.
+const toAuditSnapshot = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  return value;
+};
+
+const recordAudit = async (req, { table, source, changes = [] }) => {
+  const rows = changes
+    .map(({ key, before, after }) => ({
+      key,
+      before: toAuditSnapshot(before),
+      after: toAuditSnapshot(after),
+    }))
+    .filter(({ before, after }) => before || after)
+    .map(({ key, before, after }) => ({
+      table_name: table,
+      record_key: `${key}`,
+      action: before && after ? "update" : before ? "delete" : "insert",
+      before_data: before,
+      after_data: after,
+      user_id: req.user?.id ?? null,
+      user_email: req.user?.email ?? null,
+      source,
+    }));
+
+  try {
+    for (let start = 0; start < rows.length; start += AUDIT_INSERT_CHUNK_SIZE) {
+      const { error } = await supabase.from("audit_log").insert(rows.slice(start, start + AUDIT_INSERT_CHUNK_SIZE));
+      if (error) throw error;
+    }
+  } catch (err) {
+    console.error(`Error writing audit log for ${table}:`, err.message);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Paging. PostgREST answers at most 1000 rows per request (Supabase's default
+// max-rows) and silently drops the rest, so every read that aggregates a table
+// goes through fetchAllRows. Pages are ordered by columns that identify a row,
+// otherwise they could overlap or skip rows.
+// ---------------------------------------------------------------------------
+const SUPABASE_PAGE_SIZE = 1000;
+const PAGE_ORDER_COLUMNS = {
+  lot_results: ["lot_no"],
+  mixing_chart: ["unit", "line", "mixing_no", "cotton", "lot_no"],
+  mixing_issue: ["id"],
+  bale_results: ["id"],
+};
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = SUPABASE_PAGE_SIZE;
+
+const fetchAllRows = async (query, table) => {
+  let orderedQuery = query;
+  (PAGE_ORDER_COLUMNS[table] ?? []).forEach((column) => {
+    orderedQuery = orderedQuery.order(column, { ascending: true });
+  });
+
+  const rows = [];
+  for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await orderedQuery.range(from, from + SUPABASE_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
+  }
+};
+
+// List routes page with ?limit=&offset= and answer { data, total, limit, offset };
+// without either parameter they still return the whole list as an array.
+const parsePagination = (query = {}) => {
+  const rawLimit = normalizeQueryValue(query.limit);
+  const rawOffset = normalizeQueryValue(query.offset);
+  if (!rawLimit && !rawOffset) return { page: null, error: null };
+
+  const limit = rawLimit ? Number(rawLimit) : DEFAULT_PAGE_LIMIT;
+  const offset = rawOffset ? Number(rawOffset) : 0;
+  if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_PAGE_LIMIT) {
+    return { page: null, error: `limit must be a whole number between 1 and ${MAX_PAGE_LIMIT}.` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { page: null, error: "offset must be a whole number of 0 or more." };
+  }
+  return { page: { limit, offset }, error: null };
+};
+
+// One page of an ordered query selected with { count: "exact" }.
+const fetchPage = async (query, { limit, offset }) => {
+  const { data, count, error } = await query.range(offset, offset + limit - 1);
+  if (error?.code === "PGRST103") {
+    // The offset is past the last row, e.g. after deletes shrank the list.
+    const { count: total, error: countError } = await query.range(0, 0);
+    if (countError) throw countError;
+    return { data: [], total: total ?? 0, limit, offset };
+  }
+  if (error) throw error;
+  return { data: data || [], total: count ?? 0, limit, offset };
+};
+
+const slicePage = (rows, { limit, offset }) => ({
+  data: rows.slice(offset, offset + limit),
+  total: rows.length,
+  limit,
+  offset,
+});
+
+// Reads the rows a write is about to replace or delete, so their audit entries
+// (and recycle bin entries) can keep the previous values.
+const fetchExistingRows = async (table, column, values) => {
+  if (values.length === 0) return [];
+  return fetchAllRows(supabase.from(table).select("*").in(column, values), table);
+};
+
+const groupRowsByKey = (rows = [], buildKey) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = buildKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+// The key each table's audit entries are filed under: what the UI knows a
+// record by rather than its surrogate id.
+const AUDIT_RECORD_KEYS = {
+  lot_results: (row) => normalizeText(row.lot_no),
+  bale_results: (row) => normalizeText(row.lot_no),
+  mixing_chart: (row) =>
+    [row.unit, row.line, row.cotton, row.mixing_no].map((value) => normalizeText(value)).join("|"),
+  mixing_issue: (row) => [row.mixing_no, row.cotton].map((value) => normalizeText(value)).join("|"),
+  mixing_code: (row) => normalizeText(row.variety),
+  quality_specs: (row) => normalizeText(row.id),
+};
+
+// Tables whose rows are replaced as a group (all bales of a lot, all lots of a
+// mixing); their snapshots are arrays of every row sharing the key.
+const GROUPED_AUDIT_TABLES = new Set(["bale_results", "mixing_chart", "mixing_issue"]);
+
+// Pairs the rows a write replaced with the rows it left behind, by audit key.
+const buildAuditChanges = (table, beforeRows = [], afterRows = []) => {
+  const buildKey = AUDIT_RECORD_KEYS[table];
+  const grouped = GROUPED_AUDIT_TABLES.has(table);
+  const before = groupRowsByKey(beforeRows, buildKey);
+  const after = groupRowsByKey(afterRows, buildKey);
+
+  return Array.from(new Set([...before.keys(), ...after.keys()])).map((key) => ({
+    key,
+    before: grouped ? before.get(key) : before.get(key)?.[0],
+    after: grouped ? after.get(key) : after.get(key)?.[0],
+  }));
+};
+
+// Snapshots and user emails are only shown to signed-in users.
+app.get("/api/audit", requireRole(), async (req, res) => {
+  try {
+    const tables = normalizeQueryValue(req.query.table)
+      .split(",")
+      .map((table) => table.trim())
+      .filter(Boolean);
+    const recordKey = normalizeQueryValue(req.query.key);
+    const source = normalizeQueryValue(req.query.source);
+    const fromDate = normalizeQueryValue(req.query.from_date);
+    const toDate = normalizeQueryValue(req.query.to_date);
+    const limit = Number(normalizeQueryValue(req.query.limit) || AUDIT_DEFAULT_LIMIT);
+
+    if (source && !Object.values(AUDIT_SOURCES).includes(source)) {
+      return res.status(400).json({
+        error: `Invalid source. Must be one of: ${Object.values(AUDIT_SOURCES).join(", ")}.`,
+      });
+    }
+
+    const dateRangeError = validateDateRange(fromDate, toDate);
+    if (dateRangeError) {
+      return res.status(400).json({ error: dateRangeError });
+    }
+
+    if (!Number.isInteger(limit) || limit <= 0 || limit > AUDIT_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be a whole number between 1 and ${AUDIT_MAX_LIMIT}.` });
+    }
+
+    let query = supabase
+      .from("audit_log")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit);
+
+    if (tables.length > 0) query = query.in("table_name", tables);
+    if (recordKey) query = query.eq("record_key", recordKey);
+    if (source) query = query.eq("source", source);
+    if (fromDate) query = query.gte("created_at", fromDate);
+    if (toDate) query = query.lte("created_at", `${toDate}T23:59:59.999Z`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (err) {
+    console.error("Error fetching audit log:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch audit log." });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Recycle bin (sql/recycle_bin.sql). Lot deletes and mixing chart range
+// deletes move the removed rows into recycle_bin as one entry, which can be
+// restored for RECYCLE_RETENTION_DAYS days.
+// ---------------------------------------------------------------------------
+const DEFAULT_RECYCLE_RETENTION_DAYS = 30;
+
+// Tables that soft-delete, with the permission needed to restore their rows.
+const RECYCLE_TABLES = {
+  lot_results: { permission: "lots" },
+  mixing_chart: { permission: "mixingChart" },
+};
+
+const resolveRecycleRetentionDays = () => {
+  const raw = process.env.RECYCLE_RETENTION_DAYS;
+  if (raw === undefined || `${raw}`.trim() === "") return DEFAULT_RECYCLE_RETENTION_DAYS;
+  const days = Number(raw);
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error("RECYCLE_RETENTION_DAYS must be a positive number.");
+  }
+  return days;
+};
+
+const resolveRecycleCutoff = () =>
+  new Date(Date.now() - resolveRecycleRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+
+// Expired entries are removed by a timer rather than by a request, so reading
+// the bin never deletes anything.
+const RECYCLE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const purgeExpiredRecycleEntries = async () => {
+  const { error } = await supabase.from("recycle_bin").delete().lt("deleted_at", resolveRecycleCutoff());
+  if (error) console.error("Error purging expired recycle bin entries:", error.message);
+};
+
+const startRecyclePurgeSchedule = () => {
+  const purge = () =>
+    purgeExpiredRecycleEntries().catch((err) => console.error("Error purging recycle bin:", err.message));
+  purge();
+  setInterval(purge, RECYCLE_PURGE_INTERVAL_MS).unref();
+};
+
+// Files `rows` in the recycle bin, then runs `deleteRows`. The entry is written
+// first so the rows are never lost; if the delete fails it is withdrawn again.
+// A range delete can remove rows written after `rows` was read, so the entry is
+// then rewritten with the rows the delete actually returned.
+const softDeleteRows = async (req, { table, key, scope, rows, deleteRows }) => {
+  if (rows.length === 0) return { entry: null, deletedRows: [] };
+
+  const { data: entry, error: binError } = await supabase
+    .from("recycle_bin")
+    .insert({
+      table_name: table,
+      record_key: `${key}`,
+      scope,
+      rows,
+      row_count: rows.length,
+      deleted_by: req.user?.id ?? null,
+      deleted_by_email: req.user?.email ?? null,
+    })
+    .select("id, deleted_at")
+    .single();
+  if (binError) throw binError;
+
+  const { data: deletedRows, error: deleteError } = await deleteRows();
+  if (deleteError) {
+    const { error: withdrawError } = await supabase.from("recycle_bin").delete().eq("id", entry.id);
+    if (withdrawError) console.error("Error withdrawing recycle bin entry:", withdrawError.message);
+    throw deleteError;
+  }
+
+  const removed = deletedRows || [];
+  if (removed.length === 0) {
+    const { error: withdrawError } = await supabase.from("recycle_bin").delete().eq("id", entry.id);
+    if (withdrawError) console.error("Error withdrawing recycle bin entry:", withdrawError.message);
+    return { entry: null, deletedRows: [] };
+  }
+  if (JSON.stringify(removed) !== JSON.stringify(rows)) {
+    const { error: syncError } = await supabase
+      .from("recycle_bin")
+      .update({ rows: removed, row_count: removed.length })
+      .eq("id", entry.id);
+    if (syncError) console.error("Error updating recycle bin entry with the deleted rows:", syncError.message);
+  }
+
+  return { entry, deletedRows: removed };
+};
+
+// Lists only the entries of tables the signed-in user could restore.
+app.get("/api/recycle-bin", requireRole(), async (req, res) => {
+  try {
+    const table = normalizeQueryValue(req.query.table);
+    if (table && !RECYCLE_TABLES[table]) {
+      return res.status(400).json({
+        error: `Invalid table. Must be one of: ${Object.keys(RECYCLE_TABLES).join(", ")}.`,
+      });
+    }
+
+    const allowedTables = Object.keys(RECYCLE_TABLES).filter((name) =>
+      hasPermission(req.user, RECYCLE_TABLES[name].permission)
+    );
+    if (table && !allowedTables.includes(table)) {
+      return res.status(403).json({ error: `The ${req.user.role} role cannot perform this action.` });
+    }
+    if (allowedTables.length === 0) {
+      return res.json({ retention_days: resolveRecycleRetentionDays(), entries: [] });
+    }
+
+    const query = supabase
+      .from("recycle_bin")
+      .select("id, table_name, record_key, scope, row_count, deleted_at, deleted_by_email")
+      .is("restored_at", null)
+      .gte("deleted_at", resolveRecycleCutoff())
+      .in("table_name", table ? [table] : allowedTables)
+      .order("deleted_at", { ascending: false });
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ retention_days: resolveRecycleRetentionDays(), entries: data || [] });
+  } catch (err) {
+    console.error("Error fetching recycle bin:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch recently deleted entries." });
+  }
+});
+
+app.post("/api/recycle-bin/:id/restore", requireRole(), invalidatesResponseCache, async (req, res) => {
+  try {
+    const { data: entry, error: fetchError } = await supabase
+      .from("recycle_bin")
+      .select("*")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+
+    if (!entry) {
+      return res.status(404).json({ error: "Deleted entry not found." });
+    }
+    if (entry.restored_at) {
+      return res.status(409).json({ error: "This deletion has already been restored." });
+    }
+    if (new Date(entry.deleted_at) < new Date(resolveRecycleCutoff())) {
+      return res.status(410).json({
+        error: `Deletions can only be restored within ${resolveRecycleRetentionDays()} day(s).`,
+      });
+    }
+    if (!hasPermission(req.user, RECYCLE_TABLES[entry.table_name]?.permission)) {
+      return res.status(403).json({ error: `The ${req.user.role} role cannot perform this action.` });
+    }
+
+    // Claim the entry before inserting, so two restores running at once cannot
+    // both put the rows back; only the one whose update matched goes on.
+    const { data: claimed, error: claimError } = await supabase
+      .from("recycle_bin")
+      .update({
+        restored_at: new Date().toISOString(),
+        restored_by: req.user.id,
+        restored_by_email: req.user.email,
+      })
+      .eq("id", entry.id)
+      .is("restored_at", null)
+      .select("id");
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) {
+      return res.status(409).json({ error: "This deletion has already been restored." });
+    }
+
+    const rows = Array.isArray(entry.rows) ? entry.rows : [];
+    const { error: insertError } = await supabase.from(entry.table_name).insert(rows);
+    if (insertError) {
+      const { error: releaseError } = await supabase
+        .from("recycle_bin")
+        .update({ restored_at: null, restored_by: null, restored_by_email: null })
+        .eq("id", entry.id);
+      if (releaseError) console.error("Error releasing recycle bin entry:", releaseError.message);
+
+      if (insertError.code === "23505") {
+        return res.status(409).json({
+          error: "Some of these rows have been added again since they were deleted, so nothing was restored.",
+        });
+      }
+      throw insertError;
+    }
+
+    await recordAudit(req, {
+      table: entry.table_name,
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges(entry.table_name, [], rows),
+    });
+
+    res.json({ success: true, restored: rows.length, message: `Restored ${rows.length} row(s).` });
+  } catch (err) {
+    console.error("Error restoring deleted entry:", err.message);
+    res.status(500).json({ error: err.message || "Unable to restore deleted entry." });
+  }
+});
+
 const toArray = (maybeArray) => {
   if (Array.isArray(maybeArray)) return maybeArray;
   if (maybeArray === undefined || maybeArray === null) return [];
   return [maybeArray];
 };
 
+const normalizeText = (value) => (value === undefined || value === null ? "" : `${value}`.trim());
+
 const normalizeValues = (values) =>
   Array.from(
     new Set(
@@ -106,8 +773,8 @@ const enrichWithCotton = async (rows = []) => {
   });
 };
 
-const buildFilterQuery = ({ from_date, to_date }) => {
-  let query = supabase.from("lot_results").select("*");
+const buildFilterQuery = ({ from_date, to_date }, selectOptions) => {
+  let query = supabase.from("lot_results").select("*", selectOptions);
   if (from_date) query = query.gte("lot_received_date", from_date);
   if (to_date) query = query.lte("lot_received_date", to_date);
   return query;
@@ -120,20 +787,13 @@ const buildOptionsQuery = ({ from_date, to_date }) => {
   return query;
 };
 
-const fetchFilteredLotResults = async ({
-  lot_no,
-  from_date,
-  to_date,
-  variety,
-  station,
-  party_name,
-}) => {
+const buildLotResultsQuery = ({ lot_no, from_date, to_date, variety, station, party_name }, selectOptions) => {
   const lotFilters = parseFilterParam(lot_no);
   const varietyFilters = parseFilterParam(variety);
   const stationFilters = parseFilterParam(station);
   const partyNameFilters = parseFilterParam(party_name);
 
-  let query = buildFilterQuery({ from_date, to_date });
+  let query = buildFilterQuery({ from_date, to_date }, selectOptions);
 
   if (lotFilters.length > 0) {
     query = query.in("lot_no", lotFilters);
@@ -151,10 +811,15 @@ const fetchFilteredLotResults = async ({
     query = query.in("party_name", partyNameFilters);
   }
 
-  const { data, error } = await query.order("lot_received_date", { ascending: true });
-  if (error) throw error;
+  return query;
+};
 
-  return enrichWithCotton(data || []);
+const fetchFilteredLotResults = async (filters) => {
+  const data = await fetchAllRows(
+    buildLotResultsQuery(filters).order("lot_received_date", { ascending: true }),
+    "lot_results"
+  );
+  return enrichWithCotton(data);
 };
 
 const fetchFilterOptions = async ({ from_date, to_date, lot_no, variety, station, party_name }) => {
@@ -181,8 +846,7 @@ const fetchFilterOptions = async ({ from_date, to_date, lot_no, variety, station
     query = query.in("party_name", partyFilters);
   }
 
-  const { data, error } = await query;
-  if (error) throw error;
+  const data = await fetchAllRows(query, "lot_results");
 
   const lotOptions = buildUniqueList(data, "lot_no");
   const stationOptions = buildUniqueList(data, "station");
@@ -231,46 +895,325 @@ const fetchFilterOptions = async ({ from_date, to_date, lot_no, variety, station
   };
 };
 
+// ---------------------------------------------------------------------------
+// Report calendars (domain/calendar.js). Period reports take ?calendar=gregorian
+// (default), iso, mill or fiscal; mill and fiscal weeks start on ?week_start=,
+// which defaults to MILL_WEEK_START.
+// ---------------------------------------------------------------------------
+const DEFAULT_MILL_WEEK_START = "monday";
+
+const resolveMillWeekStart = () => {
+  const raw = process.env.MILL_WEEK_START;
+  const weekday = parseWeekday(raw === undefined || `${raw}`.trim() === "" ? DEFAULT_MILL_WEEK_START : raw);
+  if (weekday === null) {
+    throw new Error("MILL_WEEK_START must be a weekday name (e.g. monday) or a number from 0 (Sunday) to 6.");
+  }
+  return weekday;
+};
+
+const MILL_WEEK_START = resolveMillWeekStart();
+
+const resolveCalendarQuery = (query = {}) => {
+  const type = normalizeQueryValue(query.calendar).toLowerCase() || "gregorian";
+  const rawWeekStart = normalizeQueryValue(query.week_start);
+  const weekStart = rawWeekStart ? parseWeekday(rawWeekStart) : MILL_WEEK_START;
+
+  const errors = [];
+  if (!CALENDAR_TYPES.includes(type)) {
+    errors.push(`calendar must be one of ${CALENDAR_TYPES.join(", ")}.`);
+  }
+  if (weekStart === null) {
+    errors.push("week_start must be a weekday name or a number from 0 (Sunday) to 6.");
+  }
+  if (errors.length > 0) {
+    return { calendar: null, errors };
+  }
+  return { calendar: createCalendar({ type, weekStart }), errors };
+};
+
 // -------------------------
 // Fetch cotton results
 // -------------------------
-app.get("/api/cotton-results", async (req, res) => {
-  try {
-    const enrichedData = await fetchFilteredLotResults(req.query);
-    res.json(enrichedData);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+// Lot and summary parameters that can carry a quality spec (see sql/quality_specs.sql).
+const QUALITY_SPEC_PARAMETERS = [
+  "uhml",
+  "mic",
+  "str",
+  "rd",
+  "plus_b",
+  "sf",
+  "ui",
+  "elong",
+  "trash",
+  "moist",
+  "mat",
+  "min_mic",
+  "min_mic_percent",
+];
 
-const normalizeQueryValue = (value) => {
-  if (Array.isArray(value)) {
-    return normalizeQueryValue(value[0]);
-  }
-  if (typeof value !== "string") return "";
-  return value.trim().replace(/[;]+$/g, "");
+const toSpecLimit = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
 };
 
-const parseCottonMixingFilterArray = (rawValue) => {
-  const normalizeSingleValue = (input) => {
-    if (input === undefined || input === null) return null;
-    const trimmed = `${input}`.trim();
-    if (!trimmed) return null;
-    const numeric = Number(trimmed);
-    if (Number.isFinite(numeric)) {
-      return numeric;
+// cotton_name -> { anyYear: { parameter: limits }, byYear: Map(year -> { parameter: limits }) }
+const indexQualitySpecs = (specs = []) => {
+  const index = new Map();
+  specs.forEach((spec) => {
+    const cottonName = normalizeText(spec.cotton_name);
+    if (!cottonName || !QUALITY_SPEC_PARAMETERS.includes(spec.parameter)) return;
+
+    if (!index.has(cottonName)) {
+      index.set(cottonName, { anyYear: {}, byYear: new Map() });
     }
-    return trimmed;
-  };
+    const entry = index.get(cottonName);
+    const cottonYear = normalizeText(spec.cotton_year);
+    const limits = { min: toSpecLimit(spec.min_value), max: toSpecLimit(spec.max_value) };
 
-  const normalizeArray = (items) =>
-    Array.from(
-      new Set(
-        (items || [])
-          .map((item) => normalizeSingleValue(item))
-          .filter((item) => item !== null)
-      )
+    if (!cottonYear) {
+      entry.anyYear[spec.parameter] = limits;
+      return;
+    }
+    if (!entry.byYear.has(cottonYear)) {
+      entry.byYear.set(cottonYear, {});
+    }
+    entry.byYear.get(cottonYear)[spec.parameter] = limits;
+  });
+  return index;
+};
+
+const fetchQualitySpecIndex = async () => {
+  const { data, error } = await supabase.from("quality_specs").select("*");
+  if (error) throw error;
+  return indexQualitySpecs(data || []);
+};
+
+// Year-specific limits override the cotton's all-year limits parameter by parameter.
+const resolveSpecLimits = (specIndex, cottonName, cottonYear) => {
+  const entry = specIndex.get(normalizeText(cottonName));
+  if (!entry) return null;
+  const year = normalizeText(cottonYear);
+  return { ...entry.anyYear, ...(year ? entry.byYear.get(year) : null) };
+};
+
+// Loosest envelope across several limit sets: a parameter is only checked when
+// every set constrains it, using the widest min/max among them.
+const mergeLoosestSpecLimits = (limitSets = []) => {
+  if (limitSets.length === 0) return null;
+  return Object.fromEntries(
+    QUALITY_SPEC_PARAMETERS.filter((parameter) => limitSets.every((limits) => limits[parameter])).map((parameter) => {
+      const mins = limitSets.map((limits) => limits[parameter].min);
+      const maxes = limitSets.map((limits) => limits[parameter].max);
+      return [
+        parameter,
+        {
+          min: mins.some((value) => value === null) ? null : Math.min(...mins),
+          max: maxes.some((value) => value === null) ? null : Math.max(...maxes),
+        },
+      ];
+    })
+  );
+};
+
+const evaluateOutOfSpec = (row, limits) => {
+  const flags = {};
+  Object.entries(limits || {}).forEach(([parameter, { min, max }]) => {
+    const raw = row?.[parameter];
+    if (raw === null || raw === undefined || raw === "") return;
+    const value = Number(raw);
+    if (!Number.isFinite(value)) return;
+
+    if (min !== null && value < min) {
+      flags[parameter] = { value, min, max, direction: "low" };
+    } else if (max !== null && value > max) {
+      flags[parameter] = { value, min, max, direction: "high" };
+    }
+  });
+  return flags;
+};
+
+// Adds `out_of_spec` ({ parameter: { value, min, max, direction } }) to lot rows
+// enriched with cotton / cotton_year. Rows are returned untouched if the specs
+// cannot be read, so a missing quality_specs table never breaks the listing.
+const annotateLotRowsWithSpecs = async (rows = []) => {
+  let specIndex;
+  try {
+    specIndex = await fetchQualitySpecIndex();
+  } catch (err) {
+    console.error("Error fetching quality specs:", err.message);
+    return rows;
+  }
+
+  return rows.map((row) => ({
+    ...row,
+    out_of_spec: evaluateOutOfSpec(row, resolveSpecLimits(specIndex, row.cotton, row.cotton_year)),
+  }));
+};
+
+// Summary rows only know the cotton names in their blend (`mixing`, joined by
+// "+"), so every year's limits of every contributing cotton are merged into
+// the loosest envelope before checking the weighted values.
+const annotateSummaryRowsWithSpecs = async (rows = []) => {
+  let specIndex;
+  try {
+    specIndex = await fetchQualitySpecIndex();
+  } catch (err) {
+    console.error("Error fetching quality specs:", err.message);
+    return rows;
+  }
+
+  return rows.map((row) => {
+    const cottonNames = `${row.mixing || ""}`
+      .split("+")
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    const limitSets = [];
+    let unconstrained = cottonNames.length === 0;
+    cottonNames.forEach((cottonName) => {
+      const entry = specIndex.get(cottonName);
+      if (!entry) {
+        unconstrained = true;
+        return;
+      }
+      const years = Array.from(entry.byYear.keys());
+      if (years.length === 0) {
+        limitSets.push(entry.anyYear);
+      } else {
+        years.forEach((year) => limitSets.push(resolveSpecLimits(specIndex, cottonName, year)));
+      }
+    });
+
+    return {
+      ...row,
+      out_of_spec: unconstrained ? {} : evaluateOutOfSpec(row, mergeLoosestSpecLimits(limitSets)),
+    };
+  });
+};
+
+// Paged responses follow the results table: variety, then received date.
+app.get("/api/cotton-results", async (req, res) => {
+  try {
+    const { page, error: pageError } = parsePagination(req.query);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    if (page) {
+      const query = buildLotResultsQuery(req.query, { count: "exact" })
+        .order("variety", { ascending: true })
+        .order("lot_received_date", { ascending: true })
+        .order("lot_no", { ascending: true });
+      const result = await fetchPage(query, page);
+      return res.json({ ...result, data: await annotateLotRowsWithSpecs(await enrichWithCotton(result.data)) });
+    }
+
+    const enrichedData = await fetchFilteredLotResults(req.query);
+    res.json(await annotateLotRowsWithSpecs(enrichedData));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Years with received lots, newest first, for the dashboard's year picker.
+app.get("/api/cotton-results/years", cacheResponse, async (req, res) => {
+  try {
+    const rows = await fetchAllRows(
+      supabase.from("lot_results").select("lot_received_date").not("lot_received_date", "is", null),
+      "lot_results"
+    );
+    res.json(extractReceivedYears(rows));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || "Unable to load cotton result years" });
+  }
+});
+
+// Per cotton_year aggregates of the lots received in ?year=. With ?parameter=&min=
+// each group also counts the lots whose value is at least min.
+app.get("/api/cotton-results/stats", cacheResponse, async (req, res) => {
+  const year = normalizeQueryValue(req.query.year);
+  const parameter = normalizeQueryValue(req.query.parameter);
+  const minimum = normalizeQueryValue(req.query.min);
+
+  const errors = [];
+  if (!/^\d{4}$/.test(year)) {
+    errors.push("year must be a four-digit year.");
+  }
+  if (parameter && !RESULT_STATS_PARAMETERS.includes(parameter)) {
+    errors.push(`parameter must be one of ${RESULT_STATS_PARAMETERS.join(", ")}.`);
+  }
+  if (minimum && Number.isNaN(Number(minimum))) {
+    errors.push("min must be a number.");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed.", details: errors });
+  }
+
+  try {
+    const rows = await fetchFilteredLotResults({ from_date: `${year}-01-01`, to_date: `${year}-12-31` });
+    res.json(buildCottonYearStats(rows, { parameter, minimum }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || "Unable to load cotton result statistics" });
+  }
+});
+
+// Weekly, monthly, quarterly or yearly rows per variety (and party_name or station
+// with ?group_by=) of the lots matching the /api/cotton-results filters.
+app.get("/api/cotton-results/summary", cacheResponse, async (req, res) => {
+  const reportType = normalizeQueryValue(req.query.report_type).toLowerCase();
+  const groupBy = normalizeQueryValue(req.query.group_by);
+  const { calendar, errors } = resolveCalendarQuery(req.query);
+
+  if (!SUMMARY_REPORT_TYPES.includes(reportType)) {
+    errors.push(`report_type must be one of ${SUMMARY_REPORT_TYPES.join(", ")}.`);
+  }
+  if (groupBy && !SUMMARY_GROUPINGS.includes(groupBy)) {
+    errors.push(`group_by must be one of ${SUMMARY_GROUPINGS.join(", ")}.`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed.", details: errors });
+  }
+
+  try {
+    const rows = await fetchAllRows(buildLotResultsQuery(req.query), "lot_results");
+    res.json(buildResultsSummary(rows, { reportType, groupBy: groupBy || null, calendar }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || "Unable to load cotton results summary" });
+  }
+});
+
+const normalizeQueryValue = (value) => {
+  if (Array.isArray(value)) {
+    return normalizeQueryValue(value[0]);
+  }
+  if (typeof value !== "string") return "";
+  return value.trim().replace(/[;]+$/g, "");
+};
+
+const parseCottonMixingFilterArray = (rawValue) => {
+  const normalizeSingleValue = (input) => {
+    if (input === undefined || input === null) return null;
+    const trimmed = `${input}`.trim();
+    if (!trimmed) return null;
+    const numeric = Number(trimmed);
+    if (Number.isFinite(numeric)) {
+      return numeric;
+    }
+    return trimmed;
+  };
+
+  const normalizeArray = (items) =>
+    Array.from(
+      new Set(
+        (items || [])
+          .map((item) => normalizeSingleValue(item))
+          .filter((item) => item !== null)
+      )
     );
 
   if (Array.isArray(rawValue)) {
@@ -320,28 +1263,6 @@ const buildSortedOptionList = (values = []) => {
   });
 };
 
-const normalizeMixingSignature = (value) => {
-  if (value === undefined || value === null) return "";
-  const raw = `${value}`.trim();
-  if (!raw) return "";
-
-  const parts = raw
-    .split("+")
-    .map((part) => part.trim())
-    .filter((part) => part !== "");
-
-  if (parts.length === 0) {
-    return "";
-  }
-
-  if (parts.length === 1) {
-    return parts[0];
-  }
-
-  const sortedParts = [...parts].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
-  return sortedParts.join("+");
-};
-
 const normalizeMixingSelections = (values = []) => {
   return Array.from(
     new Set(
@@ -406,74 +1327,6 @@ const buildOptionListFromRows = (rows = [], key, selectedValues = []) => {
 const METRIC_LOOKUP = Object.fromEntries(METRIC_CONFIG.map((metric) => [metric.key, metric]));
 const METRIC_PERMITTED_KEYS = new Set(METRIC_CONFIG.map((metric) => metric.key));
 
-const PERIOD_FORMATTERS = {
-  daily: (issueDate) => {
-    if (!issueDate) return null;
-    const date = new Date(issueDate);
-    return Number.isNaN(date.getTime()) ? null : date.toISOString().split("T")[0];
-  },
-  weekly: (issueDate) => {
-    if (!issueDate) return null;
-    const date = new Date(issueDate);
-    if (Number.isNaN(date.getTime())) return null;
-    const year = date.getFullYear();
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
-    const weekNum = Math.ceil(date.getDate() / 7);
-    return `${year}-${month}-W${weekNum}`;
-  },
-  monthly: (issueDate) => {
-    if (!issueDate) return null;
-    const date = new Date(issueDate);
-    if (Number.isNaN(date.getTime())) return null;
-    const year = date.getFullYear();
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
-    return `${year}-${month}`;
-  },
-};
-
-const buildPeriodDescriptor = (issueDate, reportType) => {
-  const formatter = PERIOD_FORMATTERS[reportType] ?? PERIOD_FORMATTERS.daily;
-  const label = formatter(issueDate);
-
-  if (!label) {
-    return { label: null, sortKey: null, sortValue: null };
-  }
-
-  if (reportType === "weekly") {
-    const match = label.match(/^(\d{4})-(\d{2})-W(\d{1,2})$/);
-    if (!match) {
-      return { label, sortKey: label, sortValue: null };
-    }
-    const [, year, month, weekRaw] = match;
-    const normalizedWeek = weekRaw.padStart(2, "0");
-    return {
-      label,
-      sortKey: `${year}-${month}-${normalizedWeek}`,
-      sortValue: Number(`${year}${month}${normalizedWeek}`),
-    };
-  }
-
-  if (reportType === "monthly") {
-    const match = label.match(/^(\d{4})-(\d{2})$/);
-    if (!match) {
-      return { label, sortKey: label, sortValue: null };
-    }
-    const [, year, month] = match;
-    return {
-      label,
-      sortKey: `${year}-${month}`,
-      sortValue: Number(`${year}${month}`),
-    };
-  }
-
-  const timestamp = new Date(label).getTime();
-  return {
-    label,
-    sortKey: label,
-    sortValue: Number.isNaN(timestamp) ? null : timestamp,
-  };
-};
-
 const isValidIsoDate = (value) => {
   if (!value) return false;
   const date = new Date(value);
@@ -491,6 +1344,19 @@ const buildAggregationKey = (item, reportType) => {
   return aggregator(item);
 };
 
+// Lot result columns the comparison matrix can report. Each unit/period cell is
+// the issue-bale weighted mean of its lots, except min_mic which keeps the
+// lowest lot value just like the mixing summary does.
+const COMPARISON_PARAMETERS = ["uhml", "str", "mic", "rd", "plus_b", "sf", "ui", "elong", "trash", "moist", "mat", "min_mic"];
+const COMPARISON_PARAMETER_ALIASES = { "+b": "plus_b" };
+const COMPARISON_MINIMUM_PARAMETERS = new Set(["min_mic"]);
+
+const resolveComparisonParameter = (value) => {
+  const key = normalizeQueryValue(value).toLowerCase();
+  const resolved = COMPARISON_PARAMETER_ALIASES[key] ?? key;
+  return COMPARISON_PARAMETERS.includes(resolved) ? resolved : null;
+};
+
 const fetchAnalysisComparisonRows = async ({
   from_date,
   to_date,
@@ -504,10 +1370,7 @@ const fetchAnalysisComparisonRows = async ({
   if (from_date) issueQuery = issueQuery.gte("issue_date", from_date);
   if (to_date) issueQuery = issueQuery.lte("issue_date", to_date);
 
-  const { data: issueRows, error: issueError } = await issueQuery;
-  if (issueError) {
-    throw issueError;
-  }
+  const issueRows = await fetchAllRows(issueQuery, "mixing_issue");
 
   if (!issueRows || issueRows.length === 0) {
     return [];
@@ -525,14 +1388,13 @@ const fetchAnalysisComparisonRows = async ({
     return [];
   }
 
-  const { data: mixingRows, error: mixingError } = await supabase
-    .from("mixing_chart")
-    .select("mixing_no, unit, line, cotton, lot_no")
-    .in("mixing_no", mixingNumbers);
-
-  if (mixingError) {
-    throw mixingError;
-  }
+  const mixingRows = await fetchAllRows(
+    supabase
+      .from("mixing_chart")
+      .select("mixing_no, unit, line, cotton, lot_no, issue_bale")
+      .in("mixing_no", mixingNumbers),
+    "mixing_chart"
+  );
 
   if (!mixingRows || mixingRows.length === 0) {
     return [];
@@ -550,14 +1412,10 @@ const fetchAnalysisComparisonRows = async ({
     return [];
   }
 
-  const { data: lotRows, error: lotError } = await supabase
-    .from("lot_results")
-    .select(`lot_no, ${parameter}`)
-    .in("lot_no", lotNumbers);
-
-  if (lotError) {
-    throw lotError;
-  }
+  const lotRows = await fetchAllRows(
+    supabase.from("lot_results").select(`lot_no, ${parameter}`).in("lot_no", lotNumbers),
+    "lot_results"
+  );
 
   if (!lotRows || lotRows.length === 0) {
     return [];
@@ -637,38 +1495,67 @@ const fetchAnalysisComparisonRows = async ({
     }
 
     const normalizedValue = Number.isFinite(lotMetricValue) ? lotMetricValue : null;
+    const bales = Number(mixRow.issue_bale);
 
     parsedRows.push({
       issue_date: aggregationKey,
       unit: String(effectiveUnit),
       value: normalizedValue,
+      bales: Number.isFinite(bales) && bales > 0 ? bales : 0,
     });
   });
 
   return parsedRows;
 };
 
+const roundComparisonValue = (value, parameter) => {
+  const metric = METRIC_LOOKUP[parameter === "plus_b" ? "+b" : parameter];
+  const decimals = metric?.decimals ?? 2;
+  return Number(value.toFixed(decimals));
+};
+
 const aggregateComparisonData = (rows, parameter) => {
   const resultMap = new Map();
   const unitSet = new Set();
+  const useMinimum = COMPARISON_MINIMUM_PARAMETERS.has(parameter);
 
   rows.forEach((row) => {
     unitSet.add(row.unit);
     if (!resultMap.has(row.issue_date)) {
-      resultMap.set(row.issue_date, { issue_date: row.issue_date, values: {} });
-    }
-    const entry = resultMap.get(row.issue_date);
-    const value = row.value;
-    if (value === null) {
-      entry.values[row.unit] = null;
-    } else if (entry.values[row.unit] !== undefined && entry.values[row.unit] !== null) {
-      entry.values[row.unit] = (entry.values[row.unit] + value) / 2;
-    } else {
-      entry.values[row.unit] = value;
+      resultMap.set(row.issue_date, { issue_date: row.issue_date, cells: new Map() });
+    }
+    const { cells } = resultMap.get(row.issue_date);
+    if (!cells.has(row.unit)) {
+      cells.set(row.unit, { weightedSum: 0, bales: 0, minimum: null });
+    }
+
+    const cell = cells.get(row.unit);
+    if (row.value === null || row.value === undefined) return;
+
+    if (useMinimum) {
+      cell.minimum = cell.minimum === null ? row.value : Math.min(cell.minimum, row.value);
+      cell.bales += row.bales;
+      return;
+    }
+
+    if (row.bales > 0) {
+      cell.weightedSum += row.value * row.bales;
+      cell.bales += row.bales;
     }
   });
 
-  const rowsArray = Array.from(resultMap.values()).sort((a, b) => a.issue_date.localeCompare(b.issue_date));
+  const rowsArray = Array.from(resultMap.values())
+    .sort((a, b) => a.issue_date.localeCompare(b.issue_date))
+    .map(({ issue_date, cells }) => {
+      const values = {};
+      const bales = {};
+      cells.forEach((cell, unit) => {
+        const value = useMinimum ? cell.minimum : cell.bales > 0 ? cell.weightedSum / cell.bales : null;
+        values[unit] = value === null ? null : roundComparisonValue(value, parameter);
+        bales[unit] = cell.bales;
+      });
+      return { issue_date, values, bales };
+    });
 
   return {
     units: Array.from(unitSet).sort((a, b) => {
@@ -753,13 +1640,9 @@ const fetchCottonMixingFilterOptions = async ({ fromDate, toDate, mixingFrom, mi
   if (filters.cotton.length > 0) issueQuery = issueQuery.in("cotton", filters.cotton);
   if (shouldApplyMixingFilter) issueQuery = issueQuery.in("mixing_no", numericMixingFilters);
 
-  const { data: issueRows, error: issueError } = await issueQuery;
-
-  if (issueError) {
-    throw issueError;
-  }
+  const issueRows = await fetchAllRows(issueQuery, "mixing_issue");
 
-  if (!issueRows || issueRows.length === 0) {
+  if (issueRows.length === 0) {
     return {
       units: buildSortedOptionList(filters.unit),
       lines: buildSortedOptionList(filters.line),
@@ -791,11 +1674,7 @@ const fetchCottonMixingFilterOptions = async ({ fromDate, toDate, mixingFrom, mi
     if (filters.cotton.length > 0) mixingQuery = mixingQuery.in("cotton", filters.cotton);
     if (filters.mixing.length > 0) mixingQuery = mixingQuery.in("mixing_no", filters.mixing);
 
-    const { data: mixingRows, error: mixingError } = await mixingQuery;
-    if (mixingError) {
-      throw mixingError;
-    }
-    mixingChartRows = mixingRows || [];
+    mixingChartRows = await fetchAllRows(mixingQuery, "mixing_chart");
   }
 
   const combinedRows = [...issueRows, ...mixingChartRows];
@@ -811,7 +1690,7 @@ const fetchCottonMixingFilterOptions = async ({ fromDate, toDate, mixingFrom, mi
 // -------------------------
 // Fetch cotton result filters
 // -------------------------
-app.get("/api/cotton-results/filters", async (req, res) => {
+app.get("/api/cotton-results/filters", cacheResponse, async (req, res) => {
   try {
     const { from_date, to_date, lot_no, variety, station, party_name } = req.query;
 
@@ -846,7 +1725,7 @@ app.get("/api/cotton-results/filters", async (req, res) => {
   }
 });
 
-app.get("/api/cotton-mixing-summary/filters", async (req, res) => {
+app.get("/api/cotton-mixing-summary/filters", cacheResponse, async (req, res) => {
   try {
     const fromDate = normalizeQueryValue(req.query.from_date);
     const toDate = normalizeQueryValue(req.query.to_date);
@@ -885,66 +1764,61 @@ app.get("/api/cotton-mixing-summary/filters", async (req, res) => {
   }
 });
 
-const parseCottonVersion = (cottonVersionValue) => {
-  if (!cottonVersionValue) {
-    return {
-      groupKey: "__NO_VERSION__",
-      versionNumber: null,
-      raw: null,
-    };
-  }
+app.get("/api/analysis/comparison", cacheResponse, async (req, res) => {
+  try {
+    const fromDate = normalizeQueryValue(req.query.from_date);
+    const toDate = normalizeQueryValue(req.query.to_date);
+    const reportType = normalizeQueryValue(req.query.report_type).toLowerCase() || "daily";
+    const parameter = resolveComparisonParameter(req.query.parameter);
 
-  const trimmed = String(cottonVersionValue).trim().toUpperCase();
-  if (!trimmed) {
-    return {
-      groupKey: "__NO_VERSION__",
-      versionNumber: null,
-      raw: null,
-    };
-  }
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: "from_date and to_date are required" });
+    }
 
-  // Match YY_UL_VN format, e.g., 25_31_V1
-  const match = trimmed.match(/^(\d{2})_(\d{2})_V(\d+)$/);
-  if (match) {
-    const yy = match[1];
-    const ul = match[2];
-    const vn = parseInt(match[3], 10);
-    const versionNumber = Number.isNaN(vn) ? null : vn;
-    return {
-      groupKey: `${yy}_${ul}`,
-      versionNumber,
-      raw: trimmed,
-    };
-  }
+    const dateRangeError = validateDateRange(fromDate, toDate);
+    if (dateRangeError) {
+      return res.status(400).json({ error: dateRangeError });
+    }
 
-  // Fallback to old format if not matching new
-  const versionMatch = trimmed.match(/(.*?)(?:[\s\-_\/]*(V\d+))$/i);
-  if (versionMatch && versionMatch[2]) {
-    const baseRaw = versionMatch[1] ?? trimmed;
-    const base = baseRaw.replace(/[\s\-_\/]+$/g, "").trim();
-    const normalizedBase = base ? base : trimmed.replace(/[\s\-_\/]*(V\d+)$/i, "").trim();
-    const versionLabel = versionMatch[2].toUpperCase();
-    const digitsMatch = versionLabel.match(/\d+/);
-    const versionNumber = digitsMatch ? parseInt(digitsMatch[0], 10) : null;
+    if (!PERIOD_FORMATTERS[reportType]) {
+      return res.status(400).json({ error: "Invalid report_type. Must be 'daily', 'weekly', or 'monthly'." });
+    }
 
-    return {
-      groupKey: normalizedBase || trimmed,
-      versionNumber: Number.isNaN(versionNumber) ? null : versionNumber,
-      raw: trimmed,
-    };
-  }
+    if (!parameter) {
+      return res.status(400).json({
+        error: `Invalid parameter. Must be one of: ${COMPARISON_PARAMETERS.join(", ")}.`,
+      });
+    }
 
-  return { groupKey: trimmed, versionNumber: null, raw: trimmed };
-};
+    const rows = await fetchAnalysisComparisonRows({
+      from_date: fromDate,
+      to_date: toDate,
+      report_type: reportType,
+      parameter,
+    });
+
+    res.json({ ...aggregateComparisonData(rows, parameter), report_type: reportType });
+  } catch (error) {
+    console.error("Error fetching unit comparison", error);
+    res.status(500).json({ error: error.message || "Unable to load unit comparison" });
+  }
+});
 
 // 🚀 Weighted average summary endpoint (filter by issue_date)
-app.get("/api/cotton-mixing-summary", async (req, res) => {
+app.get("/api/cotton-mixing-summary", cacheResponse, async (req, res) => {
   try {
     const { from_date, to_date, unit, line, cotton, mixing, mixing_from, mixing_to, report_type = "daily" } = req.query;
     const enableSummaryDebug = process.env.SUMMARY_DEBUG === "true";
 
-    if (!["daily", "weekly", "monthly"].includes(report_type)) {
-      return res.status(400).json({ error: "Invalid report_type. Must be 'daily', 'weekly', or 'monthly'." });
+    if (!MIXING_SUMMARY_REPORT_TYPES.includes(report_type)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid report_type. Must be one of ${MIXING_SUMMARY_REPORT_TYPES.join(", ")}.` });
+    }
+
+    const { calendar, errors: calendarErrors } = resolveCalendarQuery(req.query);
+    if (calendarErrors.length > 0) {
+      return res.status(400).json({ error: "Validation failed.", details: calendarErrors });
     }
 
     const parseArray = (value) => {
@@ -1049,8 +1923,7 @@ app.get("/api/cotton-mixing-summary", async (req, res) => {
     if (lineFilters.length > 0) issueQuery = issueQuery.in("line", lineFilters);
     if (mixingFilters.length > 0) issueQuery = issueQuery.in("mixing_no", mixingFilters);
 
-    const { data: rawIssueData, error: issueError } = await issueQuery;
-    if (issueError) throw issueError;
+    const rawIssueData = await fetchAllRows(issueQuery, "mixing_issue");
 
     const issueCottonLookup = createCottonLookup(rawIssueData);
 
@@ -1058,7 +1931,7 @@ app.get("/api/cotton-mixing-summary", async (req, res) => {
       return [...new Set(values.map((value) => String(value).trim()).filter((value) => value !== ""))];
     };
 
-    let issueData = rawIssueData ?? [];
+    let issueData = rawIssueData;
     let normalizedCottonFilters = [];
 
     if (cottonFilters.length > 0) {
@@ -1088,19 +1961,6 @@ if (!issueData || issueData.length === 0) {
       ? normalizedCottonFilters
       : cottonFilters.map((value) => (value === undefined || value === null ? "" : String(value).trim())).filter(Boolean);
 
-    // Build lookup for issue dates by mixing and cotton
-    const issueDateLookup = {};
-    issueData.forEach((issueRow) => {
-      const unitKey = issueRow.unit ?? "__NO_UNIT__";
-      const lineKey = issueRow.line ?? "__NO_LINE__";
-      const cottonKey = issueRow.cotton ?? "__NO_COTTON__";
-      const mixingKey = issueRow.mixing_no ?? "__NO_MIXING__";
-      const lookupKey = `${unitKey}|${lineKey}|${mixingKey}|${cottonKey}`;
-      if (!issueDateLookup[lookupKey]) {
-        issueDateLookup[lookupKey] = issueRow.issue_date;
-      }
-    });
-
     // 2️⃣ Extract valid mixing_nos
     const validMixNos = [...new Set(issueData.map((i) => i.mixing_no).filter(Boolean))];
 
@@ -1115,24 +1975,19 @@ if (!issueData || issueData.length === 0) {
       mixingQuery = mixingQuery.in("cotton", effectiveCottonFilters);
     }
 
-    const { data: mixingData, error: mixingError } = await mixingQuery;
-    if (mixingError) throw mixingError;
+    const mixingData = await fetchAllRows(mixingQuery, "mixing_chart");
 
-    if (!mixingData || mixingData.length === 0) {
+    if (mixingData.length === 0) {
        return res.json([]); // No matching mixings found
     }
 
     // 4️⃣ Fetch all relevant lot results
     const lotNos = [...new Set(mixingData.map((m) => m.lot_no))];
-    const { data: lotResults, error: lotError } = await supabase
-      .from("lot_results")
-      .select("*")
-      .in("lot_no", lotNos);
-    if (lotError) throw lotError;
+    const lotResults = await fetchAllRows(supabase.from("lot_results").select("*").in("lot_no", lotNos), "lot_results");
 
-    if ((!lotResults || lotResults.length === 0) && enableSummaryDebug && ["weekly", "monthly"].includes(report_type)) {
+    if (lotResults.length === 0 && enableSummaryDebug && report_type !== "daily") {
       console.log(
-        "[Summary][Backend] No lot results found for weekly/monthly summary.",
+        "[Summary][Backend] No lot results found for period summary.",
         {
           reportType: report_type,
           lotNosCount: lotNos.length,
@@ -1140,1052 +1995,77 @@ if (!issueData || issueData.length === 0) {
       );
     }
 
-    // Handle different report types
-    if (report_type === "daily") {
-      // Group by mixing_no + cotton combination
-      const groups = {};
-      for (const row of mixingData) {
-        const groupKey = `${row.mixing_no}|${row.cotton}`;
-        if (!groups[groupKey]) groups[groupKey] = [];
-        groups[groupKey].push(row);
-      }
-
-      const summaryEntries = [];
-
-      // Compute weighted averages for each mixing_no + cotton combination
-      for (const rows of Object.values(groups)) {
-        if (rows.length === 0) continue;
-
-        const totalBales = rows.reduce((sum, r) => sum + Number(r.issue_bale || 0), 0);
-
-        // Calculate number of unique lots
-        const uniqueLots = [...new Set(rows.map(r => r.lot_no))];
-        const noOfLots = uniqueLots.length;
-
-        // Calculate mixing number range
-        const mixingNumbers = [...new Set(rows.map(r => r.mixing_no))]
-          .map(n => Number(n))
-          .filter(n => !Number.isNaN(n))
-          .sort((a, b) => a - b);
-        const minMixing = mixingNumbers.length > 0 ? Math.min(...mixingNumbers) : null;
-        const maxMixing = mixingNumbers.length > 0 ? Math.max(...mixingNumbers) : null;
-        const mixingRange = minMixing === null || maxMixing === null
-          ? rows[0].mixing_no
-          : minMixing === maxMixing
-            ? `${minMixing}`
-            : `${minMixing}-${maxMixing}`;
-
-        const sortedMixingNumbers = [...mixingNumbers];
-        const weighted = {
-          mixing_no: mixingRange,
-          minMixing,
-          unit: rows[0].unit,
-          line: rows[0].line,
-          cotton: rows[0].cotton,
-          total_bales: totalBales,
-          no_of_lots: noOfLots,
-          mic: 0,
-          str: 0,
-          uhml: 0,
-          rd: 0,
-          plus_b: 0,
-          sf: 0,
-          ui: 0,
-          elong: 0,
-          trash: 0,
-          moist: 0,
-          min_mic: null,
-          min_mic_percent: null,
-          issue_date: null,
-          mixing: "",
-          blend_percent: "",
-          bale_change_over_percent: null,
-          lot_change_over_percent: null,
-          previous_mixing_no: null,
-          mixing_start: minMixing,
-          mixing_end: maxMixing,
-        };
+    // 5️⃣ Fetch the mixing codes of every variety involved, once for all mixings
+    const varieties = [...new Set(lotResults.map((lot) => lot.variety).filter(Boolean))];
+    let mixingCodes = [];
+    if (varieties.length > 0) {
+      const { data: mixingCodeData, error: mixingCodeError } = await supabase
+        .from("mixing_code")
+        .select("variety, cotton_name, weight")
+        .in("variety", varieties);
+      if (mixingCodeError) throw mixingCodeError;
+      mixingCodes = mixingCodeData || [];
+    }
 
-        const issueDates = rows
-          .map((row) => {
-            const unitKey = row.unit ?? "__NO_UNIT__";
-            const lineKey = row.line ?? "__NO_LINE__";
-            const cottonKey = row.cotton ?? "__NO_COTTON__";
-            const mixingKey = row.mixing_no ?? "__NO_MIXING__";
-            const lookupKey = `${unitKey}|${lineKey}|${mixingKey}|${cottonKey}`;
-            return issueDateLookup[lookupKey] || null;
-          })
-          .filter(Boolean);
-
-        if (issueDates.length > 0) {
-          const sortedIssueDates = issueDates
-            .map((dateStr) => ({ dateStr, time: new Date(dateStr).getTime() || 0 }))
-            .sort((a, b) => a.time - b.time);
-          weighted.issue_date = sortedIssueDates[0].dateStr;
-        }
+    const summaryInput = { issueRows: issueData, chartRows: mixingData, lotRows: lotResults, mixingCodes };
+    const summary =
+      report_type === "daily"
+        ? buildDailySummary(summaryInput)
+        : buildPeriodSummary({
+            ...summaryInput,
+            reportType: report_type,
+            filters: { unit: unitFilters, line: lineFilters, cotton: cottonFilters },
+            calendar,
+          });
 
-        const lotBalesMap = {};
-        let weightedMinMicNumerator = 0;
-        const minMicValues = [];
-        weighted._mixingNumbers = sortedMixingNumbers;
+    res.json(await annotateSummaryRowsWithSpecs(filterSummaryByMixing(summary, mixingFilters)));
+  } catch (err) {
+    console.error("Error fetching summary:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-        for (const mixRow of rows) {
-          const lot = lotResults.find((l) => l.lot_no === mixRow.lot_no);
-          if (!lot) continue;
 
-          const bales = Number(mixRow.issue_bale || 0);
-          const lotKey = mixRow.lot_no;
 
-          if (lotKey) {
-            lotBalesMap[lotKey] = (lotBalesMap[lotKey] || 0) + bales;
-          }
 
-          weighted.mic += (Number(lot.mic) || 0) * bales;
-          weighted.str += (Number(lot.str) || 0) * bales;
-          weighted.uhml += (Number(lot.uhml) || 0) * bales;
-          weighted.rd += (Number(lot.rd) || 0) * bales;
-          weighted.plus_b += (Number(lot.plus_b) || 0) * bales;
-          weighted.sf += (Number(lot.sf) || 0) * bales;
-          weighted.ui += (Number(lot.ui) || 0) * bales;
-          weighted.elong += (Number(lot.elong) || 0) * bales;
-          weighted.trash += (Number(lot.trash) || 0) * bales;
-          weighted.moist += (Number(lot.moist) || 0) * bales;
-
-          const lotMinMicBales = Number(lot.min_mic_bale_per_lot);
-          const lotTotalBales = Number(lot.no_of_bale);
-          if (
-            lot.min_mic_bale_per_lot !== null &&
-            lot.min_mic_bale_per_lot !== undefined &&
-            lot.min_mic_bale_per_lot !== "" &&
-            !isNaN(lotMinMicBales) &&
-            lotTotalBales > 0
-          ) {
-            const lotMinMicPercent = (lotMinMicBales * 100) / lotTotalBales;
-            weightedMinMicNumerator += bales * lotMinMicPercent;
-          }
+// -------------------------
+// Filter options for summary
+// -------------------------
+app.get("/api/filter-options", cacheResponse, async (req, res) => {
+  try {
+    const {
+      from_date,
+      to_date,
+      mixing_from,
+      mixing_to,
+      unit: unitParam,
+      line: lineParam,
+      cotton: cottonParam,
+      mixing: mixingParam,
+    } = req.query;
 
-          if (lot.min_mic !== null && lot.min_mic !== undefined && lot.min_mic !== "") {
-            const num = Number(lot.min_mic);
-            if (!isNaN(num)) minMicValues.push(num);
-          }
-        }
+    const selectedFilters = normalizeCottonMixingFilters({
+      unit: unitParam,
+      line: lineParam,
+      cotton: cottonParam,
+      mixing: mixingParam,
+    });
 
-        if (totalBales > 0) {
-          for (const key of [
-            "mic",
-            "str",
-            "uhml",
-            "rd",
-            "plus_b",
-            "sf",
-            "ui",
-            "elong",
-            "trash",
-            "moist",
-          ]) {
-            weighted[key] = +(weighted[key] / totalBales).toFixed(2);
-          }
+    const numericMixingFilters = selectedFilters.mixing
+      .map((value) => (value === undefined || value === null ? "" : `${value}`.trim()))
+      .filter((value) => value !== "" && /^\d+$/.test(value));
 
-          weighted.min_mic_percent = +(weightedMinMicNumerator / totalBales).toFixed(2);
-        } else {
-          weighted.min_mic_percent = 0;
-        }
+    const shouldFilterMixingNumbers =
+      numericMixingFilters.length > 0 && numericMixingFilters.length === selectedFilters.mixing.length;
 
-        if (minMicValues.length > 0) {
-          weighted.min_mic = Math.min(...minMicValues).toFixed(2);
-        }
+    // Step 1: collect relevant mixing numbers from mixing_issue (issue_date lives here)
+    let issueQuery = supabase
+      .from("mixing_issue")
+      .select("mixing_no, unit, line, cotton, issue_date");
 
-        // Fetch unique varieties for this mixing_no to build mixing column and blend%
-        const lotsForMixing = rows.map(r => r.lot_no);
-        const varietiesForMixing = lotResults
-          .filter(lot => lotsForMixing.includes(lot.lot_no))
-          .map(lot => lot.variety)
-          .filter(v => v);
-        const uniqueVarieties = [...new Set(varietiesForMixing)];
-
-        // Fetch cotton_name and weight from mixing_code table
-        if (uniqueVarieties.length > 0) {
-          const { data: mixingCodeData, error: mixingCodeError } = await supabase
-            .from("mixing_code")
-            .select("variety, cotton_name, weight")
-            .in("variety", uniqueVarieties);
-
-          if (!mixingCodeError && mixingCodeData && mixingCodeData.length > 0) {
-            // Build a map: variety -> { cotton_name, weight }
-            const varietyMap = {};
-            mixingCodeData.forEach(mc => {
-              if (mc.variety && mc.cotton_name) {
-                varietyMap[mc.variety] = {
-                  cotton_name: mc.cotton_name,
-                  weight: Number(mc.weight) || 0
-                };
-              }
-            });
-
-            // Calculate weighted contribution for each cotton_name
-            const cottonContributions = {};
-            let totalWeightedSum = 0;
-
-            for (const mixRow of rows) {
-              const lot = lotResults.find((l) => l.lot_no === mixRow.lot_no);
-              if (!lot || !lot.variety) continue;
-
-              const varietyInfo = varietyMap[lot.variety];
-              if (!varietyInfo) continue;
-
-              const issueBale = Number(mixRow.issue_bale) || 0;
-              const weight = varietyInfo.weight;
-              const cottonName = varietyInfo.cotton_name;
-              const weightedValue = issueBale * weight;
-
-              if (!cottonContributions[cottonName]) {
-                cottonContributions[cottonName] = 0;
-              }
-              cottonContributions[cottonName] += weightedValue;
-              totalWeightedSum += weightedValue;
-            }
-
-            // Build mixing and blend_percent strings
-            let cottonNames = Object.keys(cottonContributions)
-              .filter((name) => cottonContributions[name] > 0)
-              .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
-
-            if (cottonNames.length === 0) {
-              cottonNames = [...new Set(
-                mixingCodeData
-                  .map((mc) => mc.cotton_name)
-                  .filter((name) => name)
-              )].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
-            }
-
-            const blendPercentages = cottonNames.map((cottonName) => {
-              if (totalWeightedSum > 0 && cottonContributions[cottonName]) {
-                const percentage = (cottonContributions[cottonName] / totalWeightedSum) * 100;
-                return Math.round(percentage);
-              }
-              return 0;
-            });
-
-            weighted.mixing = cottonNames.join("+");
-            weighted.blend_percent = blendPercentages.join("+");
-          }
-        }
-
-        const { groupKey, versionNumber } = parseCottonVersion(rows[0].cotton);
-
-        weighted._lotBalesMap = lotBalesMap;
-        weighted._groupKey = groupKey ?? "__NO_GROUP__";
-        weighted._versionNumber = versionNumber ?? null;
-
-        summaryEntries.push(weighted);
-      }
-
-      // Track continuity by unit/line and parsed cotton signature
-      const continuityGroups = {};
-      const groupStats = {};
-
-      summaryEntries.forEach((entry) => {
-        const signature = `${entry.unit ?? "__NO_UNIT__"}|${entry.line ?? "__NO_LINE__"}|${entry._groupKey}`;
-        const mixNos = Array.isArray(entry._mixingNumbers) ? entry._mixingNumbers : [];
-        const maxMixNo = mixNos.length > 0 ? Math.max(...mixNos) : entry.mixing_end ?? entry.mixing_start;
-        const issueTimestamp = entry.issue_date ? new Date(entry.issue_date).getTime() : null;
-
-        if (!continuityGroups[signature]) {
-          continuityGroups[signature] = [];
-          groupStats[signature] = { lastVersion: null, lastTimestamp: null };
-        }
-
-        continuityGroups[signature].push({ entry, maxMixNo, issueTimestamp });
-      });
-
-      Object.entries(continuityGroups).forEach(([signature, records]) => {
-        records.sort((a, b) => {
-          if (a.issueTimestamp !== b.issueTimestamp) {
-            if (a.issueTimestamp === null) return 1;
-            if (b.issueTimestamp === null) return -1;
-            return a.issueTimestamp - b.issueTimestamp;
-          }
-
-          const versionA = a.entry._versionNumber ?? Number.MAX_SAFE_INTEGER;
-          const versionB = b.entry._versionNumber ?? Number.MAX_SAFE_INTEGER;
-          if (versionA !== versionB) {
-            return versionA - versionB;
-          }
-
-          const mixingSpanA = a.maxMixNo ?? Number.MAX_SAFE_INTEGER;
-          const mixingSpanB = b.maxMixNo ?? Number.MAX_SAFE_INTEGER;
-          if (mixingSpanA !== mixingSpanB) {
-            return mixingSpanA - mixingSpanB;
-          }
-
-          return 0;
-        });
-
-        const stats = groupStats[signature];
-
-        records.forEach(({ entry }, index) => {
-          const hasSameGroup = stats.lastVersion !== null && stats.lastTimestamp !== null;
-
-          if (index === 0 || !hasSameGroup) {
-            entry.bale_change_over_percent = null;
-            entry.lot_change_over_percent = null;
-            entry.previous_mixing_no = null;
-          } else {
-            const previous = records[index - 1].entry;
-
-            const previousLotMap = previous._lotBalesMap || {};
-            const currentLotMap = entry._lotBalesMap || {};
-            const lotSet = new Set([
-              ...Object.keys(previousLotMap),
-              ...Object.keys(currentLotMap),
-            ]);
-
-            let absoluteDifferenceSum = 0;
-            let newLotCount = 0;
-            let removedLotCount = 0;
-
-            lotSet.forEach((lotNo) => {
-              const prevBales = Number(previousLotMap[lotNo] || 0);
-              const currentBales = Number(currentLotMap[lotNo] || 0);
-              absoluteDifferenceSum += Math.abs(currentBales - prevBales);
-
-              if (prevBales === 0 && currentBales > 0) newLotCount += 1;
-              if (currentBales === 0 && prevBales > 0) removedLotCount += 1;
-            });
-
-            const previousTotalBales = Number(previous.total_bales) || 0;
-            const previousLotCount = Number(previous.no_of_lots) || 0;
-
-            entry.bale_change_over_percent =
-              previousTotalBales > 0
-                ? parseFloat(((absoluteDifferenceSum / previousTotalBales) * 100).toFixed(2))
-                : null;
-
-            entry.lot_change_over_percent =
-              previousLotCount > 0
-                ? parseFloat((((newLotCount + removedLotCount) / previousLotCount) * 100).toFixed(2))
-                : null;
-
-            entry.previous_mixing_no = previous.mixing_no;
-          }
-
-          stats.lastVersion = entry._versionNumber;
-          stats.lastTimestamp = entry.issue_date ? new Date(entry.issue_date).getTime() : null;
-        });
-      });
-
-      const summary = summaryEntries.map(({ _lotBalesMap, _groupKey, _versionNumber, _mixingNumbers, ...rest }) => rest);
-
-      // Sort by issue_date descending
-      summary.sort((a, b) => new Date(b.issue_date) - new Date(a.issue_date));
-
-      // Apply mixing filter if provided
-      let filteredSummary = summary;
-      if (mixingFilters.length > 0) {
-        filteredSummary = summary.filter((row) => {
-          if (!row.mixing) return false;
-          const mixingNames = row.mixing.split("+");
-          return mixingNames.some((name) => mixingFilters.includes(name));
-        });
-      }
-
-      res.json(filteredSummary);
-      return;
-    }
-
-
-
-
-    // weekly or monthly branch
-    if (report_type === "weekly" || report_type === "monthly") {
-      // Group by week/month + unit + line + cotton (version)
-      const groupedData = {};
-
-
-      // Process each issue data entry
-      for (const issue of issueData) {
-        const { label: periodLabel, sortKey: periodSortKey, sortValue: periodSortValue } = buildPeriodDescriptor(
-          issue.issue_date,
-          report_type
-        );
-
-        if (!periodLabel) {
-          continue;
-        }
-
-        const cottonValue = issue.cotton;
-
-        if (cottonFilters.length > 0 && !cottonFilters.includes(cottonValue)) {
-          continue;
-        }
-
-        const groupKey = `${periodLabel}|${issue.unit}|${issue.line}|${cottonValue}`;
-
-        if (!groupedData[groupKey]) {
-          groupedData[groupKey] = {
-            unit: issue.unit,
-            line: issue.line,
-            cotton: cottonValue,
-            mixing_nos: [],
-            issue_date: periodLabel,
-            issue_date_sort_key: periodSortKey,
-            _issueSortValue: periodSortValue ?? null,
-            _raw_issue_dates: [],
-            rows: [],
-          };
-        } else {
-          if (!groupedData[groupKey].issue_date_sort_key && periodSortKey) {
-            groupedData[groupKey].issue_date_sort_key = periodSortKey;
-          }
-          if (
-            (groupedData[groupKey]._issueSortValue === null || groupedData[groupKey]._issueSortValue === undefined) &&
-            periodSortValue !== null &&
-            periodSortValue !== undefined
-          ) {
-            groupedData[groupKey]._issueSortValue = periodSortValue;
-          }
-        }
-
-        if (periodSortValue !== null && periodSortValue !== undefined) {
-          groupedData[groupKey]._raw_issue_dates.push({
-            raw: issue.issue_date,
-            sortValue: periodSortValue,
-          });
-        }
-
-        groupedData[groupKey].mixing_nos.push({ mixing_no: issue.mixing_no, cotton: cottonValue });
-      }
-
-      // For each group, find all related mixing_chart entries
-      for (const [groupKey, group] of Object.entries(groupedData)) {
-        // Extract mixing_no values from the array of objects
-        const mixingNoValues = group.mixing_nos
-          .map((item) => (item?.mixing_no === undefined || item?.mixing_no === null ? "" : `${item.mixing_no}`.trim()))
-          .filter((value) => value !== "");
-        
-// cotton-server.js, within the weekly branch where relevantMixingData is built
-  const relevantMixingData = mixingData.filter((m) => {
-  const mixingValue = m?.mixing_no === undefined || m?.mixing_no === null ? "" : `${m.mixing_no}`.trim();
-  const normalizedRowUnit = String(m?.unit ?? "").trim();
-  const normalizedGroupUnit = String(group?.unit ?? "").trim();
-  const normalizedRowLine = String(m?.line ?? "").trim();
-  const normalizedGroupLine = String(group?.line ?? "").trim();
-  const normalizedRowCotton = String(m?.cotton ?? "").trim().toUpperCase();
-  const normalizedGroupCotton = String(group?.cotton ?? "").trim().toUpperCase();
-
-  const matchesGroupUnit = normalizedRowUnit === normalizedGroupUnit;
-  const matchesGroupLine = normalizedRowLine === normalizedGroupLine;
-  const matchesGroupCotton = normalizedRowCotton === normalizedGroupCotton;
-
-  const matchesUnitFilter =
-    unitFilters.length === 0 ||
-    unitFilters.some((value) => String(value ?? "").trim() === normalizedRowUnit);
-
-  const matchesLineFilter =
-    lineFilters.length === 0 ||
-    lineFilters.some((value) => String(value ?? "").trim() === normalizedRowLine);
-
-  const matchesCottonFilter =
-    cottonFilters.length === 0 ||
-    cottonFilters.some((value) => String(value ?? "").trim().toUpperCase() === normalizedRowCotton);
-
-  const passes =
-    mixingValue &&
-    mixingNoValues.includes(mixingValue) &&
-    matchesGroupUnit &&
-    matchesGroupLine &&
-    matchesGroupCotton &&
-    matchesUnitFilter &&
-    matchesLineFilter &&
-    matchesCottonFilter;
-
-
-  return passes;
-});
-
-
-        // For each mixing row, determine the period label/sort key based on its issue date
-        const rowsWithPeriod = relevantMixingData.map((mixRow) => {
-          const lookupKey = `${mixRow.unit ?? "__NO_UNIT__"}|${mixRow.line ?? "__NO_LINE__"}|${mixRow.mixing_no ?? "__NO_MIXING__"}|${mixRow.cotton ?? "__NO_COTTON__"}`;
-          const rawIssueDate = issueDateLookup[lookupKey] ?? null;
-          const { label, sortKey, sortValue } = buildPeriodDescriptor(rawIssueDate, report_type);
-          return {
-            ...mixRow,
-            _periodLabel: label ?? group.issue_date,
-            _periodSortKey: sortKey ?? group.issue_date_sort_key ?? group.issue_date,
-            _periodSortValue: sortValue ?? group._issueSortValue ?? null,
-          };
-        });
-
-        const normalizedRows = rowsWithPeriod.map((row) => ({
-          ...row,
-          _periodSortKey: row._periodSortKey,
-          _periodSortValue: row._periodSortValue,
-        }));
-
-        if (!group.issue_date_sort_key && normalizedRows.length > 0) {
-          const candidate = normalizedRows.find((row) => row._periodSortKey);
-          if (candidate) {
-            group.issue_date_sort_key = candidate._periodSortKey;
-          }
-        }
-
-        if ((group._issueSortValue === null || group._issueSortValue === undefined) && normalizedRows.length > 0) {
-          const candidate = normalizedRows.find((row) => row._periodSortValue !== null && row._periodSortValue !== undefined);
-          if (candidate) {
-            group._issueSortValue = candidate._periodSortValue;
-          }
-        }
-
-        if (group._raw_issue_dates && normalizedRows.length > 0) {
-          normalizedRows.forEach((row) => {
-            if (row._periodSortValue !== null && row._periodSortValue !== undefined) {
-              group._raw_issue_dates.push({ raw: row._periodLabel, sortValue: row._periodSortValue });
-            }
-          });
-        }
-
-        // Add all relevant rows to the group with period metadata
-        group.rows = normalizedRows;
-      }
-
-      // Calculate weighted averages for each group
-      const summaryEntriesPeriod = [];
-
-      for (const [groupKey, group] of Object.entries(groupedData)) {
-
-        if (!group || group.rows.length === 0) continue;
-
-        const totalBales = group.rows.reduce((sum, r) => sum + Number(r.issue_bale || 0), 0);
-        const uniqueLots = [...new Set(group.rows.map((r) => r.lot_no))];
-        const noOfLots = uniqueLots.length;
-
-        const mixingNumbers = [...new Set(group.mixing_nos.map((item) => item.mixing_no))]
-          .map((n) => Number(n))
-          .filter((n) => !Number.isNaN(n))
-          .sort((a, b) => a - b);
-        const minMixing = mixingNumbers.length > 0 ? mixingNumbers[0] : null;
-        const maxMixing = mixingNumbers.length > 0 ? mixingNumbers[mixingNumbers.length - 1] : null;
-        const mixingRange =
-          minMixing === null || maxMixing === null
-            ? group.mixing_nos[0]?.mixing_no ?? ""
-            : minMixing === maxMixing
-            ? `${minMixing}`
-            : `${minMixing}-${maxMixing}`;
-
-        const { groupKey: parsedGroupKey, versionNumber } = parseCottonVersion(group.cotton);
-
-        const weighted = {
-          mixing_no: mixingRange,
-          unit: group.unit,
-          line: group.line,
-          cotton: group.cotton,
-          total_bales: totalBales,
-          no_of_lots: noOfLots,
-          mic: 0,
-          str: 0,
-          uhml: 0,
-          rd: 0,
-          plus_b: 0,
-          sf: 0,
-          ui: 0,
-          elong: 0,
-          trash: 0,
-          moist: 0,
-          min_mic: null,
-          min_mic_percent: null,
-          issue_date: group.issue_date,
-          issue_date_sort_key: group.issue_date_sort_key ?? null,
-          _issueSortValue: group._issueSortValue ?? null,
-          _raw_issue_dates: group._raw_issue_dates ?? [],
-          mixing: "",
-          blend_percent: "",
-          bale_change_over_percent: null,
-          lot_change_over_percent: null,
-          previous_mixing_no: null,
-          mixing_start: minMixing,
-          mixing_end: maxMixing,
-          _cottonSignature: parsedGroupKey ?? "__NO_GROUP__",
-          _versionNumber: versionNumber ?? null,
-        };
-
-        const lotBalesMap = {};
-        let weightedMinMicNumerator = 0;
-        const minMicValues = [];
-
-        for (const mixRow of group.rows) {
-          const lot = lotResults.find((l) => l.lot_no === mixRow.lot_no);
-          if (!lot) continue;
-
-          const bales = Number(mixRow.issue_bale || 0);
-          const lotKey = mixRow.lot_no;
-
-          if (lotKey) {
-            lotBalesMap[lotKey] = (lotBalesMap[lotKey] || 0) + bales;
-          }
-
-          weighted.mic += (Number(lot.mic) || 0) * bales;
-          weighted.str += (Number(lot.str) || 0) * bales;
-          weighted.uhml += (Number(lot.uhml) || 0) * bales;
-          weighted.rd += (Number(lot.rd) || 0) * bales;
-          weighted.plus_b += (Number(lot.plus_b) || 0) * bales;
-          weighted.sf += (Number(lot.sf) || 0) * bales;
-          weighted.ui += (Number(lot.ui) || 0) * bales;
-          weighted.elong += (Number(lot.elong) || 0) * bales;
-          weighted.trash += (Number(lot.trash) || 0) * bales;
-          weighted.moist += (Number(lot.moist) || 0) * bales;
-
-          const lotMinMicBales = Number(lot.min_mic_bale_per_lot);
-          const lotTotalBales = Number(lot.no_of_bale);
-          if (
-            lot.min_mic_bale_per_lot !== null &&
-            lot.min_mic_bale_per_lot !== undefined &&
-            lot.min_mic_bale_per_lot !== "" &&
-            !Number.isNaN(lotMinMicBales) &&
-            lotTotalBales > 0
-          ) {
-            const lotMinMicPercent = (lotMinMicBales * 100) / lotTotalBales;
-            weightedMinMicNumerator += bales * lotMinMicPercent;
-          }
-
-          if (lot.min_mic !== null && lot.min_mic !== undefined && lot.min_mic !== "") {
-            const num = Number(lot.min_mic);
-            if (!Number.isNaN(num)) minMicValues.push(num);
-          }
-        }
-
-        if (totalBales > 0) {
-          for (const key of [
-            "mic",
-            "str",
-            "uhml",
-            "rd",
-            "plus_b",
-            "sf",
-            "ui",
-            "elong",
-            "trash",
-            "moist",
-          ]) {
-            weighted[key] = +(weighted[key] / totalBales).toFixed(2);
-          }
-
-          weighted.min_mic_percent = +(weightedMinMicNumerator / totalBales).toFixed(2);
-        } else {
-          weighted.min_mic_percent = 0;
-        }
-
-        if (minMicValues.length > 0) {
-          weighted.min_mic = Math.min(...minMicValues).toFixed(2);
-        }
-
-        if (weighted.issue_date_sort_key && Array.isArray(weighted._raw_issue_dates) && weighted._raw_issue_dates.length > 0) {
-          const sortedRawDates = weighted._raw_issue_dates
-            .map((entry) => ({ ...entry, numeric: Number(entry.sortValue) }))
-            .filter((item) => Number.isFinite(item.numeric))
-            .sort((a, b) => a.numeric - b.numeric);
-
-          if (sortedRawDates.length > 0) {
-            const earliest = sortedRawDates[0];
-            weighted.issue_date = buildPeriodDescriptor(earliest.raw, report_type).label ?? weighted.issue_date;
-          }
-        }
-
-        const lotsForMixing = group.rows.map((r) => r.lot_no);
-        const varietiesForMixing = lotResults
-          .filter((lot) => lotsForMixing.includes(lot.lot_no))
-          .map((lot) => lot.variety)
-          .filter((v) => v);
-        const uniqueVarieties = [...new Set(varietiesForMixing)];
-
-        if (uniqueVarieties.length > 0) {
-          const { data: mixingCodeData, error: mixingCodeError } = await supabase
-            .from("mixing_code")
-            .select("variety, cotton_name, weight")
-            .in("variety", uniqueVarieties);
-
-          if (mixingCodeError) {
-            throw mixingCodeError;
-          }
-
-          if (mixingCodeData && mixingCodeData.length > 0) {
-            const varietyMap = {};
-            mixingCodeData.forEach((mc) => {
-              if (mc.variety && mc.cotton_name) {
-                varietyMap[mc.variety] = {
-                  cotton_name: mc.cotton_name,
-                  weight: Number(mc.weight) || 0,
-                };
-              }
-            });
-
-            const cottonContributions = {};
-            let totalWeightedSum = 0;
-
-            for (const mixRow of group.rows) {
-              const lot = lotResults.find((l) => l.lot_no === mixRow.lot_no);
-              if (!lot || !lot.variety) continue;
-
-              const varietyInfo = varietyMap[lot.variety];
-              if (!varietyInfo) continue;
-
-              const issueBale = Number(mixRow.issue_bale) || 0;
-              totalWeightedSum += issueBale;
-
-              const cottonName = varietyInfo.cotton_name;
-              cottonContributions[cottonName] = (cottonContributions[cottonName] || 0) + issueBale * varietyInfo.weight;
-            }
-
-            if (totalWeightedSum > 0) {
-              const normalizedContributions = Object.entries(cottonContributions)
-                .map(([cottonName, value]) => ({
-                  cottonName,
-                  value,
-                }))
-                .sort((a, b) => b.value - a.value);
-
-              const totalValue = normalizedContributions.reduce((sum, item) => sum + item.value, 0);
-
-              const contributionStrings = normalizedContributions
-                .map(({ cottonName, value }) => {
-                  const percentage = totalValue > 0 ? ((value / totalValue) * 100).toFixed(1) : "0.0";
-                  return `${cottonName} ${percentage}%`;
-                })
-                .slice(0, 3);
-
-              weighted.blend_percent = contributionStrings.join(", ");
-
-              const mixingNames = normalizedContributions.map(({ cottonName }) => cottonName).join("+");
-              weighted.mixing = normalizeMixingSignature(mixingNames);
-            }
-          }
-        }
-
-
-        weighted._lotBalesMap = lotBalesMap;
-        weighted._cottonSignature = weighted._cottonSignature ?? (parsedGroupKey ?? "__NO_GROUP__");
-        weighted._versionNumber = versionNumber ?? null;
-        weighted._mixingNumbers = mixingNumbers;
-
-// Compute simple average bale/lot change% across mixing_no within this period,
-        // but instrument the calculation so we can see day-wise values feeding the average.
-        const mixingDailyAveragesBale = [];
-        const mixingDailyAveragesLot = [];
-       
-          const getRawIssueDateForRow = (row) => {
-          const lookupKey = `${row.unit ?? "__NO_UNIT__"}|${row.line ?? "__NO_LINE__"}|${row.mixing_no ?? "__NO_MIXING__"}|${row.cotton ?? "__NO_COTTON__"}`;
-          return issueDateLookup[lookupKey] ?? null;
-        };
-
-        // build per-mixing aggregates (one entry per mixing_no)
-        const mixMap = {};
-        for (const r of group.rows) {
-          const mn = r.mixing_no ?? "";
-          if (!mn) continue;
-          if (!mixMap[mn]) {
-            mixMap[mn] = { mixing_no: mn, totalBales: 0, lotMap: {}, unit: r.unit, line: r.line, cotton: r.cotton, issueDate: getRawIssueDateForRow(r) };
-          }
-          const bales = Number(r.issue_bale || 0);
-          mixMap[mn].totalBales += bales;
-          if (r.lot_no) {
-            mixMap[mn].lotMap[r.lot_no] = (mixMap[mn].lotMap[r.lot_no] || 0) + bales;
-          }
-        }
-
-        // produce sorted list by issueDate (ascending)
-        const mixingList = Object.values(mixMap)
-          .map((m) => ({ ...m, issueTimestamp: m.issueDate ? new Date(m.issueDate).getTime() : null }))
-          .sort((a, b) => {
-            if (a.issueTimestamp !== b.issueTimestamp) {
-              if (a.issueTimestamp === null) return 1;
-              if (b.issueTimestamp === null) return -1;
-              return a.issueTimestamp - b.issueTimestamp;
-            }
-            // tie-breaker: numeric mixing_no if possible
-            const na = Number(a.mixing_no);
-            const nb = Number(b.mixing_no);
-            if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
-            return String(a.mixing_no).localeCompare(String(b.mixing_no));
-          });
-
-        const baleChanges = [];
-        const lotChanges = [];
-
-        for (let i = 1; i < mixingList.length; i++) {
-          const prev = mixingList[i - 1];
-          const curr = mixingList[i];
-
-          const previousTotalBales = Number(prev.totalBales || 0);
-          // compute lot-level absolute difference sum
-          const lotSet = new Set([...Object.keys(prev.lotMap || {}), ...Object.keys(curr.lotMap || {})]);
-          let absoluteDifferenceSum = 0;
-          lotSet.forEach((lotNo) => {
-            const prevB = Number(prev.lotMap[lotNo] || 0);
-            const currB = Number(curr.lotMap[lotNo] || 0);
-            absoluteDifferenceSum += Math.abs(currB - prevB);
-          });
-
-// bale % (exact daily logic): absoluteDifferenceSum / previousTotalBales * 100
-          // If previousTotalBales === 0 but previous mixing exists (had rows / lots),
-          // treat zero-diff as 0% and non-zero diff as 100% (all new compared to zero).
-          let balePct = null;
-          const prevHasRows = prev && prev.lotMap && Object.keys(prev.lotMap).length > 0;
-          if (previousTotalBales > 0) {
-            balePct = (absoluteDifferenceSum / previousTotalBales) * 100;
-            if (Number.isFinite(balePct)) baleChanges.push(balePct);
-            else balePct = null;
-          } else if (prevHasRows) {
-            // previous mixing exists but total bales is zero — include in average
-            if (absoluteDifferenceSum === 0) {
-              balePct = 0;
-              baleChanges.push(0);
-            } else {
-              // previous was zero and current has some difference -> treat as full change
-              balePct = 100;
-              baleChanges.push(100);
-            }
-          } else {
-            // previous is effectively blank (no rows) — skip the comparison
-            balePct = null;
-          }
-
-
-         // lot change: new + removed relative to previous mixing's lot count
-          const prevLotCount = Object.keys(prev.lotMap || {}).length;
-          let lotPct = null;
-          if (prevLotCount > 0) {
-            let newLots = 0;
-            let removedLots = 0;
-            lotSet.forEach((lotNo) => {
-              const prevHas = Boolean(prev.lotMap && Object.prototype.hasOwnProperty.call(prev.lotMap, lotNo) && prev.lotMap[lotNo] > 0);
-              const currHas = Boolean(curr.lotMap && Object.prototype.hasOwnProperty.call(curr.lotMap, lotNo) && curr.lotMap[lotNo] > 0);
-              if (!prevHas && currHas) newLots += 1;
-              if (prevHas && !currHas) removedLots += 1;
-            });
-            lotPct = ((newLots + removedLots) / prevLotCount) * 100;
-            if (Number.isFinite(lotPct)) lotChanges.push(lotPct);
-            else lotPct = null;
-          } else if (prevHasRows && Object.keys(curr.lotMap || {}).length === 0) {
-            // previous had rows but no lots (edge) -> treat as 0% change
-            lotPct = 0;
-            lotChanges.push(0);
-          } else {
-            // previous had no lot info -> skip
-            lotPct = null;
-          }
-
-        }
-
-        // compute simple average across mixings (include zeros already present in arrays)
-        if (baleChanges.length > 0) {
-          const avg = baleChanges.reduce((s, v) => s + v, 0) / baleChanges.length;
-          weighted.bale_change_over_percent = +avg.toFixed(2);
-        } else {
-          weighted.bale_change_over_percent = null;
-        }
-
-        if (lotChanges.length > 0) {
-          const avgL = lotChanges.reduce((s, v) => s + v, 0) / lotChanges.length;
-          weighted.lot_change_over_percent = +avgL.toFixed(2);
-        } else {
-          weighted.lot_change_over_percent = null;
-        }
-
-        // expose debug details when enabled
-          weighted.previous_mixing_no = null;
-
-        summaryEntriesPeriod.push(weighted);
-       }
-
-      const continuityGroups = {};
-      const groupStats = {};
-
-      summaryEntriesPeriod.forEach((entry) => {
-        const signature = `${entry.unit ?? "__NO_UNIT__"}|${entry.line ?? "__NO_LINE__"}|${entry._cottonSignature}`;
-        const mixNos = Array.isArray(entry._mixingNumbers) ? entry._mixingNumbers : [];
-        const maxMixNo = mixNos.length > 0 ? Math.max(...mixNos) : entry.mixing_end ?? entry.mixing_start;
-        const issueTimestamp = entry.issue_date ? new Date(entry.issue_date).getTime() : null;
-
-        if (!continuityGroups[signature]) {
-          continuityGroups[signature] = [];
-          groupStats[signature] = { lastVersion: null, lastTimestamp: null };
-        }
-
-        continuityGroups[signature].push({ entry, maxMixNo, issueTimestamp });
-      });
-
-      Object.entries(continuityGroups).forEach(([signature, records]) => {
-        records.sort((a, b) => {
-          if (a.issueTimestamp !== b.issueTimestamp) {
-            if (a.issueTimestamp === null) return 1;
-            if (b.issueTimestamp === null) return -1;
-            return a.issueTimestamp - b.issueTimestamp;
-          }
-
-          const versionA = a.entry._versionNumber ?? Number.MAX_SAFE_INTEGER;
-          const versionB = b.entry._versionNumber ?? Number.MAX_SAFE_INTEGER;
-          if (versionA !== versionB) {
-            return versionA - versionB;
-          }
-
-          const mixingSpanA = a.maxMixNo ?? Number.MAX_SAFE_INTEGER;
-          const mixingSpanB = b.maxMixNo ?? Number.MAX_SAFE_INTEGER;
-          if (mixingSpanA !== mixingSpanB) {
-            return mixingSpanA - mixingSpanB;
-          }
-
-          return 0;
-        });
-
-        const stats = groupStats[signature];
-
-        records.forEach(({ entry }, index) => {
-          const hasSameGroup = stats.lastVersion !== null && stats.lastTimestamp !== null;
-
-          if (index === 0 || !hasSameGroup) {
-            // preserve any already-computed period-level daily-averaged values
-            entry.bale_change_over_percent = entry.bale_change_over_percent ?? null;
-            entry.lot_change_over_percent = entry.lot_change_over_percent ?? null;
-            entry.previous_mixing_no = entry.previous_mixing_no ?? null;
-          } else {
-            // Only compute continuity-based overwrite if no period-level value exists
-            if (entry.bale_change_over_percent == null && entry.lot_change_over_percent == null) {
-              const previous = records[index - 1].entry;
-
-              const previousLotMap = previous._lotBalesMap || {};
-              const currentLotMap = entry._lotBalesMap || {};
-              const lotSet = new Set([
-                ...Object.keys(previousLotMap),
-                ...Object.keys(currentLotMap),
-              ]);
-
-              let absoluteDifferenceSum = 0;
-              let newLotCount = 0;
-              let removedLotCount = 0;
-
-              lotSet.forEach((lotNo) => {
-                const prevBales = Number(previousLotMap[lotNo] || 0);
-                const currentBales = Number(currentLotMap[lotNo] || 0);
-                absoluteDifferenceSum += Math.abs(currentBales - prevBales);
-
-                if (prevBales === 0 && currentBales > 0) newLotCount += 1;
-                if (currentBales === 0 && prevBales > 0) removedLotCount += 1;
-              });
-
-              const previousTotalBales = Number(previous.total_bales) || 0;
-              const previousLotCount = Number(previous.no_of_lots) || 0;
-
-              entry.bale_change_over_percent =
-                previousTotalBales > 0
-                  ? parseFloat(((absoluteDifferenceSum / previousTotalBales) * 100).toFixed(2))
-                  : null;
-
-              entry.lot_change_over_percent =
-                previousLotCount > 0
-                  ? parseFloat((((newLotCount + removedLotCount) / previousLotCount) * 100).toFixed(2))
-                  : null;
-
-              entry.previous_mixing_no = previous.mixing_no;
-            } else {
-              // keep the already-computed period-level value and still set previous_mixing_no if missing
-              const previous = records[index - 1].entry;
-              entry.previous_mixing_no = entry.previous_mixing_no ?? previous.mixing_no;
-            }
-          }
-
-          stats.lastVersion = entry._versionNumber;
-          stats.lastTimestamp = entry.issue_date ? new Date(entry.issue_date).getTime() : null;
-        });
-      });
-
-      const summary = summaryEntriesPeriod.map(
-        ({
-          _lotBalesMap,
-          _cottonSignature,
-          _versionNumber,
-          _mixingNumbers,
-          mixing_start,
-          mixing_end,
-          _issueSortValue,
-          ...rest
-        }) => rest
-      );
-
-      summary.sort((a, b) => {
-        const keyA = a.issue_date_sort_key ?? a.issue_date;
-        const keyB = b.issue_date_sort_key ?? b.issue_date;
-        if (keyA === keyB) {
-          return 0;
-        }
-        if (!keyA) {
-          return 1;
-        }
-        if (!keyB) {
-          return -1;
-        }
-        return keyB.localeCompare(keyA);
-      });
-
-      let filteredSummary = summary;
-      if (mixingFilters.length > 0) {
-        filteredSummary = summary.filter((row) => {
-          if (!row.mixing) return false;
-          const mixingNames = row.mixing.split("+");
-          return mixingNames.some((name) => mixingFilters.includes(name));
-        });
-      }
-
-      res.json(filteredSummary);
-    } else {
-      throw new Error("Invalid report_type. Must be 'daily', 'weekly', or 'monthly'");
-    }
-  } catch (err) {
-    console.error("Error fetching summary:", err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-
-
-
-// -------------------------
-// Filter options for summary
-// -------------------------
-app.get("/api/filter-options", async (req, res) => {
-  try {
-    const {
-      from_date,
-      to_date,
-      mixing_from,
-      mixing_to,
-      unit: unitParam,
-      line: lineParam,
-      cotton: cottonParam,
-      mixing: mixingParam,
-    } = req.query;
-
-    const selectedFilters = normalizeCottonMixingFilters({
-      unit: unitParam,
-      line: lineParam,
-      cotton: cottonParam,
-      mixing: mixingParam,
-    });
-
-    const numericMixingFilters = selectedFilters.mixing
-      .map((value) => (value === undefined || value === null ? "" : `${value}`.trim()))
-      .filter((value) => value !== "" && /^\d+$/.test(value));
-
-    const shouldFilterMixingNumbers =
-      numericMixingFilters.length > 0 && numericMixingFilters.length === selectedFilters.mixing.length;
-
-    // Step 1: collect relevant mixing numbers from mixing_issue (issue_date lives here)
-    let issueQuery = supabase
-      .from("mixing_issue")
-      .select("mixing_no, unit, line, cotton, issue_date");
-
-    if (from_date) {
-      issueQuery = issueQuery.gte("issue_date", from_date);
-    }
+    if (from_date) {
+      issueQuery = issueQuery.gte("issue_date", from_date);
+    }
 
     if (to_date) {
       issueQuery = issueQuery.lte("issue_date", to_date);
@@ -2209,10 +2089,9 @@ app.get("/api/filter-options", async (req, res) => {
       issueQuery = issueQuery.in("mixing_no", numericMixingFilters);
     }
 
-    const { data: issueRows, error: issueError } = await issueQuery;
-    if (issueError) throw issueError;
+    const issueRows = await fetchAllRows(issueQuery, "mixing_issue");
 
-    if (!issueRows || issueRows.length === 0) {
+    if (issueRows.length === 0) {
       res.json(createEmptyMixingFilterOptions());
       return;
     }
@@ -2254,10 +2133,9 @@ app.get("/api/filter-options", async (req, res) => {
       mixingQuery = mixingQuery.in("mixing_no", selectedFilters.mixing);
     }
 
-    const { data: chartRows, error: chartError } = await mixingQuery;
-    if (chartError) throw chartError;
+    const chartRows = await fetchAllRows(mixingQuery, "mixing_chart");
 
-    const combinedRows = [...issueRows, ...(chartRows || [])];
+    const combinedRows = [...issueRows, ...chartRows];
 
     if (!combinedRows || combinedRows.length === 0) {
       res.json(createEmptyMixingFilterOptions());
@@ -2281,21 +2159,15 @@ app.get("/api/filter-options", async (req, res) => {
   }
 });
 
-app.get("/api/mixing-options", async (req, res) => {
+app.get("/api/mixing-options", cacheResponse, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("mixing_chart")
-      .select("unit, line, cotton");
-
-    if (error) {
-      throw error;
-    }
+    const data = await fetchAllRows(supabase.from("mixing_chart").select("unit, line, cotton"), "mixing_chart");
 
     const units = new Set();
     const lines = new Set();
     const cottons = new Set();
 
-    (data || []).forEach((row) => {
+    data.forEach((row) => {
       if (row?.unit !== undefined && row?.unit !== null && `${row.unit}`.trim() !== "") {
         units.add(`${row.unit}`.trim());
       }
@@ -2322,9 +2194,49 @@ app.get("/api/mixing-options", async (req, res) => {
   }
 });
 
-app.post("/api/mixing-chart/delete", async (req, res) => {
+// Groups the rows a range delete would remove by lot, with the bales each lot
+// has issued into the range.
+const summarizeMixingChartRows = (rows = []) => {
+  const sortedRows = [...rows].sort(
+    (a, b) =>
+      Number(a.mixing_no) - Number(b.mixing_no) ||
+      `${a.lot_no}`.localeCompare(`${b.lot_no}`, undefined, { numeric: true, sensitivity: "base" })
+  );
+
+  const lots = new Map();
+  sortedRows.forEach((row) => {
+    const lotNo = normalizeText(row.lot_no);
+    if (!lots.has(lotNo)) lots.set(lotNo, { lot_no: lotNo, rows: 0, bales: 0, mixings: [] });
+    const lot = lots.get(lotNo);
+    lot.rows += 1;
+    lot.bales += Number(row.issue_bale) || 0;
+    if (!lot.mixings.includes(row.mixing_no)) lot.mixings.push(row.mixing_no);
+  });
+
+  return {
+    rows: sortedRows.map(({ unit, line, cotton, mixing_no, lot_no, issue_bale }) => ({
+      unit,
+      line,
+      cotton,
+      mixing_no,
+      lot_no,
+      issue_bale,
+    })),
+    lots: Array.from(lots.values()),
+    totals: {
+      rows: sortedRows.length,
+      lots: lots.size,
+      bales: sortedRows.reduce((sum, row) => sum + (Number(row.issue_bale) || 0), 0),
+    },
+  };
+};
+
+// With ?dry_run=true nothing is deleted; the response lists the matching rows,
+// lots and bales instead. A real delete must send the previewed row count as
+// expected_count and is refused if the range has changed since.
+app.post("/api/mixing-chart/delete", requireRole("mixingChart"), invalidatesResponseCache, async (req, res) => {
   try {
-    const { unit, line, cotton, mixing_from, mixing_to } = req.body;
+    const { unit, line, cotton, mixing_from, mixing_to, expected_count } = req.body;
 
     if (!unit || !line || !cotton) {
       return res.status(400).json({ error: "Unit, Line, and Cotton are required." });
@@ -2345,50 +2257,338 @@ app.post("/api/mixing-chart/delete", async (req, res) => {
       return res.status(400).json({ error: "Mixing number range is invalid." });
     }
 
-    const { error: deleteError } = await supabase
-      .from("mixing_chart")
-      .delete()
-      .eq("unit", unit)
-      .eq("line", line)
-      .eq("cotton", cotton)
-      .gte("mixing_no", fromNumber)
-      .lte("mixing_no", toNumber);
+    const dryRun = isDryRunRequest(req);
+    const expectedCount = normalizeText(expected_count) === "" ? NaN : Number(expected_count);
+    if (!dryRun && !(Number.isInteger(expectedCount) && expectedCount >= 0)) {
+      return res.status(400).json({
+        error: "expected_count is required: preview the range with ?dry_run=true and send its row count.",
+      });
+    }
+
+    const applyRange = (query) =>
+      query
+        .eq("unit", unit)
+        .eq("line", line)
+        .eq("cotton", cotton)
+        .gte("mixing_no", fromNumber)
+        .lte("mixing_no", toNumber);
+
+    const matchingRows = await fetchAllRows(applyRange(supabase.from("mixing_chart").select("*")), "mixing_chart");
+
+    if (dryRun) {
+      return res.json({
+        dry_run: true,
+        range: { unit, line, cotton, mixing_from: fromNumber, mixing_to: toNumber },
+        ...summarizeMixingChartRows(matchingRows || []),
+      });
+    }
 
-    if (deleteError) {
-      throw deleteError;
+    if (expectedCount !== (matchingRows || []).length) {
+      return res.status(409).json({
+        error: `The range now matches ${(matchingRows || []).length} row(s), not ${expected_count}. Preview it again before deleting.`,
+      });
     }
 
-    res.json({ message: "Matching mixing chart entries deleted successfully." });
+    const { entry, deletedRows } = await softDeleteRows(req, {
+      table: "mixing_chart",
+      key: `${unit}|${line}|${cotton}|${fromNumber}-${toNumber}`,
+      scope: { unit, line, cotton, mixing_from: fromNumber, mixing_to: toNumber },
+      rows: matchingRows || [],
+      deleteRows: () => applyRange(supabase.from("mixing_chart").delete()).select(),
+    });
+
+    await recordAudit(req, {
+      table: "mixing_chart",
+      source: AUDIT_SOURCES.bulkDelete,
+      changes: buildAuditChanges("mixing_chart", deletedRows),
+    });
+
+    res.json({
+      message: entry
+        ? `Deleted ${deletedRows.length} mixing chart row(s); they can be restored from Recently Deleted.`
+        : "No mixing chart entries matched the range.",
+      deleted: deletedRows.length,
+      recycle_id: entry?.id ?? null,
+    });
   } catch (err) {
     console.error("Error deleting mixing chart entries:", err.message);
     res.status(500).json({ error: err.message || "Failed to delete mixing chart entries." });
   }
 });
 
-app.get("/api/mixing-issues/missing", async (req, res) => {
-  try {
-    const { data: chartData, error: chartError } = await supabase
-      .from("mixing_chart")
-      .select("mixing_no, unit, line, cotton");
-    if (chartError) throw chartError;
+// Upload endpoints accept ?dry_run=true and answer with a row-by-row preview
+// ({ row, action, reason }) instead of writing anything.
+const UPLOAD_PREVIEW_ACTIONS = ["insert", "update", "replace", "reject"];
 
-    const { data: issueData, error: issueError } = await supabase
-      .from("mixing_issue")
-      .select("mixing_no, cotton");
-    if (issueError) throw issueError;
+const isDryRunRequest = (req) => {
+  const value = normalizeQueryValue(req.query?.dry_run).toLowerCase();
+  return value === "true" || value === "1";
+};
 
-    const existingCombinations = new Set(
-      (issueData || [])
-        .map((item) => {
-          const mixingNo = item?.mixing_no !== undefined && item?.mixing_no !== null ? String(item.mixing_no) : null;
-          const cotton = item?.cotton !== undefined && item?.cotton !== null ? String(item.cotton) : null;
-          return mixingNo && cotton ? `${mixingNo}|${cotton}` : null;
-        })
+const buildDryRunResponse = (entries = [], extra = {}) => {
+  const summary = Object.fromEntries(UPLOAD_PREVIEW_ACTIONS.map((action) => [action, 0]));
+  entries.forEach((entry) => {
+    if (summary[entry.action] !== undefined) {
+      summary[entry.action] += 1;
+    }
+  });
+
+  return {
+    dry_run: true,
+    summary,
+    rows: [...entries].sort((a, b) => a.row - b.row),
+    ...extra,
+  };
+};
+
+const MIXING_CHART_UPLOAD_COLUMNS = ["unit", "line", "mixing_no", "cotton", "lot_no", "issue_bale"];
+
+app.get("/api/mixing-chart/template", async (req, res) => {
+  try {
+    const workbook = XLSX.utils.book_new();
+    const sampleRows = [
+      {
+        unit: "5",
+        line: "1",
+        mixing_no: "1",
+        cotton: "25_51_V1",
+        lot_no: "LOT001",
+        issue_bale: "10",
+      },
+    ];
+
+    const worksheet = XLSX.utils.json_to_sheet(sampleRows, {
+      header: MIXING_CHART_UPLOAD_COLUMNS,
+      skipHeader: false,
+    });
+
+    worksheet["!cols"] = MIXING_CHART_UPLOAD_COLUMNS.map((column) => ({
+      wch: Math.max(column.length + 2, 18),
+    }));
+
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Mixing_Chart_Template");
+
+    const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+    res.setHeader("Content-Disposition", 'attachment; filename="mixing_chart_template.xlsx"');
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.send(buffer);
+  } catch (err) {
+    console.error("Error generating mixing chart template:", err.message);
+    res.status(500).json({ error: err.message || "Unable to generate template." });
+  }
+});
+
+app.post("/api/mixing-chart/upload", requireRole("mixingChart"), invalidatesResponseCache, upload.single("file"), async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ error: "No file uploaded." });
+    }
+
+    const workbook = XLSX.read(file.buffer, { type: "buffer" });
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) {
+      return res.status(400).json({ error: "Uploaded file has no sheets." });
+    }
+
+    const sheet = workbook.Sheets[sheetName];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: "Uploaded file is empty." });
+    }
+
+    const normalizeString = (value) => {
+      if (value === undefined || value === null) return "";
+      return `${value}`.trim();
+    };
+
+    const dryRun = isDryRunRequest(req);
+    const preparedRows = [];
+    const rejectedRows = [];
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 2;
+      const values = Object.fromEntries(
+        MIXING_CHART_UPLOAD_COLUMNS.map((column) => [column, normalizeString(row[column])])
+      );
+
+      const missingColumns = MIXING_CHART_UPLOAD_COLUMNS.filter((column) => values[column] === "");
+      if (missingColumns.length > 0) {
+        rejectedRows.push({
+          row: rowNumber,
+          reason: `${missingColumns.map((column) => `"${column}"`).join(", ")} ${
+            missingColumns.length === 1 ? "is" : "are"
+          } required.`,
+        });
+        return;
+      }
+
+      const mixingNumber = Number(values.mixing_no);
+      if (!Number.isInteger(mixingNumber) || mixingNumber <= 0) {
+        rejectedRows.push({ row: rowNumber, reason: `"mixing_no" must be a positive whole number.` });
+        return;
+      }
+
+      const issueBale = Number(values.issue_bale);
+      if (!Number.isFinite(issueBale) || issueBale <= 0) {
+        rejectedRows.push({ row: rowNumber, reason: `"issue_bale" must be a number greater than zero.` });
+        return;
+      }
+
+      preparedRows.push({
+        unit: values.unit,
+        line: values.line,
+        mixing_no: mixingNumber,
+        cotton: values.cotton,
+        lot_no: values.lot_no,
+        issue_bale: issueBale,
+        _rowNumber: rowNumber,
+      });
+    });
+
+    if (rejectedRows.length > 0 && !dryRun) {
+      return res.status(400).json({
+        error: "Validation failed.",
+        details: rejectedRows.map((entry) => `Row ${entry.row}: ${entry.reason}`),
+      });
+    }
+
+    // Lots that are not in lot_results yet are allowed (they show up as pending lots),
+    // but the planner is told about them so typos can be caught.
+    const uploadedLots = [...new Set(preparedRows.map((row) => row.lot_no))];
+    let knownLotRows = [];
+    if (uploadedLots.length > 0) {
+      knownLotRows = await fetchAllRows(
+        supabase.from("lot_results").select("lot_no").in("lot_no", uploadedLots),
+        "lot_results"
+      );
+    }
+
+    const knownLots = new Set(knownLotRows.map((row) => normalizeString(row.lot_no)));
+    const unknownLots = preparedRows
+      .filter((row) => !knownLots.has(row.lot_no))
+      .map((row) => ({ row: row._rowNumber, lot_no: row.lot_no }));
+
+    const buildReplacementKey = (row) => `${row.unit}|${row.line}|${row.cotton}|${row.mixing_no}`;
+    const replacementKeys = new Map();
+    preparedRows.forEach((row) => {
+      const key = buildReplacementKey(row);
+      if (!replacementKeys.has(key)) {
+        replacementKeys.set(key, row);
+      }
+    });
+
+    if (dryRun) {
+      const mixingNumbers = [...new Set(preparedRows.map((row) => row.mixing_no))];
+      let existingRows = [];
+      if (mixingNumbers.length > 0) {
+        existingRows = await fetchAllRows(
+          supabase.from("mixing_chart").select("unit, line, cotton, mixing_no").in("mixing_no", mixingNumbers),
+          "mixing_chart"
+        );
+      }
+
+      const existingCounts = new Map();
+      existingRows.forEach((row) => {
+        const key = buildReplacementKey({
+          unit: normalizeString(row.unit),
+          line: normalizeString(row.line),
+          cotton: normalizeString(row.cotton),
+          mixing_no: Number(row.mixing_no),
+        });
+        existingCounts.set(key, (existingCounts.get(key) || 0) + 1);
+      });
+
+      const entries = preparedRows.map((row) => {
+        const existingCount = existingCounts.get(buildReplacementKey(row)) || 0;
+        const lotNote = knownLots.has(row.lot_no) ? "" : ` Lot ${row.lot_no} is not in lot results yet.`;
+        return {
+          row: row._rowNumber,
+          action: existingCount > 0 ? "replace" : "insert",
+          key: `Mixing ${row.mixing_no} / ${row.cotton} / ${row.lot_no}`,
+          reason:
+            existingCount > 0
+              ? `Replaces ${existingCount} existing row(s) for unit ${row.unit}, line ${row.line}.${lotNote}`
+              : `New mixing entry.${lotNote}`,
+        };
+      });
+
+      return res.json(
+        buildDryRunResponse(
+          [...entries, ...rejectedRows.map((entry) => ({ ...entry, action: "reject", key: null }))],
+          { replaced_mixings: replacementKeys.size, unknown_lots: unknownLots }
+        )
+      );
+    }
+
+    const auditKeys = new Set(preparedRows.map(AUDIT_RECORD_KEYS.mixing_chart));
+    const replacedRows = (
+      await fetchExistingRows("mixing_chart", "mixing_no", [...new Set(preparedRows.map((row) => row.mixing_no))])
+    ).filter((row) => auditKeys.has(AUDIT_RECORD_KEYS.mixing_chart(row)));
+
+    // Existing rows for each unit + line + cotton + mixing_no are replaced atomically
+    const insertRows = preparedRows.map(({ _rowNumber, ...row }) => row);
+    try {
+      await replaceMixingChart(insertRows);
+    } catch (replaceError) {
+      console.error("Error replacing mixing chart entries:", replaceError.message);
+      const failedRow = preparedRows[replaceError.entryIndex]?._rowNumber;
+      if (failedRow !== undefined) {
+        return res.status(400).json({
+          error: `Row ${failedRow}: ${replaceError.message} No changes were saved.`,
+          failed_row: failedRow,
+        });
+      }
+      return res.status(500).json({ error: replaceError.message || "Failed to replace existing entries." });
+    }
+
+    await recordAudit(req, {
+      table: "mixing_chart",
+      source: AUDIT_SOURCES.upload,
+      changes: buildAuditChanges("mixing_chart", replacedRows, insertRows),
+    });
+
+    res.json({
+      success: true,
+      message:
+        unknownLots.length > 0
+          ? `Mixing chart uploaded. ${unknownLots.length} row(s) reference lots not found in lot results.`
+          : "Mixing chart uploaded successfully.",
+      inserted: preparedRows.length,
+      replaced_mixings: replacementKeys.size,
+      unknown_lots: unknownLots,
+    });
+  } catch (err) {
+    console.error("Error processing mixing chart upload:", err.message);
+    res.status(500).json({ error: err.message || "Failed to process uploaded file." });
+  }
+});
+
+app.get("/api/mixing-issues/missing", async (req, res) => {
+  try {
+    const { page, error: pageError } = parsePagination(req.query);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    const [chartData, issueData] = await Promise.all([
+      fetchAllRows(supabase.from("mixing_chart").select("mixing_no, unit, line, cotton"), "mixing_chart"),
+      fetchAllRows(supabase.from("mixing_issue").select("mixing_no, cotton"), "mixing_issue"),
+    ]);
+
+    const existingCombinations = new Set(
+      issueData
+        .map((item) => {
+          const mixingNo = item?.mixing_no !== undefined && item?.mixing_no !== null ? String(item.mixing_no) : null;
+          const cotton = item?.cotton !== undefined && item?.cotton !== null ? String(item.cotton) : null;
+          return mixingNo && cotton ? `${mixingNo}|${cotton}` : null;
+        })
         .filter(Boolean)
     );
 
     const uniqueMissing = new Map();
-    (chartData || []).forEach((row) => {
+    chartData.forEach((row) => {
       const mixingNo = row?.mixing_no !== undefined && row?.mixing_no !== null ? String(row.mixing_no) : null;
       const cotton = row?.cotton !== undefined && row?.cotton !== null ? String(row.cotton) : null;
 
@@ -2415,7 +2615,7 @@ app.get("/api/mixing-issues/missing", async (req, res) => {
       return String(a.cotton).localeCompare(String(b.cotton), undefined, { sensitivity: "base" });
     });
 
-    res.json(result);
+    res.json(page ? slicePage(result, page) : result);
   } catch (err) {
     console.error("Error fetching missing mixing issues:", err.message);
     res.status(500).json({ error: err.message });
@@ -2468,7 +2668,43 @@ app.get("/api/mixing-issues/template", async (req, res) => {
   }
 });
 
-app.post("/api/mixing-issues/upload", upload.single("file"), async (req, res) => {
+// Calls one of the replace_* Postgres functions in sql/, which delete and
+// re-insert rows in a single transaction. On failure the thrown error carries
+// `entryIndex`, the position of the entry that could not be saved, when the
+// database reported one.
+const callReplaceFunction = async (functionName, entries = []) => {
+  const { data, error } = await supabase.rpc(functionName, { entries });
+
+  if (error) {
+    const failure = new Error(error.message || `Failed to run ${functionName}.`);
+    try {
+      const detail = JSON.parse(error.details || "{}");
+      if (Number.isInteger(detail?.entry_index)) {
+        failure.entryIndex = detail.entry_index;
+      }
+    } catch (parseError) {
+      // details is free text when the failure is not tied to an entry
+    }
+    throw failure;
+  }
+
+  return typeof data === "number" ? data : entries.length;
+};
+
+const replaceMixingIssues = (entries) => callReplaceFunction("replace_mixing_issues", entries);
+
+const replaceMixingChart = (entries) => callReplaceFunction("replace_mixing_chart", entries);
+
+// The mixing_issue rows replace_mixing_issues will replace for `entries`.
+const fetchMixingIssuesForAudit = async (entries) => {
+  const auditKeys = new Set(entries.map(AUDIT_RECORD_KEYS.mixing_issue));
+  const rows = await fetchExistingRows("mixing_issue", "mixing_no", [
+    ...new Set(entries.map((entry) => entry.mixing_no)),
+  ]);
+  return rows.filter((row) => auditKeys.has(AUDIT_RECORD_KEYS.mixing_issue(row)));
+};
+
+app.post("/api/mixing-issues/upload", requireRole("mixingIssues"), invalidatesResponseCache, upload.single("file"), async (req, res) => {
   try {
     const file = req.file;
     if (!file) {
@@ -2510,8 +2746,9 @@ app.post("/api/mixing-issues/upload", upload.single("file"), async (req, res) =>
       return parsed.toISOString().split("T")[0];
     };
 
+    const dryRun = isDryRunRequest(req);
     const preparedRows = [];
-    const validationErrors = [];
+    const rejectedRows = [];
 
     rows.forEach((row, index) => {
       const unit = normalizeString(row.unit);
@@ -2521,12 +2758,12 @@ app.post("/api/mixing-issues/upload", upload.single("file"), async (req, res) =>
       const issue_date = parseDate(row.issue_date);
 
       if (!mixing_no || !cotton) {
-        validationErrors.push(`Row ${index + 2}: "mixing_no" and "cotton" are required.`);
+        rejectedRows.push({ row: index + 2, reason: `"mixing_no" and "cotton" are required.` });
         return;
       }
 
       if (!issue_date) {
-        validationErrors.push(`Row ${index + 2}: "issue_date" is required and must be a valid date.`);
+        rejectedRows.push({ row: index + 2, reason: `"issue_date" is required and must be a valid date.` });
         return;
       }
 
@@ -2536,40 +2773,82 @@ app.post("/api/mixing-issues/upload", upload.single("file"), async (req, res) =>
         issue_date,
         unit: unit || null,
         line: line || null,
+        _rowNumber: index + 2,
       });
     });
 
-    if (validationErrors.length > 0) {
+    if (dryRun) {
+      const mixingNumbers = [...new Set(preparedRows.map((entry) => entry.mixing_no))];
+      let existingRows = [];
+      if (mixingNumbers.length > 0) {
+        existingRows = await fetchAllRows(
+          supabase.from("mixing_issue").select("mixing_no, cotton, issue_date").in("mixing_no", mixingNumbers),
+          "mixing_issue"
+        );
+      }
+
+      const existingByKey = new Map();
+      existingRows.forEach((row) => {
+        const key = `${normalizeString(row.mixing_no)}|${normalizeString(row.cotton)}`;
+        if (!existingByKey.has(key)) {
+          existingByKey.set(key, []);
+        }
+        existingByKey.get(key).push(row.issue_date);
+      });
+
+      const entries = preparedRows.map((entry) => {
+        const existingDates = existingByKey.get(`${entry.mixing_no}|${entry.cotton}`) || [];
+        return {
+          row: entry._rowNumber,
+          action: existingDates.length > 0 ? "replace" : "insert",
+          key: `Mixing ${entry.mixing_no} / ${entry.cotton}`,
+          reason:
+            existingDates.length > 0
+              ? `Replaces ${existingDates.length} existing issue row(s) dated ${existingDates.join(", ")}.`
+              : `New issue dated ${entry.issue_date}.`,
+        };
+      });
+
+      return res.json(
+        buildDryRunResponse([...entries, ...rejectedRows.map((entry) => ({ ...entry, action: "reject", key: null }))])
+      );
+    }
+
+    if (rejectedRows.length > 0) {
       return res.status(400).json({
         error: "Validation failed.",
-        details: validationErrors,
+        details: rejectedRows.map((entry) => `Row ${entry.row}: ${entry.reason}`),
       });
     }
 
-    for (const entry of preparedRows) {
-      const { error: deleteError } = await supabase
-        .from("mixing_issue")
-        .delete()
-        .eq("mixing_no", entry.mixing_no)
-        .eq("cotton", entry.cotton);
+    const replacementEntries = preparedRows.map(({ _rowNumber, ...entry }) => entry);
+    const replacedRows = await fetchMixingIssuesForAudit(replacementEntries);
 
-      if (deleteError) {
-        console.error("Error deleting existing mixing issue entry:", deleteError.message);
-        return res.status(500).json({ error: deleteError.message || "Failed to replace existing entries." });
+    let inserted;
+    try {
+      inserted = await replaceMixingIssues(replacementEntries);
+    } catch (replaceError) {
+      console.error("Error replacing mixing issue entries:", replaceError.message);
+      const failedRow = preparedRows[replaceError.entryIndex]?._rowNumber;
+      if (failedRow !== undefined) {
+        return res.status(400).json({
+          error: `Row ${failedRow}: ${replaceError.message} No changes were saved.`,
+          failed_row: failedRow,
+        });
       }
+      return res.status(500).json({ error: replaceError.message || "Failed to replace existing entries." });
     }
 
-    const { error: insertError } = await supabase.from("mixing_issue").insert(preparedRows);
-
-    if (insertError) {
-      console.error("Error inserting mixing issue entries:", insertError.message);
-      return res.status(500).json({ error: insertError.message || "Failed to insert entries." });
-    }
+    await recordAudit(req, {
+      table: "mixing_issue",
+      source: AUDIT_SOURCES.upload,
+      changes: buildAuditChanges("mixing_issue", replacedRows, replacementEntries),
+    });
 
     res.json({
       success: true,
       message: "Mixing issue data uploaded successfully.",
-      inserted: preparedRows.length,
+      inserted,
     });
   } catch (err) {
     console.error("Error processing mixing issue upload:", err.message);
@@ -2577,39 +2856,48 @@ app.post("/api/mixing-issues/upload", upload.single("file"), async (req, res) =>
   }
 });
 
-app.post("/api/mixing-issues", async (req, res) => {
+app.post("/api/mixing-issues", requireRole("mixingIssues"), invalidatesResponseCache, async (req, res) => {
   try {
     const entries = Array.isArray(req.body?.entries) ? req.body.entries : [];
 
-    const payload = entries
-      .filter((entry) => entry?.mixing_no && entry?.cotton && entry.issue_date)
-      .map((entry) => ({
-        mixing_no: entry.mixing_no,
-        unit: entry.unit ?? null,
-        line: entry.line ?? null,
-        cotton: entry.cotton ?? null,
-        issue_date: entry.issue_date,
-      }));
+    const validEntries = entries
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => entry?.mixing_no && entry?.cotton && entry.issue_date);
+
+    const payload = validEntries.map(({ entry }) => ({
+      mixing_no: entry.mixing_no,
+      unit: entry.unit ?? null,
+      line: entry.line ?? null,
+      cotton: entry.cotton ?? null,
+      issue_date: entry.issue_date,
+    }));
 
     if (payload.length === 0) {
       return res.status(400).json({ error: "No valid entries to save." });
     }
 
-    // Delete existing entries for each mixing_no + cotton combination
-    for (const entry of payload) {
-      const { error: deleteError } = await supabase
-        .from("mixing_issue")
-        .delete()
-        .eq("mixing_no", entry.mixing_no)
-        .eq("cotton", entry.cotton);
+    const replacedRows = await fetchMixingIssuesForAudit(payload);
 
-      if (deleteError) throw deleteError;
-    }
+    // Existing entries for each mixing_no + cotton combination are replaced atomically
+    try {
+      await replaceMixingIssues(payload);
+    } catch (replaceError) {
+      const failed = validEntries[replaceError.entryIndex];
+      if (!failed) throw replaceError;
 
-    // Insert new entries
-    const { error: insertError } = await supabase.from("mixing_issue").insert(payload);
+      console.error("Error saving mixing issues:", replaceError.message);
+      return res.status(400).json({
+        error: `Mixing ${failed.entry.mixing_no} / ${failed.entry.cotton}: ${replaceError.message} No changes were saved.`,
+        failed_index: failed.index,
+        failed_entry: payload[replaceError.entryIndex],
+      });
+    }
 
-    if (insertError) throw insertError;
+    await recordAudit(req, {
+      table: "mixing_issue",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("mixing_issue", replacedRows, payload),
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -2620,14 +2908,9 @@ app.post("/api/mixing-issues", async (req, res) => {
 
 app.get("/api/mixing-issues/filters", async (req, res) => {
   try {
-    const { data, error } = await supabase.from("mixing_issue").select("unit, line");
+    const data = await fetchAllRows(supabase.from("mixing_issue").select("unit, line"), "mixing_issue");
 
-    if (error) {
-      throw error;
-    }
-
-    const buildOptions = (key) =>
-      buildSortedOptionList((data || []).map((row) => row?.[key] ?? null));
+    const buildOptions = (key) => buildSortedOptionList(data.map((row) => row?.[key] ?? null));
 
     res.json({
       units: buildOptions("unit"),
@@ -2642,12 +2925,15 @@ app.get("/api/mixing-issues/filters", async (req, res) => {
 app.get("/api/mixing-issues", async (req, res) => {
   try {
     const { unit, line, cotton, mixing_no_from, mixing_no_to } = req.query;
+    const { page, error: pageError } = parsePagination(req.query);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
 
     const query = supabase
       .from("mixing_issue")
-      .select("id, unit, line, cotton, mixing_no, issue_date")
-      .order("mixing_no", { ascending: true })
-      .order("id", { ascending: true });
+      .select("id, unit, line, cotton, mixing_no, issue_date", page ? { count: "exact" } : undefined)
+      .order("mixing_no", { ascending: true });
 
     const units = parseCottonMixingFilterArray(unit);
     const lines = parseCottonMixingFilterArray(line);
@@ -2676,11 +2962,9 @@ app.get("/api/mixing-issues", async (req, res) => {
       query.lte("mixing_no", mixingNoTo);
     }
 
-    const { data, error } = await query;
-
-    if (error) {
-      throw error;
-    }
+    const result = page
+      ? await fetchPage(query.order("id", { ascending: true }), page)
+      : { data: await fetchAllRows(query, "mixing_issue") };
 
     const normalizeRecord = (record) => {
       if (!record) return record;
@@ -2707,16 +2991,16 @@ app.get("/api/mixing-issues", async (req, res) => {
       };
     };
 
-    const normalizedData = Array.isArray(data) ? data.map((item) => normalizeRecord(item)) : [];
+    const normalizedData = result.data.map((item) => normalizeRecord(item));
 
-    res.json(normalizedData);
+    res.json(page ? { ...result, data: normalizedData } : normalizedData);
   } catch (err) {
     console.error("Error fetching mixing issues:", err.message);
     res.status(500).json({ error: err.message || "Unable to fetch mixing issues." });
   }
 });
 
-app.patch("/api/mixing-issues/:id", async (req, res) => {
+app.patch("/api/mixing-issues/:id", requireRole("mixingIssues"), invalidatesResponseCache, async (req, res) => {
   try {
     const id = Number(req.params.id);
     const issueDate = req.body?.issue_date;
@@ -2737,15 +3021,26 @@ app.patch("/api/mixing-issues/:id", async (req, res) => {
       updatedFields.cotton = trimmedCotton === "" ? null : trimmedCotton;
     }
 
-    const { error } = await supabase
+    const [before] = await fetchExistingRows("mixing_issue", "id", [id]);
+
+    const { data: updatedRows, error } = await supabase
       .from("mixing_issue")
       .update(updatedFields)
-      .eq("id", id);
+      .eq("id", id)
+      .select();
 
     if (error) {
       throw error;
     }
 
+    if (before) {
+      await recordAudit(req, {
+        table: "mixing_issue",
+        source: AUDIT_SOURCES.uiEdit,
+        changes: [{ key: AUDIT_RECORD_KEYS.mixing_issue(before), before: [before], after: updatedRows }],
+      });
+    }
+
     res.json({ success: true });
   } catch (err) {
     console.error("Error updating mixing issue:", err.message);
@@ -2753,7 +3048,7 @@ app.patch("/api/mixing-issues/:id", async (req, res) => {
   }
 });
 
-app.delete("/api/mixing-issues/:id", async (req, res) => {
+app.delete("/api/mixing-issues/:id", requireRole("mixingIssues"), invalidatesResponseCache, async (req, res) => {
   try {
     const id = Number(req.params.id);
 
@@ -2761,15 +3056,22 @@ app.delete("/api/mixing-issues/:id", async (req, res) => {
       return res.status(400).json({ error: "A valid record id is required." });
     }
 
-    const { error } = await supabase
+    const { data: deletedRows, error } = await supabase
       .from("mixing_issue")
       .delete()
-      .eq("id", id);
+      .eq("id", id)
+      .select();
 
     if (error) {
       throw error;
     }
 
+    await recordAudit(req, {
+      table: "mixing_issue",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("mixing_issue", deletedRows || []),
+    });
+
     res.json({ success: true });
   } catch (err) {
     console.error("Error deleting mixing issue:", err.message);
@@ -2833,10 +3135,29 @@ const LOT_RESULT_COLUMNS = [
   "moist",
   "min_mic",
   "min_mic_bale_per_lot",
+  "mat",
+  "c_grade",
   "cotton_year",
   "remarks",
 ];
 
+// Accepted ranges for numeric lot_results columns in uploaded sheets.
+const LOT_RESULT_NUMERIC_RANGES = {
+  no_of_bale: { min: 1, max: 10000, integer: true },
+  uhml: { min: 15, max: 45 },
+  mic: { min: 2, max: 7 },
+  str: { min: 15, max: 50 },
+  rd: { min: 40, max: 95 },
+  plus_b: { min: 3, max: 20 },
+  sf: { min: 0, max: 40 },
+  ui: { min: 60, max: 95 },
+  elong: { min: 2, max: 15 },
+  trash: { min: 0, max: 20 },
+  moist: { min: 0, max: 20 },
+  min_mic: { min: 2, max: 7 },
+  min_mic_bale_per_lot: { min: 0, max: 10000, integer: true },
+};
+
 const sanitizeLotResultPayload = (payload = {}) => {
   return LOT_RESULT_COLUMNS.reduce((accumulator, column) => {
     if (Object.prototype.hasOwnProperty.call(payload, column)) {
@@ -2874,7 +3195,81 @@ app.get("/api/lot-results/lot/:lotNo", async (req, res) => {
   }
 });
 
-app.put("/api/lot-results/lot/:lotNo", async (req, res) => {
+// Every mixing that drew bales from a lot. Issue dates come from mixing_issue
+// (keyed by mixing_no + cotton, preferring a row for the same unit and line);
+// mixings without one have not been issued yet.
+app.get("/api/lot-results/lot/:lotNo/usage", async (req, res) => {
+  try {
+    const lotNo = typeof req.params.lotNo === "string" ? req.params.lotNo.trim() : "";
+    if (!lotNo) {
+      return res.status(400).json({ error: "Lot number is required." });
+    }
+
+    const [lotResponse, chartResponse] = await Promise.all([
+      supabase.from("lot_results").select("lot_no, no_of_bale, variety, party_name").eq("lot_no", lotNo),
+      supabase.from("mixing_chart").select("unit, line, cotton, mixing_no, issue_bale").eq("lot_no", lotNo),
+    ]);
+    if (lotResponse.error) throw lotResponse.error;
+    if (chartResponse.error) throw chartResponse.error;
+
+    const lot = lotResponse.data?.[0] ?? null;
+    const chartRows = chartResponse.data || [];
+    if (!lot && chartRows.length === 0) {
+      return res.status(404).json({ error: "Lot not found." });
+    }
+
+    const issueRows = await fetchExistingRows("mixing_issue", "mixing_no", [
+      ...new Set(chartRows.map((row) => row.mixing_no)),
+    ]);
+    const buildIssueKey = (row) => `${normalizeText(row.mixing_no)}|${normalizeText(row.cotton)}`;
+    const issuesByMixing = groupRowsByKey(issueRows, buildIssueKey);
+
+    const usage = chartRows
+      .map((row) => {
+        const candidates = issuesByMixing.get(buildIssueKey(row)) || [];
+        const issue =
+          candidates.find(
+            (candidate) =>
+              normalizeText(candidate.unit) === normalizeText(row.unit) &&
+              normalizeText(candidate.line) === normalizeText(row.line)
+          ) ?? candidates[0];
+
+        return {
+          unit: row.unit,
+          line: row.line,
+          cotton: row.cotton,
+          mixing_no: row.mixing_no,
+          issue_bale: Number(row.issue_bale) || 0,
+          issue_date: issue?.issue_date ?? null,
+        };
+      })
+      .sort(
+        (a, b) =>
+          `${a.issue_date ?? "9999-12-31"}`.localeCompare(`${b.issue_date ?? "9999-12-31"}`) ||
+          Number(a.mixing_no) - Number(b.mixing_no)
+      );
+
+    const issuedBales = usage.reduce((sum, entry) => sum + entry.issue_bale, 0);
+    const receivedBales = parseBaleCount(lot?.no_of_bale);
+
+    res.json({
+      lot_no: lotNo,
+      lot,
+      usage,
+      totals: {
+        mixings: usage.length,
+        no_of_bale: receivedBales,
+        issued_bales: issuedBales,
+        remaining_bales: receivedBales === null ? null : receivedBales - issuedBales,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching lot usage:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch lot usage." });
+  }
+});
+
+app.put("/api/lot-results/lot/:lotNo", requireRole("lots"), invalidatesResponseCache, async (req, res) => {
   try {
     const lotNoParam = typeof req.params.lotNo === "string" ? req.params.lotNo.trim() : "";
     if (!lotNoParam) {
@@ -2894,16 +3289,25 @@ app.put("/api/lot-results/lot/:lotNo", async (req, res) => {
       return res.status(400).json({ error: "lot_no in payload must match path parameter and cannot be empty." });
     }
 
-    const { error } = await supabase
+    const previousRows = await fetchExistingRows("lot_results", "lot_no", [lotNoParam]);
+
+    const { data: updatedRows, error } = await supabase
       .from("lot_results")
       .update({ ...updatePayload, lot_no: lotNoParam })
-      .eq("lot_no", lotNoParam);
+      .eq("lot_no", lotNoParam)
+      .select();
 
     if (error) {
       console.error(`Error updating lot result for ${lotNoParam}:`, error.message);
       return res.status(500).json({ error: error.message || "Failed to update lot result." });
     }
 
+    await recordAudit(req, {
+      table: "lot_results",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("lot_results", previousRows, updatedRows || []),
+    });
+
     res.json({ success: true, updated: [lotNoParam] });
   } catch (err) {
     console.error("Error updating lot result:", err.message);
@@ -2911,20 +3315,28 @@ app.put("/api/lot-results/lot/:lotNo", async (req, res) => {
   }
 });
 
-app.delete("/api/lot-results/lot/:lotNo", async (req, res) => {
+app.delete("/api/lot-results/lot/:lotNo", requireRole("lots"), invalidatesResponseCache, async (req, res) => {
   try {
     const lotNo = typeof req.params.lotNo === "string" ? req.params.lotNo.trim() : "";
     if (!lotNo) {
       return res.status(400).json({ error: "Lot number is required." });
     }
 
-    const { error } = await supabase.from("lot_results").delete().eq("lot_no", lotNo);
+    const { entry, deletedRows } = await softDeleteRows(req, {
+      table: "lot_results",
+      key: lotNo,
+      scope: { lot_no: lotNo },
+      rows: await fetchExistingRows("lot_results", "lot_no", [lotNo]),
+      deleteRows: () => supabase.from("lot_results").delete().eq("lot_no", lotNo).select(),
+    });
 
-    if (error) {
-      throw error;
-    }
+    await recordAudit(req, {
+      table: "lot_results",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("lot_results", deletedRows),
+    });
 
-    res.json({ success: true });
+    res.json({ success: true, recycle_id: entry?.id ?? null });
   } catch (err) {
     console.error("Error deleting lot result:", err.message);
     res.status(500).json({ error: err.message || "Unable to delete lot result." });
@@ -2936,12 +3348,11 @@ app.delete("/api/lot-results/lot/:lotNo", async (req, res) => {
 // -------------------------
 app.get("/api/mixing-code/varieties", async (req, res) => {
   try {
-    const { data: varietyRows, error: varietyError } = await supabase.from("lot_results").select("variety");
-    if (varietyError) throw varietyError;
+    const varietyRows = await fetchAllRows(supabase.from("lot_results").select("variety"), "lot_results");
 
     const uniqueVarieties = Array.from(
       new Set(
-        (varietyRows || [])
+        varietyRows
           .map((row) => (typeof row?.variety === "string" ? row.variety.trim() : ""))
           .filter(Boolean)
       )
@@ -2997,7 +3408,7 @@ app.get("/api/mixing-code/varieties", async (req, res) => {
   }
 });
 
-app.post("/api/mixing-code", async (req, res) => {
+app.post("/api/mixing-code", requireRole("mixingCodes"), invalidatesResponseCache, async (req, res) => {
   try {
     const entries = Array.isArray(req.body?.entries) ? req.body.entries : [];
 
@@ -3033,7 +3444,13 @@ app.post("/api/mixing-code", async (req, res) => {
       return res.status(400).json({ error: "No valid entries to save." });
     }
 
-    const { error: upsertError } = await supabase
+    const previousRows = await fetchExistingRows(
+      "mixing_code",
+      "variety",
+      sanitized.map((entry) => entry.variety)
+    );
+
+    const { data: savedRows, error: upsertError } = await supabase
       .from("mixing_code")
       .upsert(
         sanitized.map((entry) => ({
@@ -3043,10 +3460,17 @@ app.post("/api/mixing-code", async (req, res) => {
           weight: entry.weight,
         })),
         { onConflict: "variety" }
-      );
+      )
+      .select();
 
     if (upsertError) throw upsertError;
 
+    await recordAudit(req, {
+      table: "mixing_code",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("mixing_code", previousRows, savedRows || []),
+    });
+
     res.json({ success: true });
   } catch (err) {
     console.error("Error saving mixing code entries:", err.message);
@@ -3055,51 +3479,918 @@ app.post("/api/mixing-code", async (req, res) => {
 });
 
 // -------------------------
-// Pending lots (unique)
+// Quality specs
 // -------------------------
-app.get("/api/pending-lots", async (req, res) => {
-  try {
-    const { data: mixingData } = await supabase.from("mixing_chart").select("lot_no");
-    const { data: lotData } = await supabase.from("lot_results").select("lot_no");
+const sanitizeQualitySpecPayload = (payload = {}, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
 
-    const existingLots = new Set(lotData.map((l) => l.lot_no));
-    const pendingSet = new Set();
-    mixingData.forEach((m) => {
-      if (!existingLots.has(m.lot_no)) pendingSet.add(m.lot_no);
-    });
+  const has = (key) => Object.prototype.hasOwnProperty.call(payload, key);
 
-    const pending = Array.from(pendingSet).map((lot_no) => ({ lot_no }));
-    res.json(pending);
-  } catch (err) {
-    console.error("Error fetching pending lots:", err.message);
-    res.status(500).json({ error: err.message });
+  if (!partial || has("cotton_name")) {
+    value.cotton_name = normalizeText(payload.cotton_name);
+    if (!value.cotton_name) errors.push(`"cotton_name" is required.`);
   }
-});
 
-// -------------------------
-// Download sample template
-// -------------------------
-app.get("/api/pending-lots/template", async (req, res) => {
-  try {
-    const { data: mixingData } = await supabase.from("mixing_chart").select("lot_no");
-    const { data: lotData } = await supabase.from("lot_results").select("lot_no");
+  if (!partial || has("cotton_year")) {
+    value.cotton_year = normalizeText(payload.cotton_year) || null;
+  }
 
-    const existingLots = new Set(lotData.map((l) => l.lot_no));
-    const pendingLots = Array.from(new Set(mixingData.map((m) => m.lot_no).filter(l => !existingLots.has(l))));
+  if (!partial || has("parameter")) {
+    value.parameter = normalizeText(payload.parameter);
+    if (!QUALITY_SPEC_PARAMETERS.includes(value.parameter)) {
+      errors.push(`"parameter" must be one of ${QUALITY_SPEC_PARAMETERS.join(", ")}.`);
+    }
+  }
 
-    const columns = [
-      "lot_no",
-      "variety",
-      "station",
-      "no_of_bale",
-      "moist",
-      "mic",
-      "uhml",
-      "ui",
-      "sf",
-      "str",
-      "elong",
-      "rd",
+  ["min_value", "max_value"].forEach((key) => {
+    if (partial && !has(key)) return;
+    const raw = payload[key];
+    if (raw === null || raw === undefined || raw === "") {
+      value[key] = null;
+      return;
+    }
+    const numeric = Number(raw);
+    if (!Number.isFinite(numeric)) {
+      errors.push(`"${key}" must be a number.`);
+      return;
+    }
+    value[key] = numeric;
+  });
+
+  return { value, errors };
+};
+
+const validateSpecLimits = ({ min_value: minValue, max_value: maxValue }) => {
+  if (minValue === null && maxValue === null) return `At least one of "min_value" or "max_value" is required.`;
+  if (minValue !== null && maxValue !== null && minValue > maxValue) {
+    return `"min_value" cannot be greater than "max_value".`;
+  }
+  return null;
+};
+
+const ensureCottonInMixingCode = async ({ cotton_name: cottonName, cotton_year: cottonYear }) => {
+  const { data, error } = await supabase.from("mixing_code").select("cotton_year").eq("cotton_name", cottonName);
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return `Cotton "${cottonName}" is not defined in mixing_code.`;
+  }
+  if (cottonYear && !data.some((row) => normalizeText(row.cotton_year) === cottonYear)) {
+    return `Cotton "${cottonName}" has no mixing_code entry for year ${cottonYear}.`;
+  }
+  return null;
+};
+
+const DUPLICATE_SPEC_ERROR = "A spec for this cotton, year and parameter already exists.";
+
+app.get("/api/quality-specs/options", async (req, res) => {
+  try {
+    const { data, error } = await supabase.from("mixing_code").select("cotton_name, cotton_year");
+    if (error) throw error;
+
+    const yearsByCotton = new Map();
+    (data || []).forEach((row) => {
+      const cottonName = normalizeText(row.cotton_name);
+      if (!cottonName) return;
+      if (!yearsByCotton.has(cottonName)) yearsByCotton.set(cottonName, new Set());
+      const cottonYear = normalizeText(row.cotton_year);
+      if (cottonYear) yearsByCotton.get(cottonName).add(cottonYear);
+    });
+
+    res.json({
+      parameters: QUALITY_SPEC_PARAMETERS,
+      cottons: Array.from(yearsByCotton.entries())
+        .sort(([a], [b]) => a.localeCompare(b, undefined, { sensitivity: "base" }))
+        .map(([cottonName, years]) => ({
+          cotton_name: cottonName,
+          cotton_years: Array.from(years).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+        })),
+    });
+  } catch (err) {
+    console.error("Error fetching quality spec options:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch quality spec options." });
+  }
+});
+
+app.get("/api/quality-specs", async (req, res) => {
+  try {
+    let query = supabase.from("quality_specs").select("*");
+
+    const cottonName = normalizeQueryValue(req.query.cotton_name);
+    const cottonYear = normalizeQueryValue(req.query.cotton_year);
+    if (cottonName) query = query.eq("cotton_name", cottonName);
+    if (cottonYear) query = query.eq("cotton_year", cottonYear);
+
+    const { data, error } = await query
+      .order("cotton_name", { ascending: true })
+      .order("cotton_year", { ascending: true, nullsFirst: true })
+      .order("parameter", { ascending: true });
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (err) {
+    console.error("Error fetching quality specs:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch quality specs." });
+  }
+});
+
+app.post("/api/quality-specs", requireRole("lots"), invalidatesResponseCache, async (req, res) => {
+  try {
+    const { value, errors } = sanitizeQualitySpecPayload(req.body);
+    const limitError = errors.length === 0 ? validateSpecLimits(value) : null;
+    if (errors.length > 0 || limitError) {
+      return res.status(400).json({ error: "Validation failed.", details: limitError ? [limitError] : errors });
+    }
+
+    const cottonError = await ensureCottonInMixingCode(value);
+    if (cottonError) {
+      return res.status(400).json({ error: cottonError });
+    }
+
+    const { data, error } = await supabase
+      .from("quality_specs")
+      .insert({ ...value, updated_at: new Date().toISOString() })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return res.status(409).json({ error: DUPLICATE_SPEC_ERROR });
+      throw error;
+    }
+
+    await recordAudit(req, {
+      table: "quality_specs",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("quality_specs", [], [data]),
+    });
+
+    res.status(201).json(data);
+  } catch (err) {
+    console.error("Error creating quality spec:", err.message);
+    res.status(500).json({ error: err.message || "Unable to create quality spec." });
+  }
+});
+
+app.put("/api/quality-specs/:id", requireRole("lots"), invalidatesResponseCache, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from("quality_specs")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ error: "Quality spec not found." });
+    }
+
+    const { value, errors } = sanitizeQualitySpecPayload(req.body, { partial: true });
+    const merged = {
+      ...existing,
+      ...value,
+      min_value: value.min_value !== undefined ? value.min_value : toSpecLimit(existing.min_value),
+      max_value: value.max_value !== undefined ? value.max_value : toSpecLimit(existing.max_value),
+    };
+    const limitError = errors.length === 0 ? validateSpecLimits(merged) : null;
+    if (errors.length > 0 || limitError) {
+      return res.status(400).json({ error: "Validation failed.", details: limitError ? [limitError] : errors });
+    }
+
+    if (value.cotton_name !== undefined || value.cotton_year !== undefined) {
+      const cottonError = await ensureCottonInMixingCode(merged);
+      if (cottonError) {
+        return res.status(400).json({ error: cottonError });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from("quality_specs")
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return res.status(409).json({ error: DUPLICATE_SPEC_ERROR });
+      throw error;
+    }
+
+    await recordAudit(req, {
+      table: "quality_specs",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("quality_specs", [existing], [data]),
+    });
+
+    res.json(data);
+  } catch (err) {
+    console.error("Error updating quality spec:", err.message);
+    res.status(500).json({ error: err.message || "Unable to update quality spec." });
+  }
+});
+
+app.delete("/api/quality-specs/:id", requireRole("lots"), invalidatesResponseCache, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data, error } = await supabase.from("quality_specs").delete().eq("id", id).select();
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Quality spec not found." });
+    }
+
+    await recordAudit(req, {
+      table: "quality_specs",
+      source: AUDIT_SOURCES.uiEdit,
+      changes: buildAuditChanges("quality_specs", data),
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting quality spec:", err.message);
+    res.status(500).json({ error: err.message || "Unable to delete quality spec." });
+  }
+});
+
+// -------------------------
+// Bale inventory
+// -------------------------
+// Live stock per lot: bales received (lot_results.no_of_bale) minus the bales
+// issued into mixings (mixing_chart.issue_bale summed over the lot).
+const INVENTORY_STATUSES = ["in_stock", "exhausted", "over_issued", "unknown"];
+
+const parseBaleCount = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const resolveInventoryStatus = (remaining) => {
+  if (remaining === null) return "unknown";
+  if (remaining < 0) return "over_issued";
+  return remaining === 0 ? "exhausted" : "in_stock";
+};
+
+// Accepts the lot filters of fetchFilteredLotResults; rows keep every
+// lot_results column plus cotton / cotton_year (from enrichWithCotton) and the
+// stock fields.
+const fetchLotInventory = async (filters = {}) => {
+  const [lots, chartRows] = await Promise.all([
+    fetchFilteredLotResults(filters),
+    fetchAllRows(supabase.from("mixing_chart").select("lot_no, issue_bale"), "mixing_chart"),
+  ]);
+
+  const issuedByLot = new Map();
+  chartRows.forEach((row) => {
+    const lotNo = normalizeText(row.lot_no);
+    issuedByLot.set(lotNo, (issuedByLot.get(lotNo) || 0) + (Number(row.issue_bale) || 0));
+  });
+
+  return lots.map((lot) => {
+    const received = parseBaleCount(lot.no_of_bale);
+    const issued = issuedByLot.get(normalizeText(lot.lot_no)) || 0;
+    const remaining = received === null ? null : received - issued;
+    return {
+      ...lot,
+      received_bales: received,
+      issued_bales: issued,
+      remaining_bales: remaining,
+      stock_status: resolveInventoryStatus(remaining),
+    };
+  });
+};
+
+// Over-issued lots count towards over_issued_bales, never as negative stock.
+const summarizeInventory = (lots = []) =>
+  lots.reduce(
+    (summary, lot) => ({
+      lots: summary.lots + 1,
+      received_bales: summary.received_bales + (lot.received_bales ?? 0),
+      issued_bales: summary.issued_bales + lot.issued_bales,
+      remaining_bales: summary.remaining_bales + Math.max(lot.remaining_bales ?? 0, 0),
+      over_issued_lots: summary.over_issued_lots + (lot.stock_status === "over_issued" ? 1 : 0),
+      over_issued_bales: summary.over_issued_bales + Math.max(-(lot.remaining_bales ?? 0), 0),
+    }),
+    { lots: 0, received_bales: 0, issued_bales: 0, remaining_bales: 0, over_issued_lots: 0, over_issued_bales: 0 }
+  );
+
+const summarizeInventoryBy = (lots, key) =>
+  Array.from(groupRowsByKey(lots, (lot) => normalizeText(lot[key]) || "Unspecified").entries())
+    .map(([value, groupLots]) => ({ [key]: value, ...summarizeInventory(groupLots) }))
+    .sort((a, b) => `${a[key]}`.localeCompare(`${b[key]}`, undefined, { numeric: true, sensitivity: "base" }));
+
+app.get("/api/inventory", async (req, res) => {
+  try {
+    const fromDate = normalizeQueryValue(req.query.from_date);
+    const toDate = normalizeQueryValue(req.query.to_date);
+    const cottonYears = parseFilterParam(req.query.cotton_year);
+    const statuses = parseFilterParam(req.query.status);
+
+    const dateRangeError = validateDateRange(fromDate, toDate);
+    if (dateRangeError) {
+      return res.status(400).json({ error: dateRangeError });
+    }
+
+    const invalidStatuses = statuses.filter((status) => !INVENTORY_STATUSES.includes(status));
+    if (invalidStatuses.length > 0) {
+      return res.status(400).json({
+        error: `Invalid status ${invalidStatuses.join(", ")}. Must be one of: ${INVENTORY_STATUSES.join(", ")}.`,
+      });
+    }
+
+    const inventory = (
+      await fetchLotInventory({
+        lot_no: req.query.lot_no,
+        from_date: fromDate,
+        to_date: toDate,
+        variety: req.query.variety,
+        station: req.query.station,
+        party_name: req.query.party_name,
+      })
+    ).filter(
+      (lot) =>
+        (cottonYears.length === 0 || cottonYears.includes(normalizeText(lot.cotton_year))) &&
+        (statuses.length === 0 || statuses.includes(lot.stock_status))
+    );
+
+    res.json({
+      lots: inventory.map((lot) => ({
+        lot_no: lot.lot_no,
+        variety: lot.variety ?? null,
+        cotton_name: lot.cotton ?? null,
+        cotton_year: lot.cotton_year ?? null,
+        party_name: lot.party_name ?? null,
+        station: lot.station ?? null,
+        lot_received_date: lot.lot_received_date ?? null,
+        received_bales: lot.received_bales,
+        issued_bales: lot.issued_bales,
+        remaining_bales: lot.remaining_bales,
+        stock_status: lot.stock_status,
+      })),
+      totals: summarizeInventory(inventory),
+      by_variety: summarizeInventoryBy(inventory, "variety"),
+      by_cotton_year: summarizeInventoryBy(inventory, "cotton_year"),
+      by_party: summarizeInventoryBy(inventory, "party_name"),
+    });
+  } catch (err) {
+    console.error("Error fetching inventory:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch inventory." });
+  }
+});
+
+// -------------------------
+// Mixing planner
+// -------------------------
+// Proposes lots and bale counts from stock whose bale-weighted quality lands
+// inside the requested ranges. Nothing is written: the plan comes back with
+// mixing_chart upload rows that go through the normal upload.
+const PLANNER_PARAMETERS = [...WEIGHTED_QUALITY_FIELDS, "min_mic_percent"];
+const PLANNER_PARAMETER_ALIASES = { "+b": "plus_b" };
+const DEFAULT_PLANNER_MAX_LOTS = 12;
+const MAX_PLANNER_LOTS = 50;
+const MAX_PLANNER_BALES = 5000;
+const PLANNER_SEARCH_ROUNDS = 200;
+// The solver only sees a shortlist of the stock, so a large stock and many
+// bales cannot hold the event loop: the lots closest to each target on their
+// own, topped up with the best all-round lots.
+const PLANNER_CANDIDATES_PER_TARGET = 10;
+const PLANNER_MAX_CANDIDATES = 100;
+// Penalty weights: missing a range always outweighs centring a value in its
+// range, which in turn outweighs opening one more lot.
+const PLANNER_CENTRE_WEIGHT = 0.01;
+const PLANNER_LOT_WEIGHT = 0.001;
+
+const parsePositiveInteger = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric > 0 ? numeric : NaN;
+};
+
+const sanitizePlannerPayload = (payload = {}) => {
+  const errors = [];
+
+  const totalBales = parsePositiveInteger(payload.total_bales);
+  if (totalBales === null || Number.isNaN(totalBales)) {
+    errors.push(`"total_bales" must be a positive whole number.`);
+  } else if (totalBales > MAX_PLANNER_BALES) {
+    errors.push(`"total_bales" cannot exceed ${MAX_PLANNER_BALES}.`);
+  }
+
+  const maxLots = parsePositiveInteger(payload.max_lots) ?? DEFAULT_PLANNER_MAX_LOTS;
+  if (Number.isNaN(maxLots) || maxLots > MAX_PLANNER_LOTS) {
+    errors.push(`"max_lots" must be a whole number between 1 and ${MAX_PLANNER_LOTS}.`);
+  }
+
+  const maxBalesPerLot = parsePositiveInteger(payload.max_bales_per_lot);
+  if (Number.isNaN(maxBalesPerLot)) {
+    errors.push(`"max_bales_per_lot" must be a positive whole number.`);
+  }
+
+  const targets = [];
+  const rawTargets = payload.targets && typeof payload.targets === "object" ? payload.targets : {};
+  Object.entries(rawTargets).forEach(([key, range]) => {
+    const normalizedKey = normalizeText(key).toLowerCase();
+    const parameter = PLANNER_PARAMETER_ALIASES[normalizedKey] ?? normalizedKey;
+    if (!PLANNER_PARAMETERS.includes(parameter)) {
+      errors.push(`Target "${key}" must be one of ${PLANNER_PARAMETERS.join(", ")}.`);
+      return;
+    }
+
+    const min = toSpecLimit(range?.min);
+    const max = toSpecLimit(range?.max);
+    if (min === null && max === null) {
+      errors.push(`Target "${key}" needs a "min" or a "max".`);
+    } else if (min !== null && max !== null && min > max) {
+      errors.push(`Target "${key}" has "min" greater than "max".`);
+    } else {
+      targets.push({ parameter, min, max });
+    }
+  });
+  if (targets.length === 0 && errors.length === 0) {
+    errors.push(`At least one target range is required.`);
+  }
+
+  return {
+    value: {
+      total_bales: totalBales,
+      max_lots: maxLots,
+      max_bales_per_lot: maxBalesPerLot,
+      targets,
+      unit: normalizeText(payload.unit),
+      line: normalizeText(payload.line),
+      cotton: normalizeText(payload.cotton),
+      mixing_no: normalizeText(payload.mixing_no),
+    },
+    errors,
+  };
+};
+
+// Per-bale contribution of a lot to a planner parameter, on the same basis as
+// computeWeightedQuality. min_mic_percent is the lot's share of min-mic bales.
+const readPlannerValue = (lot, parameter) => {
+  if (parameter === "min_mic_percent") {
+    const minMicBales = toSpecLimit(lot.min_mic_bale_per_lot);
+    const lotBales = Number(lot.no_of_bale);
+    return minMicBales !== null && lotBales > 0 ? (minMicBales * 100) / lotBales : null;
+  }
+  return toSpecLimit(lot[parameter]);
+};
+
+// Distance outside the range (scaled by its half-width, or by 5% of the single
+// bound) squared, plus a faint pull towards the middle of two-sided ranges.
+const buildTargetPenalty = ({ min, max }) => {
+  const bound = max ?? min;
+  const scale = min !== null && max !== null && max > min ? (max - min) / 2 : Math.abs(bound) * 0.05 || 1;
+  const centre = min !== null && max !== null ? (min + max) / 2 : null;
+  return (value) => {
+    const miss = min !== null && value < min ? min - value : max !== null && value > max ? value - max : 0;
+    const offCentre = centre === null ? 0 : value - centre;
+    return (miss / scale) ** 2 + PLANNER_CENTRE_WEIGHT * (offCentre / scale) ** 2;
+  };
+};
+
+// The candidates the solver works with, in their original order. The shortlist
+// grows past PLANNER_MAX_CANDIDATES only when it needs more lots to hold
+// `totalBales`.
+const shortlistPlannerCandidates = (candidates, targets, totalBales) => {
+  if (candidates.length <= PLANNER_MAX_CANDIDATES) return candidates;
+
+  const penalties = targets.map(buildTargetPenalty);
+  const scored = candidates.map((candidate, index) => {
+    const perTarget = penalties.map((penalty, t) => penalty(candidate.values[t]));
+    return { index, perTarget, total: perTarget.reduce((sum, value) => sum + value, 0) };
+  });
+
+  const picked = new Set();
+  targets.forEach((_, t) => {
+    [...scored]
+      .sort((a, b) => a.perTarget[t] - b.perTarget[t] || a.total - b.total)
+      .slice(0, PLANNER_CANDIDATES_PER_TARGET)
+      .forEach(({ index }) => picked.add(index));
+  });
+
+  let capacity = [...picked].reduce((sum, index) => sum + candidates[index].capacity, 0);
+  for (const { index } of [...scored].sort((a, b) => a.total - b.total)) {
+    if (picked.size >= PLANNER_MAX_CANDIDATES && capacity >= totalBales) break;
+    if (picked.has(index)) continue;
+    picked.add(index);
+    capacity += candidates[index].capacity;
+  }
+
+  return [...picked].sort((a, b) => a - b).map((index) => candidates[index]);
+};
+
+// Greedy fill one bale at a time, then single-bale moves between lots until no
+// move lowers the penalty or PLANNER_SEARCH_ROUNDS pass. candidates: [{ values: number[], capacity }].
+const solveMixingPlan = (candidates, targets, { totalBales, maxLots }) => {
+  const penalties = targets.map(buildTargetPenalty);
+  const counts = candidates.map(() => 0);
+  const sums = targets.map(() => 0);
+  let placed = 0;
+  let openLots = 0;
+
+  const scoreWith = (addIndex, removeIndex, bales) =>
+    penalties.reduce((total, penalty, t) => {
+      const sum = sums[t] + (addIndex === null ? 0 : candidates[addIndex].values[t]) -
+        (removeIndex === null ? 0 : candidates[removeIndex].values[t]);
+      return total + penalty(sum / bales);
+    }, 0);
+
+  const lotCost = (lots) => PLANNER_LOT_WEIGHT * lots;
+
+  const applyMove = (addIndex, removeIndex) => {
+    targets.forEach((_, t) => {
+      if (addIndex !== null) sums[t] += candidates[addIndex].values[t];
+      if (removeIndex !== null) sums[t] -= candidates[removeIndex].values[t];
+    });
+    if (addIndex !== null) {
+      if (counts[addIndex] === 0) openLots += 1;
+      counts[addIndex] += 1;
+    }
+    if (removeIndex !== null) {
+      counts[removeIndex] -= 1;
+      if (counts[removeIndex] === 0) openLots -= 1;
+    }
+  };
+
+  while (placed < totalBales) {
+    let best = null;
+    candidates.forEach((candidate, index) => {
+      if (counts[index] >= candidate.capacity) return;
+      const opensLot = counts[index] === 0;
+      if (opensLot && openLots >= maxLots) return;
+      const score = scoreWith(index, null, placed + 1) + lotCost(openLots + (opensLot ? 1 : 0));
+      if (!best || score < best.score) best = { index, score };
+    });
+    if (!best) break;
+    applyMove(best.index, null);
+    placed += 1;
+  }
+
+  if (placed < totalBales) return null;
+
+  for (let round = 0; round < PLANNER_SEARCH_ROUNDS; round += 1) {
+    const current = scoreWith(null, null, totalBales) + lotCost(openLots);
+    let best = null;
+    counts.forEach((count, from) => {
+      if (count === 0) return;
+      candidates.forEach((candidate, to) => {
+        if (to === from || counts[to] >= candidate.capacity) return;
+        const lots = openLots + (counts[to] === 0 ? 1 : 0) - (count === 1 ? 1 : 0);
+        if (lots > maxLots) return;
+        const score = scoreWith(to, from, totalBales) + lotCost(lots);
+        if (score < current - 1e-9 && (!best || score < best.score)) best = { from, to, score };
+      });
+    });
+    if (!best) break;
+    applyMove(best.to, best.from);
+  }
+
+  return counts;
+};
+
+app.post("/api/mixing-planner", async (req, res) => {
+  try {
+    const { value, errors } = sanitizePlannerPayload(req.body);
+    const dateRangeError = validateDateRange(normalizeQueryValue(req.body?.from_date), normalizeQueryValue(req.body?.to_date));
+    if (dateRangeError) errors.push(dateRangeError);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Validation failed.", details: errors });
+    }
+
+    const cottonYears = parseFilterParam(req.body.cotton_year);
+    const stock = (
+      await fetchLotInventory({
+        lot_no: req.body.lot_no,
+        from_date: normalizeQueryValue(req.body.from_date),
+        to_date: normalizeQueryValue(req.body.to_date),
+        variety: req.body.variety,
+        station: req.body.station,
+        party_name: req.body.party_name,
+      })
+    ).filter(
+      (lot) =>
+        lot.remaining_bales > 0 &&
+        (cottonYears.length === 0 || cottonYears.includes(normalizeText(lot.cotton_year)))
+    );
+
+    // Lots missing a targeted value cannot be predicted, so they are left out.
+    const candidates = stock
+      .map((lot) => ({
+        lot,
+        values: value.targets.map(({ parameter }) => readPlannerValue(lot, parameter)),
+        capacity: Math.min(lot.remaining_bales, value.max_bales_per_lot ?? Infinity),
+      }))
+      .filter((candidate) => candidate.values.every((v) => v !== null));
+
+    const availableBales = candidates.reduce((sum, candidate) => sum + candidate.capacity, 0);
+    if (availableBales < value.total_bales) {
+      return res.status(400).json({
+        error: `Only ${availableBales} bale(s) with the targeted test results are in stock; ${value.total_bales} requested.`,
+      });
+    }
+
+    const shortlist = shortlistPlannerCandidates(candidates, value.targets, value.total_bales);
+    const counts = solveMixingPlan(shortlist, value.targets, {
+      totalBales: value.total_bales,
+      maxLots: value.max_lots,
+    });
+    if (!counts) {
+      return res.status(400).json({
+        error: `${value.total_bales} bale(s) cannot be drawn from at most ${value.max_lots} lot(s); raise "max_lots".`,
+      });
+    }
+
+    const planned = shortlist
+      .map((candidate, index) => ({ lot: candidate.lot, issue_bale: counts[index] }))
+      .filter((entry) => entry.issue_bale > 0)
+      .sort((a, b) => b.issue_bale - a.issue_bale || `${a.lot.lot_no}`.localeCompare(`${b.lot.lot_no}`));
+
+    const lotsByNo = new Map(planned.map(({ lot }) => [lot.lot_no, lot]));
+    const { quality } = computeWeightedQuality(
+      planned.map(({ lot, issue_bale }) => ({ lot_no: lot.lot_no, issue_bale })),
+      (lotNo) => lotsByNo.get(lotNo)
+    );
+
+    const targets = value.targets.map(({ parameter, min, max }) => {
+      const predicted = quality[parameter];
+      return {
+        parameter,
+        min,
+        max,
+        value: predicted,
+        met: (min === null || predicted >= min) && (max === null || predicted <= max),
+      };
+    });
+
+    res.json({
+      feasible: targets.every((target) => target.met),
+      total_bales: value.total_bales,
+      candidate_lots: candidates.length,
+      lots: planned.map(({ lot, issue_bale }) => ({
+        lot_no: lot.lot_no,
+        variety: lot.variety ?? null,
+        cotton_name: lot.cotton ?? null,
+        cotton_year: lot.cotton_year ?? null,
+        party_name: lot.party_name ?? null,
+        remaining_bales: lot.remaining_bales,
+        issue_bale,
+        ...Object.fromEntries(WEIGHTED_QUALITY_FIELDS.map((key) => [key, lot[key] ?? null])),
+        min_mic: lot.min_mic ?? null,
+      })),
+      predicted: quality,
+      targets,
+      upload_rows: planned.map(({ lot, issue_bale }) => ({
+        unit: value.unit,
+        line: value.line,
+        mixing_no: value.mixing_no,
+        cotton: value.cotton,
+        lot_no: lot.lot_no,
+        issue_bale,
+      })),
+    });
+  } catch (err) {
+    console.error("Error planning mixing:", err.message);
+    res.status(500).json({ error: err.message || "Unable to plan mixing." });
+  }
+});
+
+// -------------------------
+// Mixing simulation
+// -------------------------
+// What-if view of a draft mixing before it is charted: the weighted values,
+// blend and change-over the daily summary would show for it, computed with the
+// daily summary's own helpers. Nothing is written.
+const sanitizeSimulationPayload = (payload = {}) => {
+  const errors = [];
+  const value = {
+    unit: normalizeText(payload.unit),
+    line: normalizeText(payload.line),
+    cotton: normalizeText(payload.cotton),
+    mixing_no: normalizeText(payload.mixing_no) || null,
+    issue_date: normalizeText(payload.issue_date) || new Date().toISOString().slice(0, 10),
+    rows: [],
+  };
+
+  ["unit", "line", "cotton"].forEach((key) => {
+    if (!value[key]) errors.push(`"${key}" is required.`);
+  });
+  if (!isValidIsoDate(value.issue_date)) {
+    errors.push(`"issue_date" must be a valid ISO date.`);
+  }
+
+  if (!Array.isArray(payload.rows) || payload.rows.length === 0) {
+    errors.push(`"rows" must list at least one lot_no and issue_bale.`);
+  } else {
+    payload.rows.forEach((row, index) => {
+      const lotNo = normalizeText(row?.lot_no);
+      const issueBale = Number(row?.issue_bale);
+      if (!lotNo) {
+        errors.push(`Row ${index + 1}: "lot_no" is required.`);
+      } else if (!Number.isFinite(issueBale) || issueBale <= 0) {
+        errors.push(`Row ${index + 1}: "issue_bale" must be a positive number.`);
+      } else {
+        value.rows.push({ lot_no: lotNo, issue_bale: issueBale });
+      }
+    });
+  }
+
+  return { value, errors };
+};
+
+// The charted mixing that would precede the draft in the daily summary's
+// continuity order for its unit / line / cotton group, or null. A draft that
+// reuses an existing mixing_no + cotton replaces that mixing rather than
+// following it.
+const findPreviousDailyMixing = async (draft) => {
+  const { groupKey, versionNumber } = parseCottonVersion(draft.cotton);
+
+  const issueRows = await fetchAllRows(
+    supabase
+      .from("mixing_issue")
+      .select("unit, line, mixing_no, cotton, issue_date")
+      .eq("unit", draft.unit)
+      .eq("line", draft.line),
+    "mixing_issue"
+  );
+
+  const issueDateLookup = {};
+  issueRows
+    .filter((row) => parseCottonVersion(row.cotton).groupKey === groupKey)
+    .forEach((row) => {
+      const lookupKey = `${row.mixing_no}|${row.cotton}`;
+      if (!issueDateLookup[lookupKey]) issueDateLookup[lookupKey] = row.issue_date;
+    });
+  const draftKey = `${draft.mixing_no}|${draft.cotton}`;
+  delete issueDateLookup[draftKey];
+
+  const issuedKeys = Object.keys(issueDateLookup);
+  if (issuedKeys.length === 0) return null;
+
+  const chartRows = await fetchAllRows(
+    supabase
+      .from("mixing_chart")
+      .select("*")
+      .eq("unit", draft.unit)
+      .eq("line", draft.line)
+      .in("cotton", [...new Set(issuedKeys.map((key) => key.slice(key.indexOf("|") + 1)))])
+      .in("mixing_no", [...new Set(issuedKeys.map((key) => key.slice(0, key.indexOf("|"))))]),
+    "mixing_chart"
+  );
+
+  const records = Array.from(groupRowsByKey(chartRows, (row) => `${row.mixing_no}|${row.cotton}`).entries())
+    .filter(([key]) => issueDateLookup[key])
+    .map(([key, rows]) => {
+      const mixingNo = Number(rows[0].mixing_no);
+      return {
+        entry: { mixing_no: `${rows[0].mixing_no}`, rows, _versionNumber: parseCottonVersion(rows[0].cotton).versionNumber },
+        maxMixNo: Number.isNaN(mixingNo) ? null : mixingNo,
+        issueTimestamp: new Date(issueDateLookup[key]).getTime(),
+      };
+    });
+
+  const draftMixingNo = Number(draft.mixing_no);
+  const draftRecord = {
+    entry: { _versionNumber: versionNumber },
+    maxMixNo: draft.mixing_no === null || Number.isNaN(draftMixingNo) ? null : draftMixingNo,
+    issueTimestamp: new Date(draft.issue_date).getTime(),
+  };
+
+  records.push(draftRecord);
+  records.sort(compareDailyContinuity);
+  const previous = records[records.indexOf(draftRecord) - 1];
+
+  // Same condition as the daily summary: the predecessor needs a cotton version
+  // and an issue date for the change-over to be reported.
+  if (!previous || previous.entry._versionNumber === null || previous.issueTimestamp === null) return null;
+  return previous.entry;
+};
+
+const summarizeSimulatedRows = (rows, findLot) => {
+  const { totalBales, quality, lotBalesMap } = computeWeightedQuality(rows, findLot);
+  return {
+    total_bales: totalBales,
+    no_of_lots: new Set(rows.map((row) => row.lot_no)).size,
+    ...quality,
+    _lotBalesMap: lotBalesMap,
+  };
+};
+
+app.post("/api/mixing-simulation", async (req, res) => {
+  try {
+    const { value: draft, errors } = sanitizeSimulationPayload(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Validation failed.", details: errors });
+    }
+
+    const previous = await findPreviousDailyMixing(draft);
+
+    const lotNos = [...new Set([...draft.rows, ...(previous?.rows ?? [])].map((row) => row.lot_no))];
+    const lotResults = await fetchAllRows(supabase.from("lot_results").select("*").in("lot_no", lotNos), "lot_results");
+
+    const findLot = buildLotFinder(lotResults);
+
+    const { _lotBalesMap: lotBalesMap, ...summary } = summarizeSimulatedRows(draft.rows, findLot);
+
+    let blend = null;
+    const varieties = [...new Set(draft.rows.map((row) => findLot(row.lot_no)?.variety).filter(Boolean))];
+    if (varieties.length > 0) {
+      const { data: mixingCodeData, error: mixingCodeError } = await supabase
+        .from("mixing_code")
+        .select("variety, cotton_name, weight")
+        .in("variety", varieties);
+      if (mixingCodeError) throw mixingCodeError;
+      blend = buildDailyBlend(draft.rows, findLot, mixingCodeData);
+    }
+
+    const changeOver = previous
+      ? computeChangeOver(summarizeSimulatedRows(previous.rows, findLot), { _lotBalesMap: lotBalesMap })
+      : { bale_change_over_percent: null, lot_change_over_percent: null };
+
+    const [row] = await annotateSummaryRowsWithSpecs([
+      {
+        unit: draft.unit,
+        line: draft.line,
+        cotton: draft.cotton,
+        mixing_no: draft.mixing_no,
+        issue_date: draft.issue_date,
+        ...summary,
+        mixing: blend?.mixing ?? "",
+        blend_percent: blend?.blend_percent ?? "",
+        ...changeOver,
+        previous_mixing_no: previous?.mixing_no ?? null,
+      },
+    ]);
+
+    res.json({
+      ...row,
+      lots: Object.entries(lotBalesMap).map(([lotNo, issueBale]) => {
+        const lot = findLot(lotNo);
+        return {
+          lot_no: lotNo,
+          issue_bale: issueBale,
+          variety: lot.variety ?? null,
+          ...Object.fromEntries(WEIGHTED_QUALITY_FIELDS.map((key) => [key, lot[key] ?? null])),
+          min_mic: lot.min_mic ?? null,
+        };
+      }),
+      unknown_lots: [...new Set(draft.rows.map((r) => r.lot_no).filter((lotNo) => !findLot(lotNo)))],
+    });
+  } catch (err) {
+    console.error("Error simulating mixing:", err.message);
+    res.status(500).json({ error: err.message || "Unable to simulate mixing." });
+  }
+});
+
+// -------------------------
+// Pending lots (unique)
+// -------------------------
+const fetchPendingLotNumbers = async () => {
+  const [mixingData, lotData] = await Promise.all([
+    fetchAllRows(supabase.from("mixing_chart").select("lot_no"), "mixing_chart"),
+    fetchAllRows(supabase.from("lot_results").select("lot_no"), "lot_results"),
+  ]);
+
+  const existingLots = new Set(lotData.map((l) => l.lot_no));
+  return Array.from(new Set(mixingData.map((m) => m.lot_no).filter((lotNo) => !existingLots.has(lotNo))));
+};
+
+app.get("/api/pending-lots", async (req, res) => {
+  try {
+    const { page, error: pageError } = parsePagination(req.query);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    const pending = (await fetchPendingLotNumbers()).map((lot_no) => ({ lot_no }));
+    res.json(page ? slicePage(pending, page) : pending);
+  } catch (err) {
+    console.error("Error fetching pending lots:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// -------------------------
+// Download sample template
+// -------------------------
+app.get("/api/pending-lots/template", async (req, res) => {
+  try {
+    const pendingLots = await fetchPendingLotNumbers();
+
+    const columns = [
+      "lot_no",
+      "variety",
+      "station",
+      "no_of_bale",
+      "moist",
+      "mic",
+      "uhml",
+      "ui",
+      "sf",
+      "str",
+      "elong",
+      "rd",
       "plus_b",
       "trash",
       "mat",
@@ -3131,61 +4422,959 @@ app.get("/api/pending-lots/template", async (req, res) => {
   }
 });
 
+const excelDateToJSDate = (serial) => {
+  if (!serial) return null;
+  // Excel stores date serials starting from Jan 1, 1900
+  const utc_days = Math.floor(serial - 25569);
+  const utc_value = utc_days * 86400; // seconds
+  const date_info = new Date(utc_value * 1000);
+  return date_info.toISOString().split("T")[0]; // return YYYY-MM-DD
+};
+
+const checkLotResultNumber = (column, value) => {
+  const numericRange = LOT_RESULT_NUMERIC_RANGES[column];
+  const numericValue = Number(value);
+  if (!Number.isFinite(numericValue)) {
+    return { error: `"${column}" must be a number.` };
+  }
+  if (numericRange?.integer && !Number.isInteger(numericValue)) {
+    return { error: `"${column}" must be a whole number.` };
+  }
+  if (numericRange && (numericValue < numericRange.min || numericValue > numericRange.max)) {
+    return { error: `"${column}" must be between ${numericRange.min} and ${numericRange.max}.` };
+  }
+  return { value: numericValue };
+};
+
+const suggestLotResultColumn = (header) => {
+  const candidate = header.toLowerCase().replace(/\+/g, "plus_").replace(/[\s.-]+/g, "_").replace(/_+$/g, "");
+  return LOT_RESULT_COLUMNS.includes(candidate) ? candidate : null;
+};
+
+// Checks an uploaded pending-lots sheet against LOT_RESULT_COLUMNS before anything
+// reaches Supabase. Every problem is reported against its spreadsheet cell.
+const validatePendingLotSheet = (sheet) => {
+  const range = XLSX.utils.decode_range(sheet["!ref"] || "A1");
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: "",
+    blankrows: true,
+  });
+
+  const headers = headerRow.map((header) => (header === undefined || header === null ? "" : `${header}`.trim()));
+  const cellErrors = [];
+  const preparedRows = [];
+  const invalidRows = [];
+
+  const cellRef = (columnIndex, rowNumber) => `${XLSX.utils.encode_col(range.s.c + columnIndex)}${rowNumber}`;
+  const headerRowNumber = range.s.r + 1;
+
+  headers.forEach((header, columnIndex) => {
+    if (header === "" || LOT_RESULT_COLUMNS.includes(header)) return;
+    const suggestion = suggestLotResultColumn(header);
+    cellErrors.push({
+      row: headerRowNumber,
+      column: header,
+      cell: cellRef(columnIndex, headerRowNumber),
+      value: header,
+      message: suggestion ? `Unknown column "${header}". Did you mean "${suggestion}"?` : `Unknown column "${header}".`,
+    });
+  });
+
+  if (!headers.includes("lot_no")) {
+    cellErrors.push({
+      row: headerRowNumber,
+      column: "lot_no",
+      cell: null,
+      value: null,
+      message: `Required column "lot_no" is missing.`,
+    });
+  }
+
+  // Header problems make every data row ambiguous, so stop here.
+  if (cellErrors.length > 0) {
+    return { headers, headerErrors: true, cellErrors, preparedRows, invalidRows };
+  }
+
+  dataRows.forEach((cells, index) => {
+    const rowNumber = headerRowNumber + index + 1;
+    if (cells.every((value) => value === "" || value === null || value === undefined)) return;
+
+    const rowErrors = [];
+    const preparedRow = { _rowNumber: rowNumber };
+    const values = {};
+
+    headers.forEach((column, columnIndex) => {
+      if (column === "") return;
+      const rawValue = cells[columnIndex];
+      const value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+      values[column] = value === undefined ? "" : value;
+      const pushError = (message) =>
+        rowErrors.push({ row: rowNumber, column, cell: cellRef(columnIndex, rowNumber), value: values[column], message });
+
+      if (value === "" || value === null || value === undefined) {
+        if (column === "lot_no") {
+          pushError(`"lot_no" is required.`);
+        }
+        preparedRow[column] = null;
+        return;
+      }
+
+      if (LOT_RESULT_NUMERIC_RANGES[column]) {
+        const checked = checkLotResultNumber(column, value);
+        if (checked.error) {
+          pushError(checked.error);
+          return;
+        }
+        preparedRow[column] = checked.value;
+        return;
+      }
+
+      if (column === "lot_received_date") {
+        const parsed = typeof value === "number" ? excelDateToJSDate(value) : new Date(value);
+        if (typeof parsed === "string") {
+          preparedRow[column] = parsed;
+        } else if (Number.isNaN(parsed.getTime())) {
+          pushError(`"lot_received_date" must be a valid date.`);
+        } else {
+          preparedRow[column] = parsed.toISOString().split("T")[0];
+        }
+        return;
+      }
+
+      preparedRow[column] = column === "lot_no" ? `${value}` : value;
+    });
+
+    if (rowErrors.length > 0) {
+      cellErrors.push(...rowErrors);
+      invalidRows.push({ row: rowNumber, values });
+      return;
+    }
+
+    preparedRows.push(preparedRow);
+  });
+
+  return { headers, headerErrors: false, cellErrors, preparedRows, invalidRows };
+};
+
+const formatCellError = (cellError) =>
+  cellError.cell ? `Row ${cellError.row}, ${cellError.cell}: ${cellError.message}` : `Row ${cellError.row}: ${cellError.message}`;
+
+const normalizeLotNo = (value) => (value === undefined || value === null ? "" : `${value}`.trim());
+
+const isSameCellValue = (current, next) => {
+  const left = current === undefined || current === null ? "" : `${current}`.trim();
+  const right = next === undefined || next === null ? "" : `${next}`.trim();
+  if (left === right) return true;
+  if (left === "" || right === "") return false;
+  const leftNumber = Number(left);
+  const rightNumber = Number(right);
+  return Number.isFinite(leftNumber) && Number.isFinite(rightNumber) && leftNumber === rightNumber;
+};
+
+const buildPendingLotsPreview = async (preparedRows = []) => {
+  const lotNumbers = [...new Set(preparedRows.map((row) => normalizeLotNo(row.lot_no)).filter(Boolean))];
+
+  let existingRows = [];
+  if (lotNumbers.length > 0) {
+    existingRows = await fetchAllRows(
+      supabase.from("lot_results").select("*").in("lot_no", lotNumbers),
+      "lot_results"
+    );
+  }
+
+  const existingByLot = new Map(existingRows.map((row) => [normalizeLotNo(row.lot_no), row]));
+  const firstRowByLot = new Map();
+
+  return preparedRows.map(({ _rowNumber: rowNumber, ...row }) => {
+    const lotNo = normalizeLotNo(row.lot_no);
+
+    const duplicateOf = firstRowByLot.get(lotNo);
+    if (duplicateOf === undefined) {
+      firstRowByLot.set(lotNo, rowNumber);
+    }
+    const duplicateNote = duplicateOf !== undefined ? ` Lot also appears on row ${duplicateOf}; the later row wins.` : "";
+
+    const existing = existingByLot.get(lotNo);
+    if (!existing) {
+      return { row: rowNumber, action: "insert", key: lotNo, reason: `New lot.${duplicateNote}` };
+    }
+
+    const changes = Object.keys(row)
+      .filter((column) => column !== "lot_no" && !isSameCellValue(existing[column], row[column]))
+      .map((column) => ({ column, from: existing[column] ?? null, to: row[column] ?? null }));
+
+    return {
+      row: rowNumber,
+      action: "update",
+      key: lotNo,
+      reason:
+        changes.length > 0
+          ? `Updates ${changes.map((change) => change.column).join(", ")}.${duplicateNote}`
+          : `Already up to date.${duplicateNote}`,
+      changes,
+    };
+  });
+};
+
 // -------------------------
 // Upload filled template
 // -------------------------
-app.post("/api/pending-lots/upload", upload.single("file"), async (req, res) => {
+app.post("/api/pending-lots/upload", requireRole("lots"), invalidatesResponseCache, upload.single("file"), async (req, res) => {
   try {
     const file = req.file;
     if (!file) return res.status(400).json({ error: "No file uploaded" });
 
     const workbook = XLSX.read(file.buffer);
     const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    const rows = XLSX.utils.sheet_to_json(sheet);
+    if (!sheetName) return res.status(400).json({ error: "Uploaded file has no sheets." });
 
-    console.log("📘 Upload started. Total rows:", rows.length);
+    const sheet = workbook.Sheets[sheetName];
+    const { headers, headerErrors, cellErrors, preparedRows, invalidRows } = validatePendingLotSheet(sheet);
+    const validationReport = { columns: headers, cell_errors: cellErrors, invalid_rows: invalidRows };
 
-    function excelDateToJSDate(serial) {
-      if (!serial) return null;
-      // Excel stores date serials starting from Jan 1, 1900
-      const utc_days = Math.floor(serial - 25569);
-      const utc_value = utc_days * 86400; // seconds
-      const date_info = new Date(utc_value * 1000);
-      return date_info.toISOString().split("T")[0]; // return YYYY-MM-DD
+    if (preparedRows.length === 0 && cellErrors.length === 0) {
+      return res.status(400).json({ error: "Uploaded file is empty." });
     }
 
-    const results = [];
-
-    for (const row of rows) {
-      const preparedRow = { ...row };
-      Object.keys(preparedRow).forEach((k) => {
-        if (preparedRow[k] === "") preparedRow[k] = null;
+    if (headerErrors || (cellErrors.length > 0 && !isDryRunRequest(req))) {
+      return res.status(400).json({
+        error: "Validation failed.",
+        details: cellErrors.map(formatCellError),
+        ...validationReport,
       });
+    }
 
-      // 🧠 Convert Excel date serial to proper date string
-      if (preparedRow.lot_received_date && !isNaN(preparedRow.lot_received_date)) {
-        preparedRow.lot_received_date = excelDateToJSDate(preparedRow.lot_received_date);
-      }
+    if (isDryRunRequest(req)) {
+      const rejectedRows = invalidRows.map(({ row, values }) => ({
+        row,
+        action: "reject",
+        key: normalizeLotNo(values.lot_no) || null,
+        reason: cellErrors
+          .filter((cellError) => cellError.row === row)
+          .map((cellError) => `${cellError.cell}: ${cellError.message}`)
+          .join(" "),
+      }));
+      return res.json(
+        buildDryRunResponse([...(await buildPendingLotsPreview(preparedRows)), ...rejectedRows], validationReport)
+      );
+    }
+
+    const results = [];
+    const previousRows = await fetchExistingRows(
+      "lot_results",
+      "lot_no",
+      preparedRows.map((row) => row.lot_no)
+    );
+    const savedRows = [];
 
-      const { error } = await supabase
+    for (const { _rowNumber, ...preparedRow } of preparedRows) {
+      const { data, error } = await supabase
         .from("lot_results")
-        .upsert(preparedRow, { onConflict: ["lot_no"] });
+        .upsert(preparedRow, { onConflict: ["lot_no"] })
+        .select();
 
       if (error) {
-        console.error(`❌ Error inserting lot ${preparedRow.lot_no}:`, error.message);
+        console.error(`Error inserting lot ${preparedRow.lot_no}:`, error.message);
         results.push({ lot_no: preparedRow.lot_no, status: "failed", error: error.message });
       } else {
-        console.log(`✅ Inserted lot ${preparedRow.lot_no}`);
         results.push({ lot_no: preparedRow.lot_no, status: "success" });
+        savedRows.push(...(data || []));
       }
     }
 
-    console.log("✅ Upload complete.");
+    const savedLots = new Set(savedRows.map(AUDIT_RECORD_KEYS.lot_results));
+    await recordAudit(req, {
+      table: "lot_results",
+      source: AUDIT_SOURCES.upload,
+      changes: buildAuditChanges(
+        "lot_results",
+        previousRows.filter((row) => savedLots.has(AUDIT_RECORD_KEYS.lot_results(row))),
+        savedRows
+      ),
+    });
+
     res.json({ message: "Upload complete", results });
   } catch (err) {
-    console.error("🔥 Upload crash:", err);
-    res.status(500).json({ error: err.message });
+    console.error("Error processing pending lots upload:", err.message);
+    res.status(500).json({ error: err.message || "Failed to process uploaded file." });
+  }
+});
+
+// -------------------------
+// HVI instrument import
+// -------------------------
+// Maps lot_results fields to the header names HVI instruments use in their
+// bale-level exports. Matching ignores case, spaces and punctuation. Extend or
+// override it with the HVI_COLUMN_MAP env variable or a `column_map` form field,
+// both JSON objects of the form { "mic": ["Mic", "Micronaire"] }.
+const DEFAULT_HVI_COLUMN_MAP = {
+  lot_no: ["Lot", "Lot No", "Lot Number", "Lot ID"],
+  bale_no: ["Bale", "Bale No", "Bale Number", "Bale ID", "Sample ID"],
+  mic: ["Mic", "Micronaire"],
+  uhml: ["UHML", "UHML mm", "Len", "Length", "UHM"],
+  ui: ["UI", "UI %", "Unif", "Uniformity"],
+  sf: ["SF", "SFI", "SFC", "SFI %"],
+  str: ["Str", "Strength", "Str g/tex"],
+  elong: ["Elg", "Elong", "Elongation", "Elg %"],
+  rd: ["Rd"],
+  plus_b: ["+b", "b", "Plus b"],
+  trash: ["Trash", "Trash Area", "TrAr", "Tr Area"],
+  moist: ["Moist", "Moisture", "Moist %"],
+  mat: ["Mat", "Maturity", "Mat Index"],
+  c_grade: ["C Grade", "CGrd", "Color Grade", "Colour Grade"],
+  variety: ["Variety"],
+  station: ["Station"],
+  party_name: ["Party", "Party Name", "Supplier"],
+};
+
+const HVI_AVERAGED_FIELDS = ["uhml", "mic", "str", "rd", "plus_b", "sf", "ui", "elong", "trash", "moist", "mat"];
+const HVI_LOT_TEXT_FIELDS = ["variety", "station", "party_name"];
+const HVI_SUMMARY_ROW_PATTERN = /^(avg|average|mean|cv\s*%?|s\.?\s*d\.?|std|min|max|total|q99)$/i;
+const DEFAULT_HVI_MIN_MIC_THRESHOLD = 3.5;
+
+const normalizeHviHeader = (value) =>
+  `${value ?? ""}`
+    .toLowerCase()
+    .replace(/\+/g, "plus")
+    .replace(/[^a-z0-9]/g, "");
+
+const parseHviColumnMapOverride = (rawValue, source) => {
+  if (!rawValue) return {};
+  const parsed = typeof rawValue === "string" ? JSON.parse(rawValue) : rawValue;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`${source} must be a JSON object of field → header names.`);
+  }
+  const unknownFields = Object.keys(parsed).filter((field) => !DEFAULT_HVI_COLUMN_MAP[field]);
+  if (unknownFields.length > 0) {
+    throw new Error(`${source} has unknown fields: ${unknownFields.join(", ")}.`);
+  }
+  return Object.fromEntries(Object.entries(parsed).map(([field, headers]) => [field, toArray(headers)]));
+};
+
+const resolveHviColumnMap = (requestOverride) => ({
+  ...DEFAULT_HVI_COLUMN_MAP,
+  ...parseHviColumnMapOverride(process.env.HVI_COLUMN_MAP, "HVI_COLUMN_MAP"),
+  ...parseHviColumnMapOverride(requestOverride, "column_map"),
+});
+
+const resolveHviMinMicThreshold = (requestValue) => {
+  const candidates = [requestValue, process.env.HVI_MIN_MIC_THRESHOLD];
+  for (const candidate of candidates) {
+    if (candidate === undefined || candidate === null || `${candidate}`.trim() === "") continue;
+    const threshold = Number(candidate);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error("min_mic_threshold must be a positive number.");
+    }
+    return threshold;
+  }
+  return DEFAULT_HVI_MIN_MIC_THRESHOLD;
+};
+
+const splitDelimitedLine = (line, delimiter) => {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (char === '"') {
+      if (quoted && line[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+// Instrument exports are CSV, tab or semicolon separated and often start with
+// a few lines of instrument metadata before the header row.
+const parseDelimitedText = (text) => {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r\n|\n|\r/);
+  const sample = lines.slice(0, 40).join("\n");
+  const delimiter = ["\t", ";", ","].reduce((best, candidate) =>
+    sample.split(candidate).length > sample.split(best).length ? candidate : best
+  );
+  return lines.map((line) => (line.trim() === "" ? [] : splitDelimitedLine(line, delimiter)));
+};
+
+const readHviRows = (file) => {
+  const name = `${file.originalname || ""}`.toLowerCase();
+  if (name.endsWith(".xlsx") || name.endsWith(".xls")) {
+    const workbook = XLSX.read(file.buffer, { type: "buffer" });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", blankrows: true }) : [];
+  }
+  return parseDelimitedText(file.buffer.toString("utf8"));
+};
+
+const locateHviHeader = (rows, columnMap) => {
+  const aliasLookup = Object.entries(columnMap).map(([field, headers]) => [
+    field,
+    new Set(toArray(headers).map(normalizeHviHeader)),
+  ]);
+
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, 30); rowIndex += 1) {
+    const fieldIndexes = {};
+    (rows[rowIndex] || []).forEach((header, columnIndex) => {
+      const normalized = normalizeHviHeader(header);
+      if (!normalized) return;
+      const match = aliasLookup.find(([field, aliases]) => aliases.has(normalized) && fieldIndexes[field] === undefined);
+      if (match) {
+        fieldIndexes[match[0]] = columnIndex;
+      }
+    });
+
+    if (fieldIndexes.lot_no !== undefined && fieldIndexes.mic !== undefined) {
+      return { headerIndex: rowIndex, fieldIndexes };
+    }
+  }
+
+  return null;
+};
+
+const roundHviValue = (value) => +value.toFixed(2);
+
+// Rolls bale rows up into one lot_results row per lot: HVI readings are averaged,
+// no_of_bale is the bale count, min_mic the lowest bale reading and
+// min_mic_bale_per_lot the number of bales below the threshold.
+const rollUpHviBales = (rows, { fieldIndexes, headerIndex }, minMicThreshold) => {
+  const cellErrors = [];
+  const skippedRows = [];
+  const lots = new Map();
+  const cellRef = (columnIndex, rowNumber) => `${XLSX.utils.encode_col(columnIndex)}${rowNumber}`;
+
+  rows.slice(headerIndex + 1).forEach((cells, offset) => {
+    const rowNumber = headerIndex + offset + 2;
+    const readCell = (field) => {
+      const columnIndex = fieldIndexes[field];
+      if (columnIndex === undefined) return "";
+      const value = cells[columnIndex];
+      return value === undefined || value === null ? "" : `${value}`.trim();
+    };
+
+    if (!cells || cells.every((value) => `${value ?? ""}`.trim() === "")) return;
+
+    const lotNo = readCell("lot_no");
+    if (HVI_SUMMARY_ROW_PATTERN.test(lotNo) || HVI_SUMMARY_ROW_PATTERN.test(`${cells[0] ?? ""}`.trim())) {
+      skippedRows.push({ row: rowNumber, reason: "Summary row." });
+      return;
+    }
+
+    if (!lotNo) {
+      cellErrors.push({
+        row: rowNumber,
+        column: "lot_no",
+        cell: cellRef(fieldIndexes.lot_no, rowNumber),
+        lot_no: null,
+        value: "",
+        message: `"lot_no" is required.`,
+      });
+      return;
+    }
+
+    const bale = { row: rowNumber, bale_no: readCell("bale_no") || null };
+    let rowHasError = false;
+
+    HVI_AVERAGED_FIELDS.forEach((field) => {
+      const raw = readCell(field);
+      if (raw === "") return;
+      const numericValue = Number(raw);
+      if (!Number.isFinite(numericValue)) {
+        rowHasError = true;
+        cellErrors.push({
+          row: rowNumber,
+          column: field,
+          cell: cellRef(fieldIndexes[field], rowNumber),
+          lot_no: lotNo,
+          value: raw,
+          message: `"${field}" must be a number.`,
+        });
+        return;
+      }
+      bale[field] = numericValue;
+    });
+
+    if (bale.mic === undefined && !rowHasError) {
+      rowHasError = true;
+      cellErrors.push({
+        row: rowNumber,
+        column: "mic",
+        cell: cellRef(fieldIndexes.mic, rowNumber),
+        lot_no: lotNo,
+        value: "",
+        message: `"mic" is required for every bale.`,
+      });
+    }
+
+    if (rowHasError) return;
+
+    if (!lots.has(lotNo)) {
+      lots.set(lotNo, { lot_no: lotNo, bales: [], text: {}, grades: [] });
+    }
+    const lot = lots.get(lotNo);
+    lot.bales.push(bale);
+
+    HVI_LOT_TEXT_FIELDS.forEach((field) => {
+      const value = readCell(field);
+      if (value && lot.text[field] === undefined) {
+        lot.text[field] = value;
+      }
+    });
+
+    const grade = readCell("c_grade");
+    bale.c_grade = grade || null;
+    if (grade) lot.grades.push(grade);
+  });
+
+  const lotRows = Array.from(lots.values()).map((lot) => {
+    const row = { lot_no: lot.lot_no, ...lot.text, no_of_bale: lot.bales.length };
+
+    HVI_AVERAGED_FIELDS.forEach((field) => {
+      const values = lot.bales.map((bale) => bale[field]).filter((value) => value !== undefined);
+      if (values.length > 0) {
+        row[field] = roundHviValue(values.reduce((sum, value) => sum + value, 0) / values.length);
+      }
+    });
+
+    const micValues = lot.bales.map((bale) => bale.mic);
+    row.min_mic = roundHviValue(Math.min(...micValues));
+    row.min_mic_bale_per_lot = micValues.filter((value) => value < minMicThreshold).length;
+
+    if (lot.grades.length > 0) {
+      const counts = lot.grades.reduce((accumulator, grade) => {
+        accumulator[grade] = (accumulator[grade] || 0) + 1;
+        return accumulator;
+      }, {});
+      row.c_grade = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    }
+
+    return { row, bales: lot.bales };
+  });
+
+  return { lotRows, cellErrors, skippedRows };
+};
+
+// Flattens rolled-up HVI lots into bale_results rows. Exports without a bale
+// column get bales numbered by their order inside the lot.
+const buildBaleEntries = (lotRows = []) =>
+  lotRows.flatMap(({ row, bales }) =>
+    bales.map((bale, index) => ({
+      lot_no: row.lot_no,
+      bale_no: bale.bale_no || `${index + 1}`,
+      ...Object.fromEntries(HVI_AVERAGED_FIELDS.map((field) => [field, bale[field] ?? null])),
+      c_grade: bale.c_grade ?? null,
+      _rowNumber: bale.row,
+    }))
+  );
+
+const replaceBaleResults = (entries) =>
+  callReplaceFunction(
+    "replace_bale_results",
+    entries.map(({ _rowNumber, ...entry }) => entry)
+  );
+
+// Per-parameter spread of a lot's bales: count, min, max, mean, sample standard
+// deviation and coefficient of variation (%).
+const summarizeBaleReadings = (bales = []) =>
+  Object.fromEntries(
+    HVI_AVERAGED_FIELDS.map((field) => {
+      const values = bales
+        .map((bale) => bale?.[field])
+        .filter((value) => value !== null && value !== undefined && value !== "")
+        .map(Number)
+        .filter(Number.isFinite);
+
+      if (values.length === 0) return [field, null];
+
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance =
+        values.length > 1
+          ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+          : 0;
+      const sd = Math.sqrt(variance);
+
+      return [
+        field,
+        {
+          count: values.length,
+          min: +Math.min(...values).toFixed(2),
+          max: +Math.max(...values).toFixed(2),
+          mean: +mean.toFixed(2),
+          sd: +sd.toFixed(3),
+          cv: mean !== 0 ? +((sd / mean) * 100).toFixed(2) : null,
+        },
+      ];
+    })
+  );
+
+const sortBales = (bales = []) =>
+  [...bales].sort((a, b) => {
+    const lotCompare = `${a.lot_no}`.localeCompare(`${b.lot_no}`, undefined, { numeric: true, sensitivity: "base" });
+    if (lotCompare !== 0) return lotCompare;
+    return `${a.bale_no}`.localeCompare(`${b.bale_no}`, undefined, { numeric: true, sensitivity: "base" });
+  });
+
+app.get("/api/pending-lots/hvi-column-map", (req, res) => {
+  try {
+    res.json({
+      column_map: resolveHviColumnMap(),
+      min_mic_threshold: resolveHviMinMicThreshold(),
+    });
+  } catch (err) {
+    console.error("Error resolving HVI column map:", err.message);
+    res.status(500).json({ error: err.message || "Invalid HVI configuration." });
+  }
+});
+
+app.post("/api/pending-lots/hvi-upload", requireRole("lots"), invalidatesResponseCache, upload.single("file"), async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) return res.status(400).json({ error: "No file uploaded." });
+
+    let columnMap;
+    let minMicThreshold;
+    try {
+      columnMap = resolveHviColumnMap(req.body?.column_map);
+      minMicThreshold = resolveHviMinMicThreshold(req.body?.min_mic_threshold);
+    } catch (configError) {
+      return res.status(400).json({ error: configError.message });
+    }
+
+    const rows = readHviRows(file);
+    const header = locateHviHeader(rows, columnMap);
+    if (!header) {
+      return res.status(400).json({
+        error: "Could not find the HVI header row. Expected a lot column and a Mic column.",
+        column_map: columnMap,
+      });
+    }
+
+    const { lotRows, cellErrors, skippedRows } = rollUpHviBales(rows, header, minMicThreshold);
+
+    // Lot averages go through the same range checks as the pending-lots template.
+    lotRows.forEach(({ row, bales }) => {
+      Object.keys(LOT_RESULT_NUMERIC_RANGES).forEach((column) => {
+        if (row[column] === undefined) return;
+        const checked = checkLotResultNumber(column, row[column]);
+        if (checked.error) {
+          cellErrors.push({
+            row: bales[0].row,
+            column,
+            cell: null,
+            lot_no: row.lot_no,
+            value: row[column],
+            message: `Lot ${row.lot_no} average: ${checked.error}`,
+          });
+        }
+      });
+    });
+
+    const mappedColumns = Object.keys(header.fieldIndexes);
+    const validationReport = {
+      mapped_columns: mappedColumns,
+      min_mic_threshold: minMicThreshold,
+      bale_rows: lotRows.reduce((sum, lot) => sum + lot.bales.length, 0),
+      skipped_rows: skippedRows,
+      cell_errors: cellErrors,
+    };
+
+    if (lotRows.length === 0 && cellErrors.length === 0) {
+      return res.status(400).json({ error: "No bale rows found in the uploaded file." });
+    }
+
+    if (isDryRunRequest(req)) {
+      const invalidLots = new Set(cellErrors.map((cellError) => cellError.lot_no).filter(Boolean));
+      const preview = await buildPendingLotsPreview(
+        lotRows
+          .filter(({ row }) => !invalidLots.has(row.lot_no))
+          .map(({ row, bales }) => ({ ...row, _rowNumber: bales[0].row }))
+      );
+      const rejected = cellErrors.map((cellError) => ({
+        row: cellError.row,
+        action: "reject",
+        key: cellError.lot_no,
+        reason: cellError.cell ? `${cellError.cell}: ${cellError.message}` : cellError.message,
+      }));
+      return res.json(buildDryRunResponse([...preview, ...rejected], validationReport));
+    }
+
+    if (cellErrors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed.",
+        details: cellErrors.map(formatCellError),
+        ...validationReport,
+      });
+    }
+
+    const lotNumbers = lotRows.map(({ row }) => row.lot_no);
+    const [previousLotRows, previousBales] = await Promise.all([
+      fetchExistingRows("lot_results", "lot_no", lotNumbers),
+      fetchExistingRows("bale_results", "lot_no", lotNumbers),
+    ]);
+
+    const results = [];
+    const savedLotRows = [];
+    for (const { row, bales } of lotRows) {
+      const { data, error } = await supabase.from("lot_results").upsert(row, { onConflict: ["lot_no"] }).select();
+
+      if (error) {
+        console.error(`❌ Error importing HVI lot ${row.lot_no}:`, error.message);
+        results.push({ lot_no: row.lot_no, bales: bales.length, status: "failed", error: error.message });
+      } else {
+        results.push({ lot_no: row.lot_no, bales: bales.length, status: "success" });
+        savedLotRows.push(...(data || []));
+      }
+    }
+
+    // Keep the individual bales as well so the spread inside each lot can be inspected.
+    const importedLots = new Set(results.filter((result) => result.status === "success").map((result) => result.lot_no));
+    const baleEntries = buildBaleEntries(lotRows.filter(({ row }) => importedLots.has(row.lot_no)));
+    let baleError = null;
+    if (baleEntries.length > 0) {
+      try {
+        await replaceBaleResults(baleEntries);
+      } catch (replaceError) {
+        console.error("Error storing HVI bales:", replaceError.message);
+        baleError = replaceError.message;
+      }
+    }
+
+    const isImported = (row) => importedLots.has(normalizeText(row.lot_no));
+    await recordAudit(req, {
+      table: "lot_results",
+      source: AUDIT_SOURCES.upload,
+      changes: buildAuditChanges("lot_results", previousLotRows.filter(isImported), savedLotRows),
+    });
+    if (baleEntries.length > 0 && !baleError) {
+      await recordAudit(req, {
+        table: "bale_results",
+        source: AUDIT_SOURCES.upload,
+        changes: buildAuditChanges(
+          "bale_results",
+          previousBales.filter(isImported),
+          baleEntries.map(({ _rowNumber, ...entry }) => entry)
+        ),
+      });
+    }
+
+    res.json({
+      message: `Imported ${importedLots.size} lot(s) from HVI file.`,
+      results,
+      bales_stored: baleError ? 0 : baleEntries.length,
+      bale_error: baleError,
+      ...validationReport,
+    });
+  } catch (err) {
+    console.error("Error processing HVI upload:", err.message);
+    res.status(500).json({ error: err.message || "Failed to process HVI file." });
+  }
+});
+
+// -------------------------
+// Bale results
+// -------------------------
+app.get("/api/bale-results", async (req, res) => {
+  try {
+    const lotNumbers = parseFilterParam(req.query.lot_no);
+    if (lotNumbers.length === 0) {
+      return res.status(400).json({ error: "At least one lot_no is required." });
+    }
+
+    const data = await fetchAllRows(supabase.from("bale_results").select("*").in("lot_no", lotNumbers), "bale_results");
+
+    res.json(sortBales(data));
+  } catch (err) {
+    console.error("Error fetching bale results:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch bale results." });
+  }
+});
+
+app.get("/api/bale-results/summary", async (req, res) => {
+  try {
+    const lotNumbers = parseFilterParam(req.query.lot_no);
+    if (lotNumbers.length === 0) {
+      return res.status(400).json({ error: "At least one lot_no is required." });
+    }
+
+    const data = await fetchAllRows(supabase.from("bale_results").select("*").in("lot_no", lotNumbers), "bale_results");
+
+    const balesByLot = new Map(lotNumbers.map((lotNo) => [lotNo, []]));
+    data.forEach((bale) => {
+      const lotNo = normalizeLotNo(bale.lot_no);
+      if (!balesByLot.has(lotNo)) balesByLot.set(lotNo, []);
+      balesByLot.get(lotNo).push(bale);
+    });
+
+    res.json(
+      Array.from(balesByLot.entries()).map(([lotNo, bales]) => ({
+        lot_no: lotNo,
+        bale_count: bales.length,
+        stats: summarizeBaleReadings(bales),
+      }))
+    );
+  } catch (err) {
+    console.error("Error summarizing bale results:", err.message);
+    res.status(500).json({ error: err.message || "Unable to summarize bale results." });
+  }
+});
+
+app.get("/api/bale-results/lot/:lotNo", async (req, res) => {
+  try {
+    const lotNo = typeof req.params.lotNo === "string" ? req.params.lotNo.trim() : "";
+    if (!lotNo) {
+      return res.status(400).json({ error: "Lot number is required." });
+    }
+
+    let minMicThreshold;
+    try {
+      minMicThreshold = resolveHviMinMicThreshold(normalizeQueryValue(req.query.min_mic_threshold));
+    } catch (configError) {
+      return res.status(400).json({ error: configError.message });
+    }
+
+    const data = await fetchAllRows(supabase.from("bale_results").select("*").eq("lot_no", lotNo), "bale_results");
+    const bales = sortBales(data);
+
+    res.json({
+      lot_no: lotNo,
+      bale_count: bales.length,
+      min_mic_threshold: minMicThreshold,
+      below_min_mic: bales.filter((bale) => bale.mic !== null && Number(bale.mic) < minMicThreshold).length,
+      stats: summarizeBaleReadings(bales),
+      bales,
+    });
+  } catch (err) {
+    console.error("Error fetching lot bales:", err.message);
+    res.status(500).json({ error: err.message || "Unable to fetch lot bales." });
+  }
+});
+
+// Accepts the same HVI exports as /api/pending-lots/hvi-upload but only stores
+// the bales; lot_results is left untouched.
+app.post("/api/bale-results/upload", requireRole("lots"), invalidatesResponseCache, upload.single("file"), async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) return res.status(400).json({ error: "No file uploaded." });
+
+    let columnMap;
+    try {
+      columnMap = resolveHviColumnMap(req.body?.column_map);
+    } catch (configError) {
+      return res.status(400).json({ error: configError.message });
+    }
+
+    const rows = readHviRows(file);
+    const header = locateHviHeader(rows, columnMap);
+    if (!header) {
+      return res.status(400).json({
+        error: "Could not find the HVI header row. Expected a lot column and a Mic column.",
+        column_map: columnMap,
+      });
+    }
+
+    const { lotRows, cellErrors, skippedRows } = rollUpHviBales(rows, header, resolveHviMinMicThreshold());
+    const entries = buildBaleEntries(lotRows);
+
+    if (entries.length === 0 && cellErrors.length === 0) {
+      return res.status(400).json({ error: "No bale rows found in the uploaded file." });
+    }
+
+    if (isDryRunRequest(req)) {
+      const lotNumbers = lotRows.map(({ row }) => row.lot_no);
+      let existingRows = [];
+      if (lotNumbers.length > 0) {
+        existingRows = await fetchAllRows(
+          supabase.from("bale_results").select("lot_no").in("lot_no", lotNumbers),
+          "bale_results"
+        );
+      }
+
+      const existingCounts = existingRows.reduce((accumulator, bale) => {
+        const lotNo = normalizeLotNo(bale.lot_no);
+        accumulator[lotNo] = (accumulator[lotNo] || 0) + 1;
+        return accumulator;
+      }, {});
+
+      const preview = lotRows.map(({ row, bales }) => {
+        const existingCount = existingCounts[row.lot_no] || 0;
+        return {
+          row: bales[0].row,
+          action: existingCount > 0 ? "replace" : "insert",
+          key: row.lot_no,
+          reason:
+            existingCount > 0
+              ? `${bales.length} bale(s) replace ${existingCount} stored bale(s).`
+              : `${bales.length} new bale(s).`,
+        };
+      });
+      const rejected = cellErrors.map((cellError) => ({
+        row: cellError.row,
+        action: "reject",
+        key: cellError.lot_no,
+        reason: `${cellError.cell}: ${cellError.message}`,
+      }));
+
+      return res.json(buildDryRunResponse([...preview, ...rejected], { skipped_rows: skippedRows, cell_errors: cellErrors }));
+    }
+
+    if (cellErrors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed.",
+        details: cellErrors.map(formatCellError),
+        skipped_rows: skippedRows,
+        cell_errors: cellErrors,
+      });
+    }
+
+    const previousBales = await fetchExistingRows(
+      "bale_results",
+      "lot_no",
+      lotRows.map(({ row }) => row.lot_no)
+    );
+
+    try {
+      await replaceBaleResults(entries);
+    } catch (replaceError) {
+      console.error("Error replacing bale results:", replaceError.message);
+      const failedRow = entries[replaceError.entryIndex]?._rowNumber;
+      if (failedRow !== undefined) {
+        return res.status(400).json({
+          error: `Row ${failedRow}: ${replaceError.message} No changes were saved.`,
+          failed_row: failedRow,
+        });
+      }
+      return res.status(500).json({ error: replaceError.message || "Failed to store bale results." });
+    }
+
+    await recordAudit(req, {
+      table: "bale_results",
+      source: AUDIT_SOURCES.upload,
+      changes: buildAuditChanges(
+        "bale_results",
+        previousBales,
+        entries.map(({ _rowNumber, ...entry }) => entry)
+      ),
+    });
+
+    res.json({
+      success: true,
+      message: `Stored ${entries.length} bale(s) for ${lotRows.length} lot(s).`,
+      lots: lotRows.map(({ row, bales }) => ({ lot_no: row.lot_no, bales: bales.length })),
+      skipped_rows: skippedRows,
+    });
+  } catch (err) {
+    console.error("Error processing bale upload:", err.message);
+    res.status(500).json({ error: err.message || "Failed to process bale file." });
   }
 });
 
@@ -3195,4 +5384,7 @@ app.get('/wake', (req, res) => {
 
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  startRecyclePurgeSchedule();
+});
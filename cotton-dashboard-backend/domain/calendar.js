@@ -0,0 +1,167 @@
+// Period calendars shared by the mixing summary and the cotton results summary.
+// A calendar turns a date into the period it falls in:
+//   key   - stable machine label ("2024-05-W2", "2024-W19", "FY2024-25-Q1")
+//   label - display label ("8-14 May 2024", "Week of 6 May 2024", "FY2024-25 Q1")
+//   start / end - first and last day of the period as YYYY-MM-DD
+// Dates are read in UTC, so a stored YYYY-MM-DD lands in the same period on any server.
+//
+//   gregorian - weeks are the 1-7, 8-14, ... day buckets of each month (the original report weeks)
+//   iso       - ISO 8601 weeks: Monday to Sunday, week 1 holds the year's first Thursday
+//   mill      - seven-day weeks starting on a configurable weekday
+//   fiscal    - April to March years and quarters; weeks start on the configured weekday and
+//               belong to the fiscal year their last day falls in
+// Months are calendar months in every calendar; quarters and years follow the fiscal
+// year only in the fiscal calendar.
+
+export const CALENDAR_TYPES = ["gregorian", "iso", "mill", "fiscal"];
+export const CALENDAR_PERIODS = ["weekly", "monthly", "quarterly", "yearly"];
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const FISCAL_YEAR_START_MONTH = 3; // April
+const DAY_MS = 86400000;
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const pad = (value) => String(value).padStart(2, "0");
+const toIsoDate = (date) => date.toISOString().split("T")[0];
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const formatDay = (date) => `${date.getUTCDate()} ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+
+const toUtcDay = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Accepts a weekday name ("monday", "Mon") or its number (0 = Sunday).
+export const parseWeekday = (value) => {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (/^[0-6]$/.test(text)) return Number(text);
+  if (text.length < 3) return null;
+  const index = WEEKDAYS.findIndex((day) => day.startsWith(text));
+  return index === -1 ? null : index;
+};
+
+const startOfWeek = (date, weekStart) => addDays(date, -((date.getUTCDay() - weekStart + 7) % 7));
+
+const fiscalYearOf = (date) =>
+  date.getUTCMonth() >= FISCAL_YEAR_START_MONTH ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+
+const fiscalYearName = (fiscalYear) => `FY${fiscalYear}-${pad((fiscalYear + 1) % 100)}`;
+
+const describeRange = (key, label, start, end) => ({ key, label, start: toIsoDate(start), end: toIsoDate(end) });
+
+const describeMonthBucketWeek = (date) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const week = Math.ceil(date.getUTCDate() / 7);
+  const start = utcDate(year, month, (week - 1) * 7 + 1);
+  const end = utcDate(year, month, Math.min(week * 7, utcDate(year, month + 1, 0).getUTCDate()));
+  // A one-day stub week (29 Feb) reads as that day, not "29-29".
+  const days =
+    start.getTime() === end.getTime() ? `${start.getUTCDate()}` : `${start.getUTCDate()}-${end.getUTCDate()}`;
+  return describeRange(`${year}-${pad(month + 1)}-W${week}`, `${days} ${MONTH_NAMES[month]} ${year}`, start, end);
+};
+
+const describeIsoWeek = (date) => {
+  const start = startOfWeek(date, 1);
+  const thursday = addDays(start, 3);
+  const weekYear = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - utcDate(weekYear, 0, 1)) / (7 * DAY_MS)) + 1;
+  const key = `${weekYear}-W${pad(week)}`;
+  return describeRange(key, key, start, addDays(start, 6));
+};
+
+const describeMillWeek = (date, weekStart) => {
+  const start = startOfWeek(date, weekStart);
+  return describeRange(`${toIsoDate(start)}-WK`, `Week of ${formatDay(start)}`, start, addDays(start, 6));
+};
+
+const describeFiscalWeek = (date, weekStart) => {
+  const start = startOfWeek(date, weekStart);
+  const end = addDays(start, 6);
+  const fiscalYear = fiscalYearOf(end);
+  const firstWeekStart = startOfWeek(utcDate(fiscalYear, FISCAL_YEAR_START_MONTH, 1), weekStart);
+  const week = pad(Math.round((start - firstWeekStart) / (7 * DAY_MS)) + 1);
+  return describeRange(
+    `${fiscalYearName(fiscalYear)}-W${week}`,
+    `${fiscalYearName(fiscalYear)} W${week}`,
+    start,
+    end
+  );
+};
+
+const describeMonth = (date) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return describeRange(
+    `${year}-${pad(month + 1)}`,
+    `${MONTH_NAMES[month]} ${year}`,
+    utcDate(year, month, 1),
+    utcDate(year, month + 1, 0)
+  );
+};
+
+const describeQuarter = (date, fiscal) => {
+  const year = fiscal ? fiscalYearOf(date) : date.getUTCFullYear();
+  const firstMonth = fiscal ? FISCAL_YEAR_START_MONTH : 0;
+  const quarter = Math.floor((((date.getUTCMonth() - firstMonth) + 12) % 12) / 3) + 1;
+  const start = utcDate(year, firstMonth + (quarter - 1) * 3, 1);
+  const end = utcDate(year, firstMonth + quarter * 3, 0);
+  return fiscal
+    ? describeRange(`${fiscalYearName(year)}-Q${quarter}`, `${fiscalYearName(year)} Q${quarter}`, start, end)
+    : describeRange(`${year}-Q${quarter}`, `Q${quarter} ${year}`, start, end);
+};
+
+const describeYear = (date, fiscal) => {
+  if (!fiscal) {
+    const year = date.getUTCFullYear();
+    return describeRange(`${year}`, `${year}`, utcDate(year, 0, 1), utcDate(year, 11, 31));
+  }
+  const fiscalYear = fiscalYearOf(date);
+  return describeRange(
+    fiscalYearName(fiscalYear),
+    fiscalYearName(fiscalYear),
+    utcDate(fiscalYear, FISCAL_YEAR_START_MONTH, 1),
+    utcDate(fiscalYear + 1, FISCAL_YEAR_START_MONTH, 0)
+  );
+};
+
+const WEEK_DESCRIBERS = {
+  gregorian: (date) => describeMonthBucketWeek(date),
+  iso: (date) => describeIsoWeek(date),
+  mill: (date, weekStart) => describeMillWeek(date, weekStart),
+  fiscal: (date, weekStart) => describeFiscalWeek(date, weekStart),
+};
+
+export const createCalendar = ({ type = "gregorian", weekStart = 1 } = {}) => {
+  if (!CALENDAR_TYPES.includes(type)) {
+    throw new Error(`Unknown calendar "${type}". Use one of ${CALENDAR_TYPES.join(", ")}.`);
+  }
+  if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+    throw new Error("weekStart must be a weekday number from 0 (Sunday) to 6 (Saturday).");
+  }
+
+  const fiscal = type === "fiscal";
+  const describers = {
+    weekly: (date) => WEEK_DESCRIBERS[type](date, weekStart),
+    monthly: describeMonth,
+    quarterly: (date) => describeQuarter(date, fiscal),
+    yearly: (date) => describeYear(date, fiscal),
+  };
+
+  return {
+    type,
+    weekStart,
+    // The period `value` falls in, or null for a missing or invalid date.
+    describe: (value, period) => {
+      const date = toUtcDay(value);
+      const describer = describers[period];
+      if (!date || !describer) return null;
+      return describer(date);
+    },
+  };
+};
+
+export const GREGORIAN_CALENDAR = createCalendar();
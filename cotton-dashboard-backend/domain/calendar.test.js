@@ -0,0 +1,125 @@
+import { GREGORIAN_CALENDAR, createCalendar, parseWeekday } from "./calendar.js";
+
+const keyOf = (calendar, date, period) => calendar.describe(date, period)?.key;
+
+describe("parseWeekday", () => {
+  it("reads names, abbreviations and numbers", () => {
+    expect(parseWeekday("Monday")).toBe(1);
+    expect(parseWeekday("sat")).toBe(6);
+    expect(parseWeekday("0")).toBe(0);
+  });
+
+  it("rejects anything else", () => {
+    expect(parseWeekday("7")).toBeNull();
+    expect(parseWeekday("mo")).toBeNull();
+    expect(parseWeekday("someday")).toBeNull();
+  });
+});
+
+describe("gregorian calendar", () => {
+  it("keeps the month day buckets as weeks", () => {
+    expect(GREGORIAN_CALENDAR.describe("2024-05-10", "weekly")).toEqual({
+      key: "2024-05-W2",
+      label: "8-14 May 2024",
+      start: "2024-05-08",
+      end: "2024-05-14",
+    });
+  });
+
+  it("ends the stub week on the last day of the month", () => {
+    expect(GREGORIAN_CALENDAR.describe("2024-05-30", "weekly")).toMatchObject({
+      key: "2024-05-W5",
+      label: "29-31 May 2024",
+      end: "2024-05-31",
+    });
+  });
+
+  it("labels a one-day stub week with that day alone", () => {
+    expect(GREGORIAN_CALENDAR.describe("2024-02-29", "weekly")).toMatchObject({
+      key: "2024-02-W5",
+      label: "29 Feb 2024",
+      start: "2024-02-29",
+      end: "2024-02-29",
+    });
+  });
+
+  it("uses calendar quarters and years", () => {
+    expect(keyOf(GREGORIAN_CALENDAR, "2024-05-10", "monthly")).toBe("2024-05");
+    expect(keyOf(GREGORIAN_CALENDAR, "2024-05-10", "quarterly")).toBe("2024-Q2");
+    expect(keyOf(GREGORIAN_CALENDAR, "2024-05-10", "yearly")).toBe("2024");
+  });
+
+  it("describes nothing for a missing date or unknown period", () => {
+    expect(GREGORIAN_CALENDAR.describe(null, "weekly")).toBeNull();
+    expect(GREGORIAN_CALENDAR.describe("2024-05-10", "daily")).toBeNull();
+  });
+});
+
+describe("iso calendar", () => {
+  const iso = createCalendar({ type: "iso" });
+
+  it("runs weeks Monday to Sunday across month ends", () => {
+    expect(iso.describe("2024-05-01", "weekly")).toEqual({
+      key: "2024-W18",
+      label: "2024-W18",
+      start: "2024-04-29",
+      end: "2024-05-05",
+    });
+  });
+
+  it("puts early January days in the previous year's last week when it holds their Thursday", () => {
+    expect(keyOf(iso, "2021-01-03", "weekly")).toBe("2020-W53");
+    expect(keyOf(iso, "2024-12-30", "weekly")).toBe("2025-W01");
+  });
+});
+
+describe("mill calendar", () => {
+  it("starts weeks on the configured weekday", () => {
+    const mill = createCalendar({ type: "mill", weekStart: 4 });
+
+    expect(mill.describe("2024-05-01", "weekly")).toEqual({
+      key: "2024-04-25-WK",
+      label: "Week of 25 Apr 2024",
+      start: "2024-04-25",
+      end: "2024-05-01",
+    });
+    expect(keyOf(mill, "2024-05-02", "weekly")).toBe("2024-05-02-WK");
+  });
+});
+
+describe("fiscal calendar", () => {
+  const fiscal = createCalendar({ type: "fiscal", weekStart: 1 });
+
+  it("runs years and quarters from April to March", () => {
+    expect(fiscal.describe("2025-02-14", "yearly")).toEqual({
+      key: "FY2024-25",
+      label: "FY2024-25",
+      start: "2024-04-01",
+      end: "2025-03-31",
+    });
+    expect(keyOf(fiscal, "2024-04-01", "quarterly")).toBe("FY2024-25-Q1");
+    expect(fiscal.describe("2025-01-15", "quarterly")).toMatchObject({
+      key: "FY2024-25-Q4",
+      start: "2025-01-01",
+      end: "2025-03-31",
+    });
+  });
+
+  it("numbers weeks from the one holding 1 April", () => {
+    // 1 April 2025 is a Tuesday, so week 1 starts on Monday 31 March.
+    expect(fiscal.describe("2025-03-31", "weekly")).toMatchObject({ key: "FY2025-26-W01", start: "2025-03-31" });
+    expect(keyOf(fiscal, "2025-03-30", "weekly")).toBe("FY2024-25-W52");
+    expect(keyOf(fiscal, "2025-04-08", "weekly")).toBe("FY2025-26-W02");
+  });
+
+  it("keeps calendar months", () => {
+    expect(fiscal.describe("2025-01-15", "monthly")).toMatchObject({ key: "2025-01", label: "Jan 2025" });
+  });
+});
+
+describe("createCalendar", () => {
+  it("rejects unknown calendars and weekdays", () => {
+    expect(() => createCalendar({ type: "lunar" })).toThrow(/Unknown calendar/);
+    expect(() => createCalendar({ type: "mill", weekStart: 7 })).toThrow(/weekStart/);
+  });
+});
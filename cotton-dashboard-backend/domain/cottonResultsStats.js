@@ -0,0 +1,237 @@
+// Lot result aggregates behind the cotton results dashboard and the weekly /
+// monthly results summary, computed from lot_results rows that enrichWithCotton
+// has already tagged with cotton and cotton_year.
+
+import { CALENDAR_PERIODS, GREGORIAN_CALENDAR } from "./calendar.js";
+
+// Parameters the dashboard cards and its minimum-value filter work with.
+export const RESULT_STATS_PARAMETERS = [
+  "moist",
+  "mic",
+  "uhml",
+  "ui",
+  "sf",
+  "str",
+  "elong",
+  "rd",
+  "plus_b",
+  "trash",
+  "mat",
+  "c_grade",
+  "min_mic",
+  "min_mic_bale_per_lot",
+];
+
+export const UNSPECIFIED_GROUP = "Unspecified";
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || `${value}`.trim() === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const roundTo = (value, digits = 2) => Number(value.toFixed(digits));
+
+// lot_received_date is a plain date, which Date parses as UTC midnight.
+const toReceivedYear = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : `${date.getUTCFullYear()}`;
+};
+
+const toGroupKey = (value) => {
+  if (value === null || value === undefined || `${value}`.trim() === "") {
+    return UNSPECIFIED_GROUP;
+  }
+  return `${value}`.trim();
+};
+
+export const extractReceivedYears = (rows = []) =>
+  [...new Set(rows.map((row) => toReceivedYear(row?.lot_received_date)).filter(Boolean))].sort(
+    (a, b) => Number(b) - Number(a)
+  );
+
+// A lot meets the filter when its value is at least `minimum`; lots without a
+// value never do. Without a parameter every lot matches.
+export const createMinimumFilter = (parameter, minimum) => {
+  const threshold = toNumber(minimum);
+  if (!parameter || threshold === null) {
+    return null;
+  }
+  return (row) => {
+    const value = toNumber(row?.[parameter]);
+    return value !== null && value >= threshold;
+  };
+};
+
+const createParameterAccumulator = () => ({ lots: 0, weightedSum: 0, weight: 0, min: null, max: null });
+
+const addToAccumulator = (accumulator, value, bales) => {
+  accumulator.lots += 1;
+  if (bales > 0) {
+    accumulator.weightedSum += value * bales;
+    accumulator.weight += bales;
+  }
+  accumulator.min = accumulator.min === null ? value : Math.min(accumulator.min, value);
+  accumulator.max = accumulator.max === null ? value : Math.max(accumulator.max, value);
+};
+
+// Means are weighted by no_of_bale, so lots without a bale count only widen the min/max.
+const finalizeAccumulator = ({ lots, weightedSum, weight, min, max }) => ({
+  lots,
+  mean: weight > 0 ? roundTo(weightedSum / weight) : null,
+  min,
+  max,
+});
+
+export const buildCottonYearStats = (rows = [], { parameter, minimum } = {}) => {
+  const matchesFilter = createMinimumFilter(parameter, minimum);
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const key = toGroupKey(row?.cotton_year);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        cotton_year: key,
+        lots: 0,
+        bales: 0,
+        matches: 0,
+        accumulators: Object.fromEntries(
+          RESULT_STATS_PARAMETERS.map((name) => [name, createParameterAccumulator()])
+        ),
+      });
+    }
+
+    const group = groups.get(key);
+    const bales = toNumber(row?.no_of_bale) ?? 0;
+    group.lots += 1;
+    group.bales += bales;
+    if (matchesFilter?.(row)) {
+      group.matches += 1;
+    }
+
+    RESULT_STATS_PARAMETERS.forEach((name) => {
+      const value = toNumber(row?.[name]);
+      if (value !== null) {
+        addToAccumulator(group.accumulators[name], value, bales);
+      }
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ accumulators, matches, ...group }) => ({
+      ...group,
+      ...(matchesFilter ? { matches } : {}),
+      parameters: Object.fromEntries(
+        Object.entries(accumulators).map(([name, accumulator]) => [name, finalizeAccumulator(accumulator)])
+      ),
+    }))
+    .sort((a, b) => a.cotton_year.localeCompare(b.cotton_year, undefined, { sensitivity: "base" }));
+};
+
+// HVI columns of the weekly / monthly results summary, each reported as a
+// no_of_bale weighted mean with its weighted standard deviation and CV%.
+export const SUMMARY_PARAMETERS = [
+  "uhml",
+  "mic",
+  "str",
+  "rd",
+  "plus_b",
+  "sf",
+  "ui",
+  "elong",
+  "trash",
+  "moist",
+  "min_mic",
+];
+
+// Optional second grouping next to variety.
+export const SUMMARY_GROUPINGS = ["party_name", "station"];
+
+export const SUMMARY_REPORT_TYPES = CALENDAR_PERIODS;
+
+const createMomentAccumulator = () => ({ weight: 0, weightedSum: 0, weightedSquares: 0 });
+
+// Bales are the weights: a 200-bale lot counts twice as much as a 100-bale one,
+// and lots without a bale count drop out of the statistics.
+const finalizeMoments = ({ weight, weightedSum, weightedSquares }) => {
+  if (weight <= 0) {
+    return { mean: null, sd: null, cv: null };
+  }
+  const mean = weightedSum / weight;
+  const sd = Math.sqrt(Math.max(0, weightedSquares / weight - mean * mean));
+  return {
+    mean: roundTo(mean),
+    sd: roundTo(sd),
+    cv: mean === 0 ? null : roundTo((sd / Math.abs(mean)) * 100),
+  };
+};
+
+// One row per period of `calendar` and variety (and party or station with
+// `groupBy`), oldest period first. Each parameter contributes `<key>`, `<key>_sd`
+// and `<key>_cv`.
+export const buildResultsSummary = (
+  rows = [],
+  { reportType = "monthly", groupBy = null, calendar = GREGORIAN_CALENDAR } = {}
+) => {
+  const groupKeys = ["variety", ...(groupBy ? [groupBy] : [])];
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const period = calendar.describe(row?.lot_received_date, reportType);
+    if (!period) return;
+
+    const groupValues = groupKeys.map((key) => toGroupKey(row[key]));
+    const mapKey = [period.start, ...groupValues].join("|");
+
+    if (!groups.has(mapKey)) {
+      groups.set(mapKey, {
+        period_key: period.key,
+        period_label: period.label,
+        period_start: period.start,
+        period_end: period.end,
+        ...Object.fromEntries(groupKeys.map((key, index) => [key, groupValues[index]])),
+        lots: 0,
+        no_of_bale: 0,
+        moments: Object.fromEntries(SUMMARY_PARAMETERS.map((key) => [key, createMomentAccumulator()])),
+      });
+    }
+
+    const group = groups.get(mapKey);
+    const bales = toNumber(row.no_of_bale) ?? 0;
+    group.lots += 1;
+    group.no_of_bale += bales;
+    if (bales <= 0) return;
+
+    SUMMARY_PARAMETERS.forEach((key) => {
+      const value = toNumber(row[key]);
+      if (value === null) return;
+      const moments = group.moments[key];
+      moments.weight += bales;
+      moments.weightedSum += value * bales;
+      moments.weightedSquares += value * value * bales;
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ moments, ...group }) => {
+      const summaryRow = { ...group };
+      SUMMARY_PARAMETERS.forEach((key) => {
+        const { mean, sd, cv } = finalizeMoments(moments[key]);
+        summaryRow[key] = mean;
+        summaryRow[`${key}_sd`] = sd;
+        summaryRow[`${key}_cv`] = cv;
+      });
+      return summaryRow;
+    })
+    .sort(
+      (a, b) =>
+        a.period_start.localeCompare(b.period_start) ||
+        groupKeys.reduce(
+          (result, key) => result || a[key].localeCompare(b[key], undefined, { sensitivity: "base" }),
+          0
+        )
+    );
+};
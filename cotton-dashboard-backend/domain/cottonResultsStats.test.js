@@ -0,0 +1,142 @@
+import { createCalendar } from "./calendar.js";
+import { buildCottonYearStats, buildResultsSummary, extractReceivedYears } from "./cottonResultsStats.js";
+
+const lot = (lotNo, cottonYear, noOfBale, values = {}) => ({
+  lot_no: lotNo,
+  cotton_year: cottonYear,
+  no_of_bale: noOfBale,
+  lot_received_date: "2024-05-01",
+  ...values,
+});
+
+describe("extractReceivedYears", () => {
+  it("lists each received year once, newest first", () => {
+    const rows = [
+      { lot_received_date: "2023-12-31" },
+      { lot_received_date: "2024-01-01" },
+      { lot_received_date: "2023-04-10" },
+      { lot_received_date: null },
+      { lot_received_date: "not a date" },
+    ];
+
+    expect(extractReceivedYears(rows)).toEqual(["2024", "2023"]);
+  });
+});
+
+describe("buildCottonYearStats", () => {
+  const rows = [
+    lot("L1", "2023-24", 100, { mic: 4.0, str: 30 }),
+    lot("L2", "2023-24", 50, { mic: 4.6, str: 28 }),
+    lot("L3", "2024-25", 80, { mic: 3.8, str: "" }),
+    lot("L4", null, 20, { mic: 4.2 }),
+  ];
+
+  const stats = buildCottonYearStats(rows);
+  const findGroup = (cottonYear) => stats.find((group) => group.cotton_year === cottonYear);
+
+  it("groups lots by cotton year, with blank years as Unspecified", () => {
+    expect(stats.map(({ cotton_year, lots, bales }) => [cotton_year, lots, bales])).toEqual([
+      ["2023-24", 2, 150],
+      ["2024-25", 1, 80],
+      ["Unspecified", 1, 20],
+    ]);
+  });
+
+  it("weights means by bales and keeps the lot range", () => {
+    expect(findGroup("2023-24").parameters.mic).toEqual({ lots: 2, mean: 4.2, min: 4.0, max: 4.6 });
+    expect(findGroup("2023-24").parameters.str).toEqual({ lots: 2, mean: 29.33, min: 28, max: 30 });
+  });
+
+  it("reports no mean for a parameter no lot has", () => {
+    expect(findGroup("2024-25").parameters.str).toEqual({ lots: 0, mean: null, min: null, max: null });
+  });
+
+  it("leaves lots without a bale count out of the mean only", () => {
+    const [group] = buildCottonYearStats([
+      lot("L1", "2023-24", 10, { mic: 4 }),
+      lot("L2", "2023-24", null, { mic: 5 }),
+    ]);
+
+    expect(group.bales).toBe(10);
+    expect(group.parameters.mic).toEqual({ lots: 2, mean: 4, min: 4, max: 5 });
+  });
+
+  it("counts lots at or above a minimum value", () => {
+    const filtered = buildCottonYearStats(rows, { parameter: "mic", minimum: "4.2" });
+
+    expect(filtered.map(({ cotton_year, matches }) => [cotton_year, matches])).toEqual([
+      ["2023-24", 1],
+      ["2024-25", 0],
+      ["Unspecified", 1],
+    ]);
+  });
+
+  it("omits match counts without a complete filter", () => {
+    expect(buildCottonYearStats(rows, { parameter: "mic", minimum: "" })[0]).not.toHaveProperty("matches");
+  });
+});
+
+describe("buildResultsSummary", () => {
+  const received = (lotNo, date, variety, noOfBale, values = {}) => ({
+    lot_no: lotNo,
+    lot_received_date: date,
+    variety,
+    no_of_bale: noOfBale,
+    party_name: "P1",
+    ...values,
+  });
+
+  const rows = [
+    received("L1", "2024-05-03", "DCH", 100, { mic: 4.0, uhml: 29 }),
+    received("L2", "2024-05-06", "DCH", 300, { mic: 4.4, uhml: null }),
+    received("L3", "2024-05-09", "DCH", 50, { mic: 3.8 }),
+    received("L4", "2024-04-30", "MCU", 80, { mic: 4.5, party_name: "" }),
+    received("L5", "2024-05-31", "DCH", 0, { mic: 9.9 }),
+  ];
+
+  it("groups weeks by the day buckets of each month, oldest first", () => {
+    const weekly = buildResultsSummary(rows, { reportType: "weekly" });
+
+    expect(weekly.map((row) => [row.period_label, row.period_start, row.variety, row.lots])).toEqual([
+      ["29-30 Apr 2024", "2024-04-29", "MCU", 1],
+      ["1-7 May 2024", "2024-05-01", "DCH", 2],
+      ["8-14 May 2024", "2024-05-08", "DCH", 1],
+      ["29-31 May 2024", "2024-05-29", "DCH", 1],
+    ]);
+  });
+
+  it("weights the mean, standard deviation and CV by bales", () => {
+    const [, firstWeek] = buildResultsSummary(rows, { reportType: "weekly" });
+
+    expect(firstWeek).toMatchObject({ no_of_bale: 400, mic: 4.3, mic_sd: 0.17, mic_cv: 4.03 });
+  });
+
+  it("leaves lots without a value or bales out of that parameter", () => {
+    const monthly = buildResultsSummary(rows, { reportType: "monthly" });
+    const may = monthly.find((row) => row.period_label === "May 2024");
+
+    expect(may).toMatchObject({ lots: 4, no_of_bale: 450, uhml: 29, uhml_sd: 0, uhml_cv: 0 });
+    expect(may.mic).toBe(4.24);
+    expect(monthly.find((row) => row.variety === "MCU")).toMatchObject({ str: null, str_sd: null, str_cv: null });
+  });
+
+  it("follows the requested calendar", () => {
+    const weekly = buildResultsSummary(rows, { reportType: "weekly", calendar: createCalendar({ type: "iso" }) });
+
+    expect(weekly.map((row) => [row.period_key, row.variety, row.lots])).toEqual([
+      ["2024-W18", "DCH", 1],
+      ["2024-W18", "MCU", 1],
+      ["2024-W19", "DCH", 2],
+      ["2024-W22", "DCH", 1],
+    ]);
+  });
+
+  it("splits each variety by party when asked", () => {
+    const byParty = buildResultsSummary(rows, { reportType: "monthly", groupBy: "party_name" });
+
+    expect(byParty.map((row) => [row.period_label, row.variety, row.party_name])).toEqual([
+      ["Apr 2024", "MCU", "Unspecified"],
+      ["May 2024", "DCH", "P1"],
+    ]);
+  });
+});
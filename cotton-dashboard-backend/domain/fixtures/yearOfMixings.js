@@ -0,0 +1,83 @@
+// Synthetic mill data for benchmarking the summary: every line of every unit
+// issues `mixingsPerDay` mixings a day, each drawing `lotsPerMixing` lots from
+// a rolling window of the lot stock. Seeded, so every run builds the same rows.
+
+const VARIETIES = ["DCH-32", "MCU-5", "SUVIN", "S-6", "BUNNY", "J-34"];
+const COTTON_NAMES = ["DCH", "MCU", "SUVIN", "S6", "BUNNY", "J34"];
+
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+export const buildYearOfMixings = ({
+  days = 365,
+  units = ["5", "6"],
+  lines = ["1", "2", "3", "4"],
+  mixingsPerDay = 2,
+  lotsPerMixing = 12,
+  lotCount = 3000,
+  seed = 1,
+} = {}) => {
+  const random = createRandom(seed);
+  const start = Date.UTC(2024, 3, 1);
+
+  const lotRows = Array.from({ length: lotCount }, (_, index) => ({
+    lot_no: `LOT${String(index + 1).padStart(5, "0")}`,
+    variety: VARIETIES[index % VARIETIES.length],
+    mic: +(3.4 + random() * 1.4).toFixed(2),
+    str: +(27 + random() * 5).toFixed(1),
+    uhml: +(27 + random() * 4).toFixed(1),
+    rd: +(72 + random() * 8).toFixed(1),
+    plus_b: +(7 + random() * 3).toFixed(1),
+    sf: +(6 + random() * 4).toFixed(1),
+    ui: +(80 + random() * 5).toFixed(1),
+    elong: +(5 + random() * 2).toFixed(1),
+    trash: +(1 + random() * 3).toFixed(1),
+    moist: +(6 + random() * 2).toFixed(1),
+    no_of_bale: 100,
+    min_mic_bale_per_lot: Math.floor(random() * 10),
+    min_mic: +(3 + random() * 0.6).toFixed(2),
+  }));
+
+  const mixingCodes = VARIETIES.map((variety, index) => ({
+    variety,
+    cotton_name: COTTON_NAMES[index],
+    weight: 1 + (index % 3),
+  }));
+
+  const issueRows = [];
+  const chartRows = [];
+  let mixingNo = 0;
+
+  for (let day = 0; day < days; day++) {
+    const issueDate = new Date(start + day * 86400000).toISOString().split("T")[0];
+    const windowStart = Math.floor((day / days) * (lotCount - lotsPerMixing * (lines.length + 1)));
+
+    units.forEach((unit) => {
+      lines.forEach((line, lineIndex) => {
+        const cotton = `24_${unit}${line}_V${1 + Math.floor(day / 90)}`;
+        for (let run = 0; run < mixingsPerDay; run++) {
+          mixingNo += 1;
+          issueRows.push({ unit, line, mixing_no: `${mixingNo}`, cotton, issue_date: issueDate });
+          for (let slot = 0; slot < lotsPerMixing; slot++) {
+            const lot = lotRows[windowStart + lineIndex * lotsPerMixing + Math.floor(random() * lotsPerMixing * 2)];
+            chartRows.push({
+              unit,
+              line,
+              mixing_no: `${mixingNo}`,
+              cotton,
+              lot_no: lot.lot_no,
+              issue_bale: 2 + Math.floor(random() * 8),
+            });
+          }
+        }
+      });
+    });
+  }
+
+  return { issueRows, chartRows, lotRows, mixingCodes };
+};
@@ -0,0 +1,40 @@
+// Times the summary over growing spans of synthetic mill data:
+//   npm run bench
+// With indexed lookups the time per mixing should stay flat as the span grows.
+// To measure a change, run it on the commit before and after.
+import { buildDailySummary, buildPeriodSummary } from "./mixingSummary.js";
+import { buildYearOfMixings } from "./fixtures/yearOfMixings.js";
+
+const SPANS = [
+  { label: "1 month", days: 30 },
+  { label: "3 months", days: 91 },
+  { label: "1 year", days: 365 },
+];
+
+const REPORTS = [
+  { reportType: "daily", run: (input) => buildDailySummary(input) },
+  { reportType: "weekly", run: (input) => buildPeriodSummary({ ...input, reportType: "weekly" }) },
+  { reportType: "monthly", run: (input) => buildPeriodSummary({ ...input, reportType: "monthly" }) },
+];
+
+const time = (run) => {
+  const startedAt = process.hrtime.bigint();
+  const result = run();
+  return { ms: Number(process.hrtime.bigint() - startedAt) / 1e6, result };
+};
+
+for (const { label, days } of SPANS) {
+  const input = buildYearOfMixings({ days });
+  console.log(
+    `${label}: ${input.issueRows.length} mixings, ${input.chartRows.length} chart rows, ${input.lotRows.length} lots`
+  );
+
+  for (const { reportType, run } of REPORTS) {
+    run(input);
+    const { ms, result } = time(() => run(input));
+    const perMixing = ((ms / input.issueRows.length) * 1000).toFixed(1);
+    console.log(
+      `  ${reportType.padEnd(8)} ${ms.toFixed(1).padStart(9)} ms  ${perMixing} µs/mixing  ${result.length} rows`
+    );
+  }
+}
@@ -0,0 +1,848 @@
+// Mixing summary computation behind /api/cotton-mixing-summary, free of Express
+// and Supabase so the report numbers can be tested and reused. Every function
+// takes plain rows as stored in the database:
+//   issueRows  - mixing_issue { unit, line, mixing_no, cotton, issue_date }
+//   chartRows  - mixing_chart { unit, line, mixing_no, cotton, lot_no, issue_bale }
+//   lotRows    - lot_results (HVI columns, variety, no_of_bale, min_mic, ...)
+//   mixingCodes - mixing_code { variety, cotton_name, weight }
+
+import { CALENDAR_PERIODS, GREGORIAN_CALENDAR } from "./calendar.js";
+
+// HVI columns averaged by bales issued in the mixing summary and the planner.
+export const WEIGHTED_QUALITY_FIELDS = ["mic", "str", "uhml", "rd", "plus_b", "sf", "ui", "elong", "trash", "moist"];
+
+// Labels of the original report periods; weeks are the 1-7, 8-14, ... day
+// buckets of each month. The analysis comparison still groups by these.
+export const PERIOD_FORMATTERS = {
+  daily: (issueDate) => {
+    if (!issueDate) return null;
+    const date = new Date(issueDate);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split("T")[0];
+  },
+  weekly: (issueDate) => GREGORIAN_CALENDAR.describe(issueDate, "weekly")?.key ?? null,
+  monthly: (issueDate) => GREGORIAN_CALENDAR.describe(issueDate, "monthly")?.key ?? null,
+};
+
+export const MIXING_SUMMARY_REPORT_TYPES = ["daily", ...CALENDAR_PERIODS];
+
+// `label` is the period key reported as issue_date, `displayLabel` its readable
+// form; periods sort by their first day.
+export const buildPeriodDescriptor = (issueDate, reportType, calendar = GREGORIAN_CALENDAR) => {
+  if (reportType !== "daily" && CALENDAR_PERIODS.includes(reportType)) {
+    const period = calendar.describe(issueDate, reportType);
+    if (!period) {
+      return { label: null, displayLabel: null, sortKey: null, sortValue: null };
+    }
+    return {
+      label: period.key,
+      displayLabel: period.label,
+      sortKey: period.start,
+      sortValue: Date.parse(period.start),
+    };
+  }
+
+  const label = PERIOD_FORMATTERS.daily(issueDate);
+  if (!label) {
+    return { label: null, displayLabel: null, sortKey: null, sortValue: null };
+  }
+  const timestamp = new Date(label).getTime();
+  return {
+    label,
+    displayLabel: label,
+    sortKey: label,
+    sortValue: Number.isNaN(timestamp) ? null : timestamp,
+  };
+};
+
+// Case-insensitive cotton name order; one collator instead of one per comparison.
+const compareCottonNames = new Intl.Collator(undefined, { sensitivity: "base" }).compare;
+
+export const normalizeMixingSignature = (value) => {
+  if (value === undefined || value === null) return "";
+  const raw = `${value}`.trim();
+  if (!raw) return "";
+
+  const parts = raw
+    .split("+")
+    .map((part) => part.trim())
+    .filter((part) => part !== "");
+
+  if (parts.length === 0) {
+    return "";
+  }
+
+  if (parts.length === 1) {
+    return parts[0];
+  }
+
+  const sortedParts = [...parts].sort(compareCottonNames);
+  return sortedParts.join("+");
+};
+
+export const parseCottonVersion = (cottonVersionValue) => {
+  if (!cottonVersionValue) {
+    return {
+      groupKey: "__NO_VERSION__",
+      versionNumber: null,
+      raw: null,
+    };
+  }
+
+  const trimmed = String(cottonVersionValue).trim().toUpperCase();
+  if (!trimmed) {
+    return {
+      groupKey: "__NO_VERSION__",
+      versionNumber: null,
+      raw: null,
+    };
+  }
+
+  // Match YY_UL_VN format, e.g., 25_31_V1
+  const match = trimmed.match(/^(\d{2})_(\d{2})_V(\d+)$/);
+  if (match) {
+    const yy = match[1];
+    const ul = match[2];
+    const vn = parseInt(match[3], 10);
+    const versionNumber = Number.isNaN(vn) ? null : vn;
+    return {
+      groupKey: `${yy}_${ul}`,
+      versionNumber,
+      raw: trimmed,
+    };
+  }
+
+  // Fallback to old format if not matching new
+  const versionMatch = trimmed.match(/(.*?)(?:[\s\-_\/]*(V\d+))$/i);
+  if (versionMatch && versionMatch[2]) {
+    const baseRaw = versionMatch[1] ?? trimmed;
+    const base = baseRaw.replace(/[\s\-_\/]+$/g, "").trim();
+    const normalizedBase = base ? base : trimmed.replace(/[\s\-_\/]*(V\d+)$/i, "").trim();
+    const versionLabel = versionMatch[2].toUpperCase();
+    const digitsMatch = versionLabel.match(/\d+/);
+    const versionNumber = digitsMatch ? parseInt(digitsMatch[0], 10) : null;
+
+    return {
+      groupKey: normalizedBase || trimmed,
+      versionNumber: Number.isNaN(versionNumber) ? null : versionNumber,
+      raw: trimmed,
+    };
+  }
+
+  return { groupKey: trimmed, versionNumber: null, raw: trimmed };
+};
+
+// Bale-weighted quality of a set of { lot_no, issue_bale } rows. Bales whose lot
+// has no result still count toward the total, exactly as the summary reports them.
+export const computeWeightedQuality = (rows, findLot) => {
+  const totalBales = rows.reduce((sum, r) => sum + Number(r.issue_bale || 0), 0);
+  const quality = {
+    ...Object.fromEntries(WEIGHTED_QUALITY_FIELDS.map((key) => [key, 0])),
+    min_mic: null,
+    min_mic_percent: null,
+  };
+  const lotBalesMap = {};
+  let weightedMinMicNumerator = 0;
+  const minMicValues = [];
+
+  for (const mixRow of rows) {
+    const lot = findLot(mixRow.lot_no);
+    if (!lot) continue;
+
+    const bales = Number(mixRow.issue_bale || 0);
+    const lotKey = mixRow.lot_no;
+
+    if (lotKey) {
+      lotBalesMap[lotKey] = (lotBalesMap[lotKey] || 0) + bales;
+    }
+
+    for (const key of WEIGHTED_QUALITY_FIELDS) {
+      quality[key] += (Number(lot[key]) || 0) * bales;
+    }
+
+    const lotMinMicBales = Number(lot.min_mic_bale_per_lot);
+    const lotTotalBales = Number(lot.no_of_bale);
+    if (
+      lot.min_mic_bale_per_lot !== null &&
+      lot.min_mic_bale_per_lot !== undefined &&
+      lot.min_mic_bale_per_lot !== "" &&
+      !Number.isNaN(lotMinMicBales) &&
+      lotTotalBales > 0
+    ) {
+      const lotMinMicPercent = (lotMinMicBales * 100) / lotTotalBales;
+      weightedMinMicNumerator += bales * lotMinMicPercent;
+    }
+
+    if (lot.min_mic !== null && lot.min_mic !== undefined && lot.min_mic !== "") {
+      const num = Number(lot.min_mic);
+      if (!Number.isNaN(num)) minMicValues.push(num);
+    }
+  }
+
+  if (totalBales > 0) {
+    for (const key of WEIGHTED_QUALITY_FIELDS) {
+      quality[key] = +(quality[key] / totalBales).toFixed(2);
+    }
+    quality.min_mic_percent = +(weightedMinMicNumerator / totalBales).toFixed(2);
+  } else {
+    quality.min_mic_percent = 0;
+  }
+
+  if (minMicValues.length > 0) {
+    quality.min_mic = Math.min(...minMicValues).toFixed(2);
+  }
+
+  return { totalBales, quality, lotBalesMap };
+};
+
+// Lookups built once per summary so each mixing costs a few Map reads instead
+// of scans over every lot and chart row.
+const indexLots = (lotRows) => {
+  const lotsByNo = new Map();
+  lotRows.forEach((lot) => {
+    if (!lotsByNo.has(lot.lot_no)) lotsByNo.set(lot.lot_no, []);
+    lotsByNo.get(lot.lot_no).push(lot);
+  });
+  return lotsByNo;
+};
+
+// Like Array#find: the first lot_results row of a lot wins.
+const createLotFinder = (lotsByNo) => (lotNo) => lotsByNo.get(lotNo)?.[0];
+
+// The summary's lot lookup for callers outside it (the mixing simulation), so a
+// duplicated lot_no resolves to the same row everywhere.
+export const buildLotFinder = (lotRows = []) => createLotFinder(indexLots(lotRows));
+
+const indexMixingCodes = (mixingCodes) => {
+  const codesByVariety = new Map();
+  mixingCodes.forEach((mc, position) => {
+    if (!codesByVariety.has(mc.variety)) codesByVariety.set(mc.variety, []);
+    codesByVariety.get(mc.variety).push({ mc, position });
+  });
+  return codesByVariety;
+};
+
+// The mixing_code rows for the varieties of the lots in `rows`, in fetch order,
+// or null when none of the lots has a variety.
+const selectMixingCodesForRows = (rows, lotsByNo, codesByVariety) => {
+  const varieties = new Set();
+  new Set(rows.map((r) => r.lot_no)).forEach((lotNo) => {
+    (lotsByNo.get(lotNo) ?? []).forEach((lot) => {
+      if (lot.variety) varieties.add(lot.variety);
+    });
+  });
+  if (varieties.size === 0) return null;
+
+  return [...varieties]
+    .flatMap((variety) => codesByVariety.get(variety) ?? [])
+    .sort((a, b) => a.position - b.position)
+    .map(({ mc }) => mc);
+};
+
+const buildVarietyMap = (mixingCodeData) => {
+  const varietyMap = {};
+  mixingCodeData.forEach((mc) => {
+    if (mc.variety && mc.cotton_name) {
+      varietyMap[mc.variety] = {
+        cotton_name: mc.cotton_name,
+        weight: Number(mc.weight) || 0,
+      };
+    }
+  });
+  return varietyMap;
+};
+
+// mixing / blend_percent of the daily summary: each cotton's share of
+// issue_bale × mixing_code.weight over the rows, rounded to whole percents.
+// Returns null when mixing_code has nothing for the lots' varieties.
+export const buildDailyBlend = (rows, findLot, mixingCodeData) => {
+  if (!mixingCodeData || mixingCodeData.length === 0) return null;
+
+  const varietyMap = buildVarietyMap(mixingCodeData);
+  const cottonContributions = {};
+  let totalWeightedSum = 0;
+
+  for (const mixRow of rows) {
+    const lot = findLot(mixRow.lot_no);
+    if (!lot || !lot.variety) continue;
+
+    const varietyInfo = varietyMap[lot.variety];
+    if (!varietyInfo) continue;
+
+    const weightedValue = (Number(mixRow.issue_bale) || 0) * varietyInfo.weight;
+    cottonContributions[varietyInfo.cotton_name] = (cottonContributions[varietyInfo.cotton_name] || 0) + weightedValue;
+    totalWeightedSum += weightedValue;
+  }
+
+  let cottonNames = Object.keys(cottonContributions)
+    .filter((name) => cottonContributions[name] > 0)
+    .sort(compareCottonNames);
+
+  if (cottonNames.length === 0) {
+    cottonNames = [...new Set(mixingCodeData.map((mc) => mc.cotton_name).filter((name) => name))].sort(
+      compareCottonNames
+    );
+  }
+
+  const blendPercentages = cottonNames.map((cottonName) =>
+    totalWeightedSum > 0 && cottonContributions[cottonName]
+      ? Math.round((cottonContributions[cottonName] / totalWeightedSum) * 100)
+      : 0
+  );
+
+  return { mixing: cottonNames.join("+"), blend_percent: blendPercentages.join("+") };
+};
+
+// Weekly / monthly blend: up to three "COTTON 62.5%" shares, largest first, as
+// a fraction of the weighted contributions. Null when no bale has a weight.
+export const buildPeriodBlend = (rows, findLot, mixingCodeData) => {
+  if (!mixingCodeData || mixingCodeData.length === 0) return null;
+
+  const varietyMap = buildVarietyMap(mixingCodeData);
+  const cottonContributions = {};
+  let totalIssuedBales = 0;
+
+  for (const mixRow of rows) {
+    const lot = findLot(mixRow.lot_no);
+    if (!lot || !lot.variety) continue;
+
+    const varietyInfo = varietyMap[lot.variety];
+    if (!varietyInfo) continue;
+
+    const issueBale = Number(mixRow.issue_bale) || 0;
+    totalIssuedBales += issueBale;
+
+    const cottonName = varietyInfo.cotton_name;
+    cottonContributions[cottonName] = (cottonContributions[cottonName] || 0) + issueBale * varietyInfo.weight;
+  }
+
+  if (totalIssuedBales <= 0) return null;
+
+  const normalizedContributions = Object.entries(cottonContributions)
+    .map(([cottonName, value]) => ({ cottonName, value }))
+    .sort((a, b) => b.value - a.value);
+
+  const totalValue = normalizedContributions.reduce((sum, item) => sum + item.value, 0);
+
+  const contributionStrings = normalizedContributions
+    .map(({ cottonName, value }) => {
+      const percentage = totalValue > 0 ? ((value / totalValue) * 100).toFixed(1) : "0.0";
+      return `${cottonName} ${percentage}%`;
+    })
+    .slice(0, 3);
+
+  return {
+    mixing: normalizeMixingSignature(normalizedContributions.map(({ cottonName }) => cottonName).join("+")),
+    blend_percent: contributionStrings.join(", "),
+  };
+};
+
+// Order of the mixings of one unit / line / cotton group in the summary:
+// issue date, then cotton version, then highest mixing number; unknowns last.
+export const compareDailyContinuity = (a, b) => {
+  if (a.issueTimestamp !== b.issueTimestamp) {
+    if (a.issueTimestamp === null) return 1;
+    if (b.issueTimestamp === null) return -1;
+    return a.issueTimestamp - b.issueTimestamp;
+  }
+
+  const versionA = a.entry._versionNumber ?? Number.MAX_SAFE_INTEGER;
+  const versionB = b.entry._versionNumber ?? Number.MAX_SAFE_INTEGER;
+  if (versionA !== versionB) {
+    return versionA - versionB;
+  }
+
+  const mixingSpanA = a.maxMixNo ?? Number.MAX_SAFE_INTEGER;
+  const mixingSpanB = b.maxMixNo ?? Number.MAX_SAFE_INTEGER;
+  if (mixingSpanA !== mixingSpanB) {
+    return mixingSpanA - mixingSpanB;
+  }
+
+  return 0;
+};
+
+// Bale and lot change-over of a mixing against the one before it, from the
+// per-lot bale maps and totals of two summary entries.
+export const computeChangeOver = (previous, entry) => {
+  const previousLotMap = previous._lotBalesMap || {};
+  const currentLotMap = entry._lotBalesMap || {};
+  const lotSet = new Set([...Object.keys(previousLotMap), ...Object.keys(currentLotMap)]);
+
+  let absoluteDifferenceSum = 0;
+  let newLotCount = 0;
+  let removedLotCount = 0;
+
+  lotSet.forEach((lotNo) => {
+    const prevBales = Number(previousLotMap[lotNo] || 0);
+    const currentBales = Number(currentLotMap[lotNo] || 0);
+    absoluteDifferenceSum += Math.abs(currentBales - prevBales);
+
+    if (prevBales === 0 && currentBales > 0) newLotCount += 1;
+    if (currentBales === 0 && prevBales > 0) removedLotCount += 1;
+  });
+
+  const previousTotalBales = Number(previous.total_bales) || 0;
+  const previousLotCount = Number(previous.no_of_lots) || 0;
+
+  return {
+    bale_change_over_percent:
+      previousTotalBales > 0 ? parseFloat(((absoluteDifferenceSum / previousTotalBales) * 100).toFixed(2)) : null,
+    lot_change_over_percent:
+      previousLotCount > 0
+        ? parseFloat((((newLotCount + removedLotCount) / previousLotCount) * 100).toFixed(2))
+        : null,
+  };
+};
+
+// Walks each unit / line / cotton group in continuity order and fills the
+// change-over against the preceding entry. The predecessor needs a cotton
+// version and an issue date; values an entry already carries are kept.
+const applyContinuityChangeOver = (entries) => {
+  const continuityGroups = new Map();
+
+  entries.forEach((entry) => {
+    const signature = `${entry.unit ?? "__NO_UNIT__"}|${entry.line ?? "__NO_LINE__"}|${entry._cottonSignature}`;
+    const mixNos = Array.isArray(entry._mixingNumbers) ? entry._mixingNumbers : [];
+    const maxMixNo = mixNos.length > 0 ? Math.max(...mixNos) : entry.mixing_end ?? entry.mixing_start;
+    const issueTimestamp = entry.issue_date ? new Date(entry.issue_date).getTime() : null;
+
+    if (!continuityGroups.has(signature)) continuityGroups.set(signature, []);
+    continuityGroups.get(signature).push({ entry, maxMixNo, issueTimestamp });
+  });
+
+  continuityGroups.forEach((records) => {
+    records.sort(compareDailyContinuity);
+
+    let lastVersion = null;
+    let lastTimestamp = null;
+    records.forEach(({ entry }, index) => {
+      if (index > 0 && lastVersion !== null && lastTimestamp !== null) {
+        const previous = records[index - 1].entry;
+        if (entry.bale_change_over_percent == null && entry.lot_change_over_percent == null) {
+          Object.assign(entry, computeChangeOver(previous, entry));
+        }
+        entry.previous_mixing_no = previous.mixing_no;
+      }
+
+      lastVersion = entry._versionNumber;
+      lastTimestamp = entry.issue_date ? new Date(entry.issue_date).getTime() : null;
+    });
+  });
+};
+
+const buildIssueLookupKey = (row) =>
+  `${row.unit ?? "__NO_UNIT__"}|${row.line ?? "__NO_LINE__"}|${row.mixing_no ?? "__NO_MIXING__"}|${row.cotton ?? "__NO_COTTON__"}`;
+
+// First issue_date seen for each unit / line / mixing / cotton.
+export const buildIssueDateLookup = (issueRows = []) => {
+  const issueDateLookup = {};
+  issueRows.forEach((issueRow) => {
+    const lookupKey = buildIssueLookupKey(issueRow);
+    if (!issueDateLookup[lookupKey]) {
+      issueDateLookup[lookupKey] = issueRow.issue_date;
+    }
+  });
+  return issueDateLookup;
+};
+
+const buildMixingRange = (mixingNumbers, fallback) => {
+  const minMixing = mixingNumbers.length > 0 ? Math.min(...mixingNumbers) : null;
+  const maxMixing = mixingNumbers.length > 0 ? Math.max(...mixingNumbers) : null;
+  const mixingRange =
+    minMixing === null || maxMixing === null
+      ? fallback
+      : minMixing === maxMixing
+        ? `${minMixing}`
+        : `${minMixing}-${maxMixing}`;
+  return { minMixing, maxMixing, mixingRange };
+};
+
+const toSortedMixingNumbers = (values) =>
+  [...new Set(values)]
+    .map((n) => Number(n))
+    .filter((n) => !Number.isNaN(n))
+    .sort((a, b) => a - b);
+
+/**
+ * Daily summary: one row per mixing_no + cotton with bale-weighted HVI values,
+ * blend and change-over against the previous mixing of the same unit / line /
+ * cotton. Sorted by issue date, newest first.
+ */
+export const buildDailySummary = ({ issueRows = [], chartRows = [], lotRows = [], mixingCodes = [] }) => {
+  const issueDateLookup = buildIssueDateLookup(issueRows);
+  const lotsByNo = indexLots(lotRows);
+  const codesByVariety = indexMixingCodes(mixingCodes);
+  const findLot = createLotFinder(lotsByNo);
+
+  const groups = {};
+  for (const row of chartRows) {
+    const groupKey = `${row.mixing_no}|${row.cotton}`;
+    if (!groups[groupKey]) groups[groupKey] = [];
+    groups[groupKey].push(row);
+  }
+
+  const summaryEntries = Object.values(groups).map((rows) => {
+    const mixingNumbers = toSortedMixingNumbers(rows.map((r) => r.mixing_no));
+    const { minMixing, maxMixing, mixingRange } = buildMixingRange(mixingNumbers, rows[0].mixing_no);
+    const { totalBales, quality, lotBalesMap } = computeWeightedQuality(rows, findLot);
+
+    const issueDates = rows.map((row) => issueDateLookup[buildIssueLookupKey(row)] || null).filter(Boolean);
+    const issueDate =
+      issueDates.length > 0
+        ? issueDates
+            .map((dateStr) => ({ dateStr, time: new Date(dateStr).getTime() || 0 }))
+            .sort((a, b) => a.time - b.time)[0].dateStr
+        : null;
+
+    const blend = buildDailyBlend(rows, findLot, selectMixingCodesForRows(rows, lotsByNo, codesByVariety));
+    const { groupKey, versionNumber } = parseCottonVersion(rows[0].cotton);
+
+    return {
+      mixing_no: mixingRange,
+      minMixing,
+      unit: rows[0].unit,
+      line: rows[0].line,
+      cotton: rows[0].cotton,
+      total_bales: totalBales,
+      no_of_lots: new Set(rows.map((r) => r.lot_no)).size,
+      ...quality,
+      issue_date: issueDate,
+      mixing: blend?.mixing ?? "",
+      blend_percent: blend?.blend_percent ?? "",
+      bale_change_over_percent: null,
+      lot_change_over_percent: null,
+      previous_mixing_no: null,
+      mixing_start: minMixing,
+      mixing_end: maxMixing,
+      _mixingNumbers: mixingNumbers,
+      _lotBalesMap: lotBalesMap,
+      _cottonSignature: groupKey ?? "__NO_GROUP__",
+      _versionNumber: versionNumber ?? null,
+    };
+  });
+
+  applyContinuityChangeOver(summaryEntries);
+
+  const summary = summaryEntries.map(
+    ({ _lotBalesMap, _cottonSignature, _versionNumber, _mixingNumbers, ...rest }) => rest
+  );
+  summary.sort((a, b) => new Date(b.issue_date) - new Date(a.issue_date));
+  return summary;
+};
+
+// Average bale / lot change-over between consecutive mixings inside one
+// period group, ordered by issue date then mixing number.
+const computePeriodChangeOver = (rows, issueDateLookup) => {
+  const mixMap = {};
+  for (const r of rows) {
+    const mn = r.mixing_no ?? "";
+    if (!mn) continue;
+    if (!mixMap[mn]) {
+      mixMap[mn] = { mixing_no: mn, totalBales: 0, lotMap: {}, issueDate: issueDateLookup[buildIssueLookupKey(r)] ?? null };
+    }
+    const bales = Number(r.issue_bale || 0);
+    mixMap[mn].totalBales += bales;
+    if (r.lot_no) {
+      mixMap[mn].lotMap[r.lot_no] = (mixMap[mn].lotMap[r.lot_no] || 0) + bales;
+    }
+  }
+
+  const mixingList = Object.values(mixMap)
+    .map((m) => ({ ...m, issueTimestamp: m.issueDate ? new Date(m.issueDate).getTime() : null }))
+    .sort((a, b) => {
+      if (a.issueTimestamp !== b.issueTimestamp) {
+        if (a.issueTimestamp === null) return 1;
+        if (b.issueTimestamp === null) return -1;
+        return a.issueTimestamp - b.issueTimestamp;
+      }
+      const na = Number(a.mixing_no);
+      const nb = Number(b.mixing_no);
+      if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+      return String(a.mixing_no).localeCompare(String(b.mixing_no));
+    });
+
+  const baleChanges = [];
+  const lotChanges = [];
+
+  for (let i = 1; i < mixingList.length; i++) {
+    const prev = mixingList[i - 1];
+    const curr = mixingList[i];
+
+    const previousTotalBales = Number(prev.totalBales || 0);
+    const lotSet = new Set([...Object.keys(prev.lotMap), ...Object.keys(curr.lotMap)]);
+    let absoluteDifferenceSum = 0;
+    lotSet.forEach((lotNo) => {
+      absoluteDifferenceSum += Math.abs(Number(curr.lotMap[lotNo] || 0) - Number(prev.lotMap[lotNo] || 0));
+    });
+
+    // A previous mixing with lots but zero bales counts as 0% when nothing
+    // changed and 100% otherwise; one without lots is skipped.
+    const prevHasRows = Object.keys(prev.lotMap).length > 0;
+    if (previousTotalBales > 0) {
+      const balePct = (absoluteDifferenceSum / previousTotalBales) * 100;
+      if (Number.isFinite(balePct)) baleChanges.push(balePct);
+    } else if (prevHasRows) {
+      baleChanges.push(absoluteDifferenceSum === 0 ? 0 : 100);
+    }
+
+    const prevLotCount = Object.keys(prev.lotMap).length;
+    if (prevLotCount > 0) {
+      let newLots = 0;
+      let removedLots = 0;
+      lotSet.forEach((lotNo) => {
+        const prevHas = Object.prototype.hasOwnProperty.call(prev.lotMap, lotNo) && prev.lotMap[lotNo] > 0;
+        const currHas = Object.prototype.hasOwnProperty.call(curr.lotMap, lotNo) && curr.lotMap[lotNo] > 0;
+        if (!prevHas && currHas) newLots += 1;
+        if (prevHas && !currHas) removedLots += 1;
+      });
+      const lotPct = ((newLots + removedLots) / prevLotCount) * 100;
+      if (Number.isFinite(lotPct)) lotChanges.push(lotPct);
+    }
+  }
+
+  const average = (values) =>
+    values.length > 0 ? +(values.reduce((s, v) => s + v, 0) / values.length).toFixed(2) : null;
+
+  return { bale_change_over_percent: average(baleChanges), lot_change_over_percent: average(lotChanges) };
+};
+
+const trimmed = (value) => String(value ?? "").trim();
+
+const buildChartGroupKey = (unit, line, cotton, mixingNo) =>
+  `${trimmed(unit)}|${trimmed(line)}|${trimmed(cotton).toUpperCase()}|${mixingNo}`;
+
+// Chart rows that pass the request's unit / line / cotton filters (compared
+// trimmed, cotton case-insensitively), keyed by unit / line / cotton /
+// mixing_no with their position so a group's rows keep the fetch order.
+const indexChartRows = (chartRows, filters) => {
+  const unitFilters = new Set(filters.unit.map(trimmed));
+  const lineFilters = new Set(filters.line.map(trimmed));
+  const cottonFilters = new Set(filters.cotton.map((value) => trimmed(value).toUpperCase()));
+  const rowsByKey = new Map();
+
+  chartRows.forEach((row, position) => {
+    const mixingValue = row?.mixing_no === undefined || row?.mixing_no === null ? "" : `${row.mixing_no}`.trim();
+    if (!mixingValue) return;
+    if (unitFilters.size > 0 && !unitFilters.has(trimmed(row.unit))) return;
+    if (lineFilters.size > 0 && !lineFilters.has(trimmed(row.line))) return;
+    if (cottonFilters.size > 0 && !cottonFilters.has(trimmed(row.cotton).toUpperCase())) return;
+
+    const key = buildChartGroupKey(row.unit, row.line, row.cotton, mixingValue);
+    if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+    rowsByKey.get(key).push({ row, position });
+  });
+
+  return rowsByKey;
+};
+
+const groupIssuesByPeriod = (issueRows, reportType, cottonFilters, calendar) => {
+  const groupedData = {};
+
+  for (const issue of issueRows) {
+    const {
+      label: periodLabel,
+      displayLabel,
+      sortKey: periodSortKey,
+      sortValue: periodSortValue,
+    } = buildPeriodDescriptor(issue.issue_date, reportType, calendar);
+    if (!periodLabel) continue;
+
+    const cottonValue = issue.cotton;
+    if (cottonFilters.length > 0 && !cottonFilters.includes(cottonValue)) continue;
+
+    const groupKey = `${periodLabel}|${issue.unit}|${issue.line}|${cottonValue}`;
+    const hasSortValue = periodSortValue !== null && periodSortValue !== undefined;
+
+    if (!groupedData[groupKey]) {
+      groupedData[groupKey] = {
+        unit: issue.unit,
+        line: issue.line,
+        cotton: cottonValue,
+        mixing_nos: [],
+        issue_date: periodLabel,
+        period_label: displayLabel,
+        issue_date_sort_key: periodSortKey,
+        _issueSortValue: periodSortValue ?? null,
+        _raw_issue_dates: [],
+        rows: [],
+      };
+    } else {
+      const group = groupedData[groupKey];
+      if (!group.issue_date_sort_key && periodSortKey) group.issue_date_sort_key = periodSortKey;
+      if ((group._issueSortValue === null || group._issueSortValue === undefined) && hasSortValue) {
+        group._issueSortValue = periodSortValue;
+      }
+    }
+
+    if (hasSortValue) {
+      groupedData[groupKey]._raw_issue_dates.push({ raw: issue.issue_date, sortValue: periodSortValue });
+    }
+
+    groupedData[groupKey].mixing_nos.push({ mixing_no: issue.mixing_no, cotton: cottonValue });
+  }
+
+  return Object.values(groupedData);
+};
+
+// Attaches each group's chart rows, tagged with their own period, and fills
+// the group's sort metadata from them when its issues had none.
+const attachPeriodRows = (group, { chartRowsByKey, issueDateLookup, describePeriod }) => {
+  const mixingNoValues = new Set(
+    group.mixing_nos
+      .map((item) => (item?.mixing_no === undefined || item?.mixing_no === null ? "" : `${item.mixing_no}`.trim()))
+      .filter((value) => value !== "")
+  );
+
+  const rows = [...mixingNoValues]
+    .flatMap((mixingNo) => chartRowsByKey.get(buildChartGroupKey(group.unit, group.line, group.cotton, mixingNo)) ?? [])
+    .sort((a, b) => a.position - b.position)
+    .map(({ row: mixRow }) => {
+      const { label, sortKey, sortValue } = describePeriod(issueDateLookup[buildIssueLookupKey(mixRow)] ?? null);
+      return {
+        ...mixRow,
+        _periodLabel: label ?? group.issue_date,
+        _periodSortKey: sortKey ?? group.issue_date_sort_key ?? group.issue_date,
+        _periodSortValue: sortValue ?? group._issueSortValue ?? null,
+      };
+    });
+
+  if (!group.issue_date_sort_key) {
+    const candidate = rows.find((row) => row._periodSortKey);
+    if (candidate) group.issue_date_sort_key = candidate._periodSortKey;
+  }
+
+  if (group._issueSortValue === null || group._issueSortValue === undefined) {
+    const candidate = rows.find((row) => row._periodSortValue !== null && row._periodSortValue !== undefined);
+    if (candidate) group._issueSortValue = candidate._periodSortValue;
+  }
+
+  rows.forEach((row) => {
+    if (row._periodSortValue !== null && row._periodSortValue !== undefined) {
+      group._raw_issue_dates.push({ raw: row._periodLabel, sortValue: row._periodSortValue });
+    }
+  });
+
+  group.rows = rows;
+};
+
+/**
+ * Weekly / monthly / quarterly / yearly summary: one row per period, unit, line
+ * and cotton, with periods taken from `calendar` (see calendar.js). Values are
+ * bale-weighted over every mixing issued in the period; change-over is the
+ * average between consecutive mixings inside the period. `filters` holds the
+ * request's unit / line / cotton selections. Sorted by period, newest first.
+ */
+export const buildPeriodSummary = ({
+  issueRows = [],
+  chartRows = [],
+  lotRows = [],
+  mixingCodes = [],
+  reportType,
+  calendar = GREGORIAN_CALENDAR,
+  filters = {},
+}) => {
+  const normalizedFilters = { unit: filters.unit ?? [], line: filters.line ?? [], cotton: filters.cotton ?? [] };
+  const issueDateLookup = buildIssueDateLookup(issueRows);
+  const lotsByNo = indexLots(lotRows);
+  const codesByVariety = indexMixingCodes(mixingCodes);
+  const findLot = createLotFinder(lotsByNo);
+  const chartRowsByKey = indexChartRows(chartRows, normalizedFilters);
+  const periodDescriptors = new Map();
+  const describePeriod = (issueDate) => {
+    if (!periodDescriptors.has(issueDate)) {
+      periodDescriptors.set(issueDate, buildPeriodDescriptor(issueDate, reportType, calendar));
+    }
+    return periodDescriptors.get(issueDate);
+  };
+
+  const groups = groupIssuesByPeriod(issueRows, reportType, normalizedFilters.cotton, calendar);
+  groups.forEach((group) => attachPeriodRows(group, { chartRowsByKey, issueDateLookup, describePeriod }));
+
+  const summaryEntries = groups
+    .filter((group) => group.rows.length > 0)
+    .map((group) => {
+      const mixingNumbers = toSortedMixingNumbers(group.mixing_nos.map((item) => item.mixing_no));
+      const { minMixing, maxMixing, mixingRange } = buildMixingRange(
+        mixingNumbers,
+        group.mixing_nos[0]?.mixing_no ?? ""
+      );
+      const { totalBales, quality, lotBalesMap } = computeWeightedQuality(group.rows, findLot);
+      const { groupKey, versionNumber } = parseCottonVersion(group.cotton);
+
+      let issueDate = group.issue_date;
+      const rawIssueDates = group._raw_issue_dates ?? [];
+      if (group.issue_date_sort_key && rawIssueDates.length > 0) {
+        const sortedRawDates = rawIssueDates
+          .map((entry) => ({ ...entry, numeric: Number(entry.sortValue) }))
+          .filter((item) => Number.isFinite(item.numeric))
+          .sort((a, b) => a.numeric - b.numeric);
+        if (sortedRawDates.length > 0) {
+          issueDate = buildPeriodDescriptor(sortedRawDates[0].raw, reportType, calendar).label ?? issueDate;
+        }
+      }
+
+      const blend = buildPeriodBlend(
+        group.rows,
+        findLot,
+        selectMixingCodesForRows(group.rows, lotsByNo, codesByVariety)
+      );
+
+      return {
+        mixing_no: mixingRange,
+        unit: group.unit,
+        line: group.line,
+        cotton: group.cotton,
+        total_bales: totalBales,
+        no_of_lots: new Set(group.rows.map((r) => r.lot_no)).size,
+        ...quality,
+        issue_date: issueDate,
+        period_label: group.period_label,
+        issue_date_sort_key: group.issue_date_sort_key ?? null,
+        _issueSortValue: group._issueSortValue ?? null,
+        _raw_issue_dates: rawIssueDates,
+        mixing: blend?.mixing ?? "",
+        blend_percent: blend?.blend_percent ?? "",
+        ...computePeriodChangeOver(group.rows, issueDateLookup),
+        previous_mixing_no: null,
+        mixing_start: minMixing,
+        mixing_end: maxMixing,
+        _mixingNumbers: mixingNumbers,
+        _lotBalesMap: lotBalesMap,
+        _cottonSignature: groupKey ?? "__NO_GROUP__",
+        _versionNumber: versionNumber ?? null,
+      };
+    });
+
+  applyContinuityChangeOver(summaryEntries);
+
+  const summary = summaryEntries.map(
+    ({
+      _lotBalesMap,
+      _cottonSignature,
+      _versionNumber,
+      _mixingNumbers,
+      mixing_start,
+      mixing_end,
+      _issueSortValue,
+      ...rest
+    }) => rest
+  );
+
+  summary.sort((a, b) => {
+    const keyA = a.issue_date_sort_key ?? a.issue_date;
+    const keyB = b.issue_date_sort_key ?? b.issue_date;
+    if (keyA === keyB) return 0;
+    if (!keyA) return 1;
+    if (!keyB) return -1;
+    return keyB.localeCompare(keyA);
+  });
+  return summary;
+};
+
+// Keeps rows whose blend includes any of the selected cotton names.
+export const filterSummaryByMixing = (summary, mixingFilters = []) => {
+  if (mixingFilters.length === 0) return summary;
+  return summary.filter((row) => {
+    if (!row.mixing) return false;
+    return row.mixing.split("+").some((name) => mixingFilters.includes(name));
+  });
+};
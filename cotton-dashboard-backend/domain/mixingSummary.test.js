@@ -0,0 +1,365 @@
+import {
+  buildDailySummary,
+  buildLotFinder,
+  buildPeriodSummary,
+  computeWeightedQuality,
+  filterSummaryByMixing,
+  parseCottonVersion,
+} from "./mixingSummary.js";
+import { createCalendar } from "./calendar.js";
+
+const LOTS = [
+  { lot_no: "L1", variety: "V1", mic: 4.0, str: 30, uhml: 29, no_of_bale: 100, min_mic_bale_per_lot: 10, min_mic: 3.4 },
+  { lot_no: "L2", variety: "V2", mic: 4.6, str: 28, uhml: 28, no_of_bale: 50, min_mic_bale_per_lot: 0, min_mic: 3.8 },
+];
+
+const MIXING_CODES = [
+  { variety: "V1", cotton_name: "DCH", weight: 1 },
+  { variety: "V2", cotton_name: "MCU", weight: 2 },
+];
+
+const issue = (mixingNo, cotton, issueDate, { unit = "5", line = "1" } = {}) => ({
+  unit,
+  line,
+  mixing_no: `${mixingNo}`,
+  cotton,
+  issue_date: issueDate,
+});
+
+const chart = (mixingNo, cotton, lotNo, issueBale, { unit = "5", line = "1" } = {}) => ({
+  unit,
+  line,
+  mixing_no: `${mixingNo}`,
+  cotton,
+  lot_no: lotNo,
+  issue_bale: issueBale,
+});
+
+const findRow = (summary, mixingNo, line = "1") =>
+  summary.find((row) => row.mixing_no === mixingNo && row.line === line);
+
+describe("parseCottonVersion", () => {
+  it("splits YY_UL_VN cottons into a group and a version", () => {
+    expect(parseCottonVersion("25_51_V2")).toEqual({ groupKey: "25_51", versionNumber: 2, raw: "25_51_V2" });
+  });
+
+  it("keeps unversioned cottons as their own group", () => {
+    expect(parseCottonVersion("xyz")).toEqual({ groupKey: "XYZ", versionNumber: null, raw: "XYZ" });
+  });
+
+  it("groups blank cottons together", () => {
+    expect(parseCottonVersion(null).groupKey).toBe("__NO_VERSION__");
+  });
+});
+
+describe("computeWeightedQuality", () => {
+  const findLot = (lotNo) => LOTS.find((lot) => lot.lot_no === lotNo);
+
+  it("weights each lot by its issued bales", () => {
+    const { totalBales, quality, lotBalesMap } = computeWeightedQuality(
+      [
+        { lot_no: "L1", issue_bale: 30 },
+        { lot_no: "L2", issue_bale: 10 },
+      ],
+      findLot
+    );
+
+    expect(totalBales).toBe(40);
+    expect(quality).toMatchObject({ mic: 4.15, str: 29.5, uhml: 28.75, min_mic: "3.40", min_mic_percent: 7.5 });
+    expect(lotBalesMap).toEqual({ L1: 30, L2: 10 });
+  });
+
+  it("counts bales of lots without results toward the total only", () => {
+    const { totalBales, quality, lotBalesMap } = computeWeightedQuality(
+      [
+        { lot_no: "L1", issue_bale: 10 },
+        { lot_no: "GHOST", issue_bale: 10 },
+      ],
+      findLot
+    );
+
+    expect(totalBales).toBe(20);
+    expect(quality.mic).toBe(2);
+    expect(lotBalesMap).toEqual({ L1: 10 });
+  });
+
+  it("reports zeros for a mixing without bales", () => {
+    const { totalBales, quality } = computeWeightedQuality([{ lot_no: "L1", issue_bale: 0 }], findLot);
+
+    expect(totalBales).toBe(0);
+    expect(quality).toMatchObject({ mic: 0, str: 0, min_mic_percent: 0, min_mic: "3.40" });
+  });
+});
+
+describe("buildLotFinder", () => {
+  it("resolves a duplicated lot_no to its first row, like the summary", () => {
+    const findLot = buildLotFinder([
+      { lot_no: "L1", mic: 4.0 },
+      { lot_no: "L1", mic: 4.8 },
+    ]);
+
+    expect(findLot("L1").mic).toBe(4.0);
+    expect(findLot("L9")).toBeUndefined();
+  });
+});
+
+describe("buildDailySummary", () => {
+  describe("with cotton versions", () => {
+    const summary = buildDailySummary({
+      issueRows: [
+        issue(1, "25_51_V1", "2024-05-01"),
+        issue(2, "25_51_V2", "2024-05-02"),
+        issue(3, "25_51_V1", "2024-05-03", { line: "2" }),
+      ],
+      chartRows: [
+        chart(1, "25_51_V1", "L1", 30),
+        chart(1, "25_51_V1", "L2", 10),
+        chart(2, "25_51_V2", "L1", 20),
+        chart(2, "25_51_V2", "L2", 20),
+        chart(3, "25_51_V1", "L1", 10, { line: "2" }),
+      ],
+      lotRows: LOTS,
+      mixingCodes: MIXING_CODES,
+    });
+
+    it("returns the newest mixing first", () => {
+      expect(summary.map((row) => row.mixing_no)).toEqual(["3", "2", "1"]);
+    });
+
+    it("reports weighted values and the weighted blend of each mixing", () => {
+      expect(findRow(summary, "1")).toMatchObject({
+        total_bales: 40,
+        no_of_lots: 2,
+        mic: 4.15,
+        str: 29.5,
+        uhml: 28.75,
+        min_mic: "3.40",
+        min_mic_percent: 7.5,
+        issue_date: "2024-05-01",
+        mixing: "DCH+MCU",
+        blend_percent: "60+40",
+      });
+      expect(findRow(summary, "2")).toMatchObject({ mic: 4.3, min_mic_percent: 5, blend_percent: "33+67" });
+    });
+
+    it("measures change-over against the previous version on the same line", () => {
+      expect(findRow(summary, "1")).toMatchObject({
+        bale_change_over_percent: null,
+        lot_change_over_percent: null,
+        previous_mixing_no: null,
+      });
+      expect(findRow(summary, "2")).toMatchObject({
+        bale_change_over_percent: 50,
+        lot_change_over_percent: 0,
+        previous_mixing_no: "1",
+      });
+    });
+
+    it("does not chain mixings across lines", () => {
+      expect(findRow(summary, "3", "2")).toMatchObject({ bale_change_over_percent: null, previous_mixing_no: null });
+    });
+  });
+
+  it("skips change-over when the previous mixing has no cotton version", () => {
+    const summary = buildDailySummary({
+      issueRows: [issue(1, "XYZ", "2024-05-01"), issue(2, "XYZ", "2024-05-02")],
+      chartRows: [chart(1, "XYZ", "L1", 10), chart(2, "XYZ", "L2", 10)],
+      lotRows: LOTS,
+      mixingCodes: MIXING_CODES,
+    });
+
+    expect(findRow(summary, "2")).toMatchObject({ bale_change_over_percent: null, previous_mixing_no: null });
+  });
+
+  describe("with lots missing from lot_results", () => {
+    const summary = buildDailySummary({
+      issueRows: [issue(1, "25_51_V1", "2024-05-01"), issue(2, "26_11_V1", "2024-05-01")],
+      chartRows: [
+        chart(1, "25_51_V1", "L1", 10),
+        chart(1, "25_51_V1", "GHOST", 10),
+        chart(2, "26_11_V1", "GHOST", 10),
+      ],
+      lotRows: LOTS,
+      mixingCodes: MIXING_CODES,
+    });
+
+    it("dilutes the averages with the unknown lot's bales", () => {
+      expect(findRow(summary, "1")).toMatchObject({
+        total_bales: 20,
+        no_of_lots: 2,
+        mic: 2,
+        mixing: "DCH",
+        blend_percent: "100",
+      });
+    });
+
+    it("leaves a mixing of unknown lots without values or blend", () => {
+      expect(findRow(summary, "2")).toMatchObject({
+        total_bales: 10,
+        mic: 0,
+        min_mic: null,
+        min_mic_percent: 0,
+        mixing: "",
+        blend_percent: "",
+      });
+    });
+  });
+
+  describe("with a zero-bale mixing", () => {
+    const summary = buildDailySummary({
+      issueRows: [issue(1, "25_51_V1", "2024-05-01"), issue(2, "25_51_V2", "2024-05-02")],
+      chartRows: [chart(1, "25_51_V1", "L1", 0), chart(2, "25_51_V2", "L1", 10)],
+      lotRows: LOTS,
+      mixingCodes: MIXING_CODES,
+    });
+
+    it("reports zero values and lists the cotton at 0%", () => {
+      expect(findRow(summary, "1")).toMatchObject({
+        total_bales: 0,
+        mic: 0,
+        min_mic_percent: 0,
+        mixing: "DCH",
+        blend_percent: "0",
+      });
+    });
+
+    it("reports no bale change-over after it but still counts its lots", () => {
+      expect(findRow(summary, "2")).toMatchObject({
+        bale_change_over_percent: null,
+        lot_change_over_percent: 100,
+        previous_mixing_no: "1",
+      });
+    });
+  });
+
+  it("uses the first lot_results row of a lot listed twice", () => {
+    const summary = buildDailySummary({
+      issueRows: [issue(1, "25_51_V1", "2024-05-01")],
+      chartRows: [chart(1, "25_51_V1", "L1", 10)],
+      lotRows: [LOTS[0], { ...LOTS[1], lot_no: "L1" }],
+      mixingCodes: MIXING_CODES,
+    });
+
+    expect(summary[0]).toMatchObject({ mic: 4, mixing: "DCH" });
+  });
+
+    it("returns nothing without chart rows", () => {
+    expect(buildDailySummary({ issueRows: [issue(1, "25_51_V1", "2024-05-01")] })).toEqual([]);
+  });
+});
+
+describe("buildPeriodSummary", () => {
+  // Mid-week dates keep the week labels stable whatever the machine's time zone.
+  const input = {
+    issueRows: [
+      issue(1, "25_51_V1", "2024-05-02"),
+      issue(2, "25_51_V1", "2024-05-04"),
+      issue(3, "25_51_V1", "2024-05-10"),
+    ],
+    chartRows: [
+      chart(1, "25_51_V1", "L1", 10),
+      chart(2, "25_51_V1", "L1", 5),
+      chart(2, "25_51_V1", "L2", 5),
+      chart(3, "25_51_V1", "L2", 10),
+    ],
+    lotRows: LOTS,
+    mixingCodes: MIXING_CODES,
+  };
+
+  const weekly = buildPeriodSummary({ ...input, reportType: "weekly" });
+
+  it("groups mixings by week, newest week first", () => {
+    expect(weekly.map((row) => [row.issue_date, row.mixing_no])).toEqual([
+      ["2024-05-W2", "3"],
+      ["2024-05-W1", "1-2"],
+    ]);
+  });
+
+  it("weights values over every mixing in the week", () => {
+    expect(weekly[1]).toMatchObject({
+      total_bales: 20,
+      no_of_lots: 2,
+      mic: 4.15,
+      mixing: "DCH+MCU",
+      blend_percent: "DCH 60.0%, MCU 40.0%",
+    });
+  });
+
+  it("averages change-over between consecutive mixings inside the week", () => {
+    expect(weekly[1]).toMatchObject({ bale_change_over_percent: 100, lot_change_over_percent: 100 });
+  });
+
+  it("falls back to the previous period for a week with a single mixing", () => {
+    expect(weekly[0]).toMatchObject({
+      bale_change_over_percent: 100,
+      lot_change_over_percent: 50,
+      previous_mixing_no: "1-2",
+    });
+  });
+
+  it("rolls the same mixings into one month", () => {
+    const monthly = buildPeriodSummary({ ...input, reportType: "monthly" });
+    expect(monthly).toHaveLength(1);
+    expect(monthly[0]).toMatchObject({ issue_date: "2024-05", mixing_no: "1-3", total_bales: 30 });
+  });
+
+  it("labels each period for display", () => {
+    expect(weekly.map((row) => row.period_label)).toEqual(["8-14 May 2024", "1-7 May 2024"]);
+  });
+
+  describe("with another calendar", () => {
+    const acrossMonthEnd = {
+      ...input,
+      issueRows: [issue(1, "25_51_V1", "2024-04-30"), issue(2, "25_51_V1", "2024-05-02")],
+      chartRows: [chart(1, "25_51_V1", "L1", 10), chart(2, "25_51_V1", "L2", 10)],
+    };
+
+    it("keeps an ISO week together across a month end", () => {
+      const summary = buildPeriodSummary({
+        ...acrossMonthEnd,
+        reportType: "weekly",
+        calendar: createCalendar({ type: "iso" }),
+      });
+
+      expect(summary).toHaveLength(1);
+      expect(summary[0]).toMatchObject({
+        issue_date: "2024-W18",
+        period_label: "2024-W18",
+        issue_date_sort_key: "2024-04-29",
+        mixing_no: "1-2",
+        total_bales: 20,
+      });
+    });
+
+    it("splits the same mixings at the month end in the gregorian calendar", () => {
+      expect(buildPeriodSummary({ ...acrossMonthEnd, reportType: "weekly" })).toHaveLength(2);
+    });
+
+    it("starts fiscal quarters in April", () => {
+      const summary = buildPeriodSummary({
+        ...acrossMonthEnd,
+        issueRows: [issue(1, "25_51_V1", "2024-03-29"), issue(2, "25_51_V1", "2024-05-02")],
+        reportType: "quarterly",
+        calendar: createCalendar({ type: "fiscal" }),
+      });
+
+      expect(summary.map((row) => row.issue_date)).toEqual(["FY2024-25-Q1", "FY2023-24-Q4"]);
+    });
+  });
+
+  it("applies the cotton filter to the issues", () => {
+    expect(buildPeriodSummary({ ...input, reportType: "weekly", filters: { cotton: ["OTHER"] } })).toEqual([]);
+  });
+});
+
+describe("filterSummaryByMixing", () => {
+  const rows = [{ mixing: "DCH+MCU" }, { mixing: "MCU" }, { mixing: "" }];
+
+  it("keeps rows whose blend includes a selected cotton", () => {
+    expect(filterSummaryByMixing(rows, ["DCH"])).toEqual([{ mixing: "DCH+MCU" }]);
+  });
+
+  it("returns every row without a selection", () => {
+    expect(filterSummaryByMixing(rows, [])).toBe(rows);
+  });
+});
@@ -0,0 +1,24 @@
+-- Change history for every write route in cotton-server.js. One row per
+-- changed record: before_data is null for inserts, after_data is null for
+-- deletes. record_key is the natural key the UI knows the record by (lot_no
+-- for lot_results / bale_results, "mixing_no|cotton" for mixing_issue, ...).
+--
+-- Apply with the Supabase SQL editor or `psql -f sql/audit_log.sql`.
+
+create table if not exists public.audit_log (
+  id bigint generated by default as identity primary key,
+  table_name text not null,
+  record_key text not null,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  before_data jsonb,
+  after_data jsonb,
+  user_id uuid,
+  user_email text,
+  source text not null check (source in ('ui_edit', 'upload', 'bulk_delete')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_record_idx
+  on public.audit_log (table_name, record_key, created_at desc);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
@@ -0,0 +1,69 @@
+-- Bale-level HVI readings. lot_results keeps one averaged row per lot; this
+-- table keeps every bale so the spread inside a lot can be inspected.
+--
+-- Apply with the Supabase SQL editor or `psql -f sql/bale_results.sql`.
+
+create table if not exists public.bale_results (
+  id bigint generated by default as identity primary key,
+  lot_no text not null,
+  bale_no text not null,
+  mic numeric,
+  uhml numeric,
+  ui numeric,
+  sf numeric,
+  str numeric,
+  elong numeric,
+  rd numeric,
+  plus_b numeric,
+  trash numeric,
+  moist numeric,
+  mat numeric,
+  c_grade text,
+  created_at timestamptz not null default now(),
+  unique (lot_no, bale_no)
+);
+
+create index if not exists bale_results_lot_no_idx on public.bale_results (lot_no);
+
+-- Replaces all bales of every lot present in `entries` in one transaction.
+-- Like replace_mixing_issues, a failing entry rolls everything back and its
+-- zero-based position is returned in the error DETAIL as {"entry_index": n}.
+create or replace function public.replace_bale_results(entries jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  entry jsonb;
+  entry_index integer := 0;
+begin
+  if entries is null or jsonb_typeof(entries) <> 'array' then
+    raise exception 'entries must be a JSON array';
+  end if;
+
+  delete from public.bale_results as existing
+  using (
+    select distinct item->>'lot_no' as lot_no
+    from jsonb_array_elements(entries) as item
+  ) as lots
+  where existing.lot_no = lots.lot_no;
+
+  for entry in select value from jsonb_array_elements(entries) loop
+    begin
+      insert into public.bale_results (
+        lot_no, bale_no, mic, uhml, ui, sf, str, elong, rd, plus_b, trash, moist, mat, c_grade
+      )
+      select
+        record.lot_no, record.bale_no, record.mic, record.uhml, record.ui, record.sf, record.str,
+        record.elong, record.rd, record.plus_b, record.trash, record.moist, record.mat, record.c_grade
+      from jsonb_populate_record(null::public.bale_results, entry) as record;
+    exception when others then
+      raise exception '%', sqlerrm
+        using errcode = sqlstate,
+              detail = json_build_object('entry_index', entry_index)::text;
+    end;
+    entry_index := entry_index + 1;
+  end loop;
+
+  return entry_index;
+end;
+$$;
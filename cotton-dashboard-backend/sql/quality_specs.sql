@@ -0,0 +1,20 @@
+-- Quality specification limits per cotton. cotton_name / cotton_year refer to
+-- the values in mixing_code; a null cotton_year applies to every year of that
+-- cotton unless a year-specific row exists for the same parameter.
+--
+-- Apply with the Supabase SQL editor or `psql -f sql/quality_specs.sql`.
+
+create table if not exists public.quality_specs (
+  id bigint generated by default as identity primary key,
+  cotton_name text not null,
+  cotton_year text,
+  parameter text not null,
+  min_value numeric,
+  max_value numeric,
+  updated_at timestamptz not null default now(),
+  check (min_value is not null or max_value is not null),
+  check (min_value is null or max_value is null or min_value <= max_value)
+);
+
+create unique index if not exists quality_specs_cotton_parameter_idx
+  on public.quality_specs (cotton_name, coalesce(cotton_year, ''), parameter);
@@ -0,0 +1,25 @@
+-- Soft-deleted rows. A lot delete or a mixing chart range delete moves the
+-- removed rows here as one entry, so the whole deletion can be restored in a
+-- single step. Entries older than RECYCLE_RETENTION_DAYS (default 30) are
+-- purged by the backend and can no longer be restored.
+--
+-- Apply with the Supabase SQL editor or `psql -f sql/recycle_bin.sql`.
+
+create table if not exists public.recycle_bin (
+  id bigint generated by default as identity primary key,
+  table_name text not null,
+  record_key text not null,
+  scope jsonb not null default '{}'::jsonb,
+  rows jsonb not null,
+  row_count integer not null,
+  deleted_at timestamptz not null default now(),
+  deleted_by uuid,
+  deleted_by_email text,
+  restored_at timestamptz,
+  restored_by uuid,
+  restored_by_email text
+);
+
+create index if not exists recycle_bin_pending_idx
+  on public.recycle_bin (table_name, deleted_at desc)
+  where restored_at is null;
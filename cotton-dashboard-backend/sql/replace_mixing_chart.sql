@@ -0,0 +1,52 @@
+-- Atomically replaces mixing_chart rows for every unit + line + cotton +
+-- mixing_no combination in `entries` (a JSON array of
+-- { unit, line, mixing_no, cotton, lot_no, issue_bale }).
+--
+-- Like replace_mixing_issues, the whole call runs in one transaction: a failing
+-- entry rolls the deletes back too, and its zero-based position is returned in
+-- the error DETAIL as {"entry_index": n}.
+--
+-- Apply with the Supabase SQL editor or `psql -f sql/replace_mixing_chart.sql`.
+
+create or replace function public.replace_mixing_chart(entries jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  entry jsonb;
+  entry_index integer := 0;
+begin
+  if entries is null or jsonb_typeof(entries) <> 'array' then
+    raise exception 'entries must be a JSON array';
+  end if;
+
+  delete from public.mixing_chart as existing
+  using (
+    select distinct
+      item->>'unit' as unit,
+      item->>'line' as line,
+      item->>'cotton' as cotton,
+      item->>'mixing_no' as mixing_no
+    from jsonb_array_elements(entries) as item
+  ) as keys
+  where existing.unit::text = keys.unit
+    and existing.line::text = keys.line
+    and existing.cotton::text = keys.cotton
+    and existing.mixing_no::text = keys.mixing_no;
+
+  for entry in select value from jsonb_array_elements(entries) loop
+    begin
+      insert into public.mixing_chart (unit, line, mixing_no, cotton, lot_no, issue_bale)
+      select record.unit, record.line, record.mixing_no, record.cotton, record.lot_no, record.issue_bale
+      from jsonb_populate_record(null::public.mixing_chart, entry) as record;
+    exception when others then
+      raise exception '%', sqlerrm
+        using errcode = sqlstate,
+              detail = json_build_object('entry_index', entry_index)::text;
+    end;
+    entry_index := entry_index + 1;
+  end loop;
+
+  return entry_index;
+end;
+$$;
@@ -0,0 +1,46 @@
+-- Atomically replaces mixing_issue rows for every mixing_no + cotton pair in
+-- `entries` (a JSON array of { mixing_no, unit, line, cotton, issue_date }).
+--
+-- The whole call runs in one transaction: if any entry fails to insert, the
+-- deletes are rolled back too and mixing_issue is left exactly as it was.
+-- The zero-based index of the failing entry is returned in the error DETAIL
+-- as {"entry_index": n} so the API can point at the offending row.
+--
+-- Apply with the Supabase SQL editor or `psql -f sql/replace_mixing_issues.sql`.
+
+create or replace function public.replace_mixing_issues(entries jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  entry jsonb;
+  entry_index integer := 0;
+begin
+  if entries is null or jsonb_typeof(entries) <> 'array' then
+    raise exception 'entries must be a JSON array';
+  end if;
+
+  delete from public.mixing_issue as existing
+  using (
+    select distinct item->>'mixing_no' as mixing_no, item->>'cotton' as cotton
+    from jsonb_array_elements(entries) as item
+  ) as pairs
+  where existing.mixing_no::text = pairs.mixing_no
+    and existing.cotton::text = pairs.cotton;
+
+  for entry in select value from jsonb_array_elements(entries) loop
+    begin
+      insert into public.mixing_issue (mixing_no, unit, line, cotton, issue_date)
+      select record.mixing_no, record.unit, record.line, record.cotton, record.issue_date
+      from jsonb_populate_record(null::public.mixing_issue, entry) as record;
+    exception when others then
+      raise exception '%', sqlerrm
+        using errcode = sqlstate,
+              detail = json_build_object('entry_index', entry_index)::text;
+    end;
+    entry_index := entry_index + 1;
+  end loop;
+
+  return entry_index;
+end;
+$$;
@@ -3,19 +3,43 @@ import CottonResults from "./components/CottonResults.jsx";
 import Summary from "./components/Summary.jsx";
 import Issue from "./components/Issue.jsx";
 import Analysis from "./components/analysis/Analysis.jsx";
+import Planner from "./components/planner/Planner.jsx";
+import LoginModal from "./components/LoginModal.jsx";
+import { useAuth } from "./auth/AuthContext";
 
 function App() {
   const [activeTab, setActiveTab] = useState("cotton");
+  const [showLogin, setShowLogin] = useState(false);
+  const { user, logout } = useAuth();
 
   const tabs = [
     { id: "cotton", label: "Cotton Results" },    
     { id: "issues", label: "Issue Update" },
     { id: "summary", label: "Summary Report" },
     { id: "analysis", label: "Analysis" },
+    { id: "planner", label: "Mixing Planner" },
   ];
 
   return (
     <div className="min-h-screen w-full p-2 bg-orange-100">
+      {/* Signed-in user */}
+      <div className="flex justify-end items-center gap-3 text-sm">
+        {user ? (
+          <>
+            <span className="text-gray-700">
+              {user.email} <span className="font-semibold capitalize">({user.role})</span>
+            </span>
+            <button type="button" onClick={logout} className="font-semibold text-purple-700 hover:underline">
+              Sign Out
+            </button>
+          </>
+        ) : (
+          <button type="button" onClick={() => setShowLogin(true)} className="font-semibold text-purple-700 hover:underline">
+            Sign In
+          </button>
+        )}
+      </div>
+
       {/* Dashboard title */}
       <h1 className="text-4xl font-extrabold text-center mb-6 text-red-600">
         Cotton Quality Dashboard
@@ -45,7 +69,10 @@ function App() {
         {activeTab === "analysis" && <Analysis />}
         {activeTab === "issues" && <Issue />}
         {activeTab === "summary" && <Summary />}
+        {activeTab === "planner" && <Planner />}
       </div>
+
+      {showLogin && <LoginModal onClose={() => setShowLogin(false)} />}
     </div>
   );
 }
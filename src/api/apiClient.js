@@ -0,0 +1,159 @@
+// Shared HTTP client for the cotton backend. Every component goes through here so
+// the base URL can be pointed at a local or staging server with
+// REACT_APP_BACKEND_URL, and so the Render cold start is absorbed in one place.
+
+const DEFAULT_BACKEND_URL = "https://cotton-api-ekdn.onrender.com";
+
+export const API_BASE_URL = (process.env.REACT_APP_BACKEND_URL || DEFAULT_BACKEND_URL).replace(/\/+$/, "");
+
+const DEFAULT_TIMEOUT_MS = 30000;
+// Spreadsheet uploads are parsed and validated server-side before responding.
+export const UPLOAD_TIMEOUT_MS = 120000;
+// A sleeping Render instance can take close to a minute to answer /wake.
+const WAKE_TIMEOUT_MS = 60000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    this.details = Array.isArray(body?.details) ? body.details : [];
+  }
+}
+
+export const buildApiUrl = (path, params) => {
+  const url = `${API_BASE_URL}${path.startsWith("/") ? path : `/${path}`}`;
+  if (!params) return url;
+
+  const search = params instanceof URLSearchParams ? params : new URLSearchParams();
+  if (!(params instanceof URLSearchParams)) {
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === "") return;
+      search.append(key, Array.isArray(value) ? JSON.stringify(value) : String(value));
+    });
+  }
+
+  const query = search.toString();
+  return query ? `${url}?${query}` : url;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// fetch() with a timeout that also honours a caller-supplied AbortSignal. A
+// caller abort rethrows the AbortError untouched; a timeout becomes an ApiError.
+const fetchWithTimeout = async (url, { signal, timeoutMs, ...init }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  const forwardAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener("abort", forwardAbort, { once: true });
+  }
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (timedOut) {
+      throw new ApiError(`Request timed out after ${Math.round(timeoutMs / 1000)}s.`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forwardAbort);
+  }
+};
+
+let wakePromise = null;
+let authTokenProvider = null;
+
+// Registered by AuthProvider; resolves to the current access token (refreshing
+// it first when it is about to expire) or null when nobody is signed in.
+export const setAuthTokenProvider = (provider) => {
+  authTokenProvider = provider;
+};
+
+// Pings /wake once per page load before the first real request. Failures are
+// swallowed (and the ping retried next time) so a missing /wake never blocks a call.
+export const ensureBackendAwake = () => {
+  if (!wakePromise) {
+    wakePromise = fetchWithTimeout(`${API_BASE_URL}/wake`, { timeoutMs: WAKE_TIMEOUT_MS })
+      .then((response) => response.ok)
+      .catch(() => false)
+      .then((awake) => {
+        if (!awake) wakePromise = null;
+        return awake;
+      });
+  }
+  return wakePromise;
+};
+
+/**
+ * Low-level request returning the raw Response, for callers that need the
+ * status code or a blob. Only GET requests are retried (network errors,
+ * timeouts and 502/503/504) unless `retries` is passed explicitly. The signed-in
+ * user's token is attached unless `skipAuth` is set.
+ */
+export const apiFetch = async (path, options = {}) => {
+  const { params, json, timeoutMs = DEFAULT_TIMEOUT_MS, retries, headers, skipAuth = false, ...init } = options;
+  const method = (init.method || "GET").toUpperCase();
+  const maxRetries = retries ?? (method === "GET" ? DEFAULT_GET_RETRIES : 0);
+
+  await ensureBackendAwake();
+
+  const token = !skipAuth && authTokenProvider ? await authTokenProvider() : null;
+  const requestInit = {
+    ...init,
+    method,
+    headers: {
+      ...(json !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: json !== undefined ? JSON.stringify(json) : init.body,
+  };
+
+  const url = buildApiUrl(path, params);
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await fetchWithTimeout(url, { ...requestInit, timeoutMs });
+      if (attempt < maxRetries && RETRYABLE_STATUSES.has(response.status)) {
+        await delay(RETRY_DELAY_MS * (attempt + 1));
+        continue;
+      }
+      return response;
+    } catch (err) {
+      if (err.name === "AbortError" || attempt >= maxRetries) throw err;
+      await delay(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+};
+
+export const readApiError = async (response, fallbackMessage) => {
+  const body = await response.json().catch(() => null);
+  return new ApiError(body?.error || fallbackMessage || `Request failed with status ${response.status}`, {
+    status: response.status,
+    body,
+  });
+};
+
+/**
+ * Request a JSON endpoint. Non-2xx responses throw an ApiError carrying the
+ * backend's `error` message (or `fallbackMessage`), its status and `details`.
+ */
+export const apiRequest = async (path, options = {}, fallbackMessage) => {
+  const response = await apiFetch(path, options);
+  if (!response.ok) {
+    throw await readApiError(response, fallbackMessage);
+  }
+  if (response.status === 204) return null;
+  return response.json();
+};
@@ -0,0 +1,110 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest, setAuthTokenProvider } from "../api/apiClient";
+import { canPerform } from "./permissions";
+
+const SESSION_STORAGE_KEY = "cottonAuthSession";
+// Refresh a little before expiry so a request never leaves with a dead token.
+const REFRESH_MARGIN_SECONDS = 60;
+
+const readStoredSession = () => {
+  try {
+    const raw = window.localStorage.getItem(SESSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const storeSession = (session) => {
+  if (session) window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  else window.localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+const AuthContext = createContext({
+  user: null,
+  role: "viewer",
+  login: async () => {},
+  logout: () => {},
+  can: () => false,
+});
+
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(readStoredSession);
+  const sessionRef = useRef(session);
+  const refreshPromiseRef = useRef(null);
+
+  const updateSession = useCallback((nextSession) => {
+    sessionRef.current = nextSession;
+    storeSession(nextSession);
+    setSession(nextSession);
+  }, []);
+
+  useEffect(() => {
+    setAuthTokenProvider(async () => {
+      const current = sessionRef.current;
+      if (!current?.access_token) return null;
+
+      const secondsLeft = (current.expires_at ?? 0) - Date.now() / 1000;
+      if (secondsLeft > REFRESH_MARGIN_SECONDS) return current.access_token;
+
+      if (!refreshPromiseRef.current) {
+        refreshPromiseRef.current = apiRequest("/api/auth/refresh", {
+          method: "POST",
+          json: { refresh_token: current.refresh_token },
+          skipAuth: true,
+        })
+          .then((refreshed) => {
+            updateSession(refreshed);
+            return refreshed.access_token;
+          })
+          .catch((err) => {
+            console.error("Session refresh failed:", err.message);
+            updateSession(null);
+            return null;
+          })
+          .finally(() => {
+            refreshPromiseRef.current = null;
+          });
+      }
+      return refreshPromiseRef.current;
+    });
+
+    return () => setAuthTokenProvider(null);
+  }, [updateSession]);
+
+  const login = useCallback(
+    async (email, password) => {
+      const nextSession = await apiRequest(
+        "/api/auth/login",
+        { method: "POST", json: { email, password }, skipAuth: true },
+        "Unable to sign in."
+      );
+      updateSession(nextSession);
+      return nextSession.user;
+    },
+    [updateSession]
+  );
+
+  const logout = useCallback(() => updateSession(null), [updateSession]);
+
+  const value = useMemo(() => {
+    const user = session?.user ?? null;
+    const role = user?.role ?? "viewer";
+    return {
+      user,
+      role,
+      login,
+      logout,
+      can: (permission) => Boolean(user) && canPerform(role, permission),
+    };
+  }, [session, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+AuthProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export const useAuth = () => useContext(AuthContext);
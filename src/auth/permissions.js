@@ -0,0 +1,11 @@
+// Mirrors ROLE_PERMISSIONS in cotton-server.js. The server is the authority;
+// this copy only decides which actions the UI offers.
+export const ROLE_PERMISSIONS = {
+  lots: ["lab"],
+  mixingCodes: ["lab"],
+  mixingChart: ["planner"],
+  mixingIssues: ["planner"],
+};
+
+export const canPerform = (role, permission) =>
+  role === "admin" || (ROLE_PERMISSIONS[permission] ?? []).includes(role);
@@ -5,6 +5,7 @@ import autoTable from "jspdf-autotable";
 import CottonResultsDashboard from "./CottonResultsDashboard";
 import CottonResultsSummary from "./CottonResultsSummary";
 import LotResult from "./LotResult";
+import { formatOutOfSpec, hasOutOfSpecAnnotations } from "../utils/outOfSpec";
 
 const DAILY_COLUMNS = [
   { key: "lot_no", label: "Lot No" },
@@ -43,8 +44,12 @@ function CottonResults() {
   const [exportColumns, setExportColumns] = useState(DAILY_COLUMNS);
   const [filtersSummary, setFiltersSummary] = useState("Filters: None (Report: Daily)");
 
-  const exportToExcel = () => {
-    const formattedData = exportData.map((row) => {
+  const columnLabels = Object.fromEntries(exportColumns.map((col) => [col.key, col.label]));
+
+  // The summary passes every matching row when its table only shows one page of them.
+  const exportToExcel = (rows = exportData) => {
+    const includeOutOfSpec = hasOutOfSpecAnnotations(rows);
+    const formattedData = rows.map((row) => {
       const newRow = {};
       exportColumns.forEach((col) => {
         newRow[col.label] =
@@ -52,6 +57,9 @@ function CottonResults() {
             ? formatDate(row[col.key])
             : row[col.key] ?? "-";
       });
+      if (includeOutOfSpec) {
+        newRow["Out of Spec"] = formatOutOfSpec(row, columnLabels);
+      }
       return newRow;
     });
 
@@ -61,14 +69,19 @@ function CottonResults() {
     XLSX.writeFile(workbook, "Cotton_Results.xlsx");
   };
 
-  const exportToPDF = () => {
+  const exportToPDF = (rows = exportData) => {
+    const includeOutOfSpec = hasOutOfSpecAnnotations(rows);
     const doc = new jsPDF("l", "pt", "a4");
     const tableColumn = exportColumns.map((col) => col.label);
-    const tableRows = exportData.map((row) =>
+    const tableRows = rows.map((row) =>
       exportColumns.map((col) =>
         col.key === "lot_received_date" ? formatDate(row[col.key]) : row[col.key] ?? "-"
       )
     );
+    if (includeOutOfSpec) {
+      tableColumn.push("Out of Spec");
+      rows.forEach((row, index) => tableRows[index].push(formatOutOfSpec(row, columnLabels)));
+    }
 
     doc.text("Cotton Results Report", 40, 30);
     doc.text(filtersSummary, 40, 48);
@@ -79,6 +92,14 @@ function CottonResults() {
       startY: 62,
       styles: { fontSize: 8, cellPadding: 3 },
       headStyles: { fillColor: [103, 58, 183] },
+      didParseCell: (hookData) => {
+        if (hookData.section !== "body") return;
+        const column = exportColumns[hookData.column.index];
+        if (column && rows[hookData.row.index]?.out_of_spec?.[column.key]) {
+          hookData.cell.styles.textColor = [185, 28, 28];
+          hookData.cell.styles.fontStyle = "bold";
+        }
+      },
     });
 
     doc.save("Cotton_Results.pdf");
@@ -1,4 +1,9 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
+import UploadPreview from "./UploadPreview";
+import QualitySpecsManager from "./QualitySpecsManager";
+import InventoryCard from "./InventoryCard";
+import { UPLOAD_TIMEOUT_MS, apiFetch, apiRequest, ensureBackendAwake } from "../api/apiClient";
+import { useAuth } from "../auth/AuthContext";
 
 const createDateRangeForYear = (year) => ({
   from_date: `${year}-01-01`,
@@ -22,6 +27,9 @@ const parameterOptions = [
   "min_mic_bale_per_lot",
 ];
 
+// Refetch the cards once typing in the minimum value pauses.
+const STATS_FILTER_DELAY_MS = 400;
+
 const normalizeNumber = (value) => {
   if (value === null || value === undefined || `${value}`.trim() === "") {
     return null;
@@ -30,115 +38,72 @@ const normalizeNumber = (value) => {
   return Number.isNaN(parsed) ? null : parsed;
 };
 
-const createFilterFn = (parameter, rawThreshold) => {
-  const threshold = normalizeNumber(rawThreshold);
-  if (!parameter || threshold === null) {
-    return () => true;
-  }
-  return (result) => {
-    const value = normalizeNumber(result?.[parameter]);
-    if (value === null) {
-      return false;
-    }
-    return value >= threshold;
-  };
-};
-
-const buildVarietyKey = (value) => {
-  if (value === null || value === undefined || `${value}`.trim() === "") {
-    return "Unspecified";
-  }
-  return `${value}`.trim();
-};
+const formatStat = (value) => (value === null || value === undefined ? "-" : value.toLocaleString());
 
 function CottonResultsDashboard() {
+  const { can } = useAuth();
+  const canEditLots = can("lots");
   const [yearOptions, setYearOptions] = useState([]);
   const [selectedYear, setSelectedYear] = useState("");
-  const [yearResults, setYearResults] = useState([]);
+  const [yearStats, setYearStats] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [pendingLots, setPendingLots] = useState([]);
   const [showPendingModal, setShowPendingModal] = useState(false);
   const [pendingLoading, setPendingLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [uploadFile, setUploadFile] = useState(null);
+  const [uploadEndpoint, setUploadEndpoint] = useState("upload");
+  const [uploadPreview, setUploadPreview] = useState(null);
+  const [uploadValidation, setUploadValidation] = useState(null);
+  const [showSpecsModal, setShowSpecsModal] = useState(false);
   const [selectedParameter, setSelectedParameter] = useState("");
   const [parameterValue, setParameterValue] = useState("");
 
-  const fetchYearResults = useCallback(async (year) => {
+  // The server aggregates the year's lots per cotton_year; with a filter each card
+  // also carries how many lots reach the minimum value.
+  const fetchYearStats = useCallback(async (year, filter, signal) => {
     if (!year) {
-      setYearResults([]);
+      setYearStats([]);
       return;
     }
 
     setLoading(true);
     setError("");
     try {
-      const { from_date, to_date } = createDateRangeForYear(year);
-      const params = new URLSearchParams({ from_date, to_date });
-      const response = await fetch(
-        `https://cotton-api-ekdn.onrender.com/api/cotton-results?${params.toString()}`
+      const json = await apiRequest(
+        "/api/cotton-results/stats",
+        { params: { year, ...filter }, signal },
+        "Failed to load cotton result statistics"
       );
-      if (!response.ok) {
-        throw new Error("Failed to load cotton results");
-      }
-      const json = await response.json();
-      setYearResults(json);
+      setYearStats(json);
     } catch (err) {
-      console.error("Error fetching cotton results:", err);
-      setError("Unable to load cotton results for the selected year.");
-      setYearResults([]);
+      if (err.name !== "AbortError") {
+        console.error("Error fetching cotton result statistics:", err);
+        setError("Unable to load cotton results for the selected year.");
+        setYearStats([]);
+      }
     } finally {
       setLoading(false);
     }
   }, []);
 
-  const deriveYearOptions = useCallback((records) => {
-    const years = new Set();
-    records.forEach((item) => {
-      if (item?.lot_received_date) {
-        const year = new Date(item.lot_received_date).getFullYear();
-        if (!Number.isNaN(year)) {
-          years.add(year.toString());
-        }
-      }
-    });
-    return Array.from(years).sort((a, b) => Number(b) - Number(a));
-  }, []);
-
   const fetchAvailableYears = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-results`);
-      if (!response.ok) {
-        throw new Error("Failed to load cotton results for year options");
-      }
-      const json = await response.json();
-      const derivedYears = deriveYearOptions(json);
-      setYearOptions(derivedYears);
-      if (derivedYears.length > 0) {
-        const defaultYear = derivedYears[0];
-        setSelectedYear(defaultYear);
-        setYearResults(
-          json.filter((item) => {
-            if (!item?.lot_received_date) return false;
-            const lotYear = new Date(item.lot_received_date).getFullYear();
-            return !Number.isNaN(lotYear) && lotYear.toString() === defaultYear;
-          })
-        );
-      } else {
-        setSelectedYear("");
-        setYearResults([]);
-      }
+      const years = await apiRequest("/api/cotton-results/years", {}, "Failed to load cotton result years");
+      setYearOptions(years);
+      setSelectedYear(years[0] ?? "");
     } catch (err) {
       console.error("Error determining year options:", err);
       setError("Unable to determine available years from cotton results.");
       setYearOptions([]);
       setSelectedYear("");
-      setYearResults([]);
+      setYearStats([]);
     } finally {
       setLoading(false);
     }
-  }, [deriveYearOptions]);
+  }, []);
 
   useEffect(() => {
     fetchAvailableYears();
@@ -147,11 +112,7 @@ function CottonResultsDashboard() {
   const fetchPendingLots = async () => {
     setPendingLoading(true);
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/pending-lots");
-      if (!response.ok) {
-        throw new Error("Failed to load pending lots");
-      }
-      const json = await response.json();
+      const json = await apiRequest("/api/pending-lots", {}, "Failed to load pending lots");
       setPendingLots(json);
       setShowPendingModal(true);
     } catch (err) {
@@ -164,7 +125,7 @@ function CottonResultsDashboard() {
 
   const downloadSampleTemplate = async () => {
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/pending-lots/template");
+      const response = await apiFetch("/api/pending-lots/template");
       if (!response.ok) {
         throw new Error("Failed to download template");
       }
@@ -181,76 +142,128 @@ function CottonResultsDashboard() {
     }
   };
 
-  const handleFileUpload = async (event) => {
+  const postPendingLotsUpload = async (file, endpoint, dryRun) => {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    const response = await apiFetch(`/api/pending-lots/${endpoint}`, {
+      method: "POST",
+      params: dryRun ? { dry_run: "true" } : undefined,
+      body: formData,
+      timeoutMs: UPLOAD_TIMEOUT_MS,
+    });
+
+    const json = await response.json();
+    if (!response.ok) {
+      const uploadError = new Error(json?.error || "Upload failed");
+      uploadError.data = json;
+      throw uploadError;
+    }
+    return json;
+  };
+
+  const showUploadValidation = (json) => {
+    const cellErrors = Array.isArray(json?.cell_errors) ? json.cell_errors : [];
+    setUploadValidation(cellErrors.length > 0 ? json : null);
+    return cellErrors.length > 0;
+  };
+
+  // "upload" takes the filled lot template, "hvi-upload" a raw HVI bale export.
+  const handleFileUpload = (endpoint) => async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
 
     setUploading(true);
+    setUploadPreview(null);
+    setUploadValidation(null);
     try {
-      const formData = new FormData();
-      formData.append("file", file);
-
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/pending-lots/upload", {
-        method: "POST",
-        body: formData,
-      });
-
-      const json = await response.json();
-      if (!response.ok) {
-        throw new Error(json?.error || "Upload failed");
+      const json = await postPendingLotsUpload(file, endpoint, true);
+      setUploadFile(file);
+      setUploadEndpoint(endpoint);
+      setUploadPreview(json);
+      showUploadValidation(json);
+    } catch (err) {
+      console.error("Error previewing file:", err);
+      setUploadFile(null);
+      if (!showUploadValidation(err.data)) {
+        alert(err.message || "Preview failed. Check console for details.");
       }
+    } finally {
+      setUploading(false);
+      event.target.value = "";
+    }
+  };
 
+  const handleConfirmUpload = async () => {
+    if (!uploadFile) return;
+
+    setUploading(true);
+    try {
+      await postPendingLotsUpload(uploadFile, uploadEndpoint, false);
       alert("Uploaded successfully!");
-      setShowPendingModal(false);
-      fetchYearResults(selectedYear);
+      closePendingModal();
+      fetchYearStats(selectedYear, statsFilter);
     } catch (err) {
       console.error("Error uploading file:", err);
-      alert(err.message || "Upload failed. Check console for details.");
+      if (!showUploadValidation(err.data)) {
+        alert(err.message || "Upload failed. Check console for details.");
+      }
     } finally {
       setUploading(false);
-      event.target.value = "";
     }
   };
 
-  useEffect(() => {
-    fetchYearResults(selectedYear);
-  }, [selectedYear, fetchYearResults]);
+  const closePendingModal = () => {
+    setShowPendingModal(false);
+    setUploadFile(null);
+    setUploadPreview(null);
+    setUploadValidation(null);
+  };
 
-  const filterFn = useMemo(
-    () => createFilterFn(selectedParameter, parameterValue),
+  const uploadCellErrors = useMemo(() => {
+    const lookup = new Map();
+    (uploadValidation?.cell_errors || []).forEach((cellError) => {
+      const key = `${cellError.row}|${cellError.column}`;
+      lookup.set(key, [...(lookup.get(key) || []), cellError.message]);
+    });
+    return lookup;
+  }, [uploadValidation]);
+
+  const statsFilter = useMemo(
+    () =>
+      selectedParameter && normalizeNumber(parameterValue) !== null
+        ? { parameter: selectedParameter, min: parameterValue }
+        : null,
     [selectedParameter, parameterValue]
   );
 
-  const varietyStats = useMemo(() => {
-    const baselineCounts = new Map();
-    const matchingCounts = new Map();
-
-    yearResults.forEach((result) => {
-      const key = buildVarietyKey(result?.cotton_year);
-      baselineCounts.set(key, (baselineCounts.get(key) || 0) + 1);
-      if (filterFn(result)) {
-        matchingCounts.set(key, (matchingCounts.get(key) || 0) + 1);
-      }
-    });
-
-    return Array.from(baselineCounts.entries())
-      .map(([name, total]) => {
-        const matches = matchingCounts.get(name) || 0;
-        const percentage = total === 0 ? 0 : (matches / total) * 100;
-        return {
-          name,
-          total,
-          matches,
-          percentage,
-        };
-      })
-      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
-  }, [yearResults, filterFn]);
+  useEffect(() => {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => fetchYearStats(selectedYear, statsFilter, controller.signal),
+      statsFilter ? STATS_FILTER_DELAY_MS : 0
+    );
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedYear, statsFilter, fetchYearStats]);
+
+  const varietyStats = useMemo(
+    () =>
+      yearStats.map((group) => ({
+        name: group.cotton_year,
+        total: group.lots,
+        bales: group.bales,
+        matches: group.matches ?? 0,
+        percentage: group.lots === 0 ? 0 : ((group.matches ?? 0) / group.lots) * 100,
+        parameter: selectedParameter ? group.parameters?.[selectedParameter] : null,
+      })),
+    [yearStats, selectedParameter]
+  );
 
   const handleYearChange = (event) => {
-    const year = event.target.value;
-    setSelectedYear(year);
-    fetchYearResults(year);
+    setSelectedYear(event.target.value);
   };
 
   const resetParameter = () => {
@@ -343,14 +356,20 @@ function CottonResultsDashboard() {
           >
             {pendingLoading ? "Loading..." : "Pending Lot Results"}
           </button>
+          <button
+            type="button"
+            onClick={() => setShowSpecsModal(true)}
+            className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-4 rounded shadow text-lm font-semibold"
+          >
+            Quality Specs
+          </button>
         </div>
  <div className="flex flex-wrap gap-3 md:self-center">
  <button
   className="bg-orange-600 hover:bg-green-700 text-white px-4 py-4 rounded shadow text-lm font-semibold"
   onClick={async () => {
     try {
-      const response = await fetch('https://cotton-api-ekdn.onrender.com/wake');
-      if (response.ok) alert('Backend wake request sent!');
+      if (await ensureBackendAwake()) alert('Backend wake request sent!');
       else alert('Failed to wake backend');
     } catch (err) {
       console.error(err);
@@ -372,7 +391,7 @@ function CottonResultsDashboard() {
         </div>
       )}
 
-      {loading ? (
+      {loading && varietyStats.length === 0 ? (
         <p className="text-purple-700 font-semibold">Loading year summary...</p>
       ) : varietyStats.length === 0 ? (
         <div className="rounded border border-gray-200 bg-gray-50 px-4 py-6 text-center text-gray-500">
@@ -380,6 +399,12 @@ function CottonResultsDashboard() {
         </div>
       ) : (
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+          {selectedYear && (
+            <InventoryCard
+              fromDate={createDateRangeForYear(selectedYear).from_date}
+              toDate={createDateRangeForYear(selectedYear).to_date}
+            />
+          )}
           {varietyStats.map((card) => (
             <div
               key={card.name}
@@ -404,13 +429,24 @@ function CottonResultsDashboard() {
                 <>
                   <p className="mt-2 text-3xl font-bold text-gray-800">{card.total}</p>
                   <p className="text-xs text-gray-500">Total lots received</p>
+                  <p className="text-xs text-gray-500">{card.bales.toLocaleString()} bales</p>
                 </>
               )}
+              {card.parameter && (
+                <p className="mt-2 text-xs text-gray-600">
+                  {selectedParameter.replace(/_/g, " ").toUpperCase()}: {formatStat(card.parameter.mean)} bale-weighted
+                  mean, {formatStat(card.parameter.min)} – {formatStat(card.parameter.max)}
+                </p>
+              )}
             </div>
           ))}
         </div>
       )}
 
+{showSpecsModal && (
+  <QualitySpecsManager canEdit={canEditLots} onClose={() => setShowSpecsModal(false)} />
+)}
+
 {showPendingModal && (
   <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4 overflow-y-auto">
     <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-lg bg-white p-6 shadow-xl">
@@ -418,7 +454,7 @@ function CottonResultsDashboard() {
         <h3 className="text-lg font-semibold text-yellow-700">Pending Lots</h3>
         <button
           type="button"
-          onClick={() => setShowPendingModal(false)}
+          onClick={closePendingModal}
           className="text-sm font-bold text-red-600"
         >
           ✕
@@ -447,18 +483,111 @@ function CottonResultsDashboard() {
         >
           📥 Download Template
         </button>
-        <label className="flex cursor-pointer items-center gap-2 rounded bg-blue-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-blue-700">
-          📤 Upload Filled Template
-          <input
-            type="file"
-            accept=".xlsx, .xls"
-            onChange={handleFileUpload}
-            className="hidden"
-            disabled={uploading}
-          />
-        </label>
+        {canEditLots ? (
+          <>
+            <label className="flex cursor-pointer items-center gap-2 rounded bg-blue-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-blue-700">
+              📤 Upload Filled Template
+              <input
+                type="file"
+                accept=".xlsx, .xls"
+                onChange={handleFileUpload("upload")}
+                className="hidden"
+                disabled={uploading}
+              />
+            </label>
+            <label className="flex cursor-pointer items-center gap-2 rounded bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-indigo-700">
+              🧪 Import HVI File
+              <input
+                type="file"
+                accept=".csv, .txt, .xlsx, .xls"
+                onChange={handleFileUpload("hvi-upload")}
+                className="hidden"
+                disabled={uploading}
+              />
+            </label>
+          </>
+        ) : (
+          <span className="text-xs text-gray-500">Sign in with a lab account to upload lot results.</span>
+        )}
         {uploading && <span className="text-sm text-gray-600">Uploading...</span>}
       </div>
+
+      {uploadValidation && (
+        <div className="mt-4 space-y-2">
+          <p className="text-sm font-semibold text-red-600">
+            {uploadValidation.cell_errors.length} problem(s) found.
+            {uploadValidation.columns ? " Hover a highlighted cell for details." : ""}
+          </p>
+          {uploadValidation.columns && (
+            <div className="max-h-64 overflow-auto rounded border border-gray-200">
+              <table className="min-w-full text-xs">
+                <thead className="sticky top-0 bg-gray-100">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Row</th>
+                    {(uploadValidation.columns || []).map((column, index) => {
+                      const messages = uploadCellErrors.get(`1|${column}`);
+                      return (
+                        <th
+                          key={`${column}-${index}`}
+                          title={messages?.join("\n")}
+                          className={`px-2 py-1 text-left ${messages ? "bg-red-200 text-red-800" : ""}`}
+                        >
+                          {column}
+                        </th>
+                      );
+                    })}
+                  </tr>
+                </thead>
+                <tbody>
+                  {(uploadValidation.invalid_rows || []).map(({ row, values }) => (
+                    <tr key={row} className="border-t border-gray-100">
+                      <td className="px-2 py-1 font-semibold">{row}</td>
+                      {(uploadValidation.columns || []).map((column, index) => {
+                        const messages = uploadCellErrors.get(`${row}|${column}`);
+                        return (
+                          <td
+                            key={`${row}-${column}-${index}`}
+                            title={messages?.join("\n")}
+                            className={`px-2 py-1 whitespace-nowrap ${messages ? "bg-red-100 font-semibold text-red-700" : ""}`}
+                          >
+                            {values?.[column] === "" || values?.[column] === undefined ? "—" : String(values[column])}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <ul className="list-inside list-disc text-xs text-red-600">
+            {uploadValidation.cell_errors.slice(0, 20).map((cellError) => (
+              <li key={`${cellError.row}-${cellError.column}-${cellError.message}`}>
+                {cellError.cell ? `${cellError.cell}: ` : ""}
+                {cellError.message}
+              </li>
+            ))}
+            {uploadValidation.cell_errors.length > 20 && (
+              <li>…and {uploadValidation.cell_errors.length - 20} more</li>
+            )}
+          </ul>
+        </div>
+      )}
+
+      {uploadPreview && (
+        <div className="mt-4">
+          <UploadPreview
+            preview={uploadPreview}
+            onConfirm={handleConfirmUpload}
+            onCancel={() => {
+              setUploadFile(null);
+              setUploadPreview(null);
+              setUploadValidation(null);
+            }}
+            uploading={uploading}
+          />
+        </div>
+      )}
     </div>
   </div>
 )}
@@ -1,54 +1,75 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-
-const WEEK_BUCKETS = [
-  { start: 1, end: 7, label: "1-7" },
-  { start: 8, end: 14, label: "8-14" },
-  { start: 15, end: 21, label: "15-21" },
-  { start: 22, end: 28, label: "22-28" },
-  { start: 29, end: 31, label: "29-31" },
+import { describeOutOfSpecFlag, getOutOfSpecFlag, outOfSpecCellClass } from "../utils/outOfSpec";
+import {
+  CALENDAR_OPTIONS,
+  DEFAULT_REPORT_CALENDAR,
+  WEEK_START_OPTIONS,
+  buildCalendarParams,
+  usesWeekStart,
+} from "../utils/reportCalendars";
+import { apiRequest } from "../api/apiClient";
+import Pagination from "./Pagination";
+
+// Weekly and monthly rows come from /api/cotton-results/summary, which reports each
+// parameter as a bale-weighted mean plus its standard deviation (`_sd`) and CV% (`_cv`).
+const PARAMETER_COLUMNS = [
+  { key: "uhml", label: "UHML" },
+  { key: "mic", label: "MIC" },
+  { key: "str", label: "Str" },
+  { key: "rd", label: "Rd" },
+  { key: "plus_b", label: "+b" },
+  { key: "sf", label: "SFI" },
+  { key: "ui", label: "UI" },
+  { key: "elong", label: "Elong" },
+  { key: "trash", label: "Trash" },
+  { key: "moist", label: "Moist (%)" },
+  { key: "min_mic", label: "Min_MIC" },
 ];
 
-const METRIC_DEFINITIONS = [
-  { key: "no_of_bale", label: "No of Bales", aggregation: "sum" },
-  { key: "uhml", label: "UHML", aggregation: "avg" },
-  { key: "mic", label: "MIC", aggregation: "avg" },
-  { key: "str", label: "Str", aggregation: "avg" },
-  { key: "rd", label: "Rd", aggregation: "avg" },
-  { key: "plus_b", label: "+b", aggregation: "avg" },
-  { key: "sf", label: "SFI", aggregation: "avg" },
-  { key: "ui", label: "UI", aggregation: "avg" },
-  { key: "elong", label: "Elong", aggregation: "avg" },
-  { key: "trash", label: "Trash", aggregation: "avg" },
-  { key: "moist", label: "Moist (%)", aggregation: "avg" },
-  { key: "min_mic", label: "Min_MIC", aggregation: "avg" },
+const COUNT_KEYS = ["lots", "no_of_bale"];
+const TEXT_COLUMN_KEYS = ["period_label", "variety", "party_name", "station"];
+
+const GROUP_BY_OPTIONS = [
+  { value: "", label: "Variety" },
+  { value: "party_name", label: "Variety + Party", column: { key: "party_name", label: "Party Name" } },
+  { value: "station", label: "Variety + Station", column: { key: "station", label: "Station" } },
 ];
 
-const METRIC_COLUMNS = METRIC_DEFINITIONS.map(({ key, label }) => ({ key, label }));
-const SUM_KEYS = METRIC_DEFINITIONS.filter((definition) => definition.aggregation === "sum").map(
-  ({ key }) => key
-);
-const AVG_KEYS = METRIC_DEFINITIONS.filter((definition) => definition.aggregation === "avg").map(
-  ({ key }) => key
-);
+const PERIOD_COLUMN_LABELS = { Weekly: "Week", Monthly: "Month", Quarterly: "Quarter", Yearly: "Year" };
 
-const WEEKLY_COLUMNS = [
-  { key: "period_label", label: "Week" },
+const buildPeriodColumns = (reportType, groupBy, showSpread) => [
+  { key: "period_label", label: PERIOD_COLUMN_LABELS[reportType] ?? "Period" },
   { key: "variety", label: "Variety" },
-  ...METRIC_COLUMNS,
+  ...GROUP_BY_OPTIONS.filter((option) => option.value === groupBy && option.column).map(({ column }) => column),
+  { key: "lots", label: "Lots" },
+  { key: "no_of_bale", label: "No of Bales" },
+  ...PARAMETER_COLUMNS.flatMap(({ key, label }) =>
+    showSpread
+      ? [
+          { key, label },
+          { key: `${key}_sd`, label: `${label} SD` },
+          { key: `${key}_cv`, label: `${label} CV%` },
+        ]
+      : [{ key, label }]
+  ),
 ];
 
-const MONTHLY_COLUMNS = [
-  { key: "period_label", label: "Month" },
-  { key: "variety", label: "Variety" },
-  ...METRIC_COLUMNS,
-];
+const FILTER_FIELD_KEYS = ["lot_no", "variety", "party_name", "station"];
 
-const monthFormatter = new Intl.DateTimeFormat("en-US", {
-  month: "short",
-  year: "numeric",
-});
+// Daily results are fetched a page at a time; the server orders them by variety then date.
+const DAILY_PAGE_SIZE = 100;
 
-const FILTER_FIELD_KEYS = ["lot_no", "variety", "party_name", "station"];
+const compareDailyRows = (a, b) => {
+  const varietyComparison = (a.variety || "").localeCompare(b.variety || "", undefined, {
+    sensitivity: "base",
+  });
+  if (varietyComparison !== 0) {
+    return varietyComparison;
+  }
+  const dateA = a.lot_received_date ? new Date(a.lot_received_date).getTime() : 0;
+  const dateB = b.lot_received_date ? new Date(b.lot_received_date).getTime() : 0;
+  return dateA - dateB;
+};
 
 const defaultOptionsState = FILTER_FIELD_KEYS.reduce(
   (accumulator, key) => ({ ...accumulator, [key]: [] }),
@@ -62,13 +83,16 @@ const defaultDropdownSearchState = FILTER_FIELD_KEYS.reduce(
 
 const baseFilterState = FILTER_FIELD_KEYS.reduce(
   (accumulator, key) => ({ ...accumulator, [key]: [] }),
-  { from_date: "", to_date: "", report_type: "Daily" }
+  { from_date: "", to_date: "", report_type: "Daily", group_by: "", ...DEFAULT_REPORT_CALENDAR }
 );
 
 const cloneFilters = (source = baseFilterState) => ({
   from_date: source?.from_date ?? "",
   to_date: source?.to_date ?? "",
   report_type: source?.report_type ?? "Daily",
+  group_by: source?.group_by ?? "",
+  calendar: source?.calendar ?? DEFAULT_REPORT_CALENDAR.calendar,
+  week_start: source?.week_start ?? DEFAULT_REPORT_CALENDAR.week_start,
   ...FILTER_FIELD_KEYS.reduce((accumulator, key) => {
     const value = source?.[key];
     accumulator[key] = Array.isArray(value) ? [...value] : [];
@@ -102,6 +126,18 @@ const buildFiltersSummaryText = (reportType, selections = baseFilterState) => {
     }
   });
 
+  const grouping = GROUP_BY_OPTIONS.find((option) => option.value === selections.group_by && option.column);
+  if (reportType !== "Daily" && grouping) {
+    parts.push(`Grouped by: ${grouping.label}`);
+  }
+
+  const calendar = CALENDAR_OPTIONS.find((option) => option.value === selections.calendar);
+  if (reportType !== "Daily" && calendar && calendar.value !== DEFAULT_REPORT_CALENDAR.calendar) {
+    const weekStart = WEEK_START_OPTIONS.find((option) => option.value === selections.week_start);
+    const showWeekStart = usesWeekStart(calendar.value) && selections.week_start && weekStart;
+    parts.push(`Calendar: ${calendar.label}${showWeekStart ? `, ${weekStart.label}` : ""}`);
+  }
+
   if (parts.length === 0) {
     return `Filters: None (Report: ${reportType})`;
   }
@@ -135,6 +171,10 @@ function CottonResultsSummary({
   const [loadingOptions, setLoadingOptions] = useState(false);
   const [optionsError, setOptionsError] = useState("");
   const [hasAppliedFilters, setHasAppliedFilters] = useState(false);
+  const [appliedParams, setAppliedParams] = useState(null);
+  const [dailyPage, setDailyPage] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [showSpread, setShowSpread] = useState(false);
   const dropdownRef = useRef(null);
 
   useEffect(() => {
@@ -160,11 +200,7 @@ function CottonResultsSummary({
       }
     });
 
-    const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-results/filters?${params.toString()}`);
-    if (!response.ok) {
-      throw new Error("Failed to load cotton result filters");
-    }
-    return response.json();
+    return apiRequest("/api/cotton-results/filters", { params }, "Failed to load cotton result filters");
   }, []);
 
   const refreshFilterOptions = useCallback(
@@ -218,10 +254,28 @@ function CottonResultsSummary({
     setOpenDropdown(null);
   };
 
+  // Group By, Calendar and Week Start change the summary rows, so the table waits for Apply.
+  const handlePeriodOptionChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setData([]);
+    setTableVisible(false);
+    setExportData([]);
+  };
+
+  const handleShowSpreadChange = (event) => {
+    const { checked } = event.target;
+    setShowSpread(checked);
+    if (tableVisible && filters.report_type !== "Daily") {
+      updateExportContext(filters.report_type, cloneFilters(filters), checked);
+    }
+  };
+
   const handleReportTypeChange = (event) => {
     const { value } = event.target;
     setFilters((prev) => ({ ...prev, report_type: value }));
     setData([]);
+    setDailyPage(null);
     setTableVisible(false);
     setExportData([]);
     setOptions(defaultOptionsState);
@@ -283,108 +337,7 @@ function CottonResultsSummary({
     [filters]
   );
 
-  const computePeriodMeta = (date, reportType) => {
-    if (reportType === "Weekly") {
-      const day = date.getDate();
-      const bucket = WEEK_BUCKETS.find(({ start, end }) => day >= start && day <= end) || WEEK_BUCKETS[0];
-      const monthLabel = monthFormatter.format(date);
-      const bucketStartDate = new Date(date.getFullYear(), date.getMonth(), bucket.start);
-      return {
-        label: `${bucket.label} ${monthLabel}`,
-        sortKey: bucketStartDate.getTime() + bucket.start,
-      };
-    }
-
-    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
-    return {
-      label: monthFormatter.format(date),
-      sortKey: monthStart.getTime(),
-    };
-  };
-
-  const aggregateRecords = (records, reportType) => {
-    const grouped = new Map();
-
-    records.forEach((item) => {
-      if (!item.lot_received_date || !item.variety) {
-        return;
-      }
-
-      const date = new Date(item.lot_received_date);
-      if (Number.isNaN(date.getTime())) {
-        return;
-      }
-
-      const { label: periodLabel, sortKey: sortKey } = computePeriodMeta(date, reportType);
-      const normalizedVariety = item.variety?.trim() || "Unspecified";
-      const groupKey = `${periodLabel}__${normalizedVariety}`;
-      if (!grouped.has(groupKey)) {
-        grouped.set(groupKey, {
-          period_label: periodLabel,
-          period_sort_key: sortKey,
-          variety: normalizedVariety,
-          ...Object.fromEntries(
-            METRIC_DEFINITIONS.map(({ key, aggregation }) => [
-              key,
-              aggregation === "sum" ? 0 : { total: 0, weight: 0 },
-            ])
-          ),
-        });
-      }
-
-      const bucket = grouped.get(groupKey);
-      const baleCount = Number(item.no_of_bale) || 0;
-
-      METRIC_DEFINITIONS.forEach(({ key, aggregation }) => {
-        const value = Number(item[key]);
-        if (Number.isNaN(value)) {
-          return;
-        }
-
-        if (aggregation === "sum") {
-          bucket[key] += value;
-        } else if (aggregation === "avg") {
-          bucket[key].total += value * baleCount;
-          bucket[key].weight += baleCount;
-        }
-      });
-    });
-
-    return Array.from(grouped.values()).map((entry) => {
-      const result = {
-        period_label: entry.period_label,
-        period_sort_key: entry.period_sort_key,
-        variety: entry.variety,
-        ...Object.fromEntries(SUM_KEYS.map((key) => [key, entry[key]])),
-      };
-
-      AVG_KEYS.forEach((key) => {
-        const { total, weight } = entry[key];
-        if (weight > 0) {
-          result[key] = total / weight;
-        } else {
-          result[key] = null;
-        }
-      });
-
-      return result;
-    });
-  };
-
-  const sortAggregatedData = (records) => {
-    const sorted = [...records].sort((a, b) => {
-      const sortKeyA = a.period_sort_key ?? 0;
-      const sortKeyB = b.period_sort_key ?? 0;
-      if (sortKeyA !== sortKeyB) {
-        return sortKeyA - sortKeyB;
-      }
-      return (a.variety || "").localeCompare(b.variety || "", undefined, {
-        sensitivity: "base",
-      });
-    });
-
-    return sorted.map(({ period_sort_key, ...rest }) => rest);
-  };
+  const periodColumns = buildPeriodColumns(filters.report_type, filters.group_by, showSpread);
 
   const formatMetricValue = (value, key) => {
     if (value === null || value === undefined || value === "") {
@@ -396,22 +349,37 @@ function CottonResultsSummary({
       return value;
     }
 
-    if (SUM_KEYS.includes(key)) {
+    if (COUNT_KEYS.includes(key)) {
       return Number.isInteger(numericValue) ? numericValue : numericValue.toFixed(2);
     }
 
     return numericValue.toFixed(2);
   };
 
-  const updateExportContext = (reportType, currentSelections = cloneFilters()) => {
+  const updateExportContext = (reportType, currentSelections = cloneFilters(), withSpread = showSpread) => {
     if (typeof onExportContextChange === "function") {
       const summaryText = buildFiltersSummaryText(reportType, currentSelections);
       const columnsToUse =
-        reportType === "Daily" ? dailyColumns : reportType === "Weekly" ? WEEKLY_COLUMNS : MONTHLY_COLUMNS;
+        reportType === "Daily"
+          ? dailyColumns
+          : buildPeriodColumns(reportType, currentSelections.group_by, withSpread);
       onExportContextChange({ columns: columnsToUse, filtersSummary: summaryText, selections: currentSelections });
     }
   };
 
+  const loadDailyPage = useCallback(
+    async (params, offset) => {
+      const pageParams = new URLSearchParams(params);
+      pageParams.set("limit", DAILY_PAGE_SIZE);
+      pageParams.set("offset", offset);
+      const page = await apiRequest("/api/cotton-results", { params: pageParams }, "Failed to fetch cotton results");
+      setData(page.data);
+      setDailyPage({ total: page.total, limit: page.limit, offset: page.offset });
+      setExportData(page.data);
+    },
+    [setExportData]
+  );
+
   const applyFilters = useCallback(async () => {
     if (!canSubmit) {
       alert("Please select at least one filter before applying.");
@@ -422,39 +390,29 @@ function CottonResultsSummary({
     setError("");
     try {
       const params = buildFilterParams();
-      const response = await fetch(
-        `https://cotton-api-ekdn.onrender.com/api/cotton-results?${params.toString()}`
-      );
-      if (!response.ok) {
-        throw new Error("Failed to fetch cotton results");
-      }
-      const json = await response.json();
       const activeReportType = filters.report_type;
       const currentSelections = cloneFilters(filters);
+      setAppliedParams(params);
 
       if (activeReportType === "Daily") {
-        const sorted = [...json].sort((a, b) => {
-          const varietyComparison = (a.variety || "").localeCompare(b.variety || "", undefined, {
-            sensitivity: "base",
-          });
-          if (varietyComparison !== 0) {
-            return varietyComparison;
-          }
-          const dateA = a.lot_received_date ? new Date(a.lot_received_date).getTime() : 0;
-          const dateB = b.lot_received_date ? new Date(b.lot_received_date).getTime() : 0;
-          return dateA - dateB;
-        });
-        setData(sorted);
+        await loadDailyPage(params, 0);
         setTableVisible(true);
-        setExportData(sorted);
         updateExportContext("Daily", currentSelections);
       } else {
-        const aggregated = aggregateRecords(json, activeReportType);
-        const sortedAggregated = sortAggregatedData(aggregated);
-        setData(sortedAggregated);
+        const summaryParams = new URLSearchParams(params);
+        summaryParams.set("report_type", activeReportType.toLowerCase());
+        if (filters.group_by) summaryParams.set("group_by", filters.group_by);
+        Object.entries(buildCalendarParams(filters)).forEach(([key, value]) => summaryParams.set(key, value));
+        const summaryRows = await apiRequest(
+          "/api/cotton-results/summary",
+          { params: summaryParams },
+          "Failed to fetch cotton results summary"
+        );
+        setDailyPage(null);
+        setData(summaryRows);
         setTableVisible(true);
-        setExportData(sortedAggregated);
-        updateExportContext(activeReportType, currentSelections);
+        setExportData(summaryRows);
+        updateExportContext(activeReportType, currentSelections, showSpread);
       }
 
       setHasAppliedFilters(true);
@@ -463,17 +421,57 @@ function CottonResultsSummary({
       console.error("Error fetching cotton results:", err);
       setError("Unable to load cotton results with the selected filters.");
       setData([]);
+      setDailyPage(null);
       setTableVisible(false);
       setExportData([]);
     } finally {
       setLoading(false);
     }
-  }, [buildFilterParams, canSubmit, filters, setExportData]);
+  }, [buildFilterParams, canSubmit, filters, loadDailyPage, setExportData, showSpread]);
+
+  const handlePageChange = async (offset) => {
+    setLoading(true);
+    setError("");
+    try {
+      await loadDailyPage(appliedParams, offset);
+    } catch (err) {
+      console.error("Error fetching cotton results page:", err);
+      setError("Unable to load this page of cotton results.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The daily table holds one page, so exports fetch every matching row first.
+  const handleExport = async (exporter) => {
+    if (!dailyPage || dailyPage.total <= data.length) {
+      exporter();
+      return;
+    }
+
+    setExporting(true);
+    setError("");
+    try {
+      const rows = await apiRequest(
+        "/api/cotton-results",
+        { params: appliedParams },
+        "Failed to fetch cotton results"
+      );
+      exporter([...rows].sort(compareDailyRows));
+    } catch (err) {
+      console.error("Error fetching cotton results for export:", err);
+      setError("Unable to export cotton results with the selected filters.");
+    } finally {
+      setExporting(false);
+    }
+  };
 
   const resetFilters = () => {
     const resetState = cloneFilters();
     setFilters(resetState);
     setData([]);
+    setDailyPage(null);
+    setAppliedParams(null);
     setTableVisible(false);
     setExportData([]);
     setError("");
@@ -638,23 +636,89 @@ function CottonResultsSummary({
               <option value="Daily">Daily</option>
               <option value="Weekly">Weekly</option>
               <option value="Monthly">Monthly</option>
+              <option value="Quarterly">Quarterly</option>
+              <option value="Yearly">Yearly</option>
             </select>
           </div>
+          {filters.report_type !== "Daily" && (
+            <>
+              <div className="flex flex-col gap-2">
+                <label className="text-sm font-semibold text-gray-600" htmlFor="group_by">
+                  Group By
+                </label>
+                <select
+                  id="group_by"
+                  name="group_by"
+                  value={filters.group_by}
+                  onChange={handlePeriodOptionChange}
+                  className="rounded border border-gray-300 px-3 py-2 text-sm"
+                >
+                  {GROUP_BY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col gap-2">
+                <label className="text-sm font-semibold text-gray-600" htmlFor="calendar">
+                  Calendar
+                </label>
+                <select
+                  id="calendar"
+                  name="calendar"
+                  value={filters.calendar}
+                  onChange={handlePeriodOptionChange}
+                  className="rounded border border-gray-300 px-3 py-2 text-sm"
+                >
+                  {CALENDAR_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {usesWeekStart(filters.calendar) && (
+                <div className="flex flex-col gap-2">
+                  <label className="text-sm font-semibold text-gray-600" htmlFor="week_start">
+                    Week Start
+                  </label>
+                  <select
+                    id="week_start"
+                    name="week_start"
+                    value={filters.week_start}
+                    onChange={handlePeriodOptionChange}
+                    className="rounded border border-gray-300 px-3 py-2 text-sm"
+                  >
+                    {WEEK_START_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <label className="flex items-center gap-2 self-end pb-2 text-sm font-semibold text-gray-600">
+                <input type="checkbox" checked={showSpread} onChange={handleShowSpreadChange} />
+                Show SD / CV%
+              </label>
+            </>
+          )}
         </div>
         <div className="flex flex-wrap gap-3">
           <button
             type="button"
-            onClick={onExportToExcel}
+            onClick={() => handleExport(onExportToExcel)}
             className="rounded bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-700"
-            disabled={data.length === 0}
+            disabled={data.length === 0 || exporting}
           >
             Excel
           </button>
           <button
             type="button"
-            onClick={onExportToPDF}
+            onClick={() => handleExport(onExportToPDF)}
             className="rounded bg-red-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-red-700"
-            disabled={data.length === 0}
+            disabled={data.length === 0 || exporting}
           >
             PDF
           </button>
@@ -707,38 +771,53 @@ function CottonResultsSummary({
             No results found for the selected filters.
           </div>
         ) : filters.report_type === "Daily" ? (
-          <div className="max-h-[70vh] overflow-auto rounded-lg border border-gray-200 shadow-sm">
-            <table className="min-w-full table-auto border-collapse text-sm">
-              <thead className="sticky top-0 bg-purple-700 text-left text-xs uppercase tracking-wider text-white">
-                <tr>
-                  {dailyColumns.map((column) => (
-                    <th key={column.key} className="border border-purple-200 px-3 py-2">
-                      {column.label}
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {data.map((row) => (
-                  <tr key={`${row.lot_no}-${row.lot_received_date}`} className="even:bg-purple-50">
+          <div className="space-y-3">
+            <div className="max-h-[70vh] overflow-auto rounded-lg border border-gray-200 shadow-sm">
+              <table className="min-w-full table-auto border-collapse text-sm">
+                <thead className="sticky top-0 bg-purple-700 text-left text-xs uppercase tracking-wider text-white">
+                  <tr>
                     {dailyColumns.map((column) => (
-                      <td key={column.key} className="border border-purple-100 px-3 py-2 whitespace-nowrap">
-                        {column.key === "lot_received_date"
-                          ? formatDate(row[column.key])
-                          : row[column.key] ?? "-"}
-                      </td>
+                      <th key={column.key} className="border border-purple-200 px-3 py-2">
+                        {column.label}
+                      </th>
                     ))}
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {data.map((row) => (
+                    <tr key={`${row.lot_no}-${row.lot_received_date}`} className="even:bg-purple-50">
+                      {dailyColumns.map((column) => (
+                        <td
+                          key={column.key}
+                          title={describeOutOfSpecFlag(getOutOfSpecFlag(row, column.key))}
+                          className={`border border-purple-100 px-3 py-2 whitespace-nowrap ${outOfSpecCellClass(row, column.key)}`}
+                        >
+                          {column.key === "lot_received_date"
+                            ? formatDate(row[column.key])
+                            : row[column.key] ?? "-"}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {dailyPage && (
+              <Pagination
+                total={dailyPage.total}
+                limit={dailyPage.limit}
+                offset={dailyPage.offset}
+                onPageChange={handlePageChange}
+                disabled={loading}
+              />
+            )}
           </div>
         ) : (
           <div className="max-h-[70vh] overflow-auto rounded-lg border border-gray-200 shadow-sm">
             <table className="min-w-full table-auto border-collapse text-sm">
               <thead className="sticky top-0 bg-purple-700 text-left text-xs uppercase tracking-wider text-white">
                 <tr>
-                  {(filters.report_type === "Weekly" ? WEEKLY_COLUMNS : MONTHLY_COLUMNS).map((column) => (
+                  {periodColumns.map((column) => (
                     <th key={column.key} className="border border-purple-200 px-3 py-2">
                       {column.label}
                     </th>
@@ -748,11 +827,9 @@ function CottonResultsSummary({
               <tbody>
                 {data.map((row, index) => (
                   <tr key={`${row.period_label}-${row.variety}-${index}`} className="even:bg-purple-50">
-                    {(filters.report_type === "Weekly" ? WEEKLY_COLUMNS : MONTHLY_COLUMNS).map((column) => (
+                    {periodColumns.map((column) => (
                       <td key={column.key} className="border border-purple-100 px-3 py-2 whitespace-nowrap">
-                        {column.key === "period_label"
-                          ? row[column.key]
-                          : column.key === "cotton"
+                        {TEXT_COLUMN_KEYS.includes(column.key)
                           ? row[column.key] ?? "-"
                           : formatMetricValue(row[column.key], column.key)}
                       </td>
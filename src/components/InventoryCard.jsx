@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest } from "../api/apiClient";
+
+const GROUPINGS = [
+  { key: "by_cotton_year", field: "cotton_year", label: "Cotton Year" },
+  { key: "by_variety", field: "variety", label: "Variety" },
+  { key: "by_party", field: "party_name", label: "Party" },
+];
+
+function InventoryCard({ fromDate, toDate }) {
+  const [inventory, setInventory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [showDetails, setShowDetails] = useState(false);
+  const [grouping, setGrouping] = useState(GROUPINGS[0].key);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const loadInventory = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setInventory(
+          await apiRequest(
+            "/api/inventory",
+            { params: { from_date: fromDate, to_date: toDate }, signal: controller.signal },
+            "Unable to load bale stock."
+          )
+        );
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching inventory:", err.message);
+          setError(err.message || "Unable to load bale stock.");
+          setInventory(null);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInventory();
+    return () => controller.abort();
+  }, [fromDate, toDate]);
+
+  const totals = inventory?.totals;
+  const overIssuedLots = (inventory?.lots ?? []).filter((lot) => lot.stock_status === "over_issued");
+  const activeGrouping = GROUPINGS.find((option) => option.key === grouping);
+
+  return (
+    <div className="rounded-lg border border-emerald-200 bg-white p-5 shadow-sm transition-transform hover:-translate-y-1 hover:shadow-md">
+      <h3 className="text-lg font-semibold text-emerald-700">Bale Stock</h3>
+      {loading ? (
+        <p className="mt-2 text-sm text-gray-500">Loading stock...</p>
+      ) : error ? (
+        <p className="mt-2 text-sm text-red-600">{error}</p>
+      ) : totals ? (
+        <>
+          <p className="mt-2 text-3xl font-bold text-gray-800">{totals.remaining_bales.toLocaleString()}</p>
+          <p className="text-xs text-gray-500">Bales in stock across {totals.lots.toLocaleString()} lots</p>
+          <p className="mt-1 text-xs text-gray-500">
+            {totals.received_bales.toLocaleString()} received · {totals.issued_bales.toLocaleString()} issued
+          </p>
+          {totals.over_issued_lots > 0 && (
+            <p className="mt-1 text-xs font-semibold text-red-600">
+              {totals.over_issued_lots} lot(s) over-issued by {totals.over_issued_bales} bale(s)
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowDetails(true)}
+            className="mt-3 text-xs font-semibold text-emerald-700 hover:underline"
+          >
+            View details
+          </button>
+        </>
+      ) : null}
+
+      {showDetails && inventory && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center overflow-y-auto bg-black bg-opacity-50 px-4">
+          <div className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-lg bg-white p-6 shadow-xl">
+            <div className="mb-4 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-emerald-700">Bale Stock</h3>
+              <button type="button" onClick={() => setShowDetails(false)} className="text-sm font-bold text-red-600">
+                ✕
+              </button>
+            </div>
+
+            <div className="mb-3 flex gap-2">
+              {GROUPINGS.map((option) => (
+                <button
+                  key={option.key}
+                  type="button"
+                  onClick={() => setGrouping(option.key)}
+                  className={`rounded px-3 py-1 text-xs font-semibold ${
+                    grouping === option.key ? "bg-emerald-600 text-white" : "bg-gray-100 text-gray-700"
+                  }`}
+                >
+                  By {option.label}
+                </button>
+              ))}
+            </div>
+
+            <table className="mb-6 min-w-full text-sm">
+              <thead className="bg-emerald-50 text-left text-emerald-800">
+                <tr>
+                  <th className="px-3 py-2">{activeGrouping.label}</th>
+                  <th className="px-3 py-2 text-right">Lots</th>
+                  <th className="px-3 py-2 text-right">Received</th>
+                  <th className="px-3 py-2 text-right">Issued</th>
+                  <th className="px-3 py-2 text-right">In Stock</th>
+                  <th className="px-3 py-2 text-right">Over-issued Lots</th>
+                </tr>
+              </thead>
+              <tbody>
+                {inventory[grouping].map((row) => (
+                  <tr key={row[activeGrouping.field]} className="border-t border-gray-100">
+                    <td className="px-3 py-2">{row[activeGrouping.field]}</td>
+                    <td className="px-3 py-2 text-right">{row.lots}</td>
+                    <td className="px-3 py-2 text-right">{row.received_bales}</td>
+                    <td className="px-3 py-2 text-right">{row.issued_bales}</td>
+                    <td className="px-3 py-2 text-right">{row.remaining_bales}</td>
+                    <td className={`px-3 py-2 text-right ${row.over_issued_lots > 0 ? "font-semibold text-red-600" : ""}`}>
+                      {row.over_issued_lots}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h4 className="mb-2 text-sm font-semibold text-red-700">Over-issued Lots</h4>
+            {overIssuedLots.length === 0 ? (
+              <p className="text-sm text-gray-500">No lot has issued more bales than it received.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead className="bg-red-50 text-left text-red-800">
+                  <tr>
+                    <th className="px-3 py-2">Lot</th>
+                    <th className="px-3 py-2">Variety</th>
+                    <th className="px-3 py-2">Party</th>
+                    <th className="px-3 py-2 text-right">Received</th>
+                    <th className="px-3 py-2 text-right">Issued</th>
+                    <th className="px-3 py-2 text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {overIssuedLots.map((lot) => (
+                    <tr key={lot.lot_no} className="border-t border-gray-100">
+                      <td className="px-3 py-2">{lot.lot_no}</td>
+                      <td className="px-3 py-2">{lot.variety ?? "-"}</td>
+                      <td className="px-3 py-2">{lot.party_name ?? "-"}</td>
+                      <td className="px-3 py-2 text-right">{lot.received_bales}</td>
+                      <td className="px-3 py-2 text-right">{lot.issued_bales}</td>
+                      <td className="px-3 py-2 text-right font-semibold text-red-600">{lot.remaining_bales}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+InventoryCard.propTypes = {
+  fromDate: PropTypes.string.isRequired,
+  toDate: PropTypes.string.isRequired,
+};
+
+export default InventoryCard;
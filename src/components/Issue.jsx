@@ -1,5 +1,9 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
 import PropTypes from "prop-types";
+import Pagination from "./Pagination";
+import UploadPreview from "./UploadPreview";
+import { UPLOAD_TIMEOUT_MS, apiFetch, apiRequest } from "../api/apiClient";
+import { useAuth } from "../auth/AuthContext";
 
 const columns = [
   { key: "unit", label: "Unit" },
@@ -9,6 +13,8 @@ const columns = [
   { key: "mixing_no", label: "Mixing No" },
 ];
 
+const MIXING_ISSUES_PAGE_SIZE = 100;
+
 const formatDate = (value) => {
   if (!value) return "";
   const date = new Date(value);
@@ -72,6 +78,9 @@ const sortRowsByColumns = (rows) => {
 };
 
 function Issue() {
+  const { can } = useAuth();
+  const canEditIssues = can("mixingIssues");
+  const canEditCodes = can("mixingCodes");
   const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
@@ -89,12 +98,15 @@ function Issue() {
   const [issueUploading, setIssueUploading] = useState(false);
   const [issueUploadError, setIssueUploadError] = useState("");
   const [issueUploadSuccess, setIssueUploadSuccess] = useState("");
+  const [issueUploadFile, setIssueUploadFile] = useState(null);
+  const [issueUploadPreview, setIssueUploadPreview] = useState(null);
   const [isIssueUpdateModalOpen, setIsIssueUpdateModalOpen] = useState(false);
 
   const [mixingIssues, setMixingIssues] = useState([]);
   const [mixingIssuesLoading, setMixingIssuesLoading] = useState(false);
   const [mixingIssuesError, setMixingIssuesError] = useState("");
   const [mixingIssuesSuccess, setMixingIssuesSuccess] = useState("");
+  const [mixingIssuesPage, setMixingIssuesPage] = useState(null);
 
   const fetchCottonVarieties = useCallback(async () => {
     setCottonRows([]);
@@ -102,9 +114,7 @@ function Issue() {
     setCottonError("");
     setCottonSuccess("");
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-code/varieties");
-      if (!response.ok) throw new Error("Failed to load variety data.");
-      const data = await response.json();
+      const data = await apiRequest("/api/mixing-code/varieties", {}, "Failed to load variety data.");
       setCottonRows(
         Array.isArray(data)
           ? data
@@ -138,9 +148,7 @@ function Issue() {
     setLoading(true);
     setError("");
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-issues/missing");
-      if (!response.ok) throw new Error("Failed to load mixing issues.");
-      const data = await response.json();
+      const data = await apiRequest("/api/mixing-issues/missing", {}, "Failed to load mixing issues.");
       setRows(Array.isArray(data) ? data : []);
       setSuccess("");
     } catch (err) {
@@ -177,16 +185,11 @@ function Issue() {
     setSuccess("");
 
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-issues", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ entries: rowsReadyToSave }),
-      });
-
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data?.error || "Failed to save issue dates.");
-      }
+      await apiRequest(
+        "/api/mixing-issues",
+        { method: "POST", json: { entries: rowsReadyToSave } },
+        "Failed to save issue dates."
+      );
 
       setSuccess("Issue dates saved successfully.");
     } catch (err) {
@@ -207,13 +210,31 @@ function Issue() {
     setIsIssueModalOpen(false);
     setIssueUploadError("");
     setIssueUploadSuccess("");
+    setIssueUploadFile(null);
+    setIssueUploadPreview(null);
+  };
+
+  const postIssueUpload = async (file, dryRun) => {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    return apiRequest(
+      "/api/mixing-issues/upload",
+      {
+        method: "POST",
+        params: dryRun ? { dry_run: "true" } : undefined,
+        body: formData,
+        timeoutMs: UPLOAD_TIMEOUT_MS,
+      },
+      "Failed to upload issue data."
+    );
   };
 
   const handleDownloadIssueTemplate = async () => {
     setIssueUploadError("");
     setIssueUploadSuccess("");
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-issues/template");
+      const response = await apiFetch("/api/mixing-issues/template");
       if (!response.ok) throw new Error("Failed to download template.");
 
       const blob = await response.blob();
@@ -239,33 +260,48 @@ function Issue() {
     setIssueUploading(true);
     setIssueUploadError("");
     setIssueUploadSuccess("");
+    setIssueUploadPreview(null);
 
     try {
-      const formData = new FormData();
-      formData.append("file", file);
+      const data = await postIssueUpload(file, true);
+      setIssueUploadFile(file);
+      setIssueUploadPreview(data);
+    } catch (err) {
+      console.error(err);
+      setIssueUploadFile(null);
+      setIssueUploadError(err.message || "Unable to preview issue data.");
+    } finally {
+      setIssueUploading(false);
+      event.target.value = "";
+    }
+  };
 
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-issues/upload", {
-        method: "POST",
-        body: formData,
-      });
+  const handleConfirmIssueUpload = async () => {
+    if (!issueUploadFile) return;
 
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data?.error || "Failed to upload issue data.");
-      }
+    setIssueUploading(true);
+    setIssueUploadError("");
+    setIssueUploadSuccess("");
 
-      const data = await response.json().catch(() => ({}));
+    try {
+      const data = await postIssueUpload(issueUploadFile, false);
       setIssueUploadSuccess(data?.message || "Issue data uploaded successfully.");
+      setIssueUploadFile(null);
+      setIssueUploadPreview(null);
       await loadMissingIssues();
     } catch (err) {
       console.error(err);
       setIssueUploadError(err.message || "Unable to upload issue data.");
     } finally {
       setIssueUploading(false);
-      event.target.value = "";
     }
   };
 
+  const handleCancelIssueUpload = () => {
+    setIssueUploadFile(null);
+    setIssueUploadPreview(null);
+  };
+
   return (
     <div className="w-full">
       <div className="flex items-center justify-between mb-4 gap-2 flex-wrap">
@@ -294,53 +330,61 @@ function Issue() {
           >
             Issue Update
           </button>
-          <button
-            type="button"
-            onClick={handleOpenIssueModal}
-            className="px-4 py-2 rounded font-semibold shadow transition border border-purple-600 bg-white text-purple-700 hover:bg-purple-600 hover:text-white"
-          >
-            Issue Upload
-          </button>
+          {canEditIssues && (
+            <button
+              type="button"
+              onClick={handleOpenIssueModal}
+              className="px-4 py-2 rounded font-semibold shadow transition border border-purple-600 bg-white text-purple-700 hover:bg-purple-600 hover:text-white"
+            >
+              Issue Upload
+            </button>
+          )}
 
-          <button
-            type="button"
-            onClick={() => {
-              setCottonSuccess("");
-              setCottonError("");
-              setSearchTerm("");
-              setIsCottonModalOpen(true);
-            }}
-            disabled={cottonLoading}
-            className={`px-4 py-2 rounded font-semibold shadow transition border border-purple-600 ${
-              cottonLoading
-                ? "bg-white text-gray-400 cursor-not-allowed"
-                : "bg-white text-purple-700 hover:bg-purple-600 hover:text-white"
-            }`}
-          >
-            {cottonLoading ? "Loading..." : "Cotton Update"}
-          </button>
-          <button
-            type="button"
-            onClick={handleSave}
-            disabled={saving}
-            className={`px-4 py-2 rounded text-white font-semibold shadow transition ${
-              saving ? "bg-gray-400 cursor-not-allowed" : "bg-purple-600 hover:bg-purple-700"
-            }`}
-          >
-            {saving ? "Saving..." : "Save Selected"}
-          </button>
+          {canEditCodes && (
+            <button
+              type="button"
+              onClick={() => {
+                setCottonSuccess("");
+                setCottonError("");
+                setSearchTerm("");
+                setIsCottonModalOpen(true);
+              }}
+              disabled={cottonLoading}
+              className={`px-4 py-2 rounded font-semibold shadow transition border border-purple-600 ${
+                cottonLoading
+                  ? "bg-white text-gray-400 cursor-not-allowed"
+                  : "bg-white text-purple-700 hover:bg-purple-600 hover:text-white"
+              }`}
+            >
+              {cottonLoading ? "Loading..." : "Cotton Update"}
+            </button>
+          )}
+          {canEditIssues && (
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className={`px-4 py-2 rounded text-white font-semibold shadow transition ${
+                saving ? "bg-gray-400 cursor-not-allowed" : "bg-purple-600 hover:bg-purple-700"
+              }`}
+            >
+              {saving ? "Saving..." : "Save Selected"}
+            </button>
+          )}
         </div>
 
         {isIssueUpdateModalOpen && (
           <MixingIssuesModal
             isOpen={isIssueUpdateModalOpen}
+            canEdit={canEditIssues}
             onClose={() => {
               setIsIssueUpdateModalOpen(false);
               setMixingIssues([]);
+              setMixingIssuesPage(null);
               setMixingIssuesError("");
               setMixingIssuesSuccess("");
             }}
-            onApplyFilters={async (query) => {
+            onApplyFilters={async (query, offset = 0) => {
               setMixingIssuesLoading(true);
               setMixingIssuesError("");
               setMixingIssuesSuccess("");
@@ -359,14 +403,17 @@ function Issue() {
                 appendTrimmedParam("cotton", query.cotton);
                 appendTrimmedParam("mixing_no_from", query.mixingNoFrom);
                 appendTrimmedParam("mixing_no_to", query.mixingNoTo);
+                params.append("limit", MIXING_ISSUES_PAGE_SIZE);
+                params.append("offset", offset);
 
-                const response = await fetch(
-                  `https://cotton-api-ekdn.onrender.com/api/mixing-issues${params.toString() ? `?${params.toString()}` : ""}`
+                const page = await apiRequest(
+                  "/api/mixing-issues",
+                  { params },
+                  "Failed to load mixing issue records."
                 );
-                if (!response.ok) throw new Error("Failed to load mixing issue records.");
-                const data = await response.json();
-                setMixingIssues(Array.isArray(data) ? data : []);
-                if (Array.isArray(data) && data.length === 0) {
+                setMixingIssues(page.data);
+                setMixingIssuesPage({ total: page.total, limit: page.limit, offset: page.offset });
+                if (page.total === 0) {
                   setMixingIssuesSuccess("No records found for the selected filters.");
                 }
               } catch (err) {
@@ -378,6 +425,8 @@ function Issue() {
             }}
             rows={mixingIssues}
             setRows={setMixingIssues}
+            page={mixingIssuesPage}
+            setPage={setMixingIssuesPage}
             loading={mixingIssuesLoading}
             error={mixingIssuesError}
             success={mixingIssuesSuccess}
@@ -426,6 +475,7 @@ function Issue() {
                       type="date"
                       value={formatDate(row.issue_date)}
                       onChange={(event) => handleDateChange(index, event.target.value || null)}
+                      disabled={!canEditIssues}
                       className="border border-gray-300 rounded px-2 py-1"
                     />
                   </td>
@@ -441,6 +491,9 @@ function Issue() {
           onClose={handleCloseIssueModal}
           onDownload={handleDownloadIssueTemplate}
           onFileChange={handleIssueFileChange}
+          preview={issueUploadPreview}
+          onConfirm={handleConfirmIssueUpload}
+          onCancelPreview={handleCancelIssueUpload}
           uploading={issueUploading}
           error={issueUploadError}
           success={issueUploadSuccess}
@@ -483,16 +536,11 @@ function Issue() {
             setCottonSuccess("");
 
             try {
-              const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-code", {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ entries: preparedRows }),
-              });
-
-              if (!response.ok) {
-                const data = await response.json().catch(() => ({}));
-                throw new Error(data?.error || "Failed to save cotton details.");
-              }
+              await apiRequest(
+                "/api/mixing-code",
+                { method: "POST", json: { entries: preparedRows } },
+                "Failed to save cotton details."
+              );
 
               setCottonSuccess("Cotton details saved successfully.");
               setCottonRows((prev) =>
@@ -532,16 +580,20 @@ function Issue() {
 
 function MixingIssuesModal({
   isOpen,
+  canEdit,
   onClose,
   onApplyFilters,
   rows,
   setRows,
+  page,
+  setPage,
   loading,
   error,
   success,
   setSuccess,
   setError,
 }) {
+  const [appliedQuery, setAppliedQuery] = useState(null);
   const [unitInput, setUnitInput] = useState("");
   const [lineInput, setLineInput] = useState("");
   const [cottonInput, setCottonInput] = useState("");
@@ -567,13 +619,22 @@ function MixingIssuesModal({
   }, [isOpen]);
 
   const handleApply = async () => {
-    await onApplyFilters({
+    const query = {
       unit: unitInput.trim(),
       line: lineInput.trim(),
       cotton: cottonInput.trim(),
       mixingNoFrom,
       mixingNoTo,
-    });
+    };
+    setAppliedQuery(query);
+    handleCancelEdit();
+    await onApplyFilters(query);
+  };
+
+  // Pages keep the filters that were applied, not whatever is typed in the inputs since.
+  const handlePageChange = async (offset) => {
+    handleCancelEdit();
+    await onApplyFilters(appliedQuery, offset);
   };
 
   const handleReset = () => {
@@ -583,6 +644,8 @@ function MixingIssuesModal({
     setMixingNoFrom("");
     setMixingNoTo("");
     setRows([]);
+    setPage(null);
+    setAppliedQuery(null);
     setSuccess("");
     setError("");
     setEditingRowId(null);
@@ -612,16 +675,11 @@ function MixingIssuesModal({
     setError("");
     setSuccess("");
     try {
-      const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/mixing-issues/${rowId}`, {
-        method: "PATCH",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ issue_date: editingDate, cotton: editingCotton }),
-      });
-
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data?.error || "Failed to update record.");
-      }
+      await apiRequest(
+        `/api/mixing-issues/${rowId}`,
+        { method: "PATCH", json: { issue_date: editingDate, cotton: editingCotton } },
+        "Failed to update record."
+      );
 
       setRows((prev) =>
         prev.map((row) =>
@@ -656,16 +714,10 @@ function MixingIssuesModal({
     setSuccess("");
 
     try {
-      const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/mixing-issues/${rowId}`, {
-        method: "DELETE",
-      });
-
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data?.error || "Failed to delete record.");
-      }
+      await apiRequest(`/api/mixing-issues/${rowId}`, { method: "DELETE" }, "Failed to delete record.");
 
       setRows((prev) => prev.filter((row) => row.id !== rowId));
+      setPage((prev) => (prev ? { ...prev, total: prev.total - 1 } : prev));
       setSuccess("Record deleted successfully.");
     } catch (err) {
       console.error(err);
@@ -851,7 +903,7 @@ function MixingIssuesModal({
                               Cancel
                             </button>
                           </>
-                        ) : (
+                        ) : canEdit ? (
                           <>
                             <button
                               type="button"
@@ -869,6 +921,8 @@ function MixingIssuesModal({
                               {deletingRecordId === row.id ? "Deleting..." : "Delete"}
                             </button>
                           </>
+                        ) : (
+                          "-"
                         )}
                       </td>
                     </tr>
@@ -877,6 +931,16 @@ function MixingIssuesModal({
               </tbody>
             </table>
           </div>
+
+          {page && (
+            <Pagination
+              total={page.total}
+              limit={page.limit}
+              offset={page.offset}
+              onPageChange={handlePageChange}
+              disabled={loading}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -885,6 +949,7 @@ function MixingIssuesModal({
 
 MixingIssuesModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
+  canEdit: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   filters: PropTypes.shape({
     unit: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
@@ -904,6 +969,12 @@ MixingIssuesModal.propTypes = {
     })
   ).isRequired,
   setRows: PropTypes.func.isRequired,
+  page: PropTypes.shape({
+    total: PropTypes.number.isRequired,
+    limit: PropTypes.number.isRequired,
+    offset: PropTypes.number.isRequired,
+  }),
+  setPage: PropTypes.func.isRequired,
   loading: PropTypes.bool.isRequired,
   error: PropTypes.string.isRequired,
   success: PropTypes.string.isRequired,
@@ -911,7 +982,17 @@ MixingIssuesModal.propTypes = {
   setError: PropTypes.func.isRequired,
 };
 
-function IssueUploadModal({ onClose, onDownload, onFileChange, uploading, error, success }) {
+function IssueUploadModal({
+  onClose,
+  onDownload,
+  onFileChange,
+  preview,
+  onConfirm,
+  onCancelPreview,
+  uploading,
+  error,
+  success,
+}) {
   return (
     <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
       <div className="bg-white rounded-lg shadow-lg w-11/12 md:w-2/3 max-w-2xl">
@@ -948,6 +1029,14 @@ function IssueUploadModal({ onClose, onDownload, onFileChange, uploading, error,
             </label>
             {uploading && <span className="text-sm text-gray-600">Uploading...</span>}
           </div>
+          {preview && (
+            <UploadPreview
+              preview={preview}
+              onConfirm={onConfirm}
+              onCancel={onCancelPreview}
+              uploading={uploading}
+            />
+          )}
          {error && <p className="text-sm text-red-600">{error}</p>}
           {success && <p className="text-sm text-green-600">{success}</p>}
         </div>
@@ -960,6 +1049,9 @@ IssueUploadModal.propTypes = {
   onClose: PropTypes.func.isRequired,
   onDownload: PropTypes.func.isRequired,
   onFileChange: PropTypes.func.isRequired,
+  preview: PropTypes.object,
+  onConfirm: PropTypes.func.isRequired,
+  onCancelPreview: PropTypes.func.isRequired,
   uploading: PropTypes.bool.isRequired,
   error: PropTypes.string.isRequired,
   success: PropTypes.string.isRequired,
@@ -1042,16 +1134,11 @@ function CottonUpdateModal({
         weight: row.weight?.toString().trim() ?? "",
       };
 
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-code", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ entries: [preparedRow] }),
-      });
-
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data?.error || "Failed to save cotton details.");
-      }
+      await apiRequest(
+        "/api/mixing-code",
+        { method: "POST", json: { entries: [preparedRow] } },
+        "Failed to save cotton details."
+      );
 
       // Success - disable editing for this row
       setEditingRowIndex(null);
@@ -0,0 +1,71 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { useAuth } from "../auth/AuthContext";
+
+function LoginModal({ onClose }) {
+  const { login } = useAuth();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError("");
+    try {
+      await login(email.trim(), password);
+      onClose();
+    } catch (err) {
+      console.error("Error signing in:", err.message);
+      setError(err.message || "Unable to sign in.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm space-y-4 rounded-lg bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-purple-700">Sign In</h3>
+          <button type="button" onClick={onClose} className="text-sm font-bold text-red-600">
+            ✕
+          </button>
+        </div>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          className="w-full rounded border border-gray-300 px-3 py-2 text-sm"
+          autoComplete="username"
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          className="w-full rounded border border-gray-300 px-3 py-2 text-sm"
+          autoComplete="current-password"
+          required
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full rounded bg-purple-600 px-4 py-2 text-sm font-semibold text-white hover:bg-purple-700 disabled:bg-gray-400"
+        >
+          {submitting ? "Signing in..." : "Sign In"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+LoginModal.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
+
+export default LoginModal;
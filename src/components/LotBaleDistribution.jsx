@@ -0,0 +1,222 @@
+import { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest } from "../api/apiClient";
+
+const BALE_PARAMETERS = [
+  { key: "mic", label: "MIC" },
+  { key: "uhml", label: "UHML" },
+  { key: "ui", label: "UI" },
+  { key: "sf", label: "SFI" },
+  { key: "str", label: "STR" },
+  { key: "elong", label: "Elong" },
+  { key: "rd", label: "Rd" },
+  { key: "plus_b", label: "+b" },
+  { key: "trash", label: "Trash" },
+  { key: "moist", label: "Moist (%)" },
+  { key: "mat", label: "MAT" },
+];
+
+const HISTOGRAM_BUCKETS = 8;
+
+const formatStat = (value, decimals = 2) =>
+  value === null || value === undefined || Number.isNaN(Number(value)) ? "-" : Number(value).toFixed(decimals);
+
+const buildHistogram = (bales, key) => {
+  const values = bales.map((bale) => Number(bale?.[key])).filter((value) => Number.isFinite(value));
+  if (values.length === 0) return [];
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = max > min ? (max - min) / HISTOGRAM_BUCKETS : 1;
+  const buckets = Array.from({ length: max > min ? HISTOGRAM_BUCKETS : 1 }, (_, index) => ({
+    from: min + index * width,
+    to: max > min ? min + (index + 1) * width : max,
+    count: 0,
+  }));
+
+  values.forEach((value) => {
+    const index = Math.min(Math.floor((value - min) / width), buckets.length - 1);
+    buckets[index].count += 1;
+  });
+
+  return buckets;
+};
+
+function LotBaleDistribution({ lotNo }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [parameter, setParameter] = useState("mic");
+  const [showBales, setShowBales] = useState(false);
+
+  useEffect(() => {
+    if (!lotNo) return undefined;
+
+    const controller = new AbortController();
+    const loadBales = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setData(
+          await apiRequest(
+            `/api/bale-results/lot/${encodeURIComponent(lotNo)}`,
+            { signal: controller.signal },
+            "Unable to load bale results."
+          )
+        );
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching bale results:", err.message);
+          setError(err.message || "Unable to load bale results.");
+          setData(null);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBales();
+    return () => controller.abort();
+  }, [lotNo]);
+
+  const bales = useMemo(() => (Array.isArray(data?.bales) ? data.bales : []), [data]);
+  const histogram = useMemo(() => buildHistogram(bales, parameter), [bales, parameter]);
+  const tallestBucket = Math.max(1, ...histogram.map((bucket) => bucket.count));
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading bale results...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (bales.length === 0) {
+    return <p className="text-sm text-gray-500">No bale-level results stored for lot {lotNo}.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <span>
+          Bales tested: <span className="font-semibold">{data.bale_count}</span>
+        </span>
+        <span>
+          Below MIC {data.min_mic_threshold}:{" "}
+          <span className="font-semibold text-red-600">{data.below_min_mic}</span>
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-xs">
+          <thead className="bg-purple-50 text-purple-800">
+            <tr>
+              <th className="px-3 py-2 text-left">Parameter</th>
+              <th className="px-3 py-2 text-right">Bales</th>
+              <th className="px-3 py-2 text-right">Min</th>
+              <th className="px-3 py-2 text-right">Max</th>
+              <th className="px-3 py-2 text-right">Mean</th>
+              <th className="px-3 py-2 text-right">SD</th>
+              <th className="px-3 py-2 text-right">CV%</th>
+            </tr>
+          </thead>
+          <tbody>
+            {BALE_PARAMETERS.filter(({ key }) => data.stats?.[key]).map(({ key, label }) => {
+              const stat = data.stats[key];
+              return (
+                <tr
+                  key={key}
+                  onClick={() => setParameter(key)}
+                  className={`cursor-pointer border-t border-gray-100 ${
+                    parameter === key ? "bg-purple-100" : "hover:bg-gray-50"
+                  }`}
+                >
+                  <td className="px-3 py-1 font-semibold">{label}</td>
+                  <td className="px-3 py-1 text-right">{stat.count}</td>
+                  <td className="px-3 py-1 text-right">{formatStat(stat.min)}</td>
+                  <td className="px-3 py-1 text-right">{formatStat(stat.max)}</td>
+                  <td className="px-3 py-1 text-right">{formatStat(stat.mean)}</td>
+                  <td className="px-3 py-1 text-right">{formatStat(stat.sd, 3)}</td>
+                  <td className="px-3 py-1 text-right">{formatStat(stat.cv)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h4 className="mb-2 text-sm font-semibold text-gray-700">
+          {BALE_PARAMETERS.find(({ key }) => key === parameter)?.label} distribution
+        </h4>
+        <div className="space-y-1">
+          {histogram.map((bucket) => (
+            <div key={bucket.from} className="flex items-center gap-2 text-xs">
+              <span className="w-28 shrink-0 text-right text-gray-600">
+                {formatStat(bucket.from)} – {formatStat(bucket.to)}
+              </span>
+              <div className="h-4 flex-1 rounded bg-gray-100">
+                <div
+                  className="h-4 rounded bg-purple-500"
+                  style={{ width: `${(bucket.count / tallestBucket) * 100}%` }}
+                />
+              </div>
+              <span className="w-8 text-gray-700">{bucket.count}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <button
+          type="button"
+          onClick={() => setShowBales((previous) => !previous)}
+          className="text-xs font-semibold text-purple-600 hover:underline"
+        >
+          {showBales ? "Hide bales" : "Show all bales"}
+        </button>
+        {showBales && (
+          <div className="mt-2 max-h-72 overflow-auto">
+            <table className="min-w-full text-xs">
+              <thead className="sticky top-0 bg-gray-100">
+                <tr>
+                  <th className="px-2 py-1 text-left">Bale</th>
+                  {BALE_PARAMETERS.map(({ key, label }) => (
+                    <th key={key} className="px-2 py-1 text-right">
+                      {label}
+                    </th>
+                  ))}
+                  <th className="px-2 py-1 text-left">C Grade</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bales.map((bale) => (
+                  <tr key={bale.id ?? bale.bale_no} className="border-t border-gray-100">
+                    <td className="px-2 py-1">{bale.bale_no}</td>
+                    {BALE_PARAMETERS.map(({ key }) => (
+                      <td
+                        key={key}
+                        className={`px-2 py-1 text-right ${
+                          key === "mic" && Number(bale.mic) < data.min_mic_threshold ? "font-semibold text-red-600" : ""
+                        }`}
+                      >
+                        {formatStat(bale[key])}
+                      </td>
+                    ))}
+                    <td className="px-2 py-1">{bale.c_grade ?? "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+LotBaleDistribution.propTypes = {
+  lotNo: PropTypes.string.isRequired,
+};
+
+export default LotBaleDistribution;
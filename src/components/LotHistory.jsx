@@ -0,0 +1,121 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest } from "../api/apiClient";
+
+const SOURCE_LABELS = {
+  ui_edit: "UI edit",
+  upload: "Upload",
+  bulk_delete: "Bulk delete",
+};
+
+const ACTION_STYLES = {
+  insert: "bg-green-100 text-green-700",
+  update: "bg-blue-100 text-blue-700",
+  delete: "bg-red-100 text-red-700",
+};
+
+// Bookkeeping columns that change on every write and say nothing about the lot.
+const IGNORED_FIELDS = new Set(["id", "created_at", "updated_at"]);
+
+const formatValue = (value) => (value === null || value === undefined || value === "" ? "-" : String(value));
+
+const describeLotChange = ({ action, before_data: before, after_data: after }) => {
+  if (action === "insert") return ["Lot created."];
+  if (action === "delete") return ["Lot deleted."];
+
+  const changes = Object.keys({ ...before, ...after })
+    .filter((field) => !IGNORED_FIELDS.has(field))
+    .filter((field) => formatValue(before?.[field]) !== formatValue(after?.[field]))
+    .map((field) => `${field}: ${formatValue(before?.[field])} → ${formatValue(after?.[field])}`);
+
+  return changes.length > 0 ? changes : ["No field values changed."];
+};
+
+const describeBaleChange = ({ before_data: before, after_data: after }) => {
+  const beforeCount = Array.isArray(before) ? before.length : 0;
+  const afterCount = Array.isArray(after) ? after.length : 0;
+  if (!beforeCount) return [`${afterCount} bale(s) stored.`];
+  if (!afterCount) return [`${beforeCount} bale(s) removed.`];
+  return [`Bales replaced: ${beforeCount} → ${afterCount}.`];
+};
+
+const describeEntry = (entry) =>
+  entry.table_name === "bale_results" ? describeBaleChange(entry) : describeLotChange(entry);
+
+function LotHistory({ lotNo }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!lotNo) return undefined;
+
+    const controller = new AbortController();
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        const rows = await apiRequest(
+          "/api/audit",
+          { params: { table: "lot_results,bale_results", key: lotNo }, signal: controller.signal },
+          "Unable to load lot history."
+        );
+        setEntries(Array.isArray(rows) ? rows : []);
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching lot history:", err.message);
+          setError(err.message || "Unable to load lot history.");
+          setEntries([]);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => controller.abort();
+  }, [lotNo]);
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading history...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No recorded changes for lot {lotNo}.</p>;
+  }
+
+  return (
+    <ol className="space-y-3 border-l-2 border-purple-200 pl-4">
+      {entries.map((entry) => (
+        <li key={entry.id} className="text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-semibold text-gray-700">{new Date(entry.created_at).toLocaleString()}</span>
+            <span className={`rounded px-2 py-0.5 text-xs font-semibold ${ACTION_STYLES[entry.action] ?? ""}`}>
+              {entry.action}
+            </span>
+            <span className="text-xs text-gray-500">
+              {entry.table_name === "bale_results" ? "Bales" : "Lot result"} · {SOURCE_LABELS[entry.source] ?? entry.source}
+              {" · "}
+              {entry.user_email || "Unknown user"}
+            </span>
+          </div>
+          <ul className="mt-1 list-disc pl-5 text-gray-600">
+            {describeEntry(entry).map((line) => (
+              <li key={line}>{line}</li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+LotHistory.propTypes = {
+  lotNo: PropTypes.string.isRequired,
+};
+
+export default LotHistory;
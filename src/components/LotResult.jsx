@@ -1,6 +1,10 @@
 import { useEffect, useMemo, useState } from "react";
-
-const API_BASE_URL = process.env.REACT_APP_BACKEND_URL ?? "https://cotton-api-ekdn.onrender.com";
+import LotBaleDistribution from "./LotBaleDistribution";
+import LotHistory from "./LotHistory";
+import LotUsage from "./LotUsage";
+import RecentlyDeletedModal from "./RecentlyDeletedModal";
+import { apiFetch, apiRequest } from "../api/apiClient";
+import { useAuth } from "../auth/AuthContext";
 
 const TABLE_COLUMNS = [
   { key: "lot_no", label: "Lot Number" },
@@ -85,6 +89,10 @@ const normalizeUpdateValue = (key, value) => {
 };
 
 function LotResult() {
+  const { can, user } = useAuth();
+  const canEditLots = can("lots");
+  // The audit log behind the change history is only served to signed-in users.
+  const canViewHistory = Boolean(user);
   const [searchTerm, setSearchTerm] = useState("");
   const [suggestions, setSuggestions] = useState([]);
   const [suggestionsOpen, setSuggestionsOpen] = useState(false);
@@ -99,6 +107,12 @@ function LotResult() {
   const [savingIndex, setSavingIndex] = useState(null);
   const [deletingIndex, setDeletingIndex] = useState(null);
   const [selectedLot, setSelectedLot] = useState("");
+  const [baleDrillDownIndex, setBaleDrillDownIndex] = useState(null);
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const [usageIndex, setUsageIndex] = useState(null);
+  // Bumped after every save so an open history panel reloads.
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [recentlyDeletedOpen, setRecentlyDeletedOpen] = useState(false);
 
   useEffect(() => {
     if (!searchTerm) {
@@ -112,15 +126,11 @@ function LotResult() {
       try {
         setSuggestionLoading(true);
         const params = new URLSearchParams({ search: searchTerm });
-        const response = await fetch(`${API_BASE_URL}/api/lot-results/lot-numbers?${params.toString()}`, {
-          signal: controller.signal,
-        });
-
-        if (!response.ok) {
-          throw new Error("Unable to fetch lot numbers.");
-        }
-
-        const json = await response.json();
+        const json = await apiRequest(
+          "/api/lot-results/lot-numbers",
+          { params, signal: controller.signal },
+          "Unable to fetch lot numbers."
+        );
         setSuggestions(Array.isArray(json?.lot_numbers) ? json.lot_numbers : []);
         setSuggestionsOpen(true);
       } catch (error) {
@@ -178,10 +188,11 @@ function LotResult() {
       setFetchError("");
       setEditingIndex(null);
       setEditBuffer(null);
+      setBaleDrillDownIndex(null);
+      setHistoryIndex(null);
+      setUsageIndex(null);
 
-      const response = await fetch(
-        `${API_BASE_URL}/api/lot-results/lot/${encodeURIComponent(lotToFetch)}`
-      );
+      const response = await apiFetch(`/api/lot-results/lot/${encodeURIComponent(lotToFetch)}`);
 
       if (response.status === 404) {
         setTableData([]);
@@ -231,6 +242,9 @@ function LotResult() {
     setEditBuffer(null);
     setSavingIndex(null);
     setDeletingIndex(null);
+    setBaleDrillDownIndex(null);
+    setHistoryIndex(null);
+    setUsageIndex(null);
   };
 
   const beginEdit = (index) => {
@@ -267,26 +281,18 @@ function LotResult() {
 
       payload.lot_no = tableData[index].lot_no;
 
-      const response = await fetch(
-        `${API_BASE_URL}/api/lot-results/lot/${encodeURIComponent(payload.lot_no)}`,
-        {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        }
+      await apiRequest(
+        `/api/lot-results/lot/${encodeURIComponent(payload.lot_no)}`,
+        { method: "PUT", json: payload },
+        "Failed to update lot result."
       );
 
-      if (!response.ok) {
-        const errorBody = await response.json().catch(() => ({}));
-        const message = errorBody?.error || "Failed to update lot result.";
-        throw new Error(message);
-      }
-
       setTableData((previous) =>
         previous.map((row, rowIndex) => (rowIndex === index ? { ...row, ...payload } : row))
       );
       setEditingIndex(null);
       setEditBuffer(null);
+      setHistoryVersion((previous) => previous + 1);
       setStatusMessage("Lot result updated successfully.");
       setStatusType("success");
     } catch (error) {
@@ -305,7 +311,7 @@ function LotResult() {
     }
 
     const confirmDelete = window.confirm(
-      `Are you sure you want to delete lot ${row.lot_no}? This action cannot be undone.`
+      `Are you sure you want to delete lot ${row.lot_no}? It can be restored from Recently Deleted.`
     );
 
     if (!confirmDelete) {
@@ -314,20 +320,16 @@ function LotResult() {
 
     try {
       setDeletingIndex(index);
-      const response = await fetch(
-        `${API_BASE_URL}/api/lot-results/lot/${encodeURIComponent(row.lot_no)}`,
-        {
-          method: "DELETE",
-        }
+      await apiRequest(
+        `/api/lot-results/lot/${encodeURIComponent(row.lot_no)}`,
+        { method: "DELETE" },
+        "Failed to delete lot result."
       );
 
-      if (!response.ok) {
-        const errorBody = await response.json().catch(() => ({}));
-        const message = errorBody?.error || "Failed to delete lot result.";
-        throw new Error(message);
-      }
-
       setTableData((previous) => previous.filter((_, rowIndex) => rowIndex !== index));
+      setBaleDrillDownIndex(null);
+      setHistoryIndex(null);
+      setUsageIndex(null);
       setStatusMessage(`Lot ${row.lot_no} deleted successfully.`);
       setStatusType("success");
 
@@ -394,6 +396,15 @@ function LotResult() {
             >
               Reset
             </button>
+            {canEditLots && (
+              <button
+                type="button"
+                onClick={() => setRecentlyDeletedOpen(true)}
+                className="w-full rounded border border-gray-300 px-4 py-3 text-sm font-semibold text-gray-600 transition hover:bg-gray-100 md:w-auto"
+              >
+                Recently Deleted
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -457,19 +468,48 @@ function LotResult() {
                       <>
                         <button
                           type="button"
-                          onClick={() => beginEdit(index)}
-                          className="rounded bg-blue-600 px-4 py-2 text-xs font-semibold text-white hover:bg-blue-700"
+                          onClick={() =>
+                            setBaleDrillDownIndex((previous) => (previous === index ? null : index))
+                          }
+                          className="rounded bg-purple-600 px-4 py-2 text-xs font-semibold text-white hover:bg-purple-700"
                         >
-                          Edit
+                          {baleDrillDownIndex === index ? "Hide Bales" : "Bale Distribution"}
                         </button>
                         <button
                           type="button"
-                          onClick={() => deleteRow(index)}
-                          className="rounded bg-red-600 px-4 py-2 text-xs font-semibold text-white hover:bg-red-700"
-                          disabled={deletingIndex === index}
+                          onClick={() => setUsageIndex((previous) => (previous === index ? null : index))}
+                          className="rounded border border-purple-200 px-4 py-2 text-xs font-semibold text-purple-600 hover:bg-purple-50"
                         >
-                          {deletingIndex === index ? "Deleting..." : "Delete"}
+                          {usageIndex === index ? "Hide Usage" : "Usage"}
                         </button>
+                        {canViewHistory && (
+                          <button
+                            type="button"
+                            onClick={() => setHistoryIndex((previous) => (previous === index ? null : index))}
+                            className="rounded border border-purple-200 px-4 py-2 text-xs font-semibold text-purple-600 hover:bg-purple-50"
+                          >
+                            {historyIndex === index ? "Hide History" : "History"}
+                          </button>
+                        )}
+                        {canEditLots && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => beginEdit(index)}
+                              className="rounded bg-blue-600 px-4 py-2 text-xs font-semibold text-white hover:bg-blue-700"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => deleteRow(index)}
+                              className="rounded bg-red-600 px-4 py-2 text-xs font-semibold text-white hover:bg-red-700"
+                              disabled={deletingIndex === index}
+                            >
+                              {deletingIndex === index ? "Deleting..." : "Delete"}
+                            </button>
+                          </>
+                        )}
                       </>
                     )}
                   </div>
@@ -503,6 +543,26 @@ function LotResult() {
                     );
                   })}
                 </div>
+
+                {baleDrillDownIndex === index && (
+                  <div className="mt-4 border-t border-gray-200 pt-4">
+                    <LotBaleDistribution lotNo={String(row.lot_no)} />
+                  </div>
+                )}
+
+                {usageIndex === index && (
+                  <div className="mt-4 border-t border-gray-200 pt-4">
+                    <h3 className="mb-3 text-sm font-semibold text-purple-700">Mixings Using This Lot</h3>
+                    <LotUsage lotNo={String(row.lot_no)} />
+                  </div>
+                )}
+
+                {canViewHistory && historyIndex === index && (
+                  <div className="mt-4 border-t border-gray-200 pt-4">
+                    <h3 className="mb-3 text-sm font-semibold text-purple-700">Change History</h3>
+                    <LotHistory key={historyVersion} lotNo={String(row.lot_no)} />
+                  </div>
+                )}
               </div>
             );
           })}
@@ -512,6 +572,14 @@ function LotResult() {
           No data available for lot {selectedLot}.
         </div>
       ) : null}
+
+      {recentlyDeletedOpen && (
+        <RecentlyDeletedModal
+          table="lot_results"
+          canRestore={canEditLots}
+          onClose={() => setRecentlyDeletedOpen(false)}
+        />
+      )}
     </div>
   );
 }
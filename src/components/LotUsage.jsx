@@ -0,0 +1,118 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest } from "../api/apiClient";
+
+const formatCount = (value) => (value === null || value === undefined ? "-" : value);
+
+function LotUsage({ lotNo }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!lotNo) return undefined;
+
+    const controller = new AbortController();
+    const loadUsage = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setData(
+          await apiRequest(
+            `/api/lot-results/lot/${encodeURIComponent(lotNo)}/usage`,
+            { signal: controller.signal },
+            "Unable to load lot usage."
+          )
+        );
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching lot usage:", err.message);
+          setError(err.message || "Unable to load lot usage.");
+          setData(null);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadUsage();
+    return () => controller.abort();
+  }, [lotNo]);
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading usage...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  const { usage, totals } = data;
+  const overIssued = totals.remaining_bales !== null && totals.remaining_bales < 0;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-4">
+        <div className="rounded bg-gray-50 p-2">
+          <div className="text-xs uppercase text-gray-500">Mixings</div>
+          <div className="font-semibold text-gray-800">{totals.mixings}</div>
+        </div>
+        <div className="rounded bg-gray-50 p-2">
+          <div className="text-xs uppercase text-gray-500">Bales Received</div>
+          <div className="font-semibold text-gray-800">{formatCount(totals.no_of_bale)}</div>
+        </div>
+        <div className="rounded bg-gray-50 p-2">
+          <div className="text-xs uppercase text-gray-500">Bales Issued</div>
+          <div className="font-semibold text-gray-800">{totals.issued_bales}</div>
+        </div>
+        <div className={`rounded p-2 ${overIssued ? "bg-red-50" : "bg-gray-50"}`}>
+          <div className="text-xs uppercase text-gray-500">Bales Remaining</div>
+          <div className={`font-semibold ${overIssued ? "text-red-600" : "text-gray-800"}`}>
+            {formatCount(totals.remaining_bales)}
+          </div>
+        </div>
+      </div>
+
+      {usage.length === 0 ? (
+        <p className="text-sm text-gray-500">No mixing has used lot {lotNo} yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-purple-50 text-left text-purple-800">
+              <tr>
+                <th className="px-3 py-2">Issue Date</th>
+                <th className="px-3 py-2">Unit</th>
+                <th className="px-3 py-2">Line</th>
+                <th className="px-3 py-2">Cotton</th>
+                <th className="px-3 py-2">Mixing No</th>
+                <th className="px-3 py-2 text-right">Issue Bale</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usage.map((entry, index) => (
+                <tr key={`${entry.unit}-${entry.line}-${entry.mixing_no}-${index}`} className="border-t border-gray-100">
+                  <td className="px-3 py-2">{entry.issue_date ?? "Not issued"}</td>
+                  <td className="px-3 py-2">{entry.unit}</td>
+                  <td className="px-3 py-2">{entry.line}</td>
+                  <td className="px-3 py-2">{entry.cotton}</td>
+                  <td className="px-3 py-2">{entry.mixing_no}</td>
+                  <td className="px-3 py-2 text-right">{entry.issue_bale}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+LotUsage.propTypes = {
+  lotNo: PropTypes.string.isRequired,
+};
+
+export default LotUsage;
@@ -0,0 +1,51 @@
+import PropTypes from "prop-types";
+
+function Pagination({ total, limit, offset, onPageChange, disabled = false }) {
+  if (total <= limit && offset === 0) {
+    return null;
+  }
+
+  const first = total === 0 ? 0 : offset + 1;
+  const last = Math.min(offset + limit, total);
+  const page = Math.floor(offset / limit) + 1;
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 text-sm text-gray-600">
+      <span>
+        Showing {first.toLocaleString()}–{last.toLocaleString()} of {total.toLocaleString()}
+      </span>
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onPageChange(Math.max(0, offset - limit))}
+          disabled={disabled || offset === 0}
+          className="rounded border border-gray-300 px-3 py-1 font-semibold text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        <button
+          type="button"
+          onClick={() => onPageChange(offset + limit)}
+          disabled={disabled || offset + limit >= total}
+          className="rounded border border-gray-300 px-3 py-1 font-semibold text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+}
+
+Pagination.propTypes = {
+  total: PropTypes.number.isRequired,
+  limit: PropTypes.number.isRequired,
+  offset: PropTypes.number.isRequired,
+  onPageChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default Pagination;
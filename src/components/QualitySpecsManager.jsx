@@ -0,0 +1,283 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest } from "../api/apiClient";
+
+const PARAMETER_LABELS = {
+  uhml: "UHML",
+  mic: "MIC",
+  str: "Str",
+  rd: "Rd",
+  plus_b: "+b",
+  sf: "SFI",
+  ui: "UI",
+  elong: "Elong",
+  trash: "Trash",
+  moist: "Moist (%)",
+  mat: "MAT",
+  min_mic: "Min MIC",
+  min_mic_percent: "Min MIC %",
+};
+
+const EMPTY_FORM = {
+  id: null,
+  cotton_name: "",
+  cotton_year: "",
+  parameter: "mic",
+  min_value: "",
+  max_value: "",
+};
+
+const describeError = (err) => (err.details?.length ? `${err.message} ${err.details.join(" ")}` : err.message);
+
+function QualitySpecsManager({ canEdit, onClose }) {
+  const [specs, setSpecs] = useState([]);
+  const [options, setOptions] = useState({ parameters: [], cottons: [] });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const loadSpecs = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const [specRows, optionData] = await Promise.all([
+        apiRequest("/api/quality-specs", {}, "Unable to load quality specs."),
+        apiRequest("/api/quality-specs/options", {}, "Unable to load cottons."),
+      ]);
+
+      setSpecs(specRows);
+      setOptions(optionData);
+    } catch (err) {
+      console.error("Error loading quality specs:", err.message);
+      setError(describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSpecs();
+  }, [loadSpecs]);
+
+  const yearOptions = useMemo(
+    () => options.cottons.find((cotton) => cotton.cotton_name === form.cotton_name)?.cotton_years ?? [],
+    [options.cottons, form.cotton_name]
+  );
+
+  const handleFormChange = (key, value) => {
+    setForm((previous) => ({
+      ...previous,
+      [key]: value,
+      ...(key === "cotton_name" ? { cotton_year: "" } : {}),
+    }));
+    setSuccess("");
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError("");
+    setSuccess("");
+
+    try {
+      const payload = {
+        cotton_name: form.cotton_name,
+        cotton_year: form.cotton_year || null,
+        parameter: form.parameter,
+        min_value: form.min_value === "" ? null : form.min_value,
+        max_value: form.max_value === "" ? null : form.max_value,
+      };
+      await apiRequest(
+        form.id ? `/api/quality-specs/${form.id}` : "/api/quality-specs",
+        { method: form.id ? "PUT" : "POST", json: payload },
+        "Unable to save quality spec."
+      );
+
+      setSuccess(form.id ? "Spec updated." : "Spec added.");
+      setForm(EMPTY_FORM);
+      await loadSpecs();
+    } catch (err) {
+      console.error("Error saving quality spec:", err.message);
+      setError(describeError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (spec) => {
+    if (!window.confirm(`Delete the ${PARAMETER_LABELS[spec.parameter] ?? spec.parameter} spec for ${spec.cotton_name}?`)) {
+      return;
+    }
+
+    setError("");
+    setSuccess("");
+    try {
+      await apiRequest(`/api/quality-specs/${spec.id}`, { method: "DELETE" }, "Unable to delete quality spec.");
+      setSuccess("Spec deleted.");
+      await loadSpecs();
+    } catch (err) {
+      console.error("Error deleting quality spec:", err.message);
+      setError(describeError(err));
+    }
+  };
+
+  const beginEdit = (spec) => {
+    setForm({
+      id: spec.id,
+      cotton_name: spec.cotton_name ?? "",
+      cotton_year: spec.cotton_year ?? "",
+      parameter: spec.parameter,
+      min_value: spec.min_value ?? "",
+      max_value: spec.max_value ?? "",
+    });
+    setSuccess("");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center overflow-y-auto bg-black bg-opacity-50 px-4">
+      <div className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-lg bg-white p-6 shadow-xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-purple-700">Quality Specs</h3>
+          <button type="button" onClick={onClose} className="text-sm font-bold text-red-600">
+            ✕
+          </button>
+        </div>
+
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="mb-4 grid gap-3 rounded border border-gray-200 bg-gray-50 p-4 md:grid-cols-6">
+            <select
+              value={form.cotton_name}
+              onChange={(event) => handleFormChange("cotton_name", event.target.value)}
+              className="rounded border border-gray-300 px-2 py-2 text-sm md:col-span-2"
+              required
+            >
+              <option value="">Cotton</option>
+              {options.cottons.map((cotton) => (
+                <option key={cotton.cotton_name} value={cotton.cotton_name}>
+                  {cotton.cotton_name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={form.cotton_year}
+              onChange={(event) => handleFormChange("cotton_year", event.target.value)}
+              className="rounded border border-gray-300 px-2 py-2 text-sm"
+            >
+              <option value="">All years</option>
+              {yearOptions.map((year) => (
+                <option key={year} value={year}>
+                  {year}
+                </option>
+              ))}
+            </select>
+            <select
+              value={form.parameter}
+              onChange={(event) => handleFormChange("parameter", event.target.value)}
+              className="rounded border border-gray-300 px-2 py-2 text-sm"
+            >
+              {options.parameters.map((parameter) => (
+                <option key={parameter} value={parameter}>
+                  {PARAMETER_LABELS[parameter] ?? parameter}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              placeholder="Min"
+              value={form.min_value}
+              onChange={(event) => handleFormChange("min_value", event.target.value)}
+              className="rounded border border-gray-300 px-2 py-2 text-sm"
+            />
+            <input
+              type="number"
+              step="any"
+              placeholder="Max"
+              value={form.max_value}
+              onChange={(event) => handleFormChange("max_value", event.target.value)}
+              className="rounded border border-gray-300 px-2 py-2 text-sm"
+            />
+            <div className="flex gap-2 md:col-span-6">
+              <button
+                type="submit"
+                className="rounded bg-purple-600 px-4 py-2 text-sm font-semibold text-white hover:bg-purple-700"
+                disabled={saving}
+              >
+                {saving ? "Saving..." : form.id ? "Update Spec" : "Add Spec"}
+              </button>
+              {form.id && (
+                <button
+                  type="button"
+                  onClick={() => setForm(EMPTY_FORM)}
+                  className="rounded border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700"
+                >
+                  Cancel Edit
+                </button>
+              )}
+            </div>
+          </form>
+        )}
+
+        {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+        {success && <p className="mb-2 text-sm text-green-600">{success}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading specs...</p>
+        ) : specs.length === 0 ? (
+          <p className="text-sm text-gray-500">No quality specs defined yet.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-purple-50 text-left text-purple-800">
+              <tr>
+                <th className="px-3 py-2">Cotton</th>
+                <th className="px-3 py-2">Year</th>
+                <th className="px-3 py-2">Parameter</th>
+                <th className="px-3 py-2 text-right">Min</th>
+                <th className="px-3 py-2 text-right">Max</th>
+                {canEdit && <th className="px-3 py-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {specs.map((spec) => (
+                <tr key={spec.id} className="border-t border-gray-100">
+                  <td className="px-3 py-2">{spec.cotton_name}</td>
+                  <td className="px-3 py-2">{spec.cotton_year ?? "All"}</td>
+                  <td className="px-3 py-2">{PARAMETER_LABELS[spec.parameter] ?? spec.parameter}</td>
+                  <td className="px-3 py-2 text-right">{spec.min_value ?? "-"}</td>
+                  <td className="px-3 py-2 text-right">{spec.max_value ?? "-"}</td>
+                  {canEdit && (
+                    <td className="px-3 py-2 text-right whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => beginEdit(spec)}
+                        className="mr-3 text-xs font-semibold text-blue-600 hover:underline"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(spec)}
+                        className="text-xs font-semibold text-red-600 hover:underline"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+QualitySpecsManager.propTypes = {
+  canEdit: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default QualitySpecsManager;
@@ -0,0 +1,132 @@
+import { useCallback, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { apiRequest } from "../api/apiClient";
+
+const describeScope = (entry) => {
+  const scope = entry.scope || {};
+  if (entry.table_name === "lot_results") return `Lot ${scope.lot_no ?? entry.record_key}`;
+  return `Unit ${scope.unit} · Line ${scope.line} · Cotton ${scope.cotton} · Mixing ${scope.mixing_from}–${scope.mixing_to}`;
+};
+
+function RecentlyDeletedModal({ table, canRestore, onClose, onRestored }) {
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const json = await apiRequest("/api/recycle-bin", { params: { table } }, "Unable to load deleted entries.");
+      setEntries(Array.isArray(json?.entries) ? json.entries : []);
+      setRetentionDays(json?.retention_days ?? null);
+    } catch (err) {
+      console.error("Error loading recycle bin:", err.message);
+      setError(err.message || "Unable to load deleted entries.");
+    } finally {
+      setLoading(false);
+    }
+  }, [table]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleRestore = async (entry) => {
+    if (!window.confirm(`Restore ${entry.row_count} row(s) for ${describeScope(entry)}?`)) {
+      return;
+    }
+
+    setRestoringId(entry.id);
+    setError("");
+    setSuccess("");
+    try {
+      const json = await apiRequest(
+        `/api/recycle-bin/${entry.id}/restore`,
+        { method: "POST" },
+        "Unable to restore deleted entry."
+      );
+      setSuccess(`${describeScope(entry)}: ${json?.message || "Restored."}`);
+      onRestored?.(entry);
+      await loadEntries();
+    } catch (err) {
+      console.error("Error restoring deleted entry:", err.message);
+      setError(err.message || "Unable to restore deleted entry.");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center overflow-y-auto bg-black bg-opacity-50 px-4">
+      <div className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-lg bg-white p-6 shadow-xl">
+        <div className="mb-2 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-purple-700">Recently Deleted</h3>
+          <button type="button" onClick={onClose} className="text-sm font-bold text-red-600">
+            ✕
+          </button>
+        </div>
+        {retentionDays !== null && (
+          <p className="mb-4 text-xs text-gray-500">
+            Deletions can be restored for {retentionDays} day(s), after which they are removed for good.
+          </p>
+        )}
+
+        {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+        {success && <p className="mb-2 text-sm text-green-600">{success}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading deleted entries...</p>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing has been deleted recently.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-purple-50 text-left text-purple-800">
+              <tr>
+                <th className="px-3 py-2">Deleted</th>
+                <th className="px-3 py-2">Rows</th>
+                <th className="px-3 py-2 text-right">Count</th>
+                <th className="px-3 py-2">By</th>
+                {canRestore && <th className="px-3 py-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id} className="border-t border-gray-100">
+                  <td className="px-3 py-2 whitespace-nowrap">{new Date(entry.deleted_at).toLocaleString()}</td>
+                  <td className="px-3 py-2">{describeScope(entry)}</td>
+                  <td className="px-3 py-2 text-right">{entry.row_count}</td>
+                  <td className="px-3 py-2">{entry.deleted_by_email || "-"}</td>
+                  {canRestore && (
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => handleRestore(entry)}
+                        disabled={restoringId !== null}
+                        className="text-xs font-semibold text-blue-600 hover:underline disabled:text-gray-400"
+                      >
+                        {restoringId === entry.id ? "Restoring..." : "Restore"}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+RecentlyDeletedModal.propTypes = {
+  table: PropTypes.oneOf(["lot_results", "mixing_chart"]).isRequired,
+  canRestore: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func,
+};
+
+export default RecentlyDeletedModal;
@@ -2,6 +2,37 @@ import { useState, useEffect, useRef } from "react";
 import * as XLSX from "xlsx"; // Excel export
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
+import {
+  describeOutOfSpecFlag,
+  formatOutOfSpec,
+  getOutOfSpecFlag,
+  outOfSpecCellClass,
+} from "../utils/outOfSpec";
+import {
+  CALENDAR_OPTIONS,
+  DEFAULT_REPORT_CALENDAR,
+  WEEK_START_OPTIONS,
+  buildCalendarParams,
+  usesWeekStart,
+} from "../utils/reportCalendars";
+import { apiFetch, apiRequest } from "../api/apiClient";
+import { useAuth } from "../auth/AuthContext";
+import RecentlyDeletedModal from "./RecentlyDeletedModal";
+
+const SPEC_LABELS = {
+  uhml: "UHML",
+  mic: "MIC",
+  str: "STR",
+  rd: "Rd",
+  plus_b: "+b",
+  sf: "SF",
+  ui: "UI",
+  elong: "Elong",
+  trash: "Trash",
+  moist: "Moist",
+  min_mic: "Min MIC",
+  min_mic_percent: "Min MIC%",
+};
 
 const normalizeText = (value) => (value === null || value === undefined ? "" : String(value).trim());
 
@@ -73,6 +104,8 @@ const getUniqueMixingOptions = (data) => {
 };
 
 function Summary() {
+  const { can } = useAuth();
+  const canEditMixingChart = can("mixingChart");
   const [filters, setFilters] = useState({
     from_date: "",
     to_date: "",
@@ -82,7 +115,8 @@ function Summary() {
     mixing: [],
     mixing_from: "",
     mixing_to: "",
-    report_type: "daily", // New filter for report type (daily, weekly, monthly)
+    report_type: "daily", // New filter for report type (daily, weekly, monthly, quarterly, yearly)
+    ...DEFAULT_REPORT_CALENDAR,
   });
 
   const [options, setOptions] = useState({
@@ -109,6 +143,10 @@ function Summary() {
   });
   const [deleteStatus, setDeleteStatus] = useState({ type: "idle", message: "" });
   const [isDeleting, setIsDeleting] = useState(false);
+  const [deletePreview, setDeletePreview] = useState(null);
+  const [isPreviewingDelete, setIsPreviewingDelete] = useState(false);
+  const [deleteConfirmText, setDeleteConfirmText] = useState("");
+  const [isRecentlyDeletedOpen, setIsRecentlyDeletedOpen] = useState(false);
 
   const [hasLoadedOptions, setHasLoadedOptions] = useState(false);
 
@@ -132,13 +170,7 @@ function Summary() {
       }
     });
 
-    const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/filter-options?${params.toString()}`);
-
-    if (!response.ok) {
-      throw new Error("Failed to load filter options");
-    }
-
-    return response.json();
+    return apiRequest("/api/filter-options", { params }, "Failed to load filter options");
   };
 
 
@@ -234,9 +266,10 @@ const query = new URLSearchParams({
   cotton: JSON.stringify(filters.cotton),
   mixing: JSON.stringify(filters.mixing),
   report_type: filters.report_type,  // ✅ send to backend
-}).toString();
+  ...buildCalendarParams(filters),
+});
 
-const res = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-mixing-summary?${query}`);
+const res = await apiFetch("/api/cotton-mixing-summary", { params: query });
 
       const json = await res.json();
       if (Array.isArray(json)) {
@@ -246,9 +279,9 @@ const res = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-mixing-
           ...prev,
           mixings: uniqueMixings,
         }));
-        if (json.length === 0 && ["weekly", "monthly"].includes(filters.report_type)) {
+        if (json.length === 0 && filters.report_type !== "daily") {
           console.log(
-            `[Summary] No ${filters.report_type} data returned. Weekly/Monthly table not visible with current filters.`,
+            `[Summary] No ${filters.report_type} data returned. Period table not visible with current filters.`,
             {
               reportType: filters.report_type,
               filters,
@@ -262,9 +295,9 @@ const res = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-mixing-
           ...prev,
           mixings: [],
         }));
-        if (["weekly", "monthly"].includes(filters.report_type)) {
+        if (filters.report_type !== "daily") {
           console.log(
-            `[Summary] Unexpected backend response. Weekly/Monthly table cannot render for report type ${filters.report_type}.`,
+            `[Summary] Unexpected backend response. Period table cannot render for report type ${filters.report_type}.`,
             {
               reportType: filters.report_type,
               rawResponse: json,
@@ -279,9 +312,9 @@ const res = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-mixing-
         ...prev,
         mixings: [],
       }));
-      if (["weekly", "monthly"].includes(filters.report_type)) {
+      if (filters.report_type !== "daily") {
         console.log(
-          `[Summary] Failed to load ${filters.report_type} data. Weekly/Monthly table not visible due to fetch error.`,
+          `[Summary] Failed to load ${filters.report_type} data. Period table not visible due to fetch error.`,
           {
             reportType: filters.report_type,
             filters,
@@ -305,6 +338,7 @@ const handleReset = () => {
     mixing_from: "",
     mixing_to: "",
     report_type: "daily", // Reset to daily
+    ...DEFAULT_REPORT_CALENDAR,
   });
   setOptions({ units: [], lines: [], cottons: [], mixings: [] });
   setHasLoadedOptions(false);
@@ -356,8 +390,25 @@ const handleReset = () => {
       [name]: value,
     }));
     setDeleteStatus({ type: "idle", message: "" });
+    setDeletePreview(null);
+    setDeleteConfirmText("");
+  };
+
+  const resetDeleteModal = () => {
+    setDeleteFilters({ unit: "", line: "", cotton: "", mixingFrom: "", mixingTo: "" });
+    setDeleteStatus({ type: "idle", message: "" });
+    setDeletePreview(null);
+    setDeleteConfirmText("");
   };
 
+  const buildDeleteRequestBody = () => ({
+    unit: deleteFilters.unit,
+    line: deleteFilters.line,
+    cotton: deleteFilters.cotton,
+    mixing_from: deleteFilters.mixingFrom,
+    mixing_to: deleteFilters.mixingTo,
+  });
+
   const validateDeleteFilters = () => {
     if (!deleteFilters.unit) {
       return "Please select a Unit.";
@@ -386,18 +437,38 @@ const handleReset = () => {
     return "";
   };
 
-  const handleDelete = async () => {
+  const handlePreviewDelete = async () => {
     const validationMessage = validateDeleteFilters();
     if (validationMessage) {
       setDeleteStatus({ type: "error", message: validationMessage });
       return;
     }
 
-    const confirmation = window.confirm(
-      `Are you sure you want to delete mixing chart entries for Unit ${deleteFilters.unit}, Line ${deleteFilters.line}, Cotton ${deleteFilters.cotton} between mixing numbers ${deleteFilters.mixingFrom} and ${deleteFilters.mixingTo}?`
-    );
+    setIsPreviewingDelete(true);
+    setDeleteStatus({ type: "idle", message: "" });
+    setDeleteConfirmText("");
+
+    try {
+      const preview = await apiRequest(
+        "/api/mixing-chart/delete",
+        { method: "POST", params: { dry_run: true }, json: buildDeleteRequestBody() },
+        "Failed to preview mixing chart entries"
+      );
+      setDeletePreview(preview);
+    } catch (err) {
+      console.error("Error previewing mixing chart delete:", err);
+      setDeletePreview(null);
+      setDeleteStatus({ type: "error", message: err.message || "Failed to preview mixing chart entries." });
+    } finally {
+      setIsPreviewingDelete(false);
+    }
+  };
 
-    if (!confirmation) {
+  const deleteRowCount = deletePreview?.totals?.rows ?? 0;
+  const isDeleteConfirmed = deleteRowCount > 0 && deleteConfirmText.trim() === String(deleteRowCount);
+
+  const handleDelete = async () => {
+    if (!isDeleteConfirmed) {
       return;
     }
 
@@ -405,28 +476,19 @@ const handleReset = () => {
     setDeleteStatus({ type: "idle", message: "" });
 
     try {
-      const response = await fetch("https://cotton-api-ekdn.onrender.com/api/mixing-chart/delete", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      const json = await apiRequest(
+        "/api/mixing-chart/delete",
+        {
+          method: "POST",
+          json: { ...buildDeleteRequestBody(), expected_count: deleteRowCount },
         },
-        body: JSON.stringify({
-          unit: deleteFilters.unit,
-          line: deleteFilters.line,
-          cotton: deleteFilters.cotton,
-          mixing_from: deleteFilters.mixingFrom,
-          mixing_to: deleteFilters.mixingTo,
-        }),
-      });
-
-      const json = await response.json();
-
-      if (!response.ok) {
-        throw new Error(json?.error || "Failed to delete mixing chart entries");
-      }
+        "Failed to delete mixing chart entries"
+      );
 
       setDeleteStatus({ type: "success", message: json?.message || "Entries deleted successfully." });
       setDeleteFilters({ unit: "", line: "", cotton: "", mixingFrom: "", mixingTo: "" });
+      setDeletePreview(null);
+      setDeleteConfirmText("");
     } catch (err) {
       console.error("Error deleting mixing chart entries:", err);
       setDeleteStatus({ type: "error", message: err.message || "Failed to delete mixing chart entries." });
@@ -468,7 +530,7 @@ const handleReset = () => {
     setFilters(nextFilters);
     setValidationError("");
 
-    if (name === "report_type") {
+    if (name === "report_type" || name === "calendar" || name === "week_start") {
       setSummaryData([]);
       return;
     }
@@ -529,12 +591,15 @@ const handleReset = () => {
     setOpenDropdown(openDropdown === name ? null : name);
   };
 
-  // Helper function to format issue date based on report type
-  const formatIssueDate = (issueDate, reportType) => {
+  // Helper function to format issue date based on report type; period rows carry
+  // the backend's period_label for their calendar.
+  const formatIssueDate = (issueDate, reportType, periodLabel) => {
     if (!issueDate) return "-";
     
     if (reportType === "daily") {
       return new Date(issueDate).toLocaleDateString("en-GB");
+    } else if (periodLabel) {
+      return periodLabel;
     } else if (reportType === "weekly") {
       // Format: 2024-09-W3 -> "15-21 Sep"
       const parts = issueDate.split('-');
@@ -672,7 +737,7 @@ const exportToExcel = () => {
   const sortedData = getSortedSummary();
 
   const formattedData = sortedData.map((row) => ({
-    "Issue Date": formatIssueDate(row.issue_date, filters.report_type),
+    "Issue Date": formatIssueDate(row.issue_date, filters.report_type, row.period_label),
     "Mixing No": row.mixing_no,
     "Mixing": row.mixing || "-",
     "Blend%": row.blend_percent || "-",
@@ -708,6 +773,7 @@ const exportToExcel = () => {
       row.min_mic_percent !== ""
         ? Number(row.min_mic_percent).toFixed(1)
         : "-",
+    "Out of Spec": formatOutOfSpec(row, SPEC_LABELS),
   }));
 
   const ws = XLSX.utils.json_to_sheet(formattedData);
@@ -744,10 +810,11 @@ const exportToPDF = () => {
     "Moist",
     "Min MIC",
     "Min MIC%",
+    "Out of Spec",
   ];
 
   const tableRows = sortedData.map((row) => [
-    formatIssueDate(row.issue_date, filters.report_type),
+    formatIssueDate(row.issue_date, filters.report_type, row.period_label),
     row.mixing_no,
     row.mixing || "-",
     row.blend_percent || "-",
@@ -780,6 +847,7 @@ const exportToPDF = () => {
     row.min_mic_percent !== ""
       ? Number(row.min_mic_percent).toFixed(1)
       : "-",
+    formatOutOfSpec(row, SPEC_LABELS),
   ]);
 
   const doc = new jsPDF("l", "pt", "a3");
@@ -825,24 +893,34 @@ const exportToPDF = () => {
           >
             PDF
           </button>
-          <button
-            type="button"
-            onClick={() => window.open("https://forms.gle/pLqxW2zXSbjqW7eU6", "_blank", "noopener,noreferrer")}
-            className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white"
-          >
-            Mixing Upload
-          </button>
-          <button
-            type="button"
-            onClick={() => {
-              setDeleteFilters({ unit: "", line: "", cotton: "", mixingFrom: "", mixingTo: "" });
-              setDeleteStatus({ type: "idle", message: "" });
-              setIsDeleteModalOpen(true);
-            }}
-            className="px-4 py-2 rounded bg-amber-600 hover:bg-amber-700 text-white"
-          >
-            Mixing Delete
-          </button>
+          {canEditMixingChart && (
+            <>
+              <button
+                type="button"
+                onClick={() => window.open("https://forms.gle/pLqxW2zXSbjqW7eU6", "_blank", "noopener,noreferrer")}
+                className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                Mixing Upload
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  resetDeleteModal();
+                  setIsDeleteModalOpen(true);
+                }}
+                className="px-4 py-2 rounded bg-amber-600 hover:bg-amber-700 text-white"
+              >
+                Mixing Delete
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsRecentlyDeletedOpen(true)}
+                className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-700 text-white"
+              >
+                Recently Deleted
+              </button>
+            </>
+          )}
         </div>
       </div>
 
@@ -919,7 +997,41 @@ const exportToPDF = () => {
             <option value="daily">Daily</option>
             <option value="weekly">Weekly</option>
             <option value="monthly">Monthly</option>
+            <option value="quarterly">Quarterly</option>
+            <option value="yearly">Yearly</option>
           </select>
+
+          {filters.report_type !== "daily" && (
+            <select
+              name="calendar"
+              value={filters.calendar}
+              onChange={handleChange}
+              className="border p-2 rounded"
+              title="Calendar"
+            >
+              {CALENDAR_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {filters.report_type !== "daily" && usesWeekStart(filters.calendar) && (
+            <select
+              name="week_start"
+              value={filters.week_start}
+              onChange={handleChange}
+              className="border p-2 rounded"
+              title="Week starts on"
+            >
+              {WEEK_START_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          )}
         </div>
 
         <div className="flex items-end gap-4 flex-wrap">
@@ -968,10 +1080,10 @@ const exportToPDF = () => {
       {/* Table */}
       {isDeleteModalOpen && (
         <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 z-50">
-          <div className="bg-white rounded-lg shadow-xl w-full max-w-xl p-6">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6">
             <h3 className="text-lg font-bold text-purple-800 mb-4">Delete Mixing Chart Entries</h3>
             <p className="text-sm text-gray-600 mb-4">
-              Choose the Unit, Line, Cotton, and Mixing number range you wish to delete from the mixing chart.
+              Choose the Unit, Line, Cotton, and Mixing number range, then preview exactly what will be deleted.
             </p>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -1036,6 +1148,73 @@ const exportToPDF = () => {
               </div>
             </div>
 
+            {deletePreview && (
+              <div className="mt-4 space-y-3">
+                {deleteRowCount === 0 ? (
+                  <p className="text-sm text-gray-600">No mixing chart rows match this range.</p>
+                ) : (
+                  <>
+                    <p className="text-sm font-semibold text-gray-700">
+                      {deletePreview.totals.rows} row(s) across {deletePreview.totals.lots} lot(s),{" "}
+                      {deletePreview.totals.bales} bale(s) issued.
+                    </p>
+                    <div className="max-h-40 overflow-y-auto border rounded">
+                      <table className="min-w-full text-xs">
+                        <thead className="sticky top-0 bg-purple-50 text-purple-800">
+                          <tr>
+                            <th className="px-2 py-1 text-left">Lot</th>
+                            <th className="px-2 py-1 text-left">Mixings</th>
+                            <th className="px-2 py-1 text-right">Rows</th>
+                            <th className="px-2 py-1 text-right">Bales</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {deletePreview.lots.map((lot) => (
+                            <tr key={lot.lot_no} className="border-t">
+                              <td className="px-2 py-1">{lot.lot_no}</td>
+                              <td className="px-2 py-1">{lot.mixings.join(", ")}</td>
+                              <td className="px-2 py-1 text-right">{lot.rows}</td>
+                              <td className="px-2 py-1 text-right">{lot.bales}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <div className="max-h-40 overflow-y-auto border rounded">
+                      <table className="min-w-full text-xs">
+                        <thead className="sticky top-0 bg-gray-100 text-gray-700">
+                          <tr>
+                            <th className="px-2 py-1 text-left">Mixing No</th>
+                            <th className="px-2 py-1 text-left">Lot</th>
+                            <th className="px-2 py-1 text-right">Issue Bale</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {deletePreview.rows.map((row, index) => (
+                            <tr key={`${row.mixing_no}-${row.lot_no}-${index}`} className="border-t">
+                              <td className="px-2 py-1">{row.mixing_no}</td>
+                              <td className="px-2 py-1">{row.lot_no}</td>
+                              <td className="px-2 py-1 text-right">{row.issue_bale}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <label className="block text-sm font-semibold">
+                      Type {deleteRowCount} to confirm
+                      <input
+                        type="text"
+                        value={deleteConfirmText}
+                        onChange={(event) => setDeleteConfirmText(event.target.value)}
+                        className="mt-1 w-full border rounded p-2 font-normal"
+                        placeholder={String(deleteRowCount)}
+                      />
+                    </label>
+                  </>
+                )}
+              </div>
+            )}
+
             {deleteStatus.type === "error" && (
               <p className="mt-4 text-sm text-red-600">{deleteStatus.message}</p>
             )}
@@ -1048,18 +1227,26 @@ const exportToPDF = () => {
                 type="button"
                 onClick={() => {
                   setIsDeleteModalOpen(false);
-                  setDeleteStatus({ type: "idle", message: "" });
+                  resetDeleteModal();
                 }}
                 className="px-4 py-2 rounded bg-gray-300 hover:bg-gray-400 text-gray-800"
               >
                 Cancel
               </button>
+              <button
+                type="button"
+                onClick={handlePreviewDelete}
+                disabled={isPreviewingDelete || isDeleting}
+                className="px-4 py-2 rounded bg-amber-600 hover:bg-amber-700 text-white disabled:bg-amber-300"
+              >
+                {isPreviewingDelete ? "Previewing..." : deletePreview ? "Preview Again" : "Preview"}
+              </button>
               <button
                 type="button"
                 onClick={handleDelete}
-                disabled={isDeleting}
+                disabled={isDeleting || !isDeleteConfirmed}
                 className={`px-4 py-2 rounded text-white ${
-                  isDeleting ? "bg-red-300 cursor-not-allowed" : "bg-red-600 hover:bg-red-700"
+                  isDeleting || !isDeleteConfirmed ? "bg-red-300 cursor-not-allowed" : "bg-red-600 hover:bg-red-700"
                 }`}
               >
                 {isDeleting ? "Deleting..." : "Delete"}
@@ -1069,6 +1256,14 @@ const exportToPDF = () => {
         </div>
       )}
 
+      {isRecentlyDeletedOpen && (
+        <RecentlyDeletedModal
+          table="mixing_chart"
+          canRestore={canEditMixingChart}
+          onClose={() => setIsRecentlyDeletedOpen(false)}
+        />
+      )}
+
       {loading ? (
         <p className="text-center text-purple-700 font-semibold">Loading...</p>
       ) : summaryData.length > 0 ? (
@@ -1108,7 +1303,7 @@ const exportToPDF = () => {
                   <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.unit}</td>
                   <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.line}</td>
                   <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">
-                    {formatIssueDate(row.issue_date, filters.report_type)}
+                    {formatIssueDate(row.issue_date, filters.report_type, row.period_label)}
                   </td>
                   <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.cotton}</td>
                   <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.mixing_no}</td>
@@ -1127,22 +1322,78 @@ const exportToPDF = () => {
                       ? `${Number(row.lot_change_over_percent).toFixed(2)}%`
                       : "-"}
                   </td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.uhml?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.mic?.toFixed(2)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.str?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.rd?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.plus_b?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.sf?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.ui?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.elong?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.trash?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">{row.moist?.toFixed(1)}</td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "uhml"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "uhml")}`}
+                  >
+                    {row.uhml?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "mic"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "mic")}`}
+                  >
+                    {row.mic?.toFixed(2)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "str"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "str")}`}
+                  >
+                    {row.str?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "rd"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "rd")}`}
+                  >
+                    {row.rd?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "plus_b"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "plus_b")}`}
+                  >
+                    {row.plus_b?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "sf"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "sf")}`}
+                  >
+                    {row.sf?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "ui"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "ui")}`}
+                  >
+                    {row.ui?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "elong"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "elong")}`}
+                  >
+                    {row.elong?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "trash"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "trash")}`}
+                  >
+                    {row.trash?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "moist"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "moist")}`}
+                  >
+                    {row.moist?.toFixed(1)}
+                  </td>
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "min_mic"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "min_mic")}`}
+                  >
                     {row.min_mic !== null && row.min_mic !== undefined && row.min_mic !== ""
                       ? Number(row.min_mic).toFixed(2)
                       : "-"}
                   </td>
-                  <td className="px-3 py-2 border border-gray-200 whitespace-nowrap">
+                  <td
+                    title={describeOutOfSpecFlag(getOutOfSpecFlag(row, "min_mic_percent"))}
+                    className={`px-3 py-2 border border-gray-200 whitespace-nowrap ${outOfSpecCellClass(row, "min_mic_percent")}`}
+                  >
                     {row.min_mic_percent !== null &&
                     row.min_mic_percent !== undefined &&
                     row.min_mic_percent !== ""
@@ -0,0 +1,128 @@
+import PropTypes from "prop-types";
+
+const ACTION_STYLES = {
+  insert: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  replace: "bg-yellow-100 text-yellow-800",
+  reject: "bg-red-100 text-red-800",
+};
+
+const ACTION_LABELS = {
+  insert: "Insert",
+  update: "Update",
+  replace: "Replace",
+  reject: "Reject",
+};
+
+function UploadPreview({ preview, onConfirm, onCancel, uploading }) {
+  const rows = Array.isArray(preview?.rows) ? preview.rows : [];
+  const summary = preview?.summary || {};
+  const rejected = summary.reject || 0;
+  const accepted = rows.length - rejected;
+  const canConfirm = accepted > 0 && rejected === 0;
+
+  return (
+    <div className="space-y-3 rounded border border-gray-200 p-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs font-semibold">
+        {Object.keys(ACTION_LABELS).map((action) => (
+          <span key={action} className={`rounded px-2 py-1 ${ACTION_STYLES[action]}`}>
+            {ACTION_LABELS[action]}: {summary[action] || 0}
+          </span>
+        ))}
+      </div>
+
+      <div className="max-h-64 overflow-y-auto">
+        <table className="min-w-full text-xs">
+          <thead className="sticky top-0 bg-gray-100">
+            <tr>
+              <th className="px-2 py-1 text-left">Row</th>
+              <th className="px-2 py-1 text-left">Action</th>
+              <th className="px-2 py-1 text-left">Entry</th>
+              <th className="px-2 py-1 text-left">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((entry) => (
+              <tr key={`${entry.row}-${entry.action}`} className="border-t border-gray-100 align-top">
+                <td className="px-2 py-1">{entry.row}</td>
+                <td className="px-2 py-1">
+                  <span className={`rounded px-2 py-0.5 font-semibold ${ACTION_STYLES[entry.action] || ""}`}>
+                    {ACTION_LABELS[entry.action] || entry.action}
+                  </span>
+                </td>
+                <td className="px-2 py-1 whitespace-nowrap">{entry.key ?? "-"}</td>
+                <td className="px-2 py-1">
+                  {entry.reason}
+                  {Array.isArray(entry.changes) && entry.changes.length > 0 && (
+                    <ul className="mt-1 list-inside list-disc text-gray-600">
+                      {entry.changes.map((change) => (
+                        <li key={change.column}>
+                          {change.column}: {change.from ?? "—"} → {change.to ?? "—"}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!canConfirm && (
+        <p className="text-xs text-red-600">
+          {accepted === 0
+            ? "Nothing in this file can be uploaded."
+            : "Fix the rejected rows and upload the file again before confirming."}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="rounded border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-50"
+          disabled={uploading}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={onConfirm}
+          className={`rounded px-4 py-2 text-sm font-semibold text-white shadow ${
+            canConfirm && !uploading ? "bg-blue-600 hover:bg-blue-700" : "bg-gray-400"
+          }`}
+          disabled={!canConfirm || uploading}
+        >
+          {uploading ? "Uploading..." : `Confirm Upload (${accepted} row${accepted === 1 ? "" : "s"})`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+UploadPreview.propTypes = {
+  preview: PropTypes.shape({
+    summary: PropTypes.objectOf(PropTypes.number),
+    rows: PropTypes.arrayOf(
+      PropTypes.shape({
+        row: PropTypes.number.isRequired,
+        action: PropTypes.string.isRequired,
+        key: PropTypes.string,
+        reason: PropTypes.string,
+        changes: PropTypes.arrayOf(
+          PropTypes.shape({
+            column: PropTypes.string.isRequired,
+            from: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+            to: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+          })
+        ),
+      })
+    ),
+  }).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  uploading: PropTypes.bool.isRequired,
+};
+
+export default UploadPreview;
@@ -1,10 +1,11 @@
 import { useState } from "react";
 import AnalysisChart from "./AnalysisChart.jsx";
-
+import AnalysisTable from "./AnalysisTable.jsx";
 import AnalysisComparison from "./AnalysisComparison.jsx";
 
 const subTabs = [
   { id: "chart", label: "Chart" },
+  { id: "table", label: "Table" },
   { id: "comparison", label: "Comparison" },
 ];
 
@@ -32,6 +33,8 @@ function Analysis() {
 
       {activeSubTab === "chart" && <AnalysisChart />}
 
+      {activeSubTab === "table" && <AnalysisTable />}
+
       {activeSubTab === "comparison" && <AnalysisComparison />}
     </div>
   );
@@ -11,6 +11,7 @@ import {
 } from "chart.js";
 import ChartDataLabels from "chartjs-plugin-datalabels";
 import { Line } from "react-chartjs-2";
+import { apiRequest } from "../../api/apiClient";
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Filler, ChartDataLabels);
 
@@ -198,16 +199,7 @@ function AnalysisChart() {
     if (Array.isArray(state.cotton) && state.cotton.length > 0) params.append("cotton", JSON.stringify(state.cotton));
     if (Array.isArray(state.mixing) && state.mixing.length > 0) params.append("mixing", JSON.stringify(state.mixing));
 
-    const queryString = params.toString();
-    const url = queryString
-      ? `https://cotton-api-ekdn.onrender.com/api/cotton-mixing-summary/filters?${queryString}`
-      : "https://cotton-api-ekdn.onrender.com/api/cotton-mixing-summary/filters";
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Unable to load filter options (status ${response.status})`);
-    }
-
-    return response.json();
+    return apiRequest("/api/cotton-mixing-summary/filters", { params }, "Unable to load filter options.");
   }, []);
 
   const refreshFilterOptions = useCallback(
@@ -390,12 +382,7 @@ function AnalysisChart() {
         cotton: JSON.stringify(filters.cotton),
         mixing: JSON.stringify(filters.mixing),
       });
-      const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-mixing-summary?${params.toString()}`);
-      if (!response.ok) {
-        throw new Error(`Request failed with status ${response.status}`);
-      }
-
-      const json = await response.json();
+      const json = await apiRequest("/api/cotton-mixing-summary", { params });
       if (Array.isArray(json)) {
         setChartRows(json);
       } else {
@@ -1,4 +1,5 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
+import { apiRequest } from "../../api/apiClient";
 
 const BASE_FILTER_STATE = {
   from_date: "",
@@ -24,13 +25,8 @@ const METRIC_CONFIG = [
   { key: "elong", label: "Elong", decimals: 1 },
   { key: "trash", label: "Trash", decimals: 1 },
   { key: "moist", label: "Moist%", decimals: 1 },
+  { key: "mat", label: "MAT", decimals: 2 },
   { key: "min_mic", label: "Min MIC", decimals: 2 },
-  { key: "min_mic_percent", label: "Min MIC%", decimals: 1 },
-  { key: "blend_percent", label: "Blend%", decimals: 1 },
-  { key: "no_of_lots", label: "No of Lots", decimals: 0 },
-  { key: "total_bales", label: "Total Bales", decimals: 0 },
-  { key: "bale_change_over_percent", label: "Bale Change%", decimals: 2 },
-  { key: "lot_change_over_percent", label: "Lot Change%", decimals: 2 },
 ];
 
 const METRIC_LOOKUP = Object.fromEntries(METRIC_CONFIG.map((metric) => [metric.key, metric]));
@@ -175,48 +171,16 @@ function AnalysisComparison() {
         report_type: filters.report_type,
         parameter: filters.parameter,
       });
-      const response = await fetch(`https://cotton-api-ekdn.onrender.com/api/cotton-mixing-summary?${params.toString()}`);
-      if (!response.ok) {
-        throw new Error(`Request failed with status ${response.status}`);
+      const json = await apiRequest("/api/analysis/comparison", { params });
+      if (!Array.isArray(json?.units) || !Array.isArray(json?.rows)) {
+        throw new Error("Unexpected response format from comparison endpoint");
       }
 
-      const json = await response.json();
-      if (!Array.isArray(json)) {
-        throw new Error("Unexpected response format from summary endpoint");
-      }
-
-      const rowsByIssueDate = new Map();
-      const collectedUnits = new Set();
-
-      json.forEach((item) => {
-        const issueDate = item?.issue_date;
-        if (!issueDate) {
-          return;
-        }
-
-        const aggregationKey = String(issueDate);
-        if (!rowsByIssueDate.has(aggregationKey)) {
-          rowsByIssueDate.set(aggregationKey, { issue_date: aggregationKey, values: {} });
-        }
-
-        const entry = rowsByIssueDate.get(aggregationKey);
-        const unitKey = item?.unit ? String(item.unit) : null;
-        if (!unitKey) {
-          return;
-        }
-
-        collectedUnits.add(unitKey);
-
-        const rawValue = item?.[filters.parameter];
-        const parsedValue = parseNumber(rawValue);
-        entry.values[unitKey] = parsedValue;
-      });
-
-      setUnits(Array.from(collectedUnits));
-      setTableRows(Array.from(rowsByIssueDate.values()));
+      setUnits(json.units.map(String));
+      setTableRows(json.rows);
     } catch (error) {
       console.error("Error fetching comparison data", error);
-      setRequestError("Failed to load comparison data. Please try again.");
+      setRequestError(error.message || "Failed to load comparison data. Please try again.");
       setTableRows([]);
       setUnits([]);
     }
@@ -229,8 +193,6 @@ function AnalysisComparison() {
     applyFilters();
   };
 
-  const visibleMetrics = useMemo(() => parameterOptions.map((option) => option.key), [parameterOptions]);
-
   const currentMetricLabel = useMemo(() => {
     if (!filters.parameter) return "Parameter";
     return METRIC_LOOKUP[filters.parameter]?.label ?? filters.parameter;
@@ -255,9 +217,10 @@ function AnalysisComparison() {
       const issueDateLabel = formatIssueDate(row?.issue_date, filters.report_type);
       const valuesByUnit = sortedUnits.map((unit) => {
         const value = parseNumber(row?.values?.[unit]);
-        if (value === null) return "-";
+        const bales = parseNumber(row?.bales?.[unit]);
+        if (value === null) return { label: "-", bales };
         const decimals = METRIC_LOOKUP[filters.parameter]?.decimals;
-        return Number.isFinite(decimals) ? value.toFixed(decimals) : value;
+        return { label: Number.isFinite(decimals) ? value.toFixed(decimals) : value, bales };
       });
       return {
         issueDateLabel,
@@ -399,7 +362,7 @@ function AnalysisComparison() {
         <div className="mb-4 flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
           <h3 className="text-lg font-semibold text-gray-800">Comparison Table</h3>
           <p className="text-sm text-gray-500">
-            Displaying {currentMetricLabel} values grouped by Issue Date ({filters.report_type}).
+            Displaying {filters.parameter === "min_mic" ? "lowest" : "bale-weighted"} {currentMetricLabel} values grouped by Issue Date ({filters.report_type}).
           </p>
         </div>
 
@@ -427,9 +390,13 @@ function AnalysisComparison() {
                     <td className="border border-gray-200 px-4 py-3 text-sm font-semibold text-gray-800">
                       {row.issueDateLabel}
                     </td>
-                    {row.valuesByUnit.map((value, index) => (
-                      <td key={index} className="border border-gray-200 px-4 py-3 text-sm text-gray-700">
-                        {value}
+                    {row.valuesByUnit.map((cell, index) => (
+                      <td
+                        key={index}
+                        title={cell.bales ? `${cell.bales} bales` : undefined}
+                        className="border border-gray-200 px-4 py-3 text-sm text-gray-700"
+                      >
+                        {cell.label}
                       </td>
                     ))}
                   </tr>
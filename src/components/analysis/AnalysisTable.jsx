@@ -1,72 +1,518 @@
-const placeholderColumns = [
-  "Issue Date",
-  "Unit",
-  "Line",
-  "Mixing No",
-  "Cotton",
-  "UHML",
-  "STR",
-  "SFI",
-  "Trash",
-];
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import * as XLSX from "xlsx";
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import { apiRequest } from "../../api/apiClient";
 
-const placeholderRows = [
-  {
-    issueDate: "2024-09-01",
-    unit: "Unit A",
-    line: "Line 1",
-    mixingNo: "MX-101",
-    cotton: "COTTON-25",
-    uhml: 28.7,
-    str: 30.1,
-    sfi: 6.2,
-    trash: 3.1,
-  },
-  {
-    issueDate: "2024-09-02",
-    unit: "Unit A",
-    line: "Line 2",
-    mixingNo: "MX-102",
-    cotton: "COTTON-25",
-    uhml: 28.9,
-    str: 30.4,
-    sfi: 6.1,
-    trash: 3.0,
-  },
-  {
-    issueDate: "2024-09-03",
-    unit: "Unit B",
-    line: "Line 3",
-    mixingNo: "MX-103",
-    cotton: "COTTON-26",
-    uhml: 28.4,
-    str: 29.8,
-    sfi: 6.4,
-    trash: 3.3,
-  },
+const COLUMNS = [
+  { key: "issue_date", label: "Issue Date", type: "date" },
+  { key: "mixing_no", label: "Mixing No", type: "number", decimals: 0 },
+  { key: "mixing", label: "Mixing", type: "text" },
+  { key: "unit", label: "Unit", type: "text" },
+  { key: "line", label: "Line", type: "text" },
+  { key: "cotton", label: "Cotton", type: "text" },
+  { key: "no_of_lots", label: "No of Lots", type: "number", decimals: 0 },
+  { key: "total_bales", label: "Total Bales", type: "number", decimals: 0 },
+  { key: "mic", label: "MIC", type: "number", decimals: 2 },
+  { key: "str", label: "STR", type: "number", decimals: 1 },
+  { key: "uhml", label: "UHML", type: "number", decimals: 1 },
+  { key: "rd", label: "Rd", type: "number", decimals: 1 },
+  { key: "plus_b", label: "+b", type: "number", decimals: 1 },
+  { key: "sf", label: "SF", type: "number", decimals: 1 },
+  { key: "ui", label: "UI", type: "number", decimals: 1 },
+  { key: "elong", label: "Elong", type: "number", decimals: 1 },
+  { key: "trash", label: "Trash", type: "number", decimals: 1 },
+  { key: "moist", label: "Moist%", type: "number", decimals: 1 },
+  { key: "min_mic", label: "Min MIC", type: "number", decimals: 2 },
+  { key: "min_mic_percent", label: "Min MIC%", type: "number", decimals: 1 },
 ];
 
+const NUMERIC_COLUMNS = COLUMNS.filter((column) => column.type === "number");
+
+// Rows are windowed so thousands of mixings scroll smoothly; the row height
+// must match the rendered <td> height for the spacer maths to line up.
+const ROW_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN_ROWS = 10;
+
+const BASE_FILTER_STATE = {
+  from_date: "",
+  to_date: "",
+  unit: [],
+  line: [],
+  cotton: [],
+  mixing: [],
+  report_type: "daily",
+};
+
+const BASE_OPTIONS_STATE = {
+  units: [],
+  lines: [],
+  cottons: [],
+  mixings: [],
+};
+
+const cloneFilters = (source = BASE_FILTER_STATE) => ({
+  from_date: source.from_date ?? "",
+  to_date: source.to_date ?? "",
+  unit: Array.isArray(source.unit) ? [...source.unit] : [],
+  line: Array.isArray(source.line) ? [...source.line] : [],
+  cotton: Array.isArray(source.cotton) ? [...source.cotton] : [],
+  mixing: Array.isArray(source.mixing) ? [...source.mixing] : [],
+  report_type: source.report_type ?? "daily",
+});
+
+const parseNumericValue = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const numeric = Number(value);
+  return Number.isNaN(numeric) ? null : numeric;
+};
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const formatIssueDate = (issueDate, reportType) => {
+  if (!issueDate) return "-";
+  const value = String(issueDate);
+
+  if (reportType === "weekly") {
+    const match = value.toUpperCase().match(/^(\d{4})-(\d{2})-W(\d{1,2})$/);
+    if (!match) return value;
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const week = Number(match[3]);
+    const totalDays = new Date(year, month, 0).getDate();
+    const startDay = (week - 1) * 7 + 1;
+    const endDay = Math.min(week * 7, totalDays);
+    return `${startDay.toString().padStart(2, "0")}-${endDay.toString().padStart(2, "0")} ${MONTH_NAMES[month - 1] ?? ""}`;
+  }
+
+  if (reportType === "monthly") {
+    const match = value.match(/^(\d{4})-(\d{2})$/);
+    if (!match) return value;
+    const monthLabel = MONTH_NAMES[Number(match[2]) - 1];
+    return monthLabel ? `${monthLabel} ${match[1]}` : value;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  const day = date.getDate().toString().padStart(2, "0");
+  const month = (date.getMonth() + 1).toString().padStart(2, "0");
+  const year = date.getFullYear().toString().slice(-2);
+  return `${day}-${month}-${year}`;
+};
+
+const formatCell = (row, column, reportType) => {
+  const value = row?.[column.key];
+  if (column.type === "date") return formatIssueDate(value, reportType);
+  if (column.type === "number") {
+    const numeric = parseNumericValue(value);
+    return numeric === null ? "-" : numeric.toFixed(column.decimals ?? 2);
+  }
+  return value === null || value === undefined || value === "" ? "-" : String(value);
+};
+
+const compareValues = (a, b, column) => {
+  if (column.type === "number") {
+    const numA = parseNumericValue(a);
+    const numB = parseNumericValue(b);
+    if (numA === null && numB === null) return 0;
+    if (numA === null) return 1;
+    if (numB === null) return -1;
+    return numA - numB;
+  }
+  return String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true });
+};
+
 function AnalysisTable() {
+  const [filters, setFilters] = useState(cloneFilters());
+  const [options, setOptions] = useState(BASE_OPTIONS_STATE);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [loadingOptions, setLoadingOptions] = useState(false);
+  const [requestError, setRequestError] = useState("");
+  const [rows, setRows] = useState([]);
+  const [appliedReportType, setAppliedReportType] = useState("daily");
+  const [hasFetched, setHasFetched] = useState(false);
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [sortConfig, setSortConfig] = useState({ key: "issue_date", direction: "asc" });
+  const [rangeFilters, setRangeFilters] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const dropdownRefs = useRef({});
+  const scrollContainerRef = useRef(null);
+
+  const hasSelectedDateRange = Boolean(filters.from_date) && Boolean(filters.to_date);
+
+  useEffect(() => {
+    if (!hasSelectedDateRange) {
+      setOptions(BASE_OPTIONS_STATE);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const loadOptions = async () => {
+      const params = new URLSearchParams({ from_date: filters.from_date, to_date: filters.to_date });
+      ["unit", "line", "cotton", "mixing"].forEach((name) => {
+        if (filters[name].length > 0) params.append(name, JSON.stringify(filters[name]));
+      });
+
+      setLoadingOptions(true);
+      try {
+        const json = await apiRequest(
+          "/api/cotton-mixing-summary/filters",
+          { params, signal: controller.signal },
+          "Unable to load filter options."
+        );
+        setOptions({
+          units: json?.units ?? [],
+          lines: json?.lines ?? [],
+          cottons: json?.cottons ?? [],
+          mixings: json?.mixings ?? [],
+        });
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("Error fetching filter options", error);
+          setOptions(BASE_OPTIONS_STATE);
+        }
+      } finally {
+        setLoadingOptions(false);
+      }
+    };
+
+    loadOptions();
+    return () => controller.abort();
+  }, [filters, hasSelectedDateRange]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (!openDropdown) return;
+      const currentRef = dropdownRefs.current[openDropdown];
+      if (currentRef && !currentRef.contains(event.target)) {
+        setOpenDropdown(null);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [openDropdown]);
+
+  const setDropdownRef = (name) => (element) => {
+    if (element) {
+      dropdownRefs.current[name] = element;
+    } else {
+      delete dropdownRefs.current[name];
+    }
+  };
+
+  const canApply =
+    hasSelectedDateRange && filters.unit.length > 0 && filters.line.length > 0 && !loadingOptions;
+
+  const validateFilters = () => {
+    const errors = {};
+    if (!filters.from_date || !filters.to_date) {
+      errors.date = "Please choose both From and To dates.";
+    } else if (new Date(filters.from_date) > new Date(filters.to_date)) {
+      errors.date = "From date cannot be later than To date.";
+    }
+    if (filters.unit.length === 0) errors.unit = "Select at least one Unit.";
+    if (filters.line.length === 0) errors.line = "Select at least one Line.";
+    return errors;
+  };
+
+  const handleCheckboxChange = (name, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [name]: prev[name].includes(value) ? prev[name].filter((item) => item !== value) : [...prev[name], value],
+    }));
+    setFieldErrors((prev) => ({ ...prev, [name]: "" }));
+  };
+
+  const handleSelectAll = (name, values) => {
+    setFilters((prev) => ({ ...prev, [name]: prev[name].length === values.length ? [] : [...values] }));
+    setFieldErrors((prev) => ({ ...prev, [name]: "" }));
+  };
+
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: "", date: "" }));
+  };
+
+  const handleReset = () => {
+    setFilters(cloneFilters());
+    setFieldErrors({});
+    setRows([]);
+    setRangeFilters({});
+    setRequestError("");
+    setHasFetched(false);
+  };
+
+  const handleApply = async () => {
+    const validation = validateFilters();
+    setFieldErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+
+    setLoading(true);
+    setRequestError("");
+
+    try {
+      const params = new URLSearchParams({
+        from_date: filters.from_date,
+        to_date: filters.to_date,
+        report_type: filters.report_type,
+        unit: JSON.stringify(filters.unit),
+        line: JSON.stringify(filters.line),
+        cotton: JSON.stringify(filters.cotton),
+        mixing: JSON.stringify(filters.mixing),
+      });
+      const json = await apiRequest("/api/cotton-mixing-summary", { params });
+      setRows(Array.isArray(json) ? json : []);
+      setAppliedReportType(filters.report_type);
+      setHasFetched(true);
+      setScrollTop(0);
+      if (scrollContainerRef.current) scrollContainerRef.current.scrollTop = 0;
+    } catch (error) {
+      console.error("Error fetching analysis table data", error);
+      setRequestError(error.message || "Failed to load analysis data. Please try again.");
+      setRows([]);
+      setHasFetched(false);
+    }
+
+    setLoading(false);
+  };
+
+  const handleSort = (key) => {
+    setSortConfig((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === "asc" ? "desc" : "asc",
+    }));
+  };
+
+  const handleRangeChange = (key, bound, value) => {
+    setRangeFilters((prev) => ({ ...prev, [key]: { ...prev[key], [bound]: value } }));
+    setScrollTop(0);
+    if (scrollContainerRef.current) scrollContainerRef.current.scrollTop = 0;
+  };
+
+  const visibleRows = useMemo(() => {
+    const activeRanges = NUMERIC_COLUMNS.map((column) => ({
+      key: column.key,
+      min: parseNumericValue(rangeFilters[column.key]?.min),
+      max: parseNumericValue(rangeFilters[column.key]?.max),
+    })).filter((range) => range.min !== null || range.max !== null);
+
+    const filtered = activeRanges.length
+      ? rows.filter((row) =>
+          activeRanges.every(({ key, min, max }) => {
+            const value = parseNumericValue(row?.[key]);
+            if (value === null) return false;
+            if (min !== null && value < min) return false;
+            if (max !== null && value > max) return false;
+            return true;
+          })
+        )
+      : rows;
+
+    const column = COLUMNS.find(({ key }) => key === sortConfig.key);
+    if (!column) return filtered;
+
+    const direction = sortConfig.direction === "asc" ? 1 : -1;
+    return [...filtered].sort((a, b) => compareValues(a?.[column.key], b?.[column.key], column) * direction);
+  }, [rows, rangeFilters, sortConfig]);
+
+  const firstRenderedIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const renderedCount = Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT) + OVERSCAN_ROWS * 2;
+  const windowRows = visibleRows.slice(firstRenderedIndex, firstRenderedIndex + renderedCount);
+  const topSpacer = firstRenderedIndex * ROW_HEIGHT;
+  const bottomSpacer = Math.max(0, (visibleRows.length - firstRenderedIndex - windowRows.length) * ROW_HEIGHT);
+
+  const handleScroll = useCallback((event) => {
+    setScrollTop(event.currentTarget.scrollTop);
+  }, []);
+
+  const exportToExcel = () => {
+    const data = visibleRows.map((row) =>
+      Object.fromEntries(COLUMNS.map((column) => [column.label, formatCell(row, column, appliedReportType)]))
+    );
+    const ws = XLSX.utils.json_to_sheet(data);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "Analysis");
+    XLSX.writeFile(wb, "Mixing_Analysis.xlsx");
+  };
+
+  const exportToPDF = () => {
+    const doc = new jsPDF("l", "pt", "a3");
+    doc.text("Detailed Mixing Results", 40, 30);
+    autoTable(doc, {
+      head: [COLUMNS.map((column) => column.label)],
+      body: visibleRows.map((row) => COLUMNS.map((column) => formatCell(row, column, appliedReportType))),
+      startY: 50,
+      styles: { fontSize: 8, cellPadding: 3 },
+      headStyles: { fillColor: [103, 58, 183] },
+    });
+    doc.save("Mixing_Analysis.pdf");
+  };
+
+  const renderMultiSelectDropdown = (label, name, values, { required = false } = {}) => {
+    const list = Array.isArray(values) ? values : [];
+    const selectedCount = filters[name].length;
+    const allSelected = list.length > 0 && selectedCount === list.length;
+    const isOpen = openDropdown === name;
+
+    return (
+      <div className="relative min-w-[180px]" ref={setDropdownRef(name)}>
+        <label className="mb-1 block text-sm font-semibold text-gray-700">
+          {label}
+          {required && <span className="text-red-500">*</span>}
+        </label>
+        <button
+          type="button"
+          onClick={() => setOpenDropdown((prev) => (prev === name ? null : name))}
+          className={`w-full rounded border px-3 py-2 text-left text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+            fieldErrors[name] ? "border-red-500" : "border-gray-300 hover:border-purple-400"
+          }`}
+        >
+          {selectedCount === 0 ? `Select ${label}` : allSelected ? `All ${label}s Selected` : `${selectedCount} selected`}
+        </button>
+        {isOpen && (
+          <div className="absolute z-50 mt-1 max-h-56 w-full overflow-y-auto rounded border border-gray-200 bg-white shadow-lg">
+            {list.length === 0 ? (
+              <div className="px-3 py-2 text-sm text-gray-500">No options available</div>
+            ) : (
+              <>
+                <label className="flex cursor-pointer items-center gap-2 border-b px-3 py-2 text-sm font-semibold text-purple-700 hover:bg-purple-50">
+                  <input type="checkbox" checked={allSelected} onChange={() => handleSelectAll(name, list)} className="h-4 w-4" />
+                  Select All
+                </label>
+                {list.map((value) => (
+                  <label key={value} className="flex cursor-pointer items-center gap-2 px-3 py-1.5 text-sm hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={filters[name].includes(value)}
+                      onChange={() => handleCheckboxChange(name, value)}
+                      className="h-4 w-4"
+                    />
+                    <span>{value}</span>
+                  </label>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+        {fieldErrors[name] && <p className="mt-1 text-xs text-red-600">{fieldErrors[name]}</p>}
+      </div>
+    );
+  };
+
+  const hasActiveRangeFilters = Object.values(rangeFilters).some((range) => range?.min || range?.max);
+
   return (
     <div className="space-y-4">
+      <div className="rounded-xl border border-black bg-white p-6 shadow-sm">
+        <div className="grid gap-4 md:grid-cols-3 lg:grid-cols-4">
+          <div>
+            <label className="mb-1 block text-sm font-semibold text-gray-700">
+              Issue Date From <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="date"
+              name="from_date"
+              value={filters.from_date}
+              onChange={handleInputChange}
+              className={`w-full rounded border px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                fieldErrors.date ? "border-red-500" : "border-gray-300"
+              }`}
+            />
+          </div>
+          <div>
+            <label className="mb-1 block text-sm font-semibold text-gray-700">
+              Issue Date To <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="date"
+              name="to_date"
+              value={filters.to_date}
+              onChange={handleInputChange}
+              className={`w-full rounded border px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                fieldErrors.date ? "border-red-500" : "border-gray-300"
+              }`}
+            />
+          </div>
+          <div>
+            <label className="mb-1 block text-sm font-semibold text-gray-700">Report Type</label>
+            <select
+              name="report_type"
+              value={filters.report_type}
+              onChange={handleInputChange}
+              className="w-full rounded border border-gray-300 px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </select>
+          </div>
+          {renderMultiSelectDropdown("Variety", "cotton", options.cottons)}
+          {renderMultiSelectDropdown("Unit", "unit", options.units, { required: true })}
+          {renderMultiSelectDropdown("Line", "line", options.lines, { required: true })}
+          {renderMultiSelectDropdown("Mixing", "mixing", options.mixings)}
+          <div className="flex items-end gap-2">
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={!canApply || loading}
+              className={`rounded-md px-4 py-2 text-sm font-semibold text-white transition ${
+                canApply && !loading ? "bg-purple-700 hover:bg-purple-800" : "cursor-not-allowed bg-gray-400"
+              }`}
+            >
+              {loading ? "Loading..." : "Apply"}
+            </button>
+            <button
+              type="button"
+              onClick={handleReset}
+              className="rounded-md border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-100"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+        {fieldErrors.date && <p className="mt-2 text-xs text-red-600">{fieldErrors.date}</p>}
+        {requestError && (
+          <p className="mt-4 rounded-md border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">{requestError}</p>
+        )}
+      </div>
+
       <div className="rounded-xl border border-gray-200 bg-white p-6 shadow-sm">
         <div className="mb-4 flex flex-wrap items-start justify-between gap-4">
           <div>
             <h2 className="text-xl font-semibold text-gray-800">Detailed Mixing Results</h2>
             <p className="text-sm text-gray-500">
-              Displays the tabular view of the analysis data with sticky headers and smooth scrolling.
+              {hasFetched
+                ? `Showing ${visibleRows.length} of ${rows.length} mixings.`
+                : "Apply filters to load mixing results."}
             </p>
           </div>
           <div className="flex flex-wrap gap-3">
+            {hasActiveRangeFilters && (
+              <button
+                type="button"
+                onClick={() => setRangeFilters({})}
+                className="rounded-md border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-100"
+              >
+                Clear Ranges
+              </button>
+            )}
             <button
               type="button"
-              className="rounded-md border border-purple-200 px-4 py-2 text-sm font-semibold text-purple-700 hover:bg-purple-50"
+              onClick={exportToExcel}
+              disabled={visibleRows.length === 0}
+              className="rounded-md border border-purple-200 px-4 py-2 text-sm font-semibold text-purple-700 hover:bg-purple-50 disabled:cursor-not-allowed disabled:opacity-50"
             >
               Export to Excel
             </button>
             <button
               type="button"
-              className="rounded-md border border-purple-200 px-4 py-2 text-sm font-semibold text-purple-700 hover:bg-purple-50"
+              onClick={exportToPDF}
+              disabled={visibleRows.length === 0}
+              className="rounded-md border border-purple-200 px-4 py-2 text-sm font-semibold text-purple-700 hover:bg-purple-50 disabled:cursor-not-allowed disabled:opacity-50"
             >
               Export to PDF
             </button>
@@ -74,47 +520,102 @@ function AnalysisTable() {
         </div>
 
         <div className="overflow-hidden rounded-lg border border-gray-200">
-          <div className="max-h-[420px] overflow-auto">
+          <div
+            ref={scrollContainerRef}
+            onScroll={handleScroll}
+            className="overflow-auto"
+            style={{ maxHeight: VIEWPORT_HEIGHT }}
+          >
             <table className="min-w-full border-collapse">
-              <thead className="bg-gray-100">
+              <thead className="sticky top-0 z-10 bg-gray-100">
                 <tr>
-                  {placeholderColumns.map((column) => (
+                  {COLUMNS.map((column) => (
                     <th
-                      key={column}
+                      key={column.key}
                       scope="col"
-                      className="sticky top-0 border border-gray-300 bg-gray-100 px-4 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-600"
+                      onClick={() => handleSort(column.key)}
+                      className="cursor-pointer whitespace-nowrap border border-gray-300 bg-gray-100 px-3 py-2 text-left text-xs font-semibold uppercase tracking-wide text-gray-600 hover:bg-gray-200"
                     >
-                      {column}
+                      {column.label}
+                      {sortConfig.key === column.key && (sortConfig.direction === "asc" ? " ▲" : " ▼")}
+                    </th>
+                  ))}
+                </tr>
+                <tr>
+                  {COLUMNS.map((column) => (
+                    <th key={column.key} className="border border-gray-300 bg-gray-50 px-1 py-1">
+                      {column.type === "number" && (
+                        <div className="flex gap-1">
+                          <input
+                            type="number"
+                            step="any"
+                            placeholder="Min"
+                            value={rangeFilters[column.key]?.min ?? ""}
+                            onChange={(event) => handleRangeChange(column.key, "min", event.target.value)}
+                            className="w-16 rounded border border-gray-300 px-1 py-0.5 text-xs font-normal"
+                          />
+                          <input
+                            type="number"
+                            step="any"
+                            placeholder="Max"
+                            value={rangeFilters[column.key]?.max ?? ""}
+                            onChange={(event) => handleRangeChange(column.key, "max", event.target.value)}
+                            className="w-16 rounded border border-gray-300 px-1 py-0.5 text-xs font-normal"
+                          />
+                        </div>
+                      )}
                     </th>
                   ))}
                 </tr>
               </thead>
               <tbody>
-                {placeholderRows.map((row) => (
-                  <tr key={row.mixingNo} className="odd:bg-white even:bg-gray-50">
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.issueDate}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.unit}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.line}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.mixingNo}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.cotton}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.uhml.toFixed(2)}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.str.toFixed(2)}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.sfi.toFixed(2)}</td>
-                    <td className="border border-gray-200 px-4 py-3 text-sm text-gray-700">{row.trash.toFixed(2)}</td>
+                {visibleRows.length === 0 ? (
+                  <tr>
+                    <td colSpan={COLUMNS.length} className="px-4 py-6 text-center text-sm text-gray-500">
+                      {loading
+                        ? "Loading mixing results..."
+                        : hasFetched
+                        ? "No mixings match the selected filters."
+                        : "Apply filters to load mixing results."}
+                    </td>
                   </tr>
-                ))}
+                ) : (
+                  <>
+                    {topSpacer > 0 && (
+                      <tr aria-hidden="true">
+                        <td colSpan={COLUMNS.length} style={{ height: topSpacer, padding: 0 }} />
+                      </tr>
+                    )}
+                    {windowRows.map((row, index) => (
+                      <tr
+                        key={`${row.issue_date}-${row.unit}-${row.line}-${row.mixing_no}-${firstRenderedIndex + index}`}
+                        className="odd:bg-white even:bg-gray-50"
+                        style={{ height: ROW_HEIGHT }}
+                      >
+                        {COLUMNS.map((column) => (
+                          <td
+                            key={column.key}
+                            className="whitespace-nowrap border border-gray-200 px-3 text-sm text-gray-700"
+                          >
+                            {formatCell(row, column, appliedReportType)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                    {bottomSpacer > 0 && (
+                      <tr aria-hidden="true">
+                        <td colSpan={COLUMNS.length} style={{ height: bottomSpacer, padding: 0 }} />
+                      </tr>
+                    )}
+                  </>
+                )}
               </tbody>
             </table>
           </div>
         </div>
       </div>
-
-      <p className="text-sm text-gray-500">
-        The dataset above is a placeholder. Once connected to the live API, the table will automatically reflect
-        the filtered results, supporting large datasets with sticky headers and export options.
-      </p>
     </div>
   );
 }
 
-export default AnalysisTable;
\ No newline at end of file
+export default AnalysisTable;
@@ -0,0 +1,307 @@
+import { useState } from "react";
+import * as XLSX from "xlsx";
+import { apiRequest } from "../../api/apiClient";
+
+const TARGET_PARAMETERS = [
+  { key: "mic", label: "MIC", step: "0.01" },
+  { key: "uhml", label: "UHML (mm)", step: "0.1" },
+  { key: "str", label: "STR (g/tex)", step: "0.1" },
+  { key: "rd", label: "Rd", step: "0.1" },
+  { key: "plus_b", label: "+b", step: "0.1" },
+  { key: "sf", label: "SF", step: "0.1" },
+  { key: "ui", label: "UI", step: "0.1" },
+  { key: "elong", label: "Elong", step: "0.1" },
+  { key: "trash", label: "Trash", step: "0.1" },
+  { key: "moist", label: "Moist%", step: "0.1" },
+  { key: "min_mic_percent", label: "Min MIC %", step: "0.1" },
+];
+
+const TARGET_LABELS = Object.fromEntries(TARGET_PARAMETERS.map((parameter) => [parameter.key, parameter.label]));
+
+// Same column order as the mixing chart upload template.
+const MIXING_CHART_UPLOAD_COLUMNS = ["unit", "line", "mixing_no", "cotton", "lot_no", "issue_bale"];
+
+const EMPTY_TARGETS = Object.fromEntries(TARGET_PARAMETERS.map(({ key }) => [key, { min: "", max: "" }]));
+
+const formatValue = (value) => (value === null || value === undefined || value === "" ? "-" : value);
+
+function MixingPlanner() {
+  const [totalBales, setTotalBales] = useState("");
+  const [maxLots, setMaxLots] = useState("12");
+  const [maxBalesPerLot, setMaxBalesPerLot] = useState("");
+  const [targets, setTargets] = useState(EMPTY_TARGETS);
+  const [stockFilters, setStockFilters] = useState({ variety: "", cotton_year: "" });
+  const [chartFields, setChartFields] = useState({ unit: "", line: "", cotton: "", mixing_no: "" });
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [errorDetails, setErrorDetails] = useState([]);
+
+  const handleTargetChange = (key, bound, value) => {
+    setTargets((prev) => ({ ...prev, [key]: { ...prev[key], [bound]: value } }));
+  };
+
+  const buildTargetsPayload = () =>
+    Object.fromEntries(
+      Object.entries(targets)
+        .filter(([, range]) => range.min !== "" || range.max !== "")
+        .map(([key, range]) => [key, { min: range.min, max: range.max }])
+    );
+
+  const handlePlan = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError("");
+    setErrorDetails([]);
+    try {
+      setPlan(
+        await apiRequest(
+          "/api/mixing-planner",
+          {
+            method: "POST",
+            json: {
+              total_bales: totalBales,
+              max_lots: maxLots,
+              max_bales_per_lot: maxBalesPerLot,
+              targets: buildTargetsPayload(),
+              variety: stockFilters.variety || undefined,
+              cotton_year: stockFilters.cotton_year || undefined,
+              ...chartFields,
+            },
+          },
+          "Unable to plan mixing."
+        )
+      );
+    } catch (err) {
+      console.error("Error planning mixing:", err.message);
+      setError(err.message || "Unable to plan mixing.");
+      setErrorDetails(err.details ?? []);
+      setPlan(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const missingChartFields = Object.entries(chartFields)
+    .filter(([, value]) => !value.trim())
+    .map(([key]) => key);
+
+  const handleExport = () => {
+    if (!plan || missingChartFields.length > 0) return;
+    const rows = plan.upload_rows.map((row) => ({ ...row, ...chartFields }));
+    const worksheet = XLSX.utils.json_to_sheet(rows, { header: MIXING_CHART_UPLOAD_COLUMNS });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Mixing_Chart");
+    XLSX.writeFile(workbook, `Mixing_Plan_${chartFields.unit}_${chartFields.line}_${chartFields.mixing_no}.xlsx`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handlePlan} className="space-y-4">
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-5">
+          <label className="text-sm">
+            <span className="block font-semibold text-gray-700">Total Bales</span>
+            <input
+              type="number"
+              min="1"
+              value={totalBales}
+              onChange={(event) => setTotalBales(event.target.value)}
+              className="mt-1 w-full rounded border px-3 py-2"
+              required
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block font-semibold text-gray-700">Max Lots</span>
+            <input
+              type="number"
+              min="1"
+              value={maxLots}
+              onChange={(event) => setMaxLots(event.target.value)}
+              className="mt-1 w-full rounded border px-3 py-2"
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block font-semibold text-gray-700">Max Bales per Lot</span>
+            <input
+              type="number"
+              min="1"
+              value={maxBalesPerLot}
+              onChange={(event) => setMaxBalesPerLot(event.target.value)}
+              className="mt-1 w-full rounded border px-3 py-2"
+              placeholder="Lot stock"
+            />
+          </label>
+          {[
+            { key: "variety", label: "Variety" },
+            { key: "cotton_year", label: "Cotton Year" },
+          ].map(({ key, label }) => (
+            <label key={key} className="text-sm">
+              <span className="block font-semibold text-gray-700">{label}</span>
+              <input
+                type="text"
+                value={stockFilters[key]}
+                onChange={(event) => setStockFilters((prev) => ({ ...prev, [key]: event.target.value }))}
+                className="mt-1 w-full rounded border px-3 py-2"
+                placeholder="Any"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div>
+          <h3 className="mb-2 text-sm font-semibold text-purple-800">Target Ranges</h3>
+          <div className="grid grid-cols-2 gap-3 md:grid-cols-4 lg:grid-cols-6">
+            {TARGET_PARAMETERS.map(({ key, label, step }) => (
+              <div key={key} className="rounded border border-purple-100 p-2 text-sm">
+                <div className="mb-1 font-semibold text-gray-700">{label}</div>
+                <div className="flex gap-1">
+                  <input
+                    type="number"
+                    step={step}
+                    value={targets[key].min}
+                    onChange={(event) => handleTargetChange(key, "min", event.target.value)}
+                    className="w-full rounded border px-2 py-1"
+                    placeholder="Min"
+                  />
+                  <input
+                    type="number"
+                    step={step}
+                    value={targets[key].max}
+                    onChange={(event) => handleTargetChange(key, "max", event.target.value)}
+                    className="w-full rounded border px-2 py-1"
+                    placeholder="Max"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="rounded bg-purple-700 px-6 py-2 font-semibold text-white hover:bg-purple-800 disabled:bg-gray-400"
+        >
+          {loading ? "Planning..." : "Plan Mixing"}
+        </button>
+      </form>
+
+      {error && (
+        <div className="text-sm text-red-600">
+          <p>{error}</p>
+          {errorDetails.length > 0 && (
+            <ul className="list-disc pl-5">
+              {errorDetails.map((detail) => (
+                <li key={detail}>{detail}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {plan && (
+        <div className="space-y-4">
+          <p className={`text-sm font-semibold ${plan.feasible ? "text-green-700" : "text-orange-600"}`}>
+            {plan.feasible
+              ? `All targets met with ${plan.lots.length} lot(s).`
+              : `Closest mix found with ${plan.lots.length} lot(s); some targets are out of range.`}{" "}
+            <span className="font-normal text-gray-500">({plan.candidate_lots} lot(s) in stock considered)</span>
+          </p>
+
+          <table className="min-w-full text-sm">
+            <thead className="bg-purple-50 text-left text-purple-800">
+              <tr>
+                <th className="px-3 py-2">Parameter</th>
+                <th className="px-3 py-2 text-right">Min</th>
+                <th className="px-3 py-2 text-right">Max</th>
+                <th className="px-3 py-2 text-right">Predicted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.targets.map((target) => (
+                <tr key={target.parameter} className="border-t border-gray-100">
+                  <td className="px-3 py-2">{TARGET_LABELS[target.parameter] ?? target.parameter}</td>
+                  <td className="px-3 py-2 text-right">{formatValue(target.min)}</td>
+                  <td className="px-3 py-2 text-right">{formatValue(target.max)}</td>
+                  <td className={`px-3 py-2 text-right font-semibold ${target.met ? "text-green-700" : "text-red-600"}`}>
+                    {formatValue(target.value)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-purple-50 text-left text-purple-800">
+                <tr>
+                  <th className="px-3 py-2">Lot</th>
+                  <th className="px-3 py-2">Variety</th>
+                  <th className="px-3 py-2">Cotton</th>
+                  <th className="px-3 py-2 text-right">In Stock</th>
+                  <th className="px-3 py-2 text-right">Issue Bale</th>
+                  {TARGET_PARAMETERS.slice(0, 5).map(({ key, label }) => (
+                    <th key={key} className="px-3 py-2 text-right">
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {plan.lots.map((lot) => (
+                  <tr key={lot.lot_no} className="border-t border-gray-100">
+                    <td className="px-3 py-2">{lot.lot_no}</td>
+                    <td className="px-3 py-2">{formatValue(lot.variety)}</td>
+                    <td className="px-3 py-2">{formatValue(lot.cotton_name)}</td>
+                    <td className="px-3 py-2 text-right">{lot.remaining_bales}</td>
+                    <td className="px-3 py-2 text-right font-semibold">{lot.issue_bale}</td>
+                    {TARGET_PARAMETERS.slice(0, 5).map(({ key }) => (
+                      <td key={key} className="px-3 py-2 text-right">
+                        {formatValue(lot[key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="rounded border border-purple-100 p-4">
+            <h3 className="mb-2 text-sm font-semibold text-purple-800">Export as Mixing Chart Upload</h3>
+            <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+              {[
+                { key: "unit", label: "Unit" },
+                { key: "line", label: "Line" },
+                { key: "cotton", label: "Cotton" },
+                { key: "mixing_no", label: "Mixing No" },
+              ].map(({ key, label }) => (
+                <label key={key} className="text-sm">
+                  <span className="block font-semibold text-gray-700">{label}</span>
+                  <input
+                    type="text"
+                    value={chartFields[key]}
+                    onChange={(event) => setChartFields((prev) => ({ ...prev, [key]: event.target.value }))}
+                    className="mt-1 w-full rounded border px-3 py-2"
+                  />
+                </label>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={missingChartFields.length > 0}
+              className="mt-3 rounded bg-green-600 px-4 py-2 text-sm font-semibold text-white hover:bg-green-700 disabled:bg-gray-400"
+            >
+              Download Excel
+            </button>
+            {missingChartFields.length > 0 && (
+              <p className="mt-1 text-xs text-gray-500">Fill in {missingChartFields.join(", ")} to export.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MixingPlanner;
@@ -0,0 +1,267 @@
+import { useEffect, useState } from "react";
+import { apiRequest } from "../../api/apiClient";
+
+const RESULT_METRICS = [
+  { key: "mic", label: "MIC" },
+  { key: "str", label: "STR" },
+  { key: "uhml", label: "UHML" },
+  { key: "rd", label: "Rd" },
+  { key: "plus_b", label: "+b" },
+  { key: "sf", label: "SF" },
+  { key: "ui", label: "UI" },
+  { key: "elong", label: "Elong" },
+  { key: "trash", label: "Trash" },
+  { key: "moist", label: "Moist%" },
+  { key: "min_mic", label: "Min MIC" },
+  { key: "min_mic_percent", label: "Min MIC %" },
+];
+
+// Recalculate once typing pauses rather than on every keystroke.
+const SIMULATE_DELAY_MS = 400;
+
+const EMPTY_ROW = { lot_no: "", issue_bale: "" };
+
+const formatValue = (value) => (value === null || value === undefined || value === "" ? "-" : value);
+
+// Accepts lines copied from a spreadsheet: lot_no first, issue_bale last,
+// separated by tabs, commas or spaces. Lines without a bale count (headers) are skipped.
+const parsePastedRows = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(/[\t,;\s]+/))
+    .filter((parts) => parts.length >= 2 && Number(parts[parts.length - 1]) > 0)
+    .map((parts) => ({ lot_no: parts[0], issue_bale: parts[parts.length - 1] }));
+
+function MixingSimulator() {
+  const [draft, setDraft] = useState({
+    unit: "",
+    line: "",
+    cotton: "",
+    mixing_no: "",
+    issue_date: new Date().toISOString().slice(0, 10),
+  });
+  const [rows, setRows] = useState([{ ...EMPTY_ROW }]);
+  const [pasteText, setPasteText] = useState("");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const filledRows = rows.filter((row) => row.lot_no.trim() && Number(row.issue_bale) > 0);
+  const isReady = Boolean(draft.unit.trim() && draft.line.trim() && draft.cotton.trim() && filledRows.length > 0);
+  const requestBody = JSON.stringify({ ...draft, rows: filledRows });
+
+  useEffect(() => {
+    if (!isReady) {
+      setResult(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setResult(
+          await apiRequest(
+            "/api/mixing-simulation",
+            { method: "POST", json: JSON.parse(requestBody), signal: controller.signal },
+            "Unable to simulate mixing."
+          )
+        );
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error("Error simulating mixing:", err.message);
+          setError([err.message || "Unable to simulate mixing.", ...(err.details ?? [])].join(" "));
+          setResult(null);
+        }
+      } finally {
+        setLoading(false);
+      }
+    }, SIMULATE_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isReady, requestBody]);
+
+  const handleRowChange = (index, key, value) => {
+    setRows((prev) => prev.map((row, rowIndex) => (rowIndex === index ? { ...row, [key]: value } : row)));
+  };
+
+  const handleRemoveRow = (index) => {
+    setRows((prev) => (prev.length === 1 ? [{ ...EMPTY_ROW }] : prev.filter((_, rowIndex) => rowIndex !== index)));
+  };
+
+  const handleApplyPaste = () => {
+    const parsed = parsePastedRows(pasteText);
+    if (parsed.length === 0) {
+      setError("No lot_no / issue_bale pairs found in the pasted text.");
+      return;
+    }
+    setRows(parsed);
+    setPasteText("");
+    setError("");
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 gap-4 md:grid-cols-5">
+        {[
+          { key: "unit", label: "Unit" },
+          { key: "line", label: "Line" },
+          { key: "cotton", label: "Cotton" },
+          { key: "mixing_no", label: "Mixing No" },
+          { key: "issue_date", label: "Issue Date", type: "date" },
+        ].map(({ key, label, type = "text" }) => (
+          <label key={key} className="text-sm">
+            <span className="block font-semibold text-gray-700">{label}</span>
+            <input
+              type={type}
+              value={draft[key]}
+              onChange={(event) => setDraft((prev) => ({ ...prev, [key]: event.target.value }))}
+              className="mt-1 w-full rounded border px-3 py-2"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div>
+          <h3 className="mb-2 text-sm font-semibold text-purple-800">Draft Lots</h3>
+          <table className="min-w-full text-sm">
+            <thead className="bg-purple-50 text-left text-purple-800">
+              <tr>
+                <th className="px-3 py-2">Lot No</th>
+                <th className="px-3 py-2">Issue Bale</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index} className="border-t border-gray-100">
+                  <td className="px-3 py-1">
+                    <input
+                      type="text"
+                      value={row.lot_no}
+                      onChange={(event) => handleRowChange(index, "lot_no", event.target.value)}
+                      className="w-full rounded border px-2 py-1"
+                    />
+                  </td>
+                  <td className="px-3 py-1">
+                    <input
+                      type="number"
+                      min="1"
+                      value={row.issue_bale}
+                      onChange={(event) => handleRowChange(index, "issue_bale", event.target.value)}
+                      className="w-full rounded border px-2 py-1"
+                    />
+                  </td>
+                  <td className="px-3 py-1 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveRow(index)}
+                      className="text-xs font-semibold text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={() => setRows((prev) => [...prev, { ...EMPTY_ROW }])}
+            className="mt-2 text-sm font-semibold text-purple-700 hover:underline"
+          >
+            + Add lot
+          </button>
+
+          <div className="mt-4">
+            <label className="text-sm">
+              <span className="block font-semibold text-gray-700">Paste lot_no and issue_bale columns</span>
+              <textarea
+                value={pasteText}
+                onChange={(event) => setPasteText(event.target.value)}
+                rows={4}
+                className="mt-1 w-full rounded border px-3 py-2 font-mono text-xs"
+                placeholder={"LOT001\t10\nLOT002\t8"}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={handleApplyPaste}
+              disabled={!pasteText.trim()}
+              className="mt-1 rounded bg-purple-600 px-4 py-1 text-sm font-semibold text-white hover:bg-purple-700 disabled:bg-gray-400"
+            >
+              Replace draft with pasted rows
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <h3 className="mb-2 text-sm font-semibold text-purple-800">Simulated Summary</h3>
+          {!isReady && (
+            <p className="text-sm text-gray-500">Enter unit, line, cotton and at least one lot to simulate.</p>
+          )}
+          {loading && <p className="text-sm text-gray-500">Simulating...</p>}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {result && !loading && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-3 text-sm md:grid-cols-4">
+                <div className="rounded bg-gray-50 p-2">
+                  <div className="text-xs uppercase text-gray-500">Total Bales</div>
+                  <div className="font-semibold text-gray-800">{result.total_bales}</div>
+                </div>
+                <div className="rounded bg-gray-50 p-2">
+                  <div className="text-xs uppercase text-gray-500">Lots</div>
+                  <div className="font-semibold text-gray-800">{result.no_of_lots}</div>
+                </div>
+                <div className="rounded bg-gray-50 p-2">
+                  <div className="text-xs uppercase text-gray-500">Bale Change-over %</div>
+                  <div className="font-semibold text-gray-800">{formatValue(result.bale_change_over_percent)}</div>
+                </div>
+                <div className="rounded bg-gray-50 p-2">
+                  <div className="text-xs uppercase text-gray-500">Lot Change-over %</div>
+                  <div className="font-semibold text-gray-800">{formatValue(result.lot_change_over_percent)}</div>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                {result.previous_mixing_no
+                  ? `Change-over against mixing ${result.previous_mixing_no} on this line.`
+                  : "No earlier mixing of this cotton on this line to compare against."}
+              </p>
+              <p className="text-sm">
+                <span className="font-semibold text-gray-700">Blend:</span> {formatValue(result.mixing)}{" "}
+                {result.blend_percent && <span className="text-gray-500">({result.blend_percent})</span>}
+              </p>
+
+              <div className="grid grid-cols-3 gap-2 text-sm md:grid-cols-4">
+                {RESULT_METRICS.map(({ key, label }) => {
+                  const flag = result.out_of_spec?.[key];
+                  return (
+                    <div key={key} className={`rounded p-2 ${flag ? "bg-red-50" : "bg-gray-50"}`}>
+                      <div className="text-xs uppercase text-gray-500">{label}</div>
+                      <div className={`font-semibold ${flag ? "text-red-600" : "text-gray-800"}`}>
+                        {formatValue(result[key])}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {result.unknown_lots.length > 0 && (
+                <p className="text-sm text-orange-600">
+                  No test results for {result.unknown_lots.join(", ")}; their bales count toward the total only.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MixingSimulator;
@@ -0,0 +1,39 @@
+import { useState } from "react";
+import MixingPlanner from "./MixingPlanner.jsx";
+import MixingSimulator from "./MixingSimulator.jsx";
+
+const subTabs = [
+  { id: "plan", label: "Plan" },
+  { id: "simulate", label: "Simulate" },
+];
+
+function Planner() {
+  const [activeSubTab, setActiveSubTab] = useState("plan");
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-4">
+        {subTabs.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            onClick={() => setActiveSubTab(tab.id)}
+            className={`px-6 py-2 rounded-full font-semibold transition-colors duration-200 ${
+              activeSubTab === tab.id
+                ? "bg-purple-800 text-white shadow-lg"
+                : "bg-purple-200 text-purple-900 hover:bg-purple-300"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeSubTab === "plan" && <MixingPlanner />}
+
+      {activeSubTab === "simulate" && <MixingSimulator />}
+    </div>
+  );
+}
+
+export default Planner;
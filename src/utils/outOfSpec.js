@@ -0,0 +1,25 @@
+// Helpers for the `out_of_spec` annotation the backend adds to cotton result and
+// mixing summary rows: { [parameter]: { value, min, max, direction } }.
+
+export const getOutOfSpecFlag = (row, key) => row?.out_of_spec?.[key] ?? null;
+
+export const describeOutOfSpecFlag = (flag) => {
+  if (!flag) return undefined;
+  return flag.direction === "low" ? `Below spec minimum ${flag.min}` : `Above spec maximum ${flag.max}`;
+};
+
+export const outOfSpecCellClass = (row, key) =>
+  getOutOfSpecFlag(row, key) ? "bg-red-100 font-semibold text-red-700" : "";
+
+// "MIC < 3.5; Str < 28" for exports. `labels` maps parameter keys to column labels.
+export const formatOutOfSpec = (row, labels = {}) => {
+  const entries = Object.entries(row?.out_of_spec || {});
+  if (entries.length === 0) return "-";
+  return entries
+    .map(([key, flag]) =>
+      flag.direction === "low" ? `${labels[key] ?? key} < ${flag.min}` : `${labels[key] ?? key} > ${flag.max}`
+    )
+    .join("; ");
+};
+
+export const hasOutOfSpecAnnotations = (rows = []) => rows.some((row) => row?.out_of_spec !== undefined);
@@ -0,0 +1,28 @@
+// Calendar choices for the period reports, matching the `calendar` and
+// `week_start` query params the summary routes accept.
+
+export const CALENDAR_OPTIONS = [
+  { value: "gregorian", label: "Month weeks (1-7, 8-14, ...)" },
+  { value: "iso", label: "ISO weeks" },
+  { value: "mill", label: "Mill weeks" },
+  { value: "fiscal", label: "Fiscal year (Apr-Mar)" },
+];
+
+// An empty week_start leaves the first day to the server's MILL_WEEK_START.
+export const WEEK_START_OPTIONS = [
+  { value: "", label: "Mill default week start" },
+  ...["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"].map((value) => ({
+    value,
+    label: `Week starts ${value.charAt(0).toUpperCase()}${value.slice(1)}`,
+  })),
+];
+
+export const DEFAULT_REPORT_CALENDAR = { calendar: "gregorian", week_start: "" };
+
+// Only mill and fiscal weeks have a configurable first day.
+export const usesWeekStart = (calendar) => calendar === "mill" || calendar === "fiscal";
+
+export const buildCalendarParams = ({ calendar, week_start } = {}) => ({
+  calendar: calendar || DEFAULT_REPORT_CALENDAR.calendar,
+  ...(usesWeekStart(calendar) && week_start ? { week_start } : {}),
+});